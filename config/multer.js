@@ -2,18 +2,19 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads/videos');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Multipart uploads are received into a local staging directory, then
+// moved to the storage backend (see services/storage) by the controller
+const stagingDir = path.join(__dirname, '../uploads/incoming');
+if (!fs.existsSync(stagingDir)) {
+  fs.mkdirSync(stagingDir, { recursive: true });
 }
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    // Store files in tenant-specific folders for better organization
+    // Stage files in tenant-specific folders for better organization
     const tenantId = req.user?.tenantId || 'default';
-    const tenantDir = path.join(uploadsDir, tenantId);
+    const tenantDir = path.join(stagingDir, tenantId);
     
     if (!fs.existsSync(tenantDir)) {
       fs.mkdirSync(tenantDir, { recursive: true });
@@ -22,33 +23,55 @@ const storage = multer.diskStorage({
     cb(null, tenantDir);
   },
   filename: function (req, file, cb) {
-    // Generate unique filename: timestamp-random-originalname
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext);
-    const sanitizedName = name.replace(/[^a-zA-Z0-9]/g, '_');
-    cb(null, `${sanitizedName}-${uniqueSuffix}${ext}`);
+    cb(null, generateStoredFilename(file.originalname));
   },
 });
 
+// Generate unique filename: timestamp-random-originalname
+// (also used for finished resumable uploads)
+function generateStoredFilename(originalname) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const ext = path.extname(originalname);
+  const name = path.basename(originalname, ext);
+  const sanitizedName = name.replace(/[^a-zA-Z0-9]/g, '_');
+  return `${sanitizedName}-${uniqueSuffix}${ext}`;
+}
+
+// Video types accepted by multipart and resumable uploads
+const VIDEO_MIME_TYPES = [
+  'video/mp4',
+  'video/mpeg',
+  'video/quicktime',
+  'video/x-msvideo',
+  'video/x-ms-wmv',
+  'video/webm',
+  'video/ogg',
+];
+
 // File filter - only allow video files
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = [
-    'video/mp4',
-    'video/mpeg',
-    'video/quicktime',
-    'video/x-msvideo',
-    'video/x-ms-wmv',
-    'video/webm',
-    'video/ogg',
-  ];
+  if (VIDEO_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(
+      new Error(
+        `Invalid file type. Allowed types: ${VIDEO_MIME_TYPES.join(', ')}`
+      ),
+      false
+    );
+  }
+};
+
+// Image filter - poster/thumbnail uploads
+const imageFileFilter = (req, file, cb) => {
+  const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/webp'];
 
   if (allowedMimeTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(
       new Error(
-        `Invalid file type. Allowed types: ${allowedMimeTypes.join(', ')}`
+        `Invalid image type. Allowed types: ${allowedMimeTypes.join(', ')}`
       ),
       false
     );
@@ -64,13 +87,25 @@ const upload = multer({
   },
 });
 
+// Poster images are small - keep them in memory until the controller
+// has checked access to the video
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max image size
+  },
+});
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 5GB',
+        message: err.field === 'image'
+          ? 'Image too large. Maximum size is 5MB'
+          : 'File too large. Maximum size is 5GB',
       });
     }
     return res.status(400).json({
@@ -91,6 +126,9 @@ const handleMulterError = (err, req, res, next) => {
 
 module.exports = {
   upload,
+  imageUpload,
   handleMulterError,
+  generateStoredFilename,
+  VIDEO_MIME_TYPES,
 };
 
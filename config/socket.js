@@ -1,16 +1,307 @@
+const crypto = require('crypto');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Video = require('../models/Video');
+const { verifyAccessToken } = require('../services/authToken.service');
+const {
+  getFolderGrants,
+  getUserGroupIds,
+  videoReadCondition,
+  withAccess,
+} = require('../services/videoAccess.service');
 
 /**
  * Socket.io Configuration
  * 
- * Handles real-time video processing updates with tenant-based rooms.
- * Users are automatically joined to their tenant room: tenant_{tenantId}
+ * Handles real-time video processing updates. Every socket is joined to:
+ *   tenant_{tenantId}  every user of the tenant
+ *   staff_{tenantId}   ADMINs and EDITORs, who can see every video of the tenant
+ *   user_{userId}      notifications meant only for that user
+ * other users are also joined to:
+ *   group_{groupId}    each group they are a member of
+ *   folder_{folderId}  each folder a folder grant lets them see
+ * and can join video_{videoId} for a video it is allowed to see (same
+ * rules as GET /api/videos/:id, see videoAccess.service.js).
+ *
+ * Video events go only to users who can see the video: public videos to the
+ * tenant room, private videos to staff, the uploader, the users and groups it
+ * is shared with and its folder's room, and both to the video's own room.
+ *
+ * Missed-event recovery: every video event carries `seq`, a number that
+ * increases per tenant, and the last events of each tenant are buffered in
+ * memory. A client that reconnects sends { epoch, lastSeq } in the handshake
+ * auth and gets the events it missed replayed before live events. The
+ * `connected` event reports whether that worked; if not (server restarted,
+ * or too many events missed) the client must reload its state.
  */
 
 let io;
 
+const replayConfig = {
+  bufferSize: parseInt(process.env.SOCKET_REPLAY_BUFFER_SIZE, 10) || 500,
+  maxAgeMs: parseInt(process.env.SOCKET_REPLAY_MAX_AGE_MS, 10) || 5 * 60 * 1000,
+};
+
+// Identifies this server process; sequence numbers restart with it
+const EPOCH = crypto.randomBytes(8).toString('hex');
+
+// tenantId -> { seq, events: [{ seq, rooms, except, event, payload, emittedAt }] }
+const tenantStreams = new Map();
+
+// videoId -> { isPublic, uploadedBy, folder, shareRooms }: latest visibility from metadata
+// edits, moves and share changes, which may be newer than the document a processing job
+// loaded when it started
+const VISIBILITY_CACHE_SIZE = 1000;
+const videoVisibility = new Map();
+
+const STAFF_ROLES = ['ADMIN', 'EDITOR'];
+
+const getTenantStream = (tenantId) => {
+  const key = tenantId.toString();
+  if (!tenantStreams.has(key)) {
+    tenantStreams.set(key, { seq: 0, events: [] });
+  }
+  return tenantStreams.get(key);
+};
+
+/**
+ * Emit a sequenced event to rooms and keep it for replay
+ * A socket in several of the rooms receives the event once.
+ * @param {string} tenantId - Tenant the event belongs to (owns the sequence)
+ * @param {string[]} rooms - Rooms to emit to
+ * @param {string} event - Event name
+ * @param {object} data - Event payload; `seq` is added
+ * @param {string[]} [except] - Rooms whose sockets must not receive the event
+ * @returns {object} Emitted payload
+ */
+const emitSequenced = (tenantId, rooms, event, data, except = []) => {
+  const stream = getTenantStream(tenantId);
+  const payload = { ...data, seq: ++stream.seq };
+  const now = Date.now();
+
+  stream.events.push({ seq: payload.seq, rooms, except, event, payload, emittedAt: now });
+  while (
+    stream.events.length > replayConfig.bufferSize ||
+    now - stream.events[0].emittedAt > replayConfig.maxAgeMs
+  ) {
+    stream.events.shift();
+  }
+
+  io.to(rooms).except(except).emit(event, payload);
+  return payload;
+};
+
+/**
+ * Who may see a video, as stored in the visibility cache
+ * @param {object} video - Video document
+ * @returns {object} { isPublic, uploadedBy, folder, shareRooms }
+ */
+const getVisibility = (video) => ({
+  isPublic: video.isPublic,
+  uploadedBy: (video.uploadedBy?._id || video.uploadedBy)?.toString(),
+  folder: video.folder ? video.folder.toString() : null,
+  shareRooms: (video.shares || []).map((share) => (share.user ? `user_${share.user}` : `group_${share.group}`)),
+});
+
+/**
+ * Remember a video's latest visibility for events emitted from older documents
+ * @param {string} videoId - Video ID
+ * @param {object} video - Updated video document
+ */
+const rememberVisibility = (videoId, video) => {
+  videoVisibility.delete(videoId);
+  videoVisibility.set(videoId, getVisibility(video));
+  if (videoVisibility.size > VISIBILITY_CACHE_SIZE) {
+    videoVisibility.delete(videoVisibility.keys().next().value);
+  }
+};
+
+/**
+ * Rooms that may receive events about a video
+ * @param {object} video - Video document (_id, tenantId, isPublic, uploadedBy, folder, shares)
+ * @returns {object} { tenantId, videoId, rooms }
+ */
+const getVideoAudience = (video) => {
+  const videoId = video._id.toString();
+  const tenantId = (video.tenantId?._id || video.tenantId).toString();
+  const { isPublic, uploadedBy, folder, shareRooms } = videoVisibility.get(videoId) || getVisibility(video);
+
+  const rooms = [`video_${videoId}`];
+  if (isPublic) {
+    rooms.push(`tenant_${tenantId}`);
+  } else {
+    rooms.push(`staff_${tenantId}`);
+    if (uploadedBy) {
+      rooms.push(`user_${uploadedBy}`);
+    }
+    if (folder) {
+      rooms.push(`folder_${folder}`);
+    }
+    rooms.push(...shareRooms);
+  }
+
+  return { tenantId, videoId, rooms: [...new Set(rooms)] };
+};
+
+/**
+ * Group and folder rooms a user belongs to
+ * Staff see every video through the staff room and need none.
+ * @param {object} user - { id, role, tenantId }
+ * @returns {Promise<string[]>}
+ */
+const getAccessRooms = async (user) => {
+  if (STAFF_ROLES.includes(user.role)) {
+    return [];
+  }
+
+  const [groupIds, grants] = await Promise.all([getUserGroupIds(user), getFolderGrants(user)]);
+  return [
+    ...groupIds.map((groupId) => `group_${groupId}`),
+    ...grants.view.map((folderId) => `folder_${folderId}`),
+  ];
+};
+
+const isAccessRoom = (room) => room.startsWith('group_') || room.startsWith('folder_');
+
+/**
+ * Whether a socket's user may see a video (GET /api/videos/:id rules)
+ * @param {Socket} socket - Authenticated socket
+ * @param {string} videoId - Video ID
+ * @returns {Promise<boolean>}
+ */
+const canSocketViewVideo = async (socket, videoId) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) {
+    return false;
+  }
+
+  const query = {
+    _id: videoId,
+    tenantId: socket.tenantId, // Tenant isolation
+  };
+
+  withAccess(query, await videoReadCondition({
+    id: socket.userId,
+    role: socket.userRole,
+    tenantId: socket.tenantId,
+  }));
+
+  return !!(await Video.exists(query));
+};
+
+/**
+ * Remove sockets that may no longer see a private video from its room
+ * VIEWERs other than the uploader are checked again, as a folder grant
+ * may still let them see it.
+ * @param {string} videoId - Video ID
+ * @param {string} uploadedBy - Uploader's user ID
+ */
+const evictFromPrivateVideoRoom = (videoId, uploadedBy) => {
+  const socketIds = io.sockets.adapter.rooms.get(`video_${videoId}`);
+  if (!socketIds) {
+    return;
+  }
+
+  [...socketIds].forEach((socketId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket || STAFF_ROLES.includes(socket.userRole) || socket.userId === uploadedBy) {
+      return;
+    }
+
+    canSocketViewVideo(socket, videoId)
+      .then((canView) => {
+        if (!canView) {
+          socket.leave(`video_${videoId}`);
+          socket.emit('room_left', { room: `video_${videoId}`, reason: 'Access revoked' });
+        }
+      })
+      .catch((error) => console.error(`[Socket] Access check for video_${videoId} failed:`, error));
+  });
+};
+
+/**
+ * Bring open sockets' group and folder rooms up to date
+ * Called after group memberships, folder grants or the folder tree changed.
+ * Video rooms are checked again, as access may be gone.
+ * @param {object} target - { userId } for one user's sockets, or { tenantId } for every socket of a tenant
+ */
+const refreshSocketAccess = ({ userId, tenantId }) => {
+  if (!io) {
+    return;
+  }
+
+  const sockets = [...io.of('/').sockets.values()].filter((socket) =>
+    (userId ? socket.userId === userId.toString() : socket.tenantId === tenantId.toString()));
+
+  const refresh = async () => {
+    const roomsByUser = new Map();
+    for (const socket of sockets) {
+      if (!roomsByUser.has(socket.userId)) {
+        roomsByUser.set(socket.userId, await getAccessRooms({
+          id: socket.userId,
+          role: socket.userRole,
+          tenantId: socket.tenantId,
+        }));
+      }
+      const rooms = roomsByUser.get(socket.userId);
+
+      const current = [...socket.rooms].filter(isAccessRoom);
+      current.filter((room) => !rooms.includes(room)).forEach((room) => socket.leave(room));
+      socket.join(rooms);
+
+      // The videos this user sees may have changed
+      if (current.length !== rooms.length || rooms.some((room) => !current.includes(room))) {
+        socket.emit('video_access_changed', { timestamp: new Date().toISOString() });
+      }
+
+      for (const room of [...socket.rooms].filter((name) => name.startsWith('video_'))) {
+        if (!(await canSocketViewVideo(socket, room.slice(6)))) {
+          socket.leave(room);
+          socket.emit('room_left', { room, reason: 'Access revoked' });
+        }
+      }
+    }
+  };
+
+  refresh().catch((error) => console.error('[Socket] Access room refresh failed:', error));
+};
+
+/**
+ * Replay buffered events a reconnecting socket missed
+ * Only events addressed to the socket's rooms are sent. Replay is impossible
+ * when the client's epoch is from another server process or events after
+ * lastSeq have already left the buffer.
+ * @param {Socket} socket - Authenticated socket
+ * @param {object} [resume] - { epoch, lastSeq } from the handshake auth
+ * @returns {object} { resumed, replayed }
+ */
+const replayMissedEvents = (socket, resume) => {
+  const stream = getTenantStream(socket.tenantId);
+  const lastSeq = Number(resume?.lastSeq);
+
+  if (!resume || resume.epoch !== EPOCH || !Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > stream.seq) {
+    return { resumed: false, replayed: 0 };
+  }
+
+  // Nothing missed, or the first missed event is still buffered
+  const oldest = stream.events.length > 0 ? stream.events[0].seq : stream.seq + 1;
+  if (lastSeq < stream.seq && lastSeq + 1 < oldest) {
+    return { resumed: false, replayed: 0 };
+  }
+
+  let replayed = 0;
+  stream.events.forEach(({ seq, rooms, except, event, payload }) => {
+    const addressed = rooms.some((room) => socket.rooms.has(room));
+    const excluded = except.some((room) => socket.rooms.has(room));
+    if (seq > lastSeq && addressed && !excluded) {
+      socket.emit(event, { ...payload, replayed: true });
+      replayed++;
+    }
+  });
+
+  return { resumed: true, replayed };
+};
+
 /**
  * Initialize Socket.io server
  * @param {http.Server} server - HTTP server instance
@@ -35,8 +326,8 @@ const initializeSocket = (server) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify JWT token and its session
+      const decoded = await verifyAccessToken(token);
 
       // Fetch user with tenant information
       const user = await User.findById(decoded.userId)
@@ -56,6 +347,12 @@ const initializeSocket = (server) => {
       socket.userRole = user.role;
       socket.tenantId = user.tenantId._id.toString();
       socket.tenantName = user.tenantId.name;
+      socket.sessionId = decoded.sid;
+      socket.accessRooms = await getAccessRooms({
+        id: socket.userId,
+        role: socket.userRole,
+        tenantId: socket.tenantId,
+      });
 
       next();
     } catch (error) {
@@ -65,6 +362,9 @@ const initializeSocket = (server) => {
       if (error.name === 'TokenExpiredError') {
         return next(new Error('Authentication error: Token expired'));
       }
+      if (error.name === 'SessionRevokedError') {
+        return next(new Error('Authentication error: Session revoked'));
+      }
       next(new Error('Authentication error: ' + error.message));
     }
   });
@@ -78,11 +378,32 @@ const initializeSocket = (server) => {
     socket.join(tenantRoom);
     console.log(`User ${socket.userId} joined room: ${tenantRoom}`);
 
-    // Emit connection confirmation
+    // Staff see every video of the tenant, including private ones
+    if (STAFF_ROLES.includes(socket.userRole)) {
+      socket.join(`staff_${socket.tenantId}`);
+    }
+
+    // Join personal room (moderation decisions on the user's uploads, ...)
+    socket.join(`user_${socket.userId}`);
+
+    // Groups and granted folders: private videos shared with them
+    socket.join(socket.accessRooms);
+
+    // Send missed events before any live event; runs synchronously with the joins above
+    const { resumed, replayed } = replayMissedEvents(socket, socket.handshake.auth.resume);
+    if (replayed > 0) {
+      console.log(`[Socket] Replayed ${replayed} missed event(s) to ${socket.id}`);
+    }
+
+    // Emit connection confirmation with the position to resume from next time
     socket.emit('connected', {
       message: 'Connected to video processing updates',
       tenantId: socket.tenantId,
       room: tenantRoom,
+      epoch: EPOCH,
+      seq: getTenantStream(socket.tenantId).seq,
+      resumed,
+      replayed,
     });
 
     // Handle disconnection
@@ -90,21 +411,41 @@ const initializeSocket = (server) => {
       console.log(`Socket disconnected: ${socket.id}`);
     });
 
-    // Handle join room request (for additional rooms if needed)
-    socket.on('join_room', (roomName) => {
-      // Only allow joining tenant-specific rooms
-      if (roomName.startsWith(`tenant_${socket.tenantId}`)) {
+    // Join a video's room: video_{videoId}, for a video the user may see.
+    // Optional acknowledgement callback: ({ success, room, message })
+    socket.on('join_room', async (roomName, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const videoId = typeof roomName === 'string' && roomName.startsWith('video_') ? roomName.slice(6) : null;
+
+      try {
+        if (!videoId || !(await canSocketViewVideo(socket, videoId))) {
+          socket.emit('error', { message: 'Unauthorized room access' });
+          return reply({ success: false, room: roomName, message: 'Unauthorized room access' });
+        }
+
         socket.join(roomName);
         socket.emit('room_joined', { room: roomName });
-      } else {
-        socket.emit('error', { message: 'Unauthorized room access' });
+        reply({ success: true, room: roomName });
+      } catch (error) {
+        console.error(`[Socket] join_room ${roomName} failed:`, error);
+        reply({ success: false, room: roomName, message: 'Could not join room' });
       }
     });
 
-    // Handle leave room request
-    socket.on('leave_room', (roomName) => {
+    // Leave a video room; the tenant, staff, personal, group and folder rooms cannot be left
+    socket.on('leave_room', (roomName, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (typeof roomName !== 'string' || !roomName.startsWith('video_')) {
+        return reply({ success: false, room: roomName, message: 'Only video rooms can be left' });
+      }
+      if (!socket.rooms.has(roomName)) {
+        return reply({ success: false, room: roomName, message: 'Not in this room' });
+      }
+
       socket.leave(roomName);
       socket.emit('room_left', { room: roomName });
+      reply({ success: true, room: roomName });
     });
   });
 
@@ -112,22 +453,21 @@ const initializeSocket = (server) => {
 };
 
 /**
- * Emit progress update to tenant room
- * @param {string} tenantId - Tenant ID
- * @param {string} videoId - Video ID
+ * Emit progress update to the users who can see the video
+ * @param {object} video - Video document (_id, tenantId, isPublic, uploadedBy)
  * @param {number} progress - Progress percentage (0-100)
  * @param {string} stage - Current processing stage
  * @param {object} data - Additional data to send
  */
-const emitProgress = (tenantId, videoId, progress, stage, data = {}) => {
+const emitProgress = (video, progress, stage, data = {}) => {
   if (!io) {
     console.warn('Socket.io not initialized. Cannot emit progress.');
     return;
   }
 
-  const tenantRoom = `tenant_${tenantId}`;
-  
-  io.to(tenantRoom).emit('video_processing_progress', {
+  const { tenantId, videoId, rooms } = getVideoAudience(video);
+
+  emitSequenced(tenantId, rooms, 'video_processing_progress', {
     videoId,
     progress,
     stage,
@@ -135,55 +475,76 @@ const emitProgress = (tenantId, videoId, progress, stage, data = {}) => {
     ...data,
   });
 
-  console.log(`[Socket] Progress update to ${tenantRoom}: ${progress}% - ${stage} (Video: ${videoId})`);
+  console.log(`[Socket] Progress update to ${rooms.join(', ')}: ${progress}% - ${stage} (Video: ${videoId})`);
 };
 
 /**
- * Emit processing completion
- * @param {string} tenantId - Tenant ID
- * @param {string} videoId - Video ID
+ * Emit processing completion to the users who can see the video
+ * @param {object} video - Video document
  * @param {string} status - Final status (COMPLETED, FLAGGED)
  * @param {object} videoData - Video data
  */
-const emitCompletion = (tenantId, videoId, status, videoData = {}) => {
+const emitCompletion = (video, status, videoData = {}) => {
   if (!io) {
     console.warn('Socket.io not initialized. Cannot emit completion.');
     return;
   }
 
-  const tenantRoom = `tenant_${tenantId}`;
-  
-  io.to(tenantRoom).emit('video_processing_complete', {
+  const { tenantId, videoId, rooms } = getVideoAudience(video);
+
+  emitSequenced(tenantId, rooms, 'video_processing_complete', {
     videoId,
     status,
     timestamp: new Date().toISOString(),
     ...videoData,
   });
 
-  console.log(`[Socket] Completion update to ${tenantRoom}: ${status} (Video: ${videoId})`);
+  console.log(`[Socket] Completion update to ${rooms.join(', ')}: ${status} (Video: ${videoId})`);
 };
 
 /**
- * Emit processing error
- * @param {string} tenantId - Tenant ID
- * @param {string} videoId - Video ID
+ * Emit processing error to the users who can see the video
+ * @param {object} video - Video document
  * @param {string} error - Error message
  */
-const emitError = (tenantId, videoId, error) => {
+const emitError = (video, error) => {
   if (!io) {
     console.warn('Socket.io not initialized. Cannot emit error.');
     return;
   }
 
-  const tenantRoom = `tenant_${tenantId}`;
-  
-  io.to(tenantRoom).emit('video_processing_error', {
+  const { tenantId, videoId, rooms } = getVideoAudience(video);
+
+  emitSequenced(tenantId, rooms, 'video_processing_error', {
     videoId,
     error,
     timestamp: new Date().toISOString(),
   });
 
-  console.error(`[Socket] Error update to ${tenantRoom}: ${error} (Video: ${videoId})`);
+  console.error(`[Socket] Error update to ${rooms.join(', ')}: ${error} (Video: ${videoId})`);
+};
+
+/**
+ * Notify an uploader of a moderation decision on their video
+ * @param {object} video - Video document (tenantId, uploadedBy)
+ * @param {object} decision - { decision, reviewStatus, reason, reviewer, decidedAt, ... }
+ */
+const emitModerationDecision = (video, decision) => {
+  if (!io) {
+    console.warn('Socket.io not initialized. Cannot emit moderation decision.');
+    return;
+  }
+
+  const videoId = video._id.toString();
+  const userRoom = `user_${(video.uploadedBy?._id || video.uploadedBy).toString()}`;
+
+  emitSequenced(video.tenantId?._id || video.tenantId, [userRoom], 'video_moderation_decision', {
+    videoId,
+    timestamp: new Date().toISOString(),
+    ...decision,
+  });
+
+  console.log(`[Socket] Moderation decision to ${userRoom}: ${decision.decision} (Video: ${videoId})`);
 };
 
 /**
@@ -197,11 +558,161 @@ const getIO = () => {
   return io;
 };
 
+/**
+ * Emit edited video metadata to the users who can see the video
+ * When a video turns private, the rest of the tenant only learns that it is
+ * gone ({ changes: { isPublic: false } }) and VIEWERs leave its room.
+ * @param {object} video - Updated video document
+ * @param {object} changes - Updated fields ({ title, description, tags, isPublic, folder })
+ * @param {object} updatedBy - { id, firstName, lastName }
+ */
+const emitVideoUpdated = (video, changes, updatedBy) => {
+  if (!io) {
+    console.warn('Socket.io not initialized. Cannot emit video update.');
+    return;
+  }
+
+  const videoId = video._id.toString();
+  const uploadedBy = (video.uploadedBy?._id || video.uploadedBy).toString();
+
+  // Processing events emitted from now on use the new visibility
+  rememberVisibility(videoId, video);
+
+  if (!video.isPublic) {
+    evictFromPrivateVideoRoom(videoId, uploadedBy);
+  }
+
+  const { tenantId, rooms } = getVideoAudience(video);
+  const timestamp = new Date().toISOString();
+
+  emitSequenced(tenantId, rooms, 'video_updated', {
+    videoId,
+    changes,
+    updatedBy,
+    timestamp,
+  });
+
+  if (changes.isPublic === false) {
+    emitSequenced(tenantId, [`tenant_${tenantId}`], 'video_updated', {
+      videoId,
+      changes: { isPublic: false },
+      timestamp,
+    }, rooms);
+  }
+
+  console.log(`[Socket] Video update to ${rooms.join(', ')}: ${Object.keys(changes).join(', ')} (Video: ${videoId})`);
+};
+
+/**
+ * Tell the users who could or can now see a video that its shares changed
+ * Both the previous and the new audience receive `video_access_changed`;
+ * sockets that lost access leave the video's room.
+ * @param {object} video - Video document with the new shares
+ * @param {object[]} previousShares - Shares before the change
+ */
+const emitVideoAccessChanged = (video, previousShares) => {
+  if (!io) {
+    console.warn('Socket.io not initialized. Cannot emit access change.');
+    return;
+  }
+
+  const videoId = video._id.toString();
+  rememberVisibility(videoId, video);
+
+  const uploadedBy = (video.uploadedBy?._id || video.uploadedBy).toString();
+  if (!video.isPublic) {
+    evictFromPrivateVideoRoom(videoId, uploadedBy);
+  }
+
+  const { tenantId, rooms: audience } = getVideoAudience(video);
+  const { shareRooms: previousRooms } = getVisibility({ shares: previousShares });
+  const rooms = [...new Set([...audience, ...previousRooms])];
+
+  emitSequenced(tenantId, rooms, 'video_access_changed', {
+    videoId,
+    timestamp: new Date().toISOString(),
+  });
+
+  console.log(`[Socket] Access change to ${rooms.join(', ')} (Video: ${videoId})`);
+};
+
+/**
+ * Disconnect every socket opened with a session's tokens
+ * Called when the session is revoked (logout, refresh token reuse).
+ * @param {string} sessionId - AuthSession ID
+ */
+const disconnectSession = (sessionId) => {
+  if (!io) {
+    return;
+  }
+
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.sessionId === sessionId) {
+      socket.emit('session_revoked', { message: 'Session revoked' });
+      socket.disconnect(true);
+    }
+  }
+};
+
+/**
+ * Disconnect every socket of a user
+ * Called when all of the user's sessions are revoked (deactivation, password reset).
+ * @param {string} userId - User ID
+ */
+const disconnectUser = (userId) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(`user_${userId}`).emit('session_revoked', { message: 'Session revoked' });
+  io.in(`user_${userId}`).disconnectSockets(true);
+};
+
+/**
+ * Apply a role change to a user's open sockets
+ * Moves them in or out of the staff room; a user who is no longer staff
+ * leaves all video rooms and has to rejoin them (rejoining re-checks access).
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ */
+const applyUserRole = (userId, role) => {
+  if (!io) {
+    return;
+  }
+
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.userId !== userId || socket.userRole === role) {
+      continue;
+    }
+
+    socket.userRole = role;
+    if (STAFF_ROLES.includes(role)) {
+      socket.join(`staff_${socket.tenantId}`);
+    } else {
+      socket.leave(`staff_${socket.tenantId}`);
+      [...socket.rooms].filter((room) => room.startsWith('video_')).forEach((room) => {
+        socket.leave(room);
+        socket.emit('room_left', { room, reason: 'Access revoked' });
+      });
+    }
+  }
+
+  // Staff need no group or folder rooms; other users get theirs
+  refreshSocketAccess({ userId });
+};
+
 module.exports = {
   initializeSocket,
   emitProgress,
   emitCompletion,
   emitError,
+  emitModerationDecision,
+  emitVideoUpdated,
+  emitVideoAccessChanged,
+  refreshSocketAccess,
+  disconnectSession,
+  disconnectUser,
+  applyUserRole,
   getIO,
 };
 
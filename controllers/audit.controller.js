@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit Controller
+ *
+ * Read-only access to the tenant's audit log for ADMINs: paginated queries
+ * and CSV / NDJSON export with the same filters.
+ */
+
+const AUDIT_ACTIONS = AuditEvent.schema.path('action').enumValues;
+const TARGET_TYPES = AuditEvent.schema.path('target.type').enumValues;
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Build the event query from request filters
+ * @param {object} req - Express request (query: action, actorId, targetType, targetId, from, to)
+ * @returns {object} { query } or { error } with a message for a 400 response
+ */
+const buildAuditQuery = (req) => {
+  const { action, actorId, targetType, targetId, from, to } = req.query;
+  const query = { tenantId: req.user.tenantId }; // Tenant isolation
+
+  if (action) {
+    const actions = action.split(',').map((value) => value.trim()).filter(Boolean);
+    const unknown = actions.filter((value) => !AUDIT_ACTIONS.includes(value));
+    if (unknown.length > 0) {
+      return { error: `Unknown action: ${unknown.join(', ')}. Use: ${AUDIT_ACTIONS.join(', ')}` };
+    }
+    query.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  if (actorId) {
+    if (!mongoose.Types.ObjectId.isValid(actorId)) {
+      return { error: 'actorId must be a valid id' };
+    }
+    query['actor.userId'] = actorId;
+  }
+
+  if (targetType) {
+    if (!TARGET_TYPES.includes(targetType)) {
+      return { error: `targetType must be one of: ${TARGET_TYPES.join(', ')}` };
+    }
+    query['target.type'] = targetType;
+  }
+
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'targetId must be a valid id' };
+    }
+    query['target.id'] = targetId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      const fromDate = new Date(from);
+      if (isNaN(fromDate.getTime())) {
+        return { error: 'from must be a valid date' };
+      }
+      query.createdAt.$gte = fromDate;
+    }
+    if (to) {
+      const toDate = new Date(to);
+      if (isNaN(toDate.getTime())) {
+        return { error: 'to must be a valid date' };
+      }
+      query.createdAt.$lte = toDate;
+    }
+    if (query.createdAt.$gte && query.createdAt.$lte && query.createdAt.$gte > query.createdAt.$lte) {
+      return { error: 'from must be before to' };
+    }
+  }
+
+  return { query };
+};
+
+const formatEvent = (event) => ({
+  id: event._id,
+  action: event.action,
+  actor: {
+    userId: event.actor?.userId || null,
+    email: event.actor?.email,
+    role: event.actor?.role,
+  },
+  target: event.target?.type
+    ? { type: event.target.type, id: event.target.id, label: event.target.label }
+    : null,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  changes: event.changes,
+  metadata: event.metadata,
+  createdAt: event.createdAt,
+});
+
+const CSV_COLUMNS = [
+  ['createdAt', (e) => e.createdAt.toISOString()],
+  ['action', (e) => e.action],
+  ['actorId', (e) => e.actor.userId],
+  ['actorEmail', (e) => e.actor.email],
+  ['actorRole', (e) => e.actor.role],
+  ['targetType', (e) => e.target?.type],
+  ['targetId', (e) => e.target?.id],
+  ['targetLabel', (e) => e.target?.label],
+  ['ip', (e) => e.ip],
+  ['userAgent', (e) => e.userAgent],
+  ['changes', (e) => (e.changes ? JSON.stringify(e.changes) : '')],
+  ['metadata', (e) => (e.metadata ? JSON.stringify(e.metadata) : '')],
+];
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  // Keep spreadsheet applications from evaluating cell contents as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves when the response can take more data or the client has gone away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query the tenant's audit log (newest first)
+ * @access  Private (ADMIN)
+ *
+ * Query: action (comma-separated), actorId, targetType, targetId,
+ *        from, to (ISO dates, inclusive), page, limit (max 200)
+ */
+const getAuditEvents = async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const skip = (page - 1) * limit;
+
+    const events = await AuditEvent.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(formatEvent),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Export the tenant's audit log as CSV or NDJSON (oldest first)
+ * @access  Private (ADMIN)
+ *
+ * Query: format (csv | ndjson, default csv) and the same filters as GET /api/audit
+ * Streams every matching event; narrow large exports with from/to.
+ */
+const exportAuditEvents = async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const { query, error } = buildAuditQuery(req);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  const cursor = AuditEvent.find(query).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+  req.on('close', () => cursor.close().catch(() => {}));
+
+  try {
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+      res.write(`${CSV_COLUMNS.map(([name]) => name).join(',')}\n`);
+    }
+
+    let count = 0;
+    for await (const doc of cursor) {
+      const event = formatEvent(doc);
+      const line = format === 'csv'
+        ? CSV_COLUMNS.map(([, value]) => toCsvValue(value(event))).join(',')
+        : JSON.stringify(event);
+
+      if (!res.write(`${line}\n`)) {
+        await waitForDrain(res);
+      }
+      if (res.destroyed) {
+        return;
+      }
+      count++;
+    }
+
+    console.log(`[Audit] ${req.user.email} exported ${count} event(s) as ${format}`);
+    res.end();
+  } catch (error) {
+    console.error('Export audit events error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error exporting audit events',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  getAuditEvents,
+  exportAuditEvents,
+};
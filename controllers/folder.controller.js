@@ -0,0 +1,752 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const { emitVideoUpdated, refreshSocketAccess } = require('../config/socket');
+const { recordAuditEvent } = require('../services/audit.service');
+const { dispatchEvent, toVideoPayload } = require('../services/webhook.service');
+const {
+  getFolderGrants,
+  videoReadCondition,
+  videoManageCondition,
+  withAccess,
+  canManageFolder,
+} = require('../services/videoAccess.service');
+const {
+  findTenantFolder,
+  getBreadcrumbs,
+  isSelfOrAncestorOf,
+  moveFolder,
+  copyVideo,
+} = require('../services/folder.service');
+
+/**
+ * Folder Controller
+ *
+ * Nested folders in a tenant's video library.
+ * - Every user of the tenant can browse the folder tree
+ * - ADMINs and EDITORs manage the whole tree; a folder EDITOR grant lets
+ *   any user manage what is below the granted folder
+ * - ADMINs grant users VIEWER or EDITOR rights on a folder (its ACL)
+ * - Videos are moved between folders, or copied as new uploads
+ *
+ * "root" stands for the top level wherever a folder id is expected.
+ */
+
+const ROOT = 'root';
+const MAX_BATCH_SIZE = 100;
+const ACL_PERMISSIONS = Folder.schema.path('acl').schema.path('permission').enumValues;
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Folder not found',
+});
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'Access denied. You cannot manage this folder',
+});
+
+const nameTaken = (res) => res.status(409).json({
+  success: false,
+  message: 'A folder with this name already exists here',
+});
+
+/**
+ * Resolve a target folder id from the URL or body
+ * @param {object} user - req.user
+ * @param {string|null|undefined} folderId - Folder ID, "root" or null for the top level
+ * @returns {Promise<object>} { folder } (null for the top level) or { missing: true }
+ */
+const resolveFolder = async (user, folderId) => {
+  if (!folderId || folderId === ROOT) {
+    return { folder: null };
+  }
+  const folder = await findTenantFolder(user.tenantId, folderId);
+  return folder ? { folder } : { missing: true };
+};
+
+/**
+ * Parse a list of ids from the request body
+ * @param {*} ids - Raw value
+ * @param {string} field - Field name for error messages
+ * @returns {object} { ids } or { error }
+ */
+const parseIdList = (ids, field) => {
+  if (ids === undefined) {
+    return { ids: [] };
+  }
+  if (!Array.isArray(ids) || ids.length > MAX_BATCH_SIZE) {
+    return { error: `${field} must be an array of at most ${MAX_BATCH_SIZE} ids` };
+  }
+  if (!ids.every((id) => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+    return { error: `${field} contains an invalid id` };
+  }
+  return { ids: [...new Set(ids)] };
+};
+
+const formatFolder = (folder, canManage) => ({
+  id: folder._id,
+  name: folder.name,
+  parent: folder.parent,
+  ancestors: folder.ancestors,
+  canManage,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt,
+});
+
+/**
+ * Whether the user may manage folders below a parent
+ * Uses grants loaded once for lists; ADMINs and EDITORs manage everything.
+ * @param {object|null} grants - From getFolderGrants, null for ADMIN/EDITOR
+ * @param {string|null} parentId - Parent folder, null for the top level
+ * @returns {boolean}
+ */
+const managesBelow = (grants, parentId) =>
+  !grants || (!!parentId && grants.edit.some((id) => id.equals(parentId)));
+
+const loadGrants = (user) =>
+  (user.role === 'ADMIN' || user.role === 'EDITOR' ? Promise.resolve(null) : getFolderGrants(user));
+
+/**
+ * @route   GET /api/folders
+ * @desc    List every folder of the tenant (flat; build the tree from parent)
+ * @access  Private (All roles)
+ */
+const getFolders = async (req, res) => {
+  try {
+    const folders = await Folder.find({ tenantId: req.user.tenantId }).sort({ name: 1 });
+    const grants = await loadGrants(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        folders: folders.map((folder) => formatFolder(folder, managesBelow(grants, folder._id))),
+      },
+    });
+  } catch (error) {
+    console.error('Get folders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching folders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/folders/:id
+ * @desc    Get a folder with its breadcrumbs and subfolders ("root" for the top level)
+ * @access  Private (All roles; the ACL is returned to ADMINs only)
+ */
+const getFolderById = async (req, res) => {
+  try {
+    const { folder, missing } = await resolveFolder(req.user, req.params.id);
+    if (missing) {
+      return notFound(res);
+    }
+
+    const grants = await loadGrants(req.user);
+    const children = await Folder.find({ tenantId: req.user.tenantId, parent: folder ? folder._id : null })
+      .sort({ name: 1 });
+
+    let acl;
+    if (folder && req.user.role === 'ADMIN') {
+      await folder.populate('acl.user', 'firstName lastName email role');
+      acl = folder.acl
+        .filter((entry) => entry.user) // Users deleted since
+        .map((entry) => ({
+          user: {
+            id: entry.user._id,
+            email: entry.user.email,
+            firstName: entry.user.firstName,
+            lastName: entry.user.lastName,
+            role: entry.user.role,
+          },
+          permission: entry.permission,
+          grantedAt: entry.grantedAt,
+        }));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        folder: folder ? formatFolder(folder, managesBelow(grants, folder._id)) : null,
+        breadcrumbs: folder ? await getBreadcrumbs(req.user.tenantId, folder._id) : [],
+        children: children.map((child) => formatFolder(child, managesBelow(grants, child._id))),
+        canManage: managesBelow(grants, folder ? folder._id : null),
+        acl,
+      },
+    });
+  } catch (error) {
+    console.error('Get folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching folder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/folders
+ * @desc    Create a folder
+ * @access  Private (ADMIN, EDITOR, users with an EDITOR grant on the parent)
+ *
+ * Body: { name, parentId? (null or omitted for the top level) }
+ */
+const createFolder = async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folder name is required',
+      });
+    }
+
+    const { folder: parent, missing } = await resolveFolder(req.user, parentId);
+    if (missing) {
+      return notFound(res);
+    }
+    if (!(await canManageFolder(req.user, parent ? parent._id : null))) {
+      return forbidden(res);
+    }
+
+    const folder = await Folder.create({
+      tenantId: req.user.tenantId,
+      name,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
+      createdBy: req.user.id,
+    });
+
+    console.log(`[Folder] ${req.user.email} created "${folder.name}" (Folder: ${folder._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      data: {
+        folder: formatFolder(folder, true),
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return nameTaken(res);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Create folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating folder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/folders/:id
+ * @desc    Rename a folder and/or move it under another parent
+ * @access  Private (ADMIN, EDITOR, users with an EDITOR grant above the folder)
+ *
+ * Body (all optional): { name, parentId (null or "root" for the top level) }
+ * A folder cannot be moved into itself or one of its subfolders.
+ */
+const updateFolder = async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+
+    const folder = await findTenantFolder(req.user.tenantId, req.params.id);
+    if (!folder) {
+      return notFound(res);
+    }
+    if (!(await canManageFolder(req.user, folder.parent))) {
+      return forbidden(res);
+    }
+
+    if (name === undefined && parentId === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Editable fields: name, parentId',
+      });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Folder name is required',
+        });
+      }
+      folder.name = name;
+    }
+
+    if (parentId !== undefined) {
+      const { folder: target, missing } = await resolveFolder(req.user, parentId);
+      if (missing) {
+        return notFound(res);
+      }
+      if (isSelfOrAncestorOf(folder, target)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A folder cannot be moved into itself or one of its subfolders',
+        });
+      }
+      if (!(await canManageFolder(req.user, target ? target._id : null))) {
+        return forbidden(res);
+      }
+      await moveFolder(folder, target);
+      // Grants on the old and new ancestors now cover a different subtree
+      refreshSocketAccess({ tenantId: req.user.tenantId });
+    } else {
+      await folder.save();
+    }
+
+    console.log(`[Folder] ${req.user.email} updated "${folder.name}" (Folder: ${folder._id})`);
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully',
+      data: {
+        folder: formatFolder(folder, true),
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return nameTaken(res);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Update folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating folder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/folders/:id
+ * @desc    Delete an empty folder
+ * @access  Private (ADMIN, EDITOR, users with an EDITOR grant above the folder)
+ */
+const deleteFolder = async (req, res) => {
+  try {
+    const folder = await findTenantFolder(req.user.tenantId, req.params.id);
+    if (!folder) {
+      return notFound(res);
+    }
+    if (!(await canManageFolder(req.user, folder.parent))) {
+      return forbidden(res);
+    }
+
+    const [hasFolders, hasVideos] = await Promise.all([
+      Folder.exists({ tenantId: req.user.tenantId, parent: folder._id }),
+      Video.exists({ tenantId: req.user.tenantId, folder: folder._id }),
+    ]);
+    if (hasFolders || hasVideos) {
+      return res.status(409).json({
+        success: false,
+        message: 'Folder is not empty. Move or delete its videos and subfolders first',
+      });
+    }
+
+    await Folder.deleteOne({ _id: folder._id });
+
+    console.log(`[Folder] ${req.user.email} deleted "${folder.name}" (Folder: ${folder._id})`);
+
+    res.json({
+      success: true,
+      message: 'Folder deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting folder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/folders/:id/acl/:userId
+ * @desc    Grant a user VIEWER or EDITOR rights on a folder and its subfolders
+ * @access  Private (ADMIN only)
+ *
+ * Body: { permission: 'VIEWER' | 'EDITOR' }
+ */
+const setFolderAccess = async (req, res) => {
+  try {
+    const { permission } = req.body;
+
+    if (!ACL_PERMISSIONS.includes(permission)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid permission. Use: ${ACL_PERMISSIONS.join(', ')}`,
+      });
+    }
+
+    const folder = await findTenantFolder(req.user.tenantId, req.params.id);
+    if (!folder) {
+      return notFound(res);
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findOne({ _id: req.params.userId, tenantId: req.user.tenantId }).select('email')
+      : null;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const existing = folder.acl.find((entry) => entry.user.equals(user._id));
+    const previous = existing ? existing.permission : null;
+
+    if (existing) {
+      existing.permission = permission;
+      existing.grantedBy = req.user.id;
+      existing.grantedAt = new Date();
+    } else {
+      folder.acl.push({ user: user._id, permission, grantedBy: req.user.id });
+    }
+    await folder.save();
+
+    await recordAuditEvent(req, {
+      action: 'FOLDER_ACCESS_CHANGED',
+      target: { type: 'FOLDER', id: folder._id, label: folder.name },
+      changes: { permission: { from: previous, to: permission } },
+      metadata: { userId: user._id, email: user.email },
+    });
+
+    refreshSocketAccess({ userId: user._id });
+
+    console.log(`[Folder] ${req.user.email} granted ${permission} on "${folder.name}" to ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Folder access updated successfully',
+      data: {
+        folder: formatFolder(folder, true),
+      },
+    });
+  } catch (error) {
+    console.error('Set folder access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating folder access',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/folders/:id/acl/:userId
+ * @desc    Revoke a user's rights on a folder
+ * @access  Private (ADMIN only)
+ */
+const removeFolderAccess = async (req, res) => {
+  try {
+    const folder = await findTenantFolder(req.user.tenantId, req.params.id);
+    if (!folder) {
+      return notFound(res);
+    }
+
+    const existing = folder.acl.find((entry) => entry.user.toString() === req.params.userId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User has no access entry on this folder',
+      });
+    }
+
+    folder.acl.pull(existing);
+    await folder.save();
+
+    const user = await User.findById(existing.user).select('email');
+
+    await recordAuditEvent(req, {
+      action: 'FOLDER_ACCESS_CHANGED',
+      target: { type: 'FOLDER', id: folder._id, label: folder.name },
+      changes: { permission: { from: existing.permission, to: null } },
+      metadata: { userId: existing.user, email: user?.email },
+    });
+
+    refreshSocketAccess({ userId: existing.user });
+
+    console.log(`[Folder] ${req.user.email} revoked access on "${folder.name}" from ${user?.email || existing.user}`);
+
+    res.json({
+      success: true,
+      message: 'Folder access removed successfully',
+    });
+  } catch (error) {
+    console.error('Remove folder access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing folder access',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/folders/:id/move
+ * @desc    Move videos and folders into a folder ("root" for the top level)
+ * @access  Private (users who can change the videos and manage both folders)
+ *
+ * Body: { videoIds?, folderIds? } - at most 100 of each
+ * Nothing is moved unless every item can be moved.
+ */
+const moveToFolder = async (req, res) => {
+  try {
+    const videoIds = parseIdList(req.body.videoIds, 'videoIds');
+    const folderIds = parseIdList(req.body.folderIds, 'folderIds');
+    const parseError = videoIds.error || folderIds.error;
+    if (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError,
+      });
+    }
+    if (videoIds.ids.length === 0 && folderIds.ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to move. Provide videoIds and/or folderIds',
+      });
+    }
+
+    const { folder: target, missing } = await resolveFolder(req.user, req.params.id);
+    if (missing) {
+      return notFound(res);
+    }
+    const targetId = target ? target._id : null;
+    if (!(await canManageFolder(req.user, targetId))) {
+      return forbidden(res);
+    }
+
+    const videoQuery = withAccess(
+      { _id: { $in: videoIds.ids }, tenantId: req.user.tenantId }, // Tenant isolation
+      await videoManageCondition(req.user)
+    );
+    const videos = videoIds.ids.length > 0 ? await Video.find(videoQuery) : [];
+    if (videos.length !== videoIds.ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more videos not found or access denied',
+      });
+    }
+
+    const folders = folderIds.ids.length > 0
+      ? await Folder.find({ _id: { $in: folderIds.ids }, tenantId: req.user.tenantId })
+      : [];
+    if (folders.length !== folderIds.ids.length) {
+      return notFound(res);
+    }
+    for (const folder of folders) {
+      if (isSelfOrAncestorOf(folder, target)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A folder cannot be moved into itself or one of its subfolders',
+        });
+      }
+      if (!(await canManageFolder(req.user, folder.parent))) {
+        return forbidden(res);
+      }
+    }
+
+    // Name clashes are found before anything moves: with folders already in
+    // the target, and between the selected folders themselves
+    const incoming = folders.filter((folder) => String(folder.parent) !== String(targetId));
+    if (incoming.length > 0) {
+      const siblings = await Folder.find({
+        tenantId: req.user.tenantId,
+        parent: targetId,
+        _id: { $nin: folders.map((folder) => folder._id) },
+      }).select('name');
+      const names = new Set(siblings.map((sibling) => sibling.name));
+      folders
+        .filter((folder) => !incoming.includes(folder))
+        .forEach((folder) => names.add(folder.name));
+
+      for (const folder of incoming) {
+        if (names.has(folder.name)) {
+          return nameTaken(res);
+        }
+        names.add(folder.name);
+      }
+    }
+
+    for (const folder of folders) {
+      // Reloaded: moving an earlier selected folder may have moved this one along
+      await moveFolder(await Folder.findById(folder._id), target);
+    }
+    if (folders.length > 0) {
+      refreshSocketAccess({ tenantId: req.user.tenantId });
+    }
+
+    const moved = videos.filter((video) => String(video.folder) !== String(targetId));
+    if (moved.length > 0) {
+      await Video.updateMany({ _id: { $in: moved.map((video) => video._id) } }, { $set: { folder: targetId } });
+    }
+
+    for (const video of moved) {
+      const from = video.folder;
+      video.folder = targetId;
+
+      await recordAuditEvent(req, {
+        action: 'VIDEO_UPDATED',
+        target: { type: 'VIDEO', id: video._id, label: video.title },
+        changes: { folder: { from, to: targetId } },
+      });
+      await dispatchEvent(req.user.tenantId, 'video.updated', {
+        video: toVideoPayload(video),
+        changes: { folder: targetId },
+      });
+      emitVideoUpdated(video, { folder: targetId }, {
+        id: req.user.id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+      });
+    }
+
+    console.log(`[Folder] ${req.user.email} moved ${moved.length} video(s) and ${folders.length} folder(s) to ${target ? `"${target.name}"` : 'the top level'}`);
+
+    res.json({
+      success: true,
+      message: 'Moved successfully',
+      data: {
+        videoIds: videos.map((video) => video._id),
+        folderIds: folders.map((folder) => folder._id),
+        folderId: targetId,
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return nameTaken(res);
+    }
+
+    console.error('Move to folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moving to folder',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/folders/:id/copy
+ * @desc    Copy videos into a folder ("root" for the top level)
+ * @access  Private (users who can see the videos and manage the target folder)
+ *
+ * Body: { videoIds } - at most 100
+ * Each copy is a new upload of the requesting user: it counts against the
+ * storage quota and is processed again. Copying stops at the first video
+ * that does not fit the quota (413); copies made before that are kept.
+ */
+const copyToFolder = async (req, res) => {
+  try {
+    const { ids, error } = parseIdList(req.body.videoIds, 'videoIds');
+    if (error || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: error || 'Nothing to copy. Provide videoIds',
+      });
+    }
+
+    const { folder: target, missing } = await resolveFolder(req.user, req.params.id);
+    if (missing) {
+      return notFound(res);
+    }
+    const targetId = target ? target._id : null;
+    if (!(await canManageFolder(req.user, targetId))) {
+      return forbidden(res);
+    }
+
+    const videoQuery = withAccess(
+      { _id: { $in: ids }, tenantId: req.user.tenantId }, // Tenant isolation
+      await videoReadCondition(req.user)
+    );
+    const videos = await Video.find(videoQuery);
+    if (videos.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more videos not found or access denied',
+      });
+    }
+
+    const copies = [];
+    for (const source of videos) {
+      const video = await copyVideo(req.user, source, targetId);
+      if (!video) {
+        return res.status(413).json({
+          success: false,
+          message: 'Copy would exceed tenant storage quota',
+          data: {
+            videoIds: copies.map((copy) => copy._id),
+          },
+        });
+      }
+
+      await recordAuditEvent(req, {
+        action: 'VIDEO_UPLOADED',
+        target: { type: 'VIDEO', id: video._id, label: video.title },
+        metadata: {
+          via: 'COPY',
+          sourceVideoId: source._id,
+          originalFilename: video.originalFilename,
+          fileSize: video.fileSize,
+          isPublic: video.isPublic,
+        },
+      });
+      await dispatchEvent(req.user.tenantId, 'video.uploaded', { video: toVideoPayload(video) });
+      copies.push(video);
+    }
+
+    console.log(`[Folder] ${req.user.email} copied ${copies.length} video(s) to ${target ? `"${target.name}"` : 'the top level'}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Videos copied successfully',
+      data: {
+        videoIds: copies.map((copy) => copy._id),
+        folderId: targetId,
+      },
+    });
+  } catch (error) {
+    console.error('Copy to folder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error copying videos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getFolders,
+  getFolderById,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  setFolderAccess,
+  removeFolderAccess,
+  moveToFolder,
+  copyToFolder,
+};
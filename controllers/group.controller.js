@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Video = require('../models/Video');
+const { refreshSocketAccess } = require('../config/socket');
+const { recordAuditEvent } = require('../services/audit.service');
+
+/**
+ * Group Controller
+ * User groups of a tenant, used to share videos with several users at once
+ */
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Group not found',
+});
+
+const nameTaken = (res) => res.status(409).json({
+  success: false,
+  message: 'A group with this name already exists',
+});
+
+const findTenantGroup = async (tenantId, groupId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    return null;
+  }
+  return Group.findOne({ _id: groupId, tenantId });
+};
+
+// Members may be ObjectIds or populated users; userId a string or an ObjectId
+const isGroupMember = (group, userId) =>
+  group.members.some((member) => member && (member._id || member).toString() === userId.toString());
+
+const formatGroup = (group, userId) => ({
+  id: group._id,
+  name: group.name,
+  description: group.description,
+  memberCount: group.members.length,
+  isMember: isGroupMember(group, userId),
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt,
+});
+
+const formatMember = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+});
+
+/**
+ * @route   GET /api/groups
+ * @desc    List the tenant's groups (to pick them when sharing a video)
+ * @access  Private (All roles)
+ */
+const getGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ tenantId: req.user.tenantId }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        groups: groups.map((group) => formatGroup(group, req.user.id)),
+      },
+    });
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching groups',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get a group with its members
+ * @access  Private (ADMIN and the group's members)
+ */
+const getGroupById = async (req, res) => {
+  try {
+    const group = await findTenantGroup(req.user.tenantId, req.params.id);
+    if (!group) {
+      return notFound(res);
+    }
+    if (req.user.role !== 'ADMIN' && !isGroupMember(group, req.user.id)) {
+      return notFound(res); // Don't reveal other groups' members
+    }
+
+    await group.populate('members', 'firstName lastName email role');
+
+    res.json({
+      success: true,
+      data: {
+        group: {
+          ...formatGroup(group, req.user.id),
+          members: group.members.filter(Boolean).map(formatMember), // Users deleted since are skipped
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching group',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group
+ * @access  Private (ADMIN only)
+ *
+ * Body: { name, description? }
+ */
+const createGroup = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group name is required',
+      });
+    }
+
+    const group = await Group.create({
+      tenantId: req.user.tenantId,
+      name,
+      description: typeof description === 'string' ? description : '',
+      createdBy: req.user.id,
+    });
+
+    console.log(`[Group] ${req.user.email} created "${group.name}" (Group: ${group._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: {
+        group: formatGroup(group, req.user.id),
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return nameTaken(res);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating group',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/groups/:id
+ * @desc    Rename a group or change its description
+ * @access  Private (ADMIN only)
+ *
+ * Body (all optional): { name, description }
+ */
+const updateGroup = async (req, res) => {
+  try {
+    const group = await findTenantGroup(req.user.tenantId, req.params.id);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Group name is required',
+        });
+      }
+      group.name = name;
+    }
+    if (description !== undefined) {
+      group.description = typeof description === 'string' ? description : '';
+    }
+    await group.save();
+
+    console.log(`[Group] ${req.user.email} updated "${group.name}" (Group: ${group._id})`);
+
+    res.json({
+      success: true,
+      message: 'Group updated successfully',
+      data: {
+        group: formatGroup(group, req.user.id),
+      },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return nameTaken(res);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Update group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating group',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Delete a group; videos shared with it are no longer shared with its members
+ * @access  Private (ADMIN only)
+ */
+const deleteGroup = async (req, res) => {
+  try {
+    const group = await findTenantGroup(req.user.tenantId, req.params.id);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const { modifiedCount } = await Video.updateMany(
+      { tenantId: req.user.tenantId, 'shares.group': group._id },
+      { $pull: { shares: { group: group._id } } }
+    );
+    await Group.deleteOne({ _id: group._id });
+
+    for (const member of group.members) {
+      refreshSocketAccess({ userId: member });
+    }
+
+    console.log(`[Group] ${req.user.email} deleted "${group.name}" (Group: ${group._id}, ${modifiedCount} share(s) removed)`);
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting group',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Add a user to a group or remove them
+ * @param {boolean} add - Add (PUT) or remove (DELETE)
+ * @returns {Function} Express handler
+ */
+const changeMembership = (add) => async (req, res) => {
+  try {
+    const group = await findTenantGroup(req.user.tenantId, req.params.id);
+    if (!group) {
+      return notFound(res);
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(req.params.userId)
+      ? await User.findOne({ _id: req.params.userId, tenantId: req.user.tenantId }).select('email')
+      : null;
+    if (!user && add) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const userId = user ? user._id : req.params.userId;
+    const isMember = isGroupMember(group, userId);
+    if (!add && !isMember) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group',
+      });
+    }
+
+    if (add !== isMember) {
+      if (add) {
+        group.members.push(userId);
+      } else {
+        group.members.pull(userId);
+      }
+      await group.save();
+
+      await recordAuditEvent(req, {
+        action: 'GROUP_MEMBERSHIP_CHANGED',
+        target: { type: 'GROUP', id: group._id, label: group.name },
+        changes: { member: { from: isMember, to: add } },
+        metadata: { userId, email: user?.email },
+      });
+
+      refreshSocketAccess({ userId });
+
+      console.log(`[Group] ${req.user.email} ${add ? 'added' : 'removed'} ${user?.email || userId} ${add ? 'to' : 'from'} "${group.name}"`);
+    }
+
+    res.json({
+      success: true,
+      message: add ? 'Member added successfully' : 'Member removed successfully',
+      data: {
+        group: formatGroup(group, req.user.id),
+      },
+    });
+  } catch (error) {
+    console.error('Change group membership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating group members',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/groups/:id/members/:userId
+ * @desc    Add a user of the tenant to a group
+ * @access  Private (ADMIN only)
+ */
+const addGroupMember = changeMembership(true);
+
+/**
+ * @route   DELETE /api/groups/:id/members/:userId
+ * @desc    Remove a user from a group
+ * @access  Private (ADMIN only)
+ */
+const removeGroupMember = changeMembership(false);
+
+module.exports = {
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMember,
+  removeGroupMember,
+};
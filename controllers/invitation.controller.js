@@ -0,0 +1,198 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { createInvitation } = require('../services/invitation.service');
+
+/**
+ * Invitation Controller
+ *
+ * Tenant ADMINs invite users by email with a fixed role. The invitee accepts
+ * through POST /api/auth/register with the invitation token.
+ */
+
+const INVITATION_STATUSES = ['PENDING', 'EXPIRED', 'ACCEPTED', 'REVOKED'];
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  status: invitation.effectiveStatus,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  acceptedAt: invitation.acceptedAt,
+  acceptedBy: invitation.acceptedBy,
+  createdAt: invitation.createdAt,
+});
+
+/**
+ * @route   POST /api/invitations
+ * @desc    Invite a user to the tenant
+ * @access  Private (ADMIN)
+ *
+ * Body: { email, role: 'ADMIN' | 'EDITOR' | 'VIEWER', expiresInDays }
+ * Returns the invitation token and accept link once; send the link to the invitee.
+ * A new invitation for the same email replaces a pending one.
+ */
+const inviteUser = async (req, res) => {
+  try {
+    const { email, role = 'VIEWER', expiresInDays } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required',
+      });
+    }
+
+    // Emails are unique across tenants
+    const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists',
+      });
+    }
+
+    const { invitation, token, acceptUrl } = await createInvitation({
+      tenantId: req.user.tenantId,
+      email,
+      role,
+      invitedBy: req.user.id,
+      expiresInDays: parseInt(expiresInDays, 10),
+    });
+
+    console.log(`[Invitations] ${req.user.email} invited ${invitation.email} as ${invitation.role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation created',
+      data: {
+        invitation: formatInvitation(invitation),
+        token,
+        acceptUrl,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/invitations
+ * @desc    List the tenant's invitations
+ * @access  Private (ADMIN)
+ *
+ * Query: status (PENDING, EXPIRED, ACCEPTED, REVOKED), page, limit
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { tenantId: req.user.tenantId };
+
+    if (status) {
+      if (!INVITATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}`,
+        });
+      }
+
+      if (status === 'PENDING') {
+        query.status = 'PENDING';
+        query.expiresAt = { $gt: new Date() };
+      } else if (status === 'EXPIRED') {
+        query.status = 'PENDING';
+        query.expiresAt = { $lte: new Date() };
+      } else {
+        query.status = status;
+      }
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('acceptedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(formatInvitation),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (ADMIN)
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        tenantId: req.user.tenantId, // Tenant isolation
+        status: 'PENDING',
+      },
+      { $set: { status: 'REVOKED' } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: { invitation: formatInvitation(invitation) },
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  inviteUser,
+  getInvitations,
+  revokeInvitation,
+};
@@ -0,0 +1,117 @@
+const ProcessingJob = require('../models/ProcessingJob');
+const Video = require('../models/Video');
+const { retryDeadJob } = require('../services/jobQueue.service');
+
+/**
+ * Processing Job Controller
+ *
+ * ADMIN tools for the processing queue:
+ * - List dead-lettered jobs (ran out of retries)
+ * - Put a dead-lettered job back in the queue
+ */
+
+/**
+ * @route   GET /api/jobs/dead-letter
+ * @desc    List dead-lettered processing jobs for the tenant
+ * @access  Private (ADMIN)
+ */
+const getDeadLetterJobs = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = {
+      tenantId: req.user.tenantId,
+      status: 'DEAD',
+    };
+
+    const jobs = await ProcessingJob.find(query)
+      .populate('videoId', 'title originalFilename processingStatus processingFailures')
+      .sort({ deadLetteredAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ProcessingJob.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get dead-letter jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dead-lettered jobs',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/jobs/:id/retry
+ * @desc    Re-queue a dead-lettered processing job
+ * @access  Private (ADMIN)
+ */
+const retryJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deadJob = await ProcessingJob.findOne({
+      _id: id,
+      tenantId: req.user.tenantId, // Tenant isolation
+      status: 'DEAD',
+    });
+
+    if (!deadJob) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dead-lettered job not found',
+      });
+    }
+
+    // Reset the video before re-queuing so a worker that picks the job up
+    // immediately is not overwritten
+    await Video.updateOne(
+      { _id: deadJob.videoId, tenantId: req.user.tenantId },
+      {
+        $set: { processingStatus: 'PENDING' },
+        $unset: { processingError: '' },
+      }
+    );
+
+    const job = await retryDeadJob(id, req.user.tenantId);
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is no longer dead-lettered, or the video is already queued for processing',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job re-queued for processing',
+      data: { job },
+    });
+  } catch (error) {
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying job',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getDeadLetterJobs,
+  retryJob,
+};
@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const { startProcessing } = require('../services/processing.service');
+const { emitModerationDecision } = require('../config/socket');
+const { recordAuditEvent, diffFields } = require('../services/audit.service');
+const { dispatchEvent, toVideoPayload } = require('../services/webhook.service');
+
+/**
+ * Moderation Controller
+ *
+ * Human review of FLAGGED videos:
+ *   PENDING_REVIEW → APPROVED | REJECTED | ESCALATED
+ *   ESCALATED      → APPROVED | REJECTED (ADMIN only)
+ *
+ * Approving re-queues the video so it is transcoded for playback; rejecting
+ * keeps it FLAGGED. Every decision is appended to Video.review.history.
+ */
+
+const REVIEW_STATUSES = ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'ESCALATED'];
+
+// decision -> { review status it leads to, review statuses it can be taken from }
+const DECISIONS = {
+  APPROVE: { status: 'APPROVED', from: ['PENDING_REVIEW', 'ESCALATED'] },
+  REJECT: { status: 'REJECTED', from: ['PENDING_REVIEW', 'ESCALATED'] },
+  ESCALATE: { status: 'ESCALATED', from: ['PENDING_REVIEW'] },
+};
+
+/**
+ * @route   GET /api/moderation/queue
+ * @desc    List videos in the review queue
+ * @access  Private (ADMIN, EDITOR)
+ *
+ * Query (all optional):
+ *   status     - comma-separated review statuses (default: PENDING_REVIEW,ESCALATED)
+ *   scanner    - only videos this scanner flagged
+ *   label      - only videos with this scanner label
+ *   uploadedBy - uploader user ID
+ *   reviewer   - user ID that made a decision on the video
+ *   from, to   - queued date range (ISO dates)
+ *   page, limit
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, scanner, label, uploadedBy, reviewer, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const statuses = status ? status.split(',') : ['PENDING_REVIEW', 'ESCALATED'];
+    if (statuses.some(value => !REVIEW_STATUSES.includes(value))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid review status. Use: ${REVIEW_STATUSES.join(', ')}`,
+      });
+    }
+
+    for (const [name, value] of Object.entries({ uploadedBy, reviewer })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} ID`,
+        });
+      }
+    }
+
+    const query = {
+      tenantId: req.user.tenantId, // Tenant isolation
+      'review.status': { $in: statuses },
+    };
+
+    if (scanner) {
+      query['moderation.results'] = { $elemMatch: { scanner, flagged: true } };
+    }
+
+    if (label) {
+      query['moderation.results.labels.name'] = label;
+    }
+
+    if (uploadedBy) {
+      query.uploadedBy = uploadedBy;
+    }
+
+    if (reviewer) {
+      query['review.history.reviewer'] = reviewer;
+    }
+
+    if (from || to) {
+      query['review.queuedAt'] = {};
+      if (from) query['review.queuedAt'].$gte = new Date(from);
+      if (to) query['review.queuedAt'].$lte = new Date(to);
+    }
+
+    // Oldest first, so the queue is worked in order
+    const videos = await Video.find(query)
+      .select('-filePath -thumbnailPath')
+      .populate('uploadedBy', 'firstName lastName email')
+      .populate('review.history.reviewer', 'firstName lastName email')
+      .sort({ 'review.queuedAt': 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Video.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        videos,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/moderation/summary
+ * @desc    Number of videos per review status
+ * @access  Private (ADMIN, EDITOR)
+ */
+const getReviewSummary = async (req, res) => {
+  try {
+    const counts = await Video.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(req.user.tenantId),
+          'review.status': { $in: REVIEW_STATUSES },
+        },
+      },
+      { $group: { _id: '$review.status', count: { $sum: 1 } } },
+    ]);
+
+    const summary = Object.fromEntries(REVIEW_STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => {
+      summary[_id] = count;
+    });
+
+    res.json({
+      success: true,
+      data: { summary },
+    });
+  } catch (error) {
+    console.error('Get review summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review summary',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/moderation/:id/decision
+ * @desc    Approve, reject or escalate a flagged video
+ * @access  Private (ADMIN, EDITOR)
+ *
+ * Body: { decision: 'APPROVE' | 'REJECT' | 'ESCALATE', reason }
+ * EDITORs cannot decide on their own uploads or on escalated videos.
+ */
+const decideReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, reason } = req.body;
+
+    const transition = DECISIONS[decision];
+    if (!transition) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid decision. Use: ${Object.keys(DECISIONS).join(', ')}`,
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for every moderation decision',
+      });
+    }
+
+    const video = await Video.findOne({
+      _id: id,
+      tenantId: req.user.tenantId, // Tenant isolation
+    });
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found',
+      });
+    }
+
+    if (req.user.role !== 'ADMIN') {
+      if (video.uploadedBy.toString() === req.user.id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot review your own uploads',
+        });
+      }
+
+      if (video.review?.status === 'ESCALATED') {
+        return res.status(403).json({
+          success: false,
+          message: 'Escalated videos can only be decided by an ADMIN',
+        });
+      }
+    }
+
+    if (!transition.from.includes(video.review?.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${decision.toLowerCase()} a video whose review status is ${video.review?.status || 'not set'}`,
+      });
+    }
+
+    const entry = {
+      decision: transition.status,
+      reviewer: req.user.id,
+      reason: reason.trim(),
+      decidedAt: new Date(),
+    };
+
+    const update = {
+      $set: { 'review.status': transition.status },
+      $push: { 'review.history': entry },
+    };
+
+    if (transition.status === 'APPROVED') {
+      // Re-run the pipeline so the video is transcoded; the approval overrides the scanners
+      update.$set.processingStatus = 'PENDING';
+      update.$unset = { processingError: '' };
+    } else if (transition.status === 'REJECTED') {
+      update.$set.processingError = `Rejected in review: ${entry.reason}`;
+    }
+
+    // Conditional on the status we checked, so two reviewers cannot both decide
+    const updated = await Video.findOneAndUpdate(
+      { _id: video._id, 'review.status': video.review.status },
+      update,
+      { new: true }
+    ).populate('review.history.reviewer', 'firstName lastName email');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The video was reviewed by someone else in the meantime',
+      });
+    }
+
+    const snapshot = (v) => ({
+      reviewStatus: v.review?.status,
+      processingStatus: v.processingStatus,
+      processingError: v.processingError,
+    });
+
+    await recordAuditEvent(req, {
+      action: 'VIDEO_MODERATION_DECIDED',
+      target: { type: 'VIDEO', id: updated._id, label: updated.title },
+      changes: diffFields(snapshot(video), snapshot(updated), ['reviewStatus', 'processingStatus', 'processingError']),
+      metadata: { decision, reason: entry.reason },
+    });
+    await dispatchEvent(req.user.tenantId, 'video.moderation.decided', {
+      video: toVideoPayload(updated),
+      decision,
+      reviewStatus: transition.status,
+      reason: entry.reason,
+      decidedAt: entry.decidedAt,
+    });
+
+    if (transition.status === 'APPROVED') {
+      await startProcessing(updated._id.toString(), req.user.tenantId);
+    }
+
+    emitModerationDecision(updated, {
+      title: updated.title,
+      decision: transition.status,
+      reason: entry.reason,
+      reviewer: {
+        id: req.user.id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+      },
+      decidedAt: entry.decidedAt.toISOString(),
+    });
+
+    console.log(`[Moderation] Video ${updated._id} ${transition.status} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Video ${transition.status.toLowerCase()}`,
+      data: { video: updated },
+    });
+  } catch (error) {
+    console.error('Moderation decision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording moderation decision',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  getReviewSummary,
+  decideReview,
+};
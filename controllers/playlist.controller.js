@@ -0,0 +1,828 @@
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Video = require('../models/Video');
+const { videoReadCondition, withAccess } = require('../services/videoAccess.service');
+const { savePlaylistCover, removePlaylistCovers } = require('../services/playlistCover.service');
+const { reserveStorage, adjustUsage } = require('../services/storageUsage.service');
+const { getStorage, sendStoredFile } = require('../services/storage');
+
+/**
+ * Playlist Controller
+ *
+ * Ordered video collections (courses, series) within a tenant.
+ * - ADMIN and EDITOR create playlists; EDITORs edit only their own
+ * - Private playlists are visible to their creator, ADMINs and EDITORs;
+ *   public ones to the whole tenant
+ * - Items are filtered by each video's own access rules (videoAccess.service.js):
+ *   a VIEWER sees only the videos visible to them, also inside a public playlist
+ * - The cover is an uploaded image, or else the poster of a visible video
+ */
+
+const PLAYLIST_LIMITS = {
+  titleLength: 200,
+  descriptionLength: 5000,
+  items: 500,
+};
+
+// Video fields shown for playlist items
+const ITEM_VIDEO_FIELDS = 'title duration processingStatus thumbnailUpdatedAt isPublic uploadedBy';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Query for playlists the user can see
+ * @param {object} user - req.user
+ * @returns {object} MongoDB query
+ */
+const readableQuery = (user) => {
+  const query = { tenantId: user.tenantId }; // Tenant isolation
+
+  // VIEWER can only see public playlists (or their own, if they were demoted)
+  if (user.role === 'VIEWER') {
+    query.$or = [
+      { isPublic: true },
+      { createdBy: user.id },
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Query for playlists the user can change
+ * @param {object} user - req.user (ADMIN or EDITOR)
+ * @returns {object} MongoDB query
+ */
+const editableQuery = (user) => {
+  const query = { tenantId: user.tenantId }; // Tenant isolation
+
+  // EDITOR can only edit their own playlists
+  if (user.role === 'EDITOR') {
+    query.createdBy = user.id;
+  }
+
+  return query;
+};
+
+const canEditPlaylist = (user, playlist) =>
+  user.role === 'ADMIN' ||
+  (user.role === 'EDITOR' && playlist.createdBy?.toString() === user.id.toString());
+
+/**
+ * Load the videos of some playlists that the user may see
+ * @param {object} user - req.user
+ * @param {object[]} playlists - Playlist documents
+ * @returns {Promise<Map<string, object>>} Video by id
+ */
+const loadVisibleVideos = async (user, playlists) => {
+  const ids = [...new Set(playlists.flatMap((playlist) => playlist.items.map((item) => item.video.toString())))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const query = {
+    _id: { $in: ids },
+    tenantId: user.tenantId, // Tenant isolation
+  };
+
+  // VIEWER can only see public videos, their own and those shared with them (directly or by folder)
+  withAccess(query, await videoReadCondition(user));
+
+  const videos = await Video.find(query).select(ITEM_VIDEO_FIELDS);
+  return new Map(videos.map((video) => [video._id.toString(), video]));
+};
+
+const formatItemVideo = (video) => ({
+  _id: video._id,
+  title: video.title,
+  duration: video.duration,
+  processingStatus: video.processingStatus,
+  thumbnailUpdatedAt: video.thumbnailUpdatedAt,
+  isPublic: video.isPublic,
+});
+
+/**
+ * Shape a playlist for a user: only items they can see, in order
+ * @param {object} user - req.user
+ * @param {object} playlist - Playlist document
+ * @param {Map<string, object>} videos - From loadVisibleVideos
+ * @param {boolean} withItems - Include the item list
+ * @returns {object} Playlist response
+ */
+const formatPlaylist = (user, playlist, videos, withItems) => {
+  const items = playlist.items
+    .filter((item) => videos.has(item.video.toString()))
+    .map((item) => ({
+      video: formatItemVideo(videos.get(item.video.toString())),
+      addedAt: item.addedAt,
+    }));
+
+  const hasPoster = (video) => video.processingStatus === 'COMPLETED' && video.thumbnailUpdatedAt;
+  const chosen = playlist.coverVideo && videos.get(playlist.coverVideo.toString());
+  const cover = chosen && hasPoster(chosen)
+    ? chosen
+    : items.map((item) => item.video).find(hasPoster);
+
+  return {
+    id: playlist._id,
+    title: playlist.title,
+    description: playlist.description,
+    isPublic: playlist.isPublic,
+    createdBy: playlist.createdBy,
+    coverVideoId: playlist.coverVideo || null,
+    cover: playlist.coverImage?.path
+      ? { type: 'IMAGE', updatedAt: playlist.coverImage.updatedAt }
+      : cover ? { type: 'VIDEO', videoId: cover._id, thumbnailUpdatedAt: cover.thumbnailUpdatedAt } : null,
+    itemCount: items.length,
+    totalDuration: items.reduce((sum, item) => sum + (item.video.duration || 0), 0),
+    canEdit: canEditPlaylist(user, playlist),
+    items: withItems ? items : undefined,
+    createdAt: playlist.createdAt,
+    updatedAt: playlist.updatedAt,
+  };
+};
+
+/**
+ * Validate and normalize playlist fields
+ * @param {object} body - Request body
+ * @returns {{changes: object, error: string|null}} Only the fields present in the body
+ */
+const parsePlaylistFields = (body) => {
+  const changes = {};
+  const { title, description, isPublic } = body;
+
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return { changes, error: 'Title must be a non-empty string' };
+    }
+    if (title.trim().length > PLAYLIST_LIMITS.titleLength) {
+      return { changes, error: `Title must be at most ${PLAYLIST_LIMITS.titleLength} characters` };
+    }
+    changes.title = title.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { changes, error: 'Description must be a string' };
+    }
+    if (description && description.trim().length > PLAYLIST_LIMITS.descriptionLength) {
+      return { changes, error: `Description must be at most ${PLAYLIST_LIMITS.descriptionLength} characters` };
+    }
+    changes.description = description ? description.trim() : '';
+  }
+
+  if (isPublic !== undefined) {
+    if (typeof isPublic !== 'boolean') {
+      return { changes, error: 'isPublic must be true or false' };
+    }
+    changes.isPublic = isPublic;
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * Validate a list of video ids: unique, valid and all in the user's tenant
+ * @param {object} user - req.user
+ * @param {*} videoIds - Value from the request body
+ * @returns {Promise<{ids: string[], error: string|null}>}
+ */
+const parseVideoIds = async (user, videoIds) => {
+  if (!Array.isArray(videoIds) || !videoIds.every((id) => typeof id === 'string' && isValidId(id))) {
+    return { ids: [], error: 'videoIds must be an array of video IDs' };
+  }
+  if (new Set(videoIds).size !== videoIds.length) {
+    return { ids: [], error: 'videoIds must not contain duplicates' };
+  }
+  if (videoIds.length > PLAYLIST_LIMITS.items) {
+    return { ids: [], error: `A playlist can hold at most ${PLAYLIST_LIMITS.items} videos` };
+  }
+
+  const found = await Video.countDocuments({ _id: { $in: videoIds }, tenantId: user.tenantId });
+  if (found !== videoIds.length) {
+    return { ids: [], error: 'One or more videos were not found' };
+  }
+
+  return { ids: videoIds, error: null };
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Playlist not found or access denied',
+});
+
+/**
+ * Respond with a playlist as the user sees it
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} playlist - Playlist document
+ * @param {object} [options] - { status, message }
+ */
+const sendPlaylist = async (req, res, playlist, { status = 200, message } = {}) => {
+  const videos = await loadVisibleVideos(req.user, [playlist]);
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      playlist: formatPlaylist(req.user, playlist, videos, true),
+    },
+  });
+};
+
+/**
+ * @route   GET /api/playlists
+ * @desc    List the playlists the user can see
+ * @access  Private (All roles)
+ *
+ * Query: search (title), mine=true (created by the user), page, limit
+ */
+const getPlaylists = async (req, res) => {
+  try {
+    const { search, mine, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = readableQuery(req.user);
+
+    if (search) {
+      query.title = { $regex: escapeRegex(search.trim()), $options: 'i' };
+    }
+    if (mine === 'true') {
+      query.createdBy = req.user.id;
+    }
+
+    const playlists = await Playlist.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Playlist.countDocuments(query);
+    const videos = await loadVisibleVideos(req.user, playlists);
+
+    res.json({
+      success: true,
+      data: {
+        playlists: playlists.map((playlist) => formatPlaylist(req.user, playlist, videos, false)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get playlists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching playlists',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/playlists
+ * @desc    Create a playlist
+ * @access  Private (ADMIN, EDITOR)
+ *
+ * Body: { title, description?, isPublic?, videoIds? (initial order) }
+ */
+const createPlaylist = async (req, res) => {
+  try {
+    const { changes, error } = parsePlaylistFields(req.body);
+    if (error || !changes.title) {
+      return res.status(400).json({
+        success: false,
+        message: error || 'Title is required',
+      });
+    }
+
+    let ids = [];
+    if (req.body.videoIds !== undefined) {
+      const parsed = await parseVideoIds(req.user, req.body.videoIds);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
+      }
+      ids = parsed.ids;
+    }
+
+    const playlist = await Playlist.create({
+      ...changes,
+      tenantId: req.user.tenantId,
+      createdBy: req.user.id,
+      items: ids.map((video) => ({ video, addedBy: req.user.id })),
+    });
+
+    console.log(`[Playlist] ${req.user.email} created "${playlist.title}" with ${ids.length} video(s)`);
+
+    await sendPlaylist(req, res, playlist, { status: 201, message: 'Playlist created successfully' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Create playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/playlists/:id
+ * @desc    Get a playlist with the items the user can see, in order
+ * @access  Private (All roles)
+ */
+const getPlaylistById = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const playlist = await Playlist.findOne({ _id: req.params.id, ...readableQuery(req.user) });
+    if (!playlist) {
+      return notFound(res);
+    }
+
+    await sendPlaylist(req, res, playlist);
+  } catch (error) {
+    console.error('Get playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/playlists/:id
+ * @desc    Edit a playlist's title, description, visibility and cover
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ *
+ * Body (all optional): { title, description, isPublic, coverVideoId }
+ * coverVideoId must be one of the playlist's videos; null restores the default
+ * (the first item with a poster).
+ */
+const updatePlaylist = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const { changes, error } = parsePlaylistFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const { coverVideoId } = req.body;
+    const update = { $set: changes };
+    const query = { _id: req.params.id, ...editableQuery(req.user) };
+
+    if (coverVideoId === null) {
+      update.$unset = { coverVideo: 1 };
+    } else if (coverVideoId !== undefined) {
+      if (typeof coverVideoId !== 'string' || !isValidId(coverVideoId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'coverVideoId must be a video ID',
+        });
+      }
+      changes.coverVideo = coverVideoId;
+      query['items.video'] = coverVideoId; // Only a video of the playlist
+    }
+
+    if (Object.keys(changes).length === 0 && !update.$unset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Editable fields: title, description, isPublic, coverVideoId',
+      });
+    }
+
+    const playlist = await Playlist.findOneAndUpdate(query, update, { new: true, runValidators: true });
+
+    if (!playlist) {
+      if (coverVideoId && await Playlist.exists({ _id: req.params.id, ...editableQuery(req.user) })) {
+        return res.status(400).json({
+          success: false,
+          message: 'The cover video must be in the playlist',
+        });
+      }
+      return notFound(res);
+    }
+
+    await sendPlaylist(req, res, playlist, { message: 'Playlist updated successfully' });
+  } catch (error) {
+    console.error('Update playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/playlists/:id
+ * @desc    Delete a playlist (its videos are kept)
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ */
+const deletePlaylist = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const playlist = await Playlist.findOneAndDelete({ _id: req.params.id, ...editableQuery(req.user) });
+    if (!playlist) {
+      return notFound(res);
+    }
+
+    // Give back the quota of the uploaded cover
+    if (playlist.coverImage?.path) {
+      await removePlaylistCovers(playlist.tenantId, playlist._id);
+      await adjustUsage(playlist.tenantId, -(playlist.coverImage.bytes || 0));
+    }
+
+    console.log(`[Playlist] ${req.user.email} deleted "${playlist.title}"`);
+
+    res.json({
+      success: true,
+      message: 'Playlist deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/playlists/:id/cover
+ * @desc    Get the playlist's uploaded cover image
+ * @access  Private (All roles)
+ *
+ * 404 when no image was uploaded; the cover is then the poster of cover.videoId.
+ */
+const getPlaylistCover = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const playlist = await Playlist.findOne({ _id: req.params.id, ...readableQuery(req.user) }).select('coverImage');
+    if (!playlist) {
+      return notFound(res);
+    }
+    if (!playlist.coverImage?.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist has no cover image',
+      });
+    }
+
+    // The key changes with each upload, so the image can be cached
+    await sendStoredFile(req, res, playlist.coverImage.path, {
+      headers: {
+        'Cache-Control': 'private, max-age=3600',
+      },
+      notFoundMessage: 'Cover image not available',
+    });
+  } catch (error) {
+    console.error('Get playlist cover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching playlist cover',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/playlists/:id/cover
+ * @desc    Upload a cover image (multipart "image"), replacing the previous one
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ *
+ * The image is counted against the tenant storage quota.
+ */
+const updatePlaylistCover = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide an image file',
+      });
+    }
+
+    const query = { _id: req.params.id, ...editableQuery(req.user) };
+    if (!(await Playlist.exists(query))) {
+      return notFound(res);
+    }
+
+    if (!(await reserveStorage(req.user.tenantId, req.file.size))) {
+      return res.status(413).json({
+        success: false,
+        message: 'Image would exceed tenant storage quota',
+      });
+    }
+
+    let key;
+    try {
+      key = await savePlaylistCover(req.user.tenantId, req.params.id, req.file);
+    } catch (error) {
+      await adjustUsage(req.user.tenantId, -req.file.size);
+      throw error;
+    }
+
+    const coverImage = { path: key, bytes: req.file.size, updatedAt: new Date() };
+    const playlist = await Playlist.findOneAndUpdate(query, { $set: { coverImage } });
+
+    // Deleted in the meantime
+    if (!playlist) {
+      await getStorage().delete(key);
+      await adjustUsage(req.user.tenantId, -req.file.size);
+      return notFound(res);
+    }
+
+    // The replaced image is no longer referenced
+    const previous = playlist.coverImage;
+    if (previous?.path) {
+      await getStorage().delete(previous.path);
+      await adjustUsage(req.user.tenantId, -(previous.bytes || 0));
+    }
+
+    playlist.coverImage = coverImage;
+    await sendPlaylist(req, res, playlist, { message: 'Playlist cover updated' });
+  } catch (error) {
+    console.error('Update playlist cover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating playlist cover',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/playlists/:id/cover
+ * @desc    Remove the uploaded cover image; the cover falls back to a video poster
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ */
+const removePlaylistCover = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const query = { _id: req.params.id, ...editableQuery(req.user) };
+    const playlist = await Playlist.findOneAndUpdate(
+      { ...query, 'coverImage.path': { $exists: true } },
+      { $unset: { coverImage: 1 } }
+    );
+
+    if (!playlist) {
+      if (await Playlist.exists(query)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Playlist has no cover image',
+        });
+      }
+      return notFound(res);
+    }
+
+    await getStorage().delete(playlist.coverImage.path);
+    await adjustUsage(req.user.tenantId, -(playlist.coverImage.bytes || 0));
+
+    playlist.coverImage = undefined;
+    await sendPlaylist(req, res, playlist, { message: 'Playlist cover removed' });
+  } catch (error) {
+    console.error('Remove playlist cover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing playlist cover',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/playlists/:id/items
+ * @desc    Insert a video into a playlist
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ *
+ * Body: { videoId, position? } - position is the 0-based index to insert at
+ * (default: append). A video can only be in a playlist once.
+ */
+const addPlaylistItem = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const { videoId, position } = req.body;
+
+    if (typeof videoId !== 'string' || !isValidId(videoId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoId must be a video ID',
+      });
+    }
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'position must be a non-negative integer',
+      });
+    }
+
+    const video = await Video.exists({ _id: videoId, tenantId: req.user.tenantId });
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found',
+      });
+    }
+
+    const push = { $each: [{ video: videoId, addedBy: req.user.id, addedAt: new Date() }] };
+    if (position !== undefined) {
+      push.$position = position;
+    }
+
+    // Duplicate and size checks are part of the update, so concurrent inserts cannot break them
+    const playlist = await Playlist.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...editableQuery(req.user),
+        'items.video': { $ne: videoId },
+        [`items.${PLAYLIST_LIMITS.items - 1}`]: { $exists: false },
+      },
+      { $push: { items: push } },
+      { new: true }
+    );
+
+    if (!playlist) {
+      const existing = await Playlist.findOne({ _id: req.params.id, ...editableQuery(req.user) }).select('items.video');
+      if (!existing) {
+        return notFound(res);
+      }
+      if (existing.items.some((item) => item.video.toString() === videoId)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Video is already in this playlist',
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: `A playlist can hold at most ${PLAYLIST_LIMITS.items} videos`,
+      });
+    }
+
+    await sendPlaylist(req, res, playlist, { message: 'Video added to playlist' });
+  } catch (error) {
+    console.error('Add playlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding video to playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/playlists/:id/items/:videoId
+ * @desc    Remove a video from a playlist
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ */
+const removePlaylistItem = async (req, res) => {
+  try {
+    const { id, videoId } = req.params;
+    if (!isValidId(id) || !isValidId(videoId)) {
+      return notFound(res);
+    }
+
+    const playlist = await Playlist.findOneAndUpdate(
+      { _id: id, ...editableQuery(req.user), 'items.video': videoId },
+      { $pull: { items: { video: videoId } } },
+      { new: true }
+    );
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found in playlist or access denied',
+      });
+    }
+
+    // The cover falls back to the default once its video is gone
+    if (playlist.coverVideo?.toString() === videoId) {
+      await Playlist.updateOne({ _id: playlist._id, coverVideo: videoId }, { $unset: { coverVideo: 1 } });
+      playlist.coverVideo = undefined;
+    }
+
+    await sendPlaylist(req, res, playlist, { message: 'Video removed from playlist' });
+  } catch (error) {
+    console.error('Remove playlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing video from playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/playlists/:id/items
+ * @desc    Reorder a playlist
+ * @access  Private (ADMIN, EDITOR - own playlists)
+ *
+ * Body: { videoIds } - every video of the playlist, in the new order.
+ * Fails with 409 if the playlist's videos changed in the meantime.
+ */
+const reorderPlaylistItems = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const { videoIds } = req.body;
+    if (!Array.isArray(videoIds) || !videoIds.every((id) => typeof id === 'string' && isValidId(id)) ||
+      new Set(videoIds).size !== videoIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'videoIds must be an array of unique video IDs',
+      });
+    }
+
+    const playlist = await Playlist.findOne({ _id: req.params.id, ...editableQuery(req.user) });
+    if (!playlist) {
+      return notFound(res);
+    }
+
+    const itemsByVideo = new Map(playlist.items.map((item) => [item.video.toString(), item]));
+    if (videoIds.length !== itemsByVideo.size || !videoIds.every((id) => itemsByVideo.has(id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'videoIds must list exactly the videos of the playlist',
+      });
+    }
+
+    // Same videos as when loaded, or the reorder is rejected
+    const updated = await Playlist.findOneAndUpdate(
+      {
+        _id: playlist._id,
+        items: { $size: videoIds.length },
+        'items.video': { $all: videoIds },
+      },
+      { $set: { items: videoIds.map((id) => itemsByVideo.get(id).toObject()) } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The playlist changed meanwhile. Reload and try again',
+      });
+    }
+
+    await sendPlaylist(req, res, updated, { message: 'Playlist reordered' });
+  } catch (error) {
+    console.error('Reorder playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getPlaylists,
+  createPlaylist,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  getPlaylistCover,
+  updatePlaylistCover,
+  removePlaylistCover,
+  addPlaylistItem,
+  removePlaylistItem,
+  reorderPlaylistItems,
+};
@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const UploadSession = require('../models/UploadSession');
+const { generateStoredFilename, VIDEO_MIME_TYPES } = require('../config/multer');
+const { reserveStorage } = require('../services/storageUsage.service');
+const { createUploadedVideo } = require('../services/videoIngest.service');
+const { findTenantFolder } = require('../services/folder.service');
+const { recordAuditEvent } = require('../services/audit.service');
+const { dispatchEvent, toVideoPayload } = require('../services/webhook.service');
+const {
+  CHECKSUM_ALGORITHMS,
+  getPartPath,
+  nextExpiry,
+  parseUploadMetadata,
+  parseChecksum,
+  lockSession,
+  appendChunk,
+  releaseSession,
+  discardSession,
+} = require('../services/uploadSession.service');
+
+/**
+ * Resumable Upload Controller
+ *
+ * tus 1.0.0 server (extensions: creation, checksum, expiration, termination):
+ *   POST   /api/uploads      create a session (Upload-Length, Upload-Metadata)
+ *   HEAD   /api/uploads/:id  current Upload-Offset, to resume
+ *   PATCH  /api/uploads/:id  append bytes at Upload-Offset (optional Upload-Checksum)
+ *   DELETE /api/uploads/:id  abandon the upload
+ *
+ * Sessions belong to the uploader and their tenant. When the last byte arrives
+ * the Video is created and queued exactly like a multipart upload; its ID is
+ * returned in the Upload-Video-Id header.
+ */
+
+const TUS_VERSION = '1.0.0';
+const TUS_MAX_SIZE = 5 * 1024 * 1024 * 1024; // Same as multipart uploads
+
+const setTusHeaders = (res) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  res.set('Cache-Control', 'no-store');
+};
+
+/**
+ * Reject requests from clients speaking another tus version
+ * @returns {boolean} true if a response was sent
+ */
+const rejectUnsupportedVersion = (req, res) => {
+  if (req.get('Tus-Resumable') === TUS_VERSION) {
+    return false;
+  }
+
+  res.set('Tus-Version', TUS_VERSION);
+  res.status(412).json({
+    success: false,
+    message: `Tus-Resumable: ${TUS_VERSION} header is required`,
+  });
+  return true;
+};
+
+/**
+ * Load a session owned by the requesting user
+ * @returns {Promise<object|null>} Session, or null after sending 404/410
+ */
+const findOwnSession = async (req, res) => {
+  const { id } = req.params;
+
+  const session = mongoose.Types.ObjectId.isValid(id)
+    ? await UploadSession.findOne({
+      _id: id,
+      tenantId: req.user.tenantId, // Tenant isolation
+      uploadedBy: req.user.id,
+    })
+    : null;
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      message: 'Upload not found',
+    });
+    return null;
+  }
+
+  if (session.status === 'ACTIVE' && session.expiresAt < new Date()) {
+    res.status(410).json({
+      success: false,
+      message: 'Upload has expired',
+    });
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Store the completed file like a multipart upload and create the Video.
+ * The session is first moved to FINALIZING with a conditional update, so a
+ * retried or concurrent final PATCH can never create a second video; if the
+ * video cannot be created the session goes back to ACTIVE.
+ * @param {object} session - Locked UploadSession whose part file holds uploadLength bytes
+ * @param {object} user - req.user
+ * @returns {Promise<object|null>} Video, or null if the session was no longer ours to finalize
+ */
+const finalizeUpload = async (session, user) => {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'ACTIVE', lockedUntil: session.lockedUntil },
+    { $set: { status: 'FINALIZING', offset: session.uploadLength } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const originalname = session.metadata.filename || 'upload';
+
+  let video;
+  try {
+    // The part file is copied, not moved: if this fails the client can retry the final PATCH
+    video = await createUploadedVideo({
+      user,
+      file: {
+        filename: generateStoredFilename(originalname),
+        originalname,
+        path: session.partPath,
+        size: session.uploadLength,
+        mimetype: session.metadata.filetype,
+      },
+      fields: session.metadata,
+      folder: session.metadata.folderId || null,
+      moveFile: false,
+    });
+  } catch (error) {
+    await UploadSession.updateOne({ _id: session._id, status: 'FINALIZING' }, { $set: { status: 'ACTIVE' } });
+    throw error;
+  }
+
+  // The quota reservation now belongs to the video
+  await UploadSession.updateOne(
+    { _id: session._id },
+    {
+      $set: { status: 'COMPLETED', videoId: video._id, reservedBytes: 0 },
+      $unset: { lockedUntil: '' },
+    }
+  );
+  fs.rmSync(session.partPath, { force: true });
+
+  return video;
+};
+
+/**
+ * @route   POST /api/uploads
+ * @desc    Create a resumable upload session
+ * @access  Private (ADMIN, EDITOR)
+ *
+ * Headers: Tus-Resumable, Upload-Length,
+ *          Upload-Metadata (filename, filetype, title, description, tags, isPublic, folderId; base64 values)
+ * The whole Upload-Length is checked against the tenant limits and reserved up front.
+ */
+const createUpload = async (req, res) => {
+  setTusHeaders(res);
+  if (rejectUnsupportedVersion(req, res)) return;
+
+  try {
+    const uploadLength = parseInt(req.get('Upload-Length'), 10);
+
+    if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Length header must be a positive integer',
+      });
+    }
+
+    if (uploadLength > TUS_MAX_SIZE) {
+      return res.status(413).json({
+        success: false,
+        message: 'File too large. Maximum size is 5GB',
+      });
+    }
+
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+
+    if (!VIDEO_MIME_TYPES.includes(metadata.filetype)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid file type. Allowed types: ${VIDEO_MIME_TYPES.join(', ')}`,
+      });
+    }
+
+    if (metadata.folderId && !(await findTenantFolder(req.user.tenantId, metadata.folderId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Folder not found',
+      });
+    }
+
+    const tenant = await Tenant.findById(req.user.tenantId);
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    if (uploadLength > tenant.settings.maxVideoSizeMB * 1024 * 1024) {
+      return res.status(413).json({
+        success: false,
+        message: `File size exceeds tenant limit of ${tenant.settings.maxVideoSizeMB}MB`,
+      });
+    }
+
+    if (!(await reserveStorage(req.user.tenantId, uploadLength))) {
+      return res.status(413).json({
+        success: false,
+        message: `Upload would exceed tenant storage quota of ${tenant.settings.maxStorageGB}GB`,
+      });
+    }
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const partPath = getPartPath(req.user.tenantId, sessionId);
+    fs.mkdirSync(path.dirname(partPath), { recursive: true });
+    fs.writeFileSync(partPath, '');
+
+    const session = await UploadSession.create({
+      _id: sessionId,
+      tenantId: req.user.tenantId,
+      uploadedBy: req.user.id,
+      uploadLength,
+      metadata: {
+        filename: metadata.filename,
+        filetype: metadata.filetype,
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags,
+        isPublic: metadata.isPublic,
+        folderId: metadata.folderId,
+      },
+      partPath,
+      reservedBytes: uploadLength,
+      expiresAt: nextExpiry(),
+    });
+
+    res.set('Location', `${req.baseUrl}/${session._id}`);
+    res.set('Upload-Expires', session.expiresAt.toUTCString());
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: {
+        uploadId: session._id,
+        expiresAt: session.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating upload session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   HEAD /api/uploads/:id
+ * @desc    Get the offset to resume an upload from
+ * @access  Private (ADMIN, EDITOR - own uploads)
+ */
+const getUploadOffset = async (req, res) => {
+  setTusHeaders(res);
+  if (rejectUnsupportedVersion(req, res)) return;
+
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    res.set('Upload-Offset', String(session.offset));
+    res.set('Upload-Length', String(session.uploadLength));
+    res.set('Upload-Expires', session.expiresAt.toUTCString());
+    if (session.videoId) {
+      res.set('Upload-Video-Id', session.videoId.toString());
+    }
+    res.status(200).end();
+  } catch (error) {
+    console.error('Get upload offset error:', error);
+    res.status(500).end();
+  }
+};
+
+/**
+ * @route   PATCH /api/uploads/:id
+ * @desc    Append a chunk to an upload
+ * @access  Private (ADMIN, EDITOR - own uploads)
+ *
+ * Headers: Tus-Resumable, Upload-Offset, Content-Type: application/offset+octet-stream,
+ *          Content-Length, optional Upload-Checksum ("sha1 <base64>")
+ * A chunk whose checksum does not match is discarded (460).
+ */
+const appendUpload = async (req, res) => {
+  setTusHeaders(res);
+  if (rejectUnsupportedVersion(req, res)) return;
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        message: 'Content-Type must be application/offset+octet-stream',
+      });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header must be a non-negative integer',
+      });
+    }
+
+    const contentLength = parseInt(req.get('Content-Length'), 10);
+    if (!Number.isInteger(contentLength)) {
+      return res.status(411).json({
+        success: false,
+        message: 'Content-Length header is required',
+      });
+    }
+
+    let checksum;
+    try {
+      checksum = parseChecksum(req.get('Upload-Checksum'));
+    } catch (error) {
+      res.set('Tus-Checksum-Algorithm', Object.keys(CHECKSUM_ALGORITHMS).join(','));
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const existing = await findOwnSession(req, res);
+    if (!existing) return;
+
+    if (existing.status === 'COMPLETED' && offset === existing.uploadLength && contentLength === 0) {
+      res.set('Upload-Offset', String(existing.uploadLength));
+      res.set('Upload-Video-Id', existing.videoId.toString());
+      return res.status(204).end();
+    }
+
+    if (existing.status === 'FINALIZING') {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload is being finalized, check its offset again shortly',
+      });
+    }
+
+    if (contentLength > existing.uploadLength - offset) {
+      return res.status(413).json({
+        success: false,
+        message: 'Chunk extends past Upload-Length',
+      });
+    }
+
+    const session = await lockSession(existing._id, offset);
+    if (!session) {
+      return res.status(409).json({
+        success: false,
+        message: 'Upload-Offset does not match the upload, or another chunk is being written',
+      });
+    }
+
+    const result = await appendChunk(session, req, checksum);
+
+    if (result.checksumMismatch) {
+      await releaseSession(session._id, session.offset);
+      return res.status(460).json({
+        success: false,
+        message: 'Checksum mismatch, chunk discarded',
+      });
+    }
+
+    if (result.offset === session.uploadLength) {
+      let video;
+      try {
+        video = await finalizeUpload(session, req.user);
+      } catch (error) {
+        await releaseSession(session._id, result.offset);
+        throw error;
+      }
+
+      if (!video) {
+        return res.status(409).json({
+          success: false,
+          message: 'The write lock of this upload expired before it could be finalized',
+        });
+      }
+
+      await recordAuditEvent(req, {
+        action: 'VIDEO_UPLOADED',
+        target: { type: 'VIDEO', id: video._id, label: video.title },
+        metadata: {
+          via: 'RESUMABLE',
+          uploadId: session._id,
+          originalFilename: video.originalFilename,
+          fileSize: video.fileSize,
+          isPublic: video.isPublic,
+        },
+      });
+      await dispatchEvent(req.user.tenantId, 'video.uploaded', { video: toVideoPayload(video) });
+
+      res.set('Upload-Offset', String(result.offset));
+      res.set('Upload-Video-Id', video._id.toString());
+      return res.status(204).end();
+    }
+
+    const updated = await releaseSession(session._id, result.offset);
+
+    res.set('Upload-Offset', String(updated.offset));
+    res.set('Upload-Expires', updated.expiresAt.toUTCString());
+    res.status(204).end();
+  } catch (error) {
+    console.error('Append upload error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Error writing upload',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  }
+};
+
+/**
+ * @route   DELETE /api/uploads/:id
+ * @desc    Abandon an upload and release its quota reservation
+ * @access  Private (ADMIN, EDITOR - own uploads)
+ */
+const terminateUpload = async (req, res) => {
+  setTusHeaders(res);
+  if (rejectUnsupportedVersion(req, res)) return;
+
+  try {
+    const session = await findOwnSession(req, res);
+    if (!session) return;
+
+    if (session.lockedUntil && session.lockedUntil > new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A chunk is being written to this upload',
+      });
+    }
+
+    await discardSession(session);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Terminate upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error terminating upload',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  createUpload,
+  getUploadOffset,
+  appendUpload,
+  terminateUpload,
+};
@@ -1,16 +1,178 @@
 const Video = require('../models/Video');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getHlsPrefix } = require('../services/transcoding.service');
+const { getSpritePrefix } = require('../services/thumbnail.service');
+const { getStorage, toStorageKey, readText, sendStoredFile } = require('../services/storage');
+const { getStreamUrlTtl, signStreamUrl, verifyStreamUrl } = require('../services/streamUrl.service');
+const { verifyAccessToken } = require('../services/authToken.service');
+const {
+  videoReadCondition,
+  withAccess,
+  canEditVideo,
+  canManageVideo,
+} = require('../services/videoAccess.service');
+const { getBreadcrumbs } = require('../services/folder.service');
 
 /**
  * Streaming Controller
  * 
  * Implements HTTP Range Requests (206 Partial Content) for video streaming
  * Allows users to seek through videos efficiently
+ * Serves HLS playlists and segments, and seek-preview sprites with their
+ * WebVTT track
+ * Media URLs are authorized by the Authorization header or by a short-lived
+ * signed query string (see streamUrl.service.js) - never by a login JWT in the URL
+ * Files are read through the storage backend (see services/storage)
  */
 
+const HLS_RENDITION_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const HLS_SEGMENT_PATTERN = /^(segment_\d+\.(ts|m4s)|init\.mp4)$/;
+const SPRITE_SHEET_PATTERN = /^sprite_\d+\.jpg$/;
+const HLS_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+};
+
+/**
+ * Load an active user of an active tenant
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} { userId, userRole, tenantId } or null
+ */
+const loadStreamUser = async (userId) => {
+  const user = await User.findById(userId).select('-password').populate('tenantId');
+  if (!user || !user.isActive || !user.tenantId?.isActive) {
+    return null;
+  }
+  return {
+    userId: user._id.toString(),
+    userRole: user.role,
+    tenantId: user.tenantId._id.toString(),
+  };
+};
+
+/**
+ * Resolve the user requesting a stream route
+ * The auth middleware is skipped for /stream/ routes, so credentials are read here:
+ * - Authorization: Bearer <login token>
+ * - A signed query string for the requested video (and rendition, if scoped)
+ * A signed URL that is not bound to a user grants tenant-level access to that video only.
+ * @param {object} req - Express request
+ * @param {string} videoId - Requested video ID
+ * @param {object} [options]
+ * @param {string} [options.rendition] - Requested HLS rendition (playlist/segment routes)
+ * @returns {Promise<object|null>} { userId, userRole, tenantId, signature } or null;
+ *                                 signature is the verified query string, if any
+ */
+const resolveStreamUser = async (req, videoId, { rendition } = {}) => {
+  if (req.user) {
+    return {
+      userId: req.user.id.toString(),
+      userRole: req.user.role,
+      tenantId: req.user.tenantId,
+      signature: null,
+    };
+  }
+
+  try {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const decoded = await verifyAccessToken(authHeader.substring(7));
+      const user = await loadStreamUser(decoded.userId);
+      return user && { ...user, signature: null };
+    }
+
+    if (req.query.sig) {
+      const claims = verifyStreamUrl(req.query, { videoId, rendition, clientIp: req.ip });
+      if (!claims) {
+        return null;
+      }
+
+      if (!claims.userId) {
+        return { userId: null, userRole: null, tenantId: claims.tenantId, signature: claims.query };
+      }
+
+      const user = await loadStreamUser(claims.userId);
+      // URL must still match the user's current tenant
+      return user && user.tenantId === claims.tenantId ? { ...user, signature: claims.query } : null;
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return null;
+};
+
+/**
+ * Find a video the user may watch and make sure it can be played
+ * Applies tenant isolation, VIEWER visibility (see videoAccess.service.js) and processingStatus checks.
+ * (userRole is null for signed URLs not bound to a user: access was checked when they were issued.)
+ * Sends the error response and returns null when the video is not playable.
+ * @param {object} res - Express response
+ * @param {string} videoId - Video ID
+ * @param {object} streamUser - { userId, userRole, tenantId } from resolveStreamUser
+ * @returns {Promise<object|null>} Video document or null
+ */
+const findPlayableVideo = async (res, videoId, { userId, userRole, tenantId }) => {
+  // Find video with tenant isolation
+  const query = {
+    _id: videoId,
+    tenantId: tenantId,
+  };
+
+  // VIEWER can only access public videos, their own and those shared with them (directly or by folder)
+  if (userRole) {
+    withAccess(query, await videoReadCondition({ id: userId, role: userRole, tenantId }));
+  }
+
+  const video = await Video.findOne(query);
+
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      message: 'Video not found or access denied',
+    });
+    return null;
+  }
+
+  // Check if video is safe to stream
+  if (video.processingStatus === 'FLAGGED') {
+    res.status(403).json({
+      success: false,
+      message: 'This video has been flagged and cannot be streamed',
+      processingStatus: video.processingStatus,
+      processingError: video.processingError,
+    });
+    return null;
+  }
+
+  // Pipeline crashed - nothing to stream until an ADMIN retries processing
+  if (video.processingStatus === 'FAILED') {
+    res.status(403).json({
+      success: false,
+      message: 'Video processing failed',
+      processingStatus: video.processingStatus,
+      processingError: video.processingError,
+    });
+    return null;
+  }
+
+  // Only allow streaming of COMPLETED videos
+  if (video.processingStatus !== 'COMPLETED') {
+    res.status(403).json({
+      success: false,
+      message: 'Video is still processing',
+      processingStatus: video.processingStatus,
+    });
+    return null;
+  }
+
+  return video;
+};
+
 /**
  * @route   GET /api/videos/stream/:id
  * @desc    Stream video with HTTP Range Request support
@@ -26,81 +188,28 @@ const streamVideo = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Support token in query parameter for video player
-    let userId, userRole, tenantId;
-    if (req.user) {
-      userId = req.user.id;
-      userRole = req.user.role;
-      tenantId = req.user.tenantId;
-    } else if (req.query.token) {
-      try {
-        const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password').populate('tenantId');
-        if (!user || !user.isActive || !user.tenantId?.isActive) {
-          return res.status(401).json({ success: false, message: 'Unauthorized' });
-        }
-        userId = user._id.toString();
-        userRole = user.role;
-        tenantId = user.tenantId._id.toString();
-      } catch (error) {
-        return res.status(401).json({ success: false, message: 'Invalid token' });
-      }
-    } else {
+    // Authorization header, or a signed URL for the video player
+    const streamUser = await resolveStreamUser(req, id);
+    if (!streamUser) {
       return res.status(401).json({ success: false, message: 'Authentication required' });
     }
 
-    // Find video with tenant isolation
-    const query = {
-      _id: id,
-      tenantId: tenantId,
-    };
-
-    // VIEWER can only access public or their own videos
-    if (userRole === 'VIEWER') {
-      query.$or = [
-        { isPublic: true },
-        { uploadedBy: userId },
-      ];
-    }
-
-    const video = await Video.findOne(query);
-
+    const video = await findPlayableVideo(res, id, streamUser);
     if (!video) {
-      return res.status(404).json({
-        success: false,
-        message: 'Video not found or access denied',
-      });
-    }
-
-    // Check if video is safe to stream
-    if (video.processingStatus === 'FLAGGED') {
-      return res.status(403).json({
-        success: false,
-        message: 'This video has been flagged and cannot be streamed',
-        processingStatus: video.processingStatus,
-        processingError: video.processingError,
-      });
-    }
-
-    // Only allow streaming of COMPLETED videos
-    if (video.processingStatus !== 'COMPLETED') {
-      return res.status(403).json({
-        success: false,
-        message: 'Video is still processing',
-        processingStatus: video.processingStatus,
-      });
+      return;
     }
 
     // Check if file exists
-    if (!fs.existsSync(video.filePath)) {
+    const storage = getStorage();
+    const key = toStorageKey(video.filePath);
+    const stat = await storage.stat(key);
+    if (!stat) {
       return res.status(404).json({
         success: false,
         message: 'Video file not found',
       });
     }
 
-    // Get file stats
-    const stat = fs.statSync(video.filePath);
     const fileSize = stat.size;
     const range = req.headers.range;
 
@@ -111,8 +220,9 @@ const streamVideo = async (req, res) => {
         'Content-Type': video.mimeType || 'video/mp4',
         'Accept-Ranges': 'bytes',
       };
+      const file = await storage.getStream(key);
       res.writeHead(200, head);
-      fs.createReadStream(video.filePath).pipe(res);
+      await pipeline(file, res).catch(() => {}); // Player stopped reading
       return;
     }
 
@@ -133,7 +243,7 @@ const streamVideo = async (req, res) => {
 
     // Calculate chunk size
     const chunksize = (end - start) + 1;
-    const file = fs.createReadStream(video.filePath, { start, end });
+    const file = await storage.getStream(key, { start, end });
 
     // Set headers for 206 Partial Content
     const head = {
@@ -144,11 +254,11 @@ const streamVideo = async (req, res) => {
       'Cache-Control': 'no-cache',
     };
 
-    res.writeHead(206, head);
-    file.pipe(res);
-
     // Log streaming (optional, can be removed in production)
     console.log(`[Stream] Video ${id} streamed: bytes ${start}-${end}/${fileSize}`);
+
+    res.writeHead(206, head);
+    await pipeline(file, res).catch(() => {}); // Player seeked or stopped reading
   } catch (error) {
     console.error('Streaming error:', error);
     res.status(500).json({
@@ -159,6 +269,428 @@ const streamVideo = async (req, res) => {
   }
 };
 
+/**
+ * Append a signed query string to a playlist or segment URI
+ * @param {string} uri - URI from a playlist
+ * @param {string} signature - Signed query string
+ * @returns {string} URI with ?<signature> (or &<signature>)
+ */
+const appendSignature = (uri, signature) => {
+  return `${uri}${uri.includes('?') ? '&' : '?'}${signature}`;
+};
+
+/**
+ * Rewrite a playlist so every URI it references carries the signature
+ * Covers plain URI lines and URI="..." attributes (e.g. #EXT-X-MAP for fMP4)
+ * @param {string} playlist - Playlist contents
+ * @param {string} signature - Signed query string
+ * @returns {string} Rewritten playlist
+ */
+const signPlaylist = (playlist, signature) => {
+  return playlist
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        return line;
+      }
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${appendSignature(uri, signature)}"`);
+      }
+      return appendSignature(trimmed, signature);
+    })
+    .join('\n');
+};
+
+/**
+ * Signature for the URIs referenced by a response (playlist entries, sprite sheets)
+ * A signed request passes its own signature on; a header-authenticated one gets
+ * a new signature bound to the user.
+ * @param {object} streamUser - From resolveStreamUser
+ * @param {object} video - Video document
+ * @returns {string} Signed query string
+ */
+const getResponseSignature = (streamUser, video) => {
+  if (streamUser.signature) {
+    return streamUser.signature;
+  }
+
+  return signStreamUrl({
+    videoId: video._id,
+    tenantId: video.tenantId,
+    userId: streamUser.userId,
+    ttlSeconds: getStreamUrlTtl(null, video.duration),
+  }).query;
+};
+
+/**
+ * Resolve user and video for a playback request (HLS, seek previews)
+ * Sends the error response and returns null on failure.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} [options]
+ * @param {string} [options.rendition] - Requested HLS rendition
+ * @returns {Promise<object|null>} { streamUser, video } or null
+ */
+const resolvePlaybackRequest = async (req, res, { rendition } = {}) => {
+  const { id } = req.params;
+
+  // Login tokens are never accepted in these URLs - use a signed URL or the Authorization header
+  const streamUser = await resolveStreamUser(req, id, { rendition });
+  if (!streamUser) {
+    res.status(401).json({ success: false, message: 'Authentication required' });
+    return null;
+  }
+
+  const video = await findPlayableVideo(res, id, streamUser);
+  if (!video) {
+    return null;
+  }
+
+  return { streamUser, video };
+};
+
+/**
+ * Resolve user and video for an HLS request, and check HLS output exists
+ * Sends the error response and returns null on failure.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} [options]
+ * @param {string} [options.rendition] - Requested HLS rendition
+ * @returns {Promise<object|null>} { streamUser, video } or null
+ */
+const resolveHlsRequest = async (req, res, { rendition } = {}) => {
+  const resolved = await resolvePlaybackRequest(req, res, { rendition });
+  if (!resolved) {
+    return null;
+  }
+
+  const { video } = resolved;
+  if (!video.hls?.masterPlaylist || !video.hls.renditions?.length) {
+    res.status(404).json({
+      success: false,
+      message: 'HLS renditions not available for this video',
+    });
+    return null;
+  }
+
+  return resolved;
+};
+
+/**
+ * Send a playlist with its URIs signed
+ * @param {object} res - Express response
+ * @param {string} playlistKey - Storage key of the playlist
+ * @param {string} signature - Signed query string
+ */
+const sendSignedPlaylist = async (res, playlistKey, signature) => {
+  const playlist = await readText(playlistKey);
+  if (playlist === null) {
+    return res.status(404).json({
+      success: false,
+      message: 'Playlist not found',
+    });
+  }
+
+  res.set({
+    'Content-Type': HLS_CONTENT_TYPES['.m3u8'],
+    // Playlists embed a user-specific signature, so never share them between users
+    'Cache-Control': 'private, no-store',
+  });
+  res.send(signPlaylist(playlist, signature));
+};
+
+/**
+ * @route   GET /api/videos/stream/:id/master.m3u8
+ * @desc    HLS master playlist; variant URIs carry a signature
+ * @access  Private (All roles) - Authorization header or signed URL
+ */
+const streamHlsMaster = async (req, res) => {
+  try {
+    const resolved = await resolveHlsRequest(req, res);
+    if (!resolved) {
+      return;
+    }
+
+    const { streamUser, video } = resolved;
+    const playlistKey = `${getHlsPrefix(video.tenantId, video._id)}/${video.hls.masterPlaylist}`;
+    await sendSignedPlaylist(res, playlistKey, getResponseSignature(streamUser, video));
+  } catch (error) {
+    console.error('HLS master playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/videos/stream/:id/:rendition/index.m3u8
+ * @desc    HLS variant playlist; segment URIs carry a signature
+ * @access  Private (All roles) - Authorization header or signed URL (may be scoped to the rendition)
+ */
+const streamHlsPlaylist = async (req, res) => {
+  try {
+    const { rendition } = req.params;
+
+    const resolved = await resolveHlsRequest(req, res, { rendition });
+    if (!resolved) {
+      return;
+    }
+
+    const { streamUser, video } = resolved;
+    const knownRendition = video.hls.renditions.find(r => r.name === rendition);
+    if (!HLS_RENDITION_PATTERN.test(rendition) || !knownRendition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rendition not found',
+      });
+    }
+
+    const playlistKey = `${getHlsPrefix(video.tenantId, video._id)}/${knownRendition.playlist}`;
+    await sendSignedPlaylist(res, playlistKey, getResponseSignature(streamUser, video));
+  } catch (error) {
+    console.error('HLS playlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving playlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/videos/stream/:id/:rendition/:segment
+ * @desc    HLS media segment (.ts / .m4s / init.mp4)
+ * @access  Private (All roles) - Authorization header or signed URL (may be scoped to the rendition)
+ */
+const streamHlsSegment = async (req, res) => {
+  try {
+    const { rendition, segment } = req.params;
+
+    if (!HLS_RENDITION_PATTERN.test(rendition) || !HLS_SEGMENT_PATTERN.test(segment)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found',
+      });
+    }
+
+    const resolved = await resolveHlsRequest(req, res, { rendition });
+    if (!resolved) {
+      return;
+    }
+
+    const { video } = resolved;
+    if (!video.hls.renditions.some(r => r.name === rendition)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rendition not found',
+      });
+    }
+
+    const segmentKey = `${getHlsPrefix(video.tenantId, video._id)}/${rendition}/${segment}`;
+
+    await sendStoredFile(req, res, segmentKey, {
+      headers: {
+        'Content-Type': HLS_CONTENT_TYPES[path.extname(segment)],
+        // Segments are immutable once transcoded
+        'Cache-Control': 'private, max-age=86400, immutable',
+      },
+      notFoundMessage: 'Segment not found',
+    });
+  } catch (error) {
+    console.error('HLS segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving segment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/videos/stream/:id/thumbnails.vtt
+ * @desc    WebVTT seek-preview track; sprite URIs carry a signature
+ * @access  Private (All roles) - Authorization header or signed URL
+ */
+const streamThumbnailTrack = async (req, res) => {
+  try {
+    const resolved = await resolvePlaybackRequest(req, res);
+    if (!resolved) {
+      return;
+    }
+
+    const { streamUser, video } = resolved;
+    const rawTrack = video.sprites?.track
+      ? await readText(`${getSpritePrefix(video.tenantId, video._id)}/${video.sprites.track}`)
+      : null;
+
+    if (rawTrack === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seek previews not available for this video',
+      });
+    }
+
+    const signature = getResponseSignature(streamUser, video);
+
+    // Cue payloads look like "sprite_0.jpg#xywh=0,0,160,90" - the signature goes before the fragment
+    const track = rawTrack.replace(
+      /^(sprite_\d+\.jpg)(#xywh=.*)$/gm,
+      (match, sheet, fragment) => `${appendSignature(sheet, signature)}${fragment}`
+    );
+
+    res.set({
+      'Content-Type': 'text/vtt; charset=utf-8',
+      'Cache-Control': 'private, no-store',
+    });
+    res.send(track);
+  } catch (error) {
+    console.error('Thumbnail track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving seek previews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/videos/stream/:id/sprites/:sheet
+ * @desc    Seek-preview sprite sheet (sprite_N.jpg)
+ * @access  Private (All roles) - Authorization header or signed URL
+ */
+const streamSpriteSheet = async (req, res) => {
+  try {
+    const { sheet } = req.params;
+
+    if (!SPRITE_SHEET_PATTERN.test(sheet)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprite sheet not found',
+      });
+    }
+
+    const resolved = await resolvePlaybackRequest(req, res);
+    if (!resolved) {
+      return;
+    }
+
+    const { video } = resolved;
+    await sendStoredFile(req, res, `${getSpritePrefix(video.tenantId, video._id)}/${sheet}`, {
+      headers: {
+        'Cache-Control': 'private, max-age=86400',
+      },
+      notFoundMessage: 'Sprite sheet not found',
+    });
+  } catch (error) {
+    console.error('Sprite sheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving sprite sheet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Stream URLs of a video carrying a signature
+ * A rendition-scoped signature only yields that rendition's playlist.
+ * @param {object} video - Video document
+ * @param {string} signature - Signed query string
+ * @param {string} [rendition] - Rendition the signature is scoped to
+ * @returns {object} { streamUrl, hlsUrl, thumbnailTrackUrl } (null where not available)
+ */
+const buildStreamUrls = (video, signature, rendition) => {
+  const base = `/api/videos/stream/${video._id}`;
+
+  if (rendition) {
+    const { playlist } = video.hls.renditions.find(r => r.name === rendition);
+    return {
+      streamUrl: null,
+      hlsUrl: `${base}/${playlist}?${signature}`,
+      thumbnailTrackUrl: null,
+    };
+  }
+
+  return {
+    streamUrl: `${base}?${signature}`,
+    hlsUrl: video.hls?.masterPlaylist ? `${base}/master.m3u8?${signature}` : null,
+    thumbnailTrackUrl: video.sprites?.track ? `${base}/thumbnails.vtt?${signature}` : null,
+  };
+};
+
+/**
+ * @route   POST /api/videos/:id/stream-url
+ * @desc    Issue short-lived signed stream URLs for a video
+ * @access  Private (All roles)
+ *
+ * Body (all optional):
+ *   rendition  - scope the URLs to one HLS rendition
+ *   bindUser   - bind to the requesting user, re-checked on every request (default true)
+ *   bindIp     - bind to the requesting client IP (default false)
+ *   expiresIn  - lifetime in seconds; by default the video's duration plus STREAM_URL_TTL_SECONDS,
+ *                capped at STREAM_URL_MAX_TTL_SECONDS
+ */
+const createStreamUrl = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rendition, bindUser = true, bindIp = false, expiresIn } = req.body;
+
+    if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'expiresIn must be a positive number of seconds',
+      });
+    }
+
+    const video = await findPlayableVideo(res, id, {
+      userId: req.user.id,
+      userRole: req.user.role,
+      tenantId: req.user.tenantId,
+    });
+    if (!video) {
+      return;
+    }
+
+    if (rendition !== undefined && !video.hls?.renditions?.some(r => r.name === rendition)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rendition not found',
+      });
+    }
+
+    const { query, expiresAt } = signStreamUrl({
+      videoId: video._id,
+      tenantId: video.tenantId,
+      userId: bindUser !== false ? req.user.id : null,
+      rendition,
+      clientIp: bindIp === true ? req.ip : null,
+      ttlSeconds: getStreamUrlTtl(expiresIn, video.duration),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stream URL issued',
+      data: {
+        ...buildStreamUrls(video, query, rendition),
+        rendition: rendition || null,
+        boundToUser: bindUser !== false,
+        boundToIp: bindIp === true,
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Create stream URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error issuing stream URL',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * @route   GET /api/videos/:id/stream-info
  * @desc    Get video streaming information
@@ -177,17 +709,11 @@ const getStreamInfo = async (req, res) => {
       tenantId: tenantId,
     };
 
-    // VIEWER can only access public or their own videos
-    if (userRole === 'VIEWER') {
-      query.$or = [
-        { isPublic: true },
-        { uploadedBy: userId },
-      ];
-    }
+    // VIEWER can only access public videos, their own and those shared with them (directly or by folder)
+    withAccess(query, await videoReadCondition(req.user));
 
     const video = await Video.findOne(query)
-      .populate('uploadedBy', 'firstName lastName email')
-      .select('-filePath'); // Don't expose file path
+      .populate('uploadedBy', 'firstName lastName email');
 
     if (!video) {
       return res.status(404).json({
@@ -197,11 +723,18 @@ const getStreamInfo = async (req, res) => {
     }
 
     // Check if file exists
-    let fileSize = 0;
-    if (fs.existsSync(video.filePath)) {
-      const stat = fs.statSync(video.filePath);
-      fileSize = stat.size;
-    }
+    const stat = await getStorage().stat(toStorageKey(video.filePath));
+    const fileSize = stat ? stat.size : 0;
+
+    // Signed HLS and seek-preview URLs, bound to this user
+    const urls = video.processingStatus === 'COMPLETED'
+      ? buildStreamUrls(video, signStreamUrl({
+        videoId: video._id,
+        tenantId,
+        userId,
+        ttlSeconds: getStreamUrlTtl(null, video.duration),
+      }).query)
+      : {};
 
     res.json({
       success: true,
@@ -210,16 +743,35 @@ const getStreamInfo = async (req, res) => {
           id: video._id,
           title: video.title,
           description: video.description,
+          tags: video.tags,
+          isPublic: video.isPublic,
           duration: video.duration,
           fileSize: fileSize,
           mimeType: video.mimeType,
           processingStatus: video.processingStatus,
+          processingError: video.processingError,
+          reviewStatus: video.review?.status,
           metadata: video.metadata,
+          thumbnailUpdatedAt: video.thumbnailUpdatedAt,
+          thumbnailCandidates: video.thumbnailCandidates,
           uploadedBy: video.uploadedBy,
+          folder: video.folder,
           createdAt: video.createdAt,
           views: video.views,
         },
+        canEdit: await canEditVideo(req.user, video),
+        canManage: await canManageVideo(req.user, video),
+        breadcrumbs: await getBreadcrumbs(tenantId, video.folder),
         streamUrl: `/api/videos/stream/${video._id}`,
+        // Adaptive stream
+        hls: urls.hlsUrl
+          ? {
+              masterUrl: urls.hlsUrl,
+              renditions: video.hls.renditions.map(({ name, width, height, bandwidth }) => ({ name, width, height, bandwidth })),
+            }
+          : null,
+        // WebVTT seek-preview track (cues point at sprite sheet tiles)
+        thumbnailTrackUrl: urls.thumbnailTrackUrl || null,
       },
     });
   } catch (error) {
@@ -234,6 +786,12 @@ const getStreamInfo = async (req, res) => {
 
 module.exports = {
   streamVideo,
+  streamHlsMaster,
+  streamHlsPlaylist,
+  streamHlsSegment,
+  streamThumbnailTrack,
+  streamSpriteSheet,
   getStreamInfo,
+  createStreamUrl,
 };
 
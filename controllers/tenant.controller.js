@@ -0,0 +1,332 @@
+const Tenant = require('../models/Tenant');
+const { getScannerNames } = require('../services/moderation.service');
+const {
+  getQuotaBytes,
+  getUsageBreakdown,
+  recalculateUsage,
+} = require('../services/storageUsage.service');
+
+/**
+ * Tenant Controller
+ *
+ * Tenant-level settings, always scoped to the authenticated user's tenant
+ */
+
+/**
+ * @route   GET /api/tenant/settings
+ * @desc    Get the tenant's settings
+ * @access  Private (ADMIN)
+ */
+const getSettings = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        settings: tenant.settings,
+        availableScanners: getScannerNames(),
+      },
+    });
+  } catch (error) {
+    console.error('Get tenant settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tenant settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/tenant/settings/transcoding
+ * @desc    Update the HLS transcoding ladder and options
+ * @access  Private (ADMIN)
+ *
+ * Body (all optional): { enabled, segmentDurationSeconds, ladder: [{ name, height, videoBitrateKbps, audioBitrateKbps }] }
+ * Applies to videos processed after the change.
+ */
+const updateTranscodingSettings = async (req, res) => {
+  try {
+    const { enabled, segmentDurationSeconds, ladder } = req.body;
+
+    const tenant = await Tenant.findById(req.user.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    if (ladder !== undefined) {
+      if (!Array.isArray(ladder) || ladder.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ladder must be a non-empty array of renditions',
+        });
+      }
+
+      const names = ladder.map(rung => rung.name);
+      if (new Set(names).size !== names.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rendition names must be unique',
+        });
+      }
+
+      tenant.settings.transcoding.ladder = ladder;
+    }
+
+    if (enabled !== undefined) {
+      tenant.settings.transcoding.enabled = enabled === true || enabled === 'true';
+    }
+
+    if (segmentDurationSeconds !== undefined) {
+      tenant.settings.transcoding.segmentDurationSeconds = segmentDurationSeconds;
+    }
+
+    await tenant.save();
+
+    res.json({
+      success: true,
+      message: 'Transcoding settings updated',
+      data: { transcoding: tenant.settings.transcoding },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Update transcoding settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating transcoding settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/tenant/settings/moderation
+ * @desc    Choose the content scanners run on uploads and their thresholds
+ * @access  Private (ADMIN)
+ *
+ * Body: { scanners: [{ name, enabled, threshold, options }] }
+ * Scanners run in the given order. Applies to videos processed after the change.
+ */
+const updateModerationSettings = async (req, res) => {
+  try {
+    const { scanners } = req.body;
+
+    if (!Array.isArray(scanners)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scanners must be an array of scanner configurations',
+      });
+    }
+
+    const available = getScannerNames();
+    const unknown = scanners.filter(scanner => !available.includes(scanner?.name));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scanner(s). Available: ${available.join(', ')}`,
+      });
+    }
+
+    const names = scanners.map(scanner => scanner.name);
+    if (new Set(names).size !== names.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each scanner may only be configured once',
+      });
+    }
+
+    const tenant = await Tenant.findById(req.user.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    tenant.settings.moderation.scanners = scanners.map(({ name, enabled, threshold, options }) => ({
+      name,
+      enabled,
+      threshold,
+      options,
+    }));
+    tenant.markModified('settings.moderation.scanners');
+
+    await tenant.save();
+
+    res.json({
+      success: true,
+      message: 'Moderation settings updated',
+      data: {
+        moderation: tenant.settings.moderation,
+        availableScanners: available,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Update moderation settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating moderation settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/tenant/settings/registration
+ * @desc    Enable or disable open sign-up and set its default role
+ * @access  Private (ADMIN)
+ *
+ * Body (all optional): { openSignup, defaultRole: 'EDITOR' | 'VIEWER' }
+ * With open sign-up off (default), users can only join through invitations.
+ */
+const updateRegistrationSettings = async (req, res) => {
+  try {
+    const { openSignup, defaultRole } = req.body;
+
+    const tenant = await Tenant.findById(req.user.tenantId);
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    if (openSignup !== undefined) {
+      tenant.settings.registration.openSignup = openSignup === true || openSignup === 'true';
+    }
+
+    if (defaultRole !== undefined) {
+      tenant.settings.registration.defaultRole = defaultRole;
+    }
+
+    await tenant.save();
+
+    res.json({
+      success: true,
+      message: 'Registration settings updated',
+      data: { registration: tenant.settings.registration },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Update registration settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating registration settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/tenant/usage
+ * @desc    Storage used against the quota, broken down by uploader and processing status
+ * @access  Private (ADMIN)
+ *
+ * Counts originals plus derived files (HLS renditions, thumbnails, sprites).
+ */
+const getUsage = async (req, res) => {
+  try {
+    const tenant = await Tenant.findById(req.user.tenantId).select('settings usage');
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    const { byUser, byStatus } = await getUsageBreakdown(req.user.tenantId);
+    const quotaBytes = getQuotaBytes(tenant);
+    const usedBytes = tenant.usage?.storageBytes || 0;
+
+    res.json({
+      success: true,
+      data: {
+        usage: {
+          quotaBytes,
+          usedBytes,
+          availableBytes: Math.max(0, quotaBytes - usedBytes),
+          maxStorageGB: tenant.settings.maxStorageGB,
+          maxVideoSizeMB: tenant.settings.maxVideoSizeMB,
+        },
+        byUser,
+        byStatus,
+      },
+    });
+  } catch (error) {
+    console.error('Get tenant usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching storage usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/tenant/usage/recalculate
+ * @desc    Rebuild storage counters from the files on disk
+ * @access  Private (ADMIN)
+ *
+ * For videos uploaded before usage accounting, or after files were changed by hand.
+ */
+const recalculateTenantUsage = async (req, res) => {
+  try {
+    const usedBytes = await recalculateUsage(req.user.tenantId);
+
+    res.json({
+      success: true,
+      message: 'Storage usage recalculated',
+      data: { usedBytes },
+    });
+  } catch (error) {
+    console.error('Recalculate tenant usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recalculating storage usage',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getSettings,
+  updateTranscodingSettings,
+  updateModerationSettings,
+  updateRegistrationSettings,
+  getUsage,
+  recalculateTenantUsage,
+};
@@ -0,0 +1,184 @@
+const Video = require('../models/Video');
+const Tenant = require('../models/Tenant');
+const {
+  saveCustomThumbnail,
+  getThumbnailPrefix,
+  isCustomThumbnail,
+} = require('../services/thumbnail.service');
+const { hasRoomFor, setVideoStorage } = require('../services/storageUsage.service');
+const {
+  getStorage,
+  toStorageKey,
+  getPrefixSize,
+  sendStoredFile,
+} = require('../services/storage');
+const {
+  videoReadCondition,
+  videoWriteCondition,
+  withAccess,
+  canEditVideo,
+} = require('../services/videoAccess.service');
+
+/**
+ * Thumbnail Controller
+ *
+ * Serves video posters/thumbnails with tenant isolation and lets
+ * editors pick a generated candidate or upload their own poster.
+ */
+
+/**
+ * @route   GET /api/videos/:id/thumbnail
+ * @desc    Get the video's poster image (?candidate=<index> for a generated candidate)
+ * @access  Private (All roles; candidates only to users who can edit the video)
+ */
+const getThumbnail = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { candidate } = req.query;
+
+    const query = {
+      _id: id,
+      tenantId: req.user.tenantId, // Ensure tenant isolation
+    };
+
+    // VIEWER can only see videos visible to them, and only once they passed processing
+    withAccess(query, await videoReadCondition(req.user));
+    if (req.user.role === 'VIEWER') {
+      query.processingStatus = 'COMPLETED';
+    }
+
+    const video = await Video.findOne(query).select('tenantId uploadedBy folder shares thumbnailPath thumbnailCandidates');
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found or access denied',
+      });
+    }
+
+    let thumbnailKey = toStorageKey(video.thumbnailPath);
+
+    if (candidate !== undefined) {
+      if (req.user.role === 'VIEWER' && !(await canEditVideo(req.user, video))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You cannot edit this video',
+        });
+      }
+
+      const entry = video.thumbnailCandidates[parseInt(candidate, 10)];
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thumbnail candidate not found',
+        });
+      }
+      thumbnailKey = `${getThumbnailPrefix(video.tenantId, video._id)}/${entry.filename}`;
+    }
+
+    // ETag/Last-Modified are added by sendStoredFile; the file name changes when the poster does
+    await sendStoredFile(req, res, thumbnailKey, {
+      headers: {
+        'Cache-Control': 'private, max-age=3600',
+      },
+      notFoundMessage: 'Thumbnail not available',
+    });
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching thumbnail',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/videos/:id/thumbnail
+ * @desc    Choose the poster: { candidate: <index> } or multipart "image" upload
+ * @access  Private (ADMIN, EDITOR - EDITOR only for own videos; users with a folder EDITOR grant or an EDIT share)
+ */
+const updateThumbnail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const query = {
+      _id: id,
+      tenantId: req.user.tenantId, // Tenant isolation
+    };
+
+    // EDITOR can only change their own videos, folder grants and shares aside
+    withAccess(query, await videoWriteCondition(req.user));
+
+    const video = await Video.findOne(query);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found or access denied',
+      });
+    }
+
+    const previousPath = video.thumbnailPath;
+
+    if (req.file) {
+      const tenant = await Tenant.findById(req.user.tenantId).select('settings usage');
+      if (!tenant || !hasRoomFor(tenant, req.file.size)) {
+        return res.status(413).json({
+          success: false,
+          message: 'Image would exceed tenant storage quota',
+        });
+      }
+      video.thumbnailPath = await saveCustomThumbnail(video.tenantId, video._id, req.file);
+    } else if (req.body.candidate !== undefined) {
+      const entry = video.thumbnailCandidates[parseInt(req.body.candidate, 10)];
+      if (!entry) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid thumbnail candidate',
+        });
+      }
+      video.thumbnailPath = `${getThumbnailPrefix(video.tenantId, video._id)}/${entry.filename}`;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a candidate index or an image file',
+      });
+    }
+
+    video.thumbnailUpdatedAt = new Date();
+    await video.save();
+
+    // A replaced custom poster is no longer referenced
+    if (isCustomThumbnail(previousPath) && previousPath !== video.thumbnailPath) {
+      await getStorage().delete(toStorageKey(previousPath));
+    }
+
+    await setVideoStorage(
+      video._id,
+      video.tenantId,
+      'thumbnailBytes',
+      await getPrefixSize(getThumbnailPrefix(video.tenantId, video._id))
+    );
+
+    res.json({
+      success: true,
+      message: 'Thumbnail updated',
+      data: {
+        thumbnailUpdatedAt: video.thumbnailUpdatedAt,
+      },
+    });
+  } catch (error) {
+    console.error('Update thumbnail error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating thumbnail',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getThumbnail,
+  updateThumbnail,
+};
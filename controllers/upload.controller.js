@@ -1,8 +1,38 @@
 const Video = require('../models/Video');
 const Tenant = require('../models/Tenant');
+const Playlist = require('../models/Playlist');
 const path = require('path');
 const fs = require('fs');
-const { startProcessing } = require('../services/processing.service');
+const { createUploadedVideo, parseTags } = require('../services/videoIngest.service');
+const { removeHlsOutput } = require('../services/transcoding.service');
+const { removeThumbnails } = require('../services/thumbnail.service');
+const { cancelVideoJobs } = require('../services/jobQueue.service');
+const { getStorage, toStorageKey } = require('../services/storage');
+const {
+  reserveStorage,
+  adjustUsage,
+  getVideoStorageBytes,
+} = require('../services/storageUsage.service');
+const { emitVideoUpdated } = require('../config/socket');
+const { recordAuditEvent, diffFields } = require('../services/audit.service');
+const { dispatchEvent, toVideoPayload } = require('../services/webhook.service');
+const {
+  parseVideoListQuery,
+  buildVideoQuery,
+  toMongoSort,
+  encodeCursor,
+  afterCursor,
+  getVideoFacets,
+} = require('../services/videoSearch.service');
+const {
+  videoReadCondition,
+  videoWriteCondition,
+  videoManageCondition,
+  withAccess,
+  canEditVideo,
+  canManageVideo,
+} = require('../services/videoAccess.service');
+const { findTenantFolder, getBreadcrumbs } = require('../services/folder.service');
 
 /**
  * Upload Video Controller
@@ -11,7 +41,8 @@ const { startProcessing } = require('../services/processing.service');
  * - Tenant isolation (users can only upload to their tenant)
  * - Processing status tracking
  * - Metadata storage
- * - Large file support via multer
+ * - Large file support via multer (staged locally, then moved to the storage backend)
+ * - Storage quota accounting (see storageUsage.service.js)
  */
 
 /**
@@ -23,6 +54,8 @@ const { startProcessing } = require('../services/processing.service');
  * by the authentication middleware
  */
 const uploadVideo = async (req, res) => {
+  let reservedBytes = 0;
+
   try {
     // Check if file was uploaded
     if (!req.file) {
@@ -32,6 +65,15 @@ const uploadVideo = async (req, res) => {
       });
     }
 
+    const folderId = req.body.folderId || null;
+    if (folderId && !(await findTenantFolder(req.user.tenantId, folderId))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: 'Folder not found',
+      });
+    }
+
     // Get tenant settings for validation
     const tenant = await Tenant.findById(req.user.tenantId);
     if (!tenant) {
@@ -54,32 +96,34 @@ const uploadVideo = async (req, res) => {
       });
     }
 
-    // Extract video metadata from request body
-    const { title, description, tags, isPublic } = req.body;
-
-    // Create video document in MongoDB
-    const video = await Video.create({
-      title: title || req.file.originalname,
-      description: description || '',
-      filename: req.file.filename,
-      originalFilename: req.file.originalname,
-      filePath: req.file.path,
-      fileSize: req.file.size,
-      mimeType: req.file.mimetype,
-      processingStatus: 'PENDING', // Will be updated by video processing service
-      tenantId: req.user.tenantId, // Enforced by tenant isolation middleware
-      uploadedBy: req.user.id,
-      tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim())) : [],
-      isPublic: isPublic === 'true' || isPublic === true,
-    });
+    // Count the file against the tenant quota; concurrent uploads cannot overshoot it
+    if (!(await reserveStorage(req.user.tenantId, req.file.size))) {
+      fs.unlinkSync(req.file.path);
+      return res.status(413).json({
+        success: false,
+        message: `Upload would exceed tenant storage quota of ${tenant.settings.maxStorageGB}GB`,
+      });
+    }
+    reservedBytes = req.file.size;
 
-    // Populate references for response
-    await video.populate('uploadedBy', 'firstName lastName email');
-    await video.populate('tenantId', 'name');
+    const video = await createUploadedVideo({
+      user: req.user,
+      file: req.file,
+      fields: req.body,
+      folder: folderId,
+    });
 
-    // Trigger video processing asynchronously (non-blocking)
-    // Processing will update status and emit Socket.io events
-    startProcessing(video._id.toString(), req.user.tenantId);
+    await recordAuditEvent(req, {
+      action: 'VIDEO_UPLOADED',
+      target: { type: 'VIDEO', id: video._id, label: video.title },
+      metadata: {
+        via: 'MULTIPART',
+        originalFilename: video.originalFilename,
+        fileSize: video.fileSize,
+        isPublic: video.isPublic,
+      },
+    });
+    await dispatchEvent(req.user.tenantId, 'video.uploaded', { video: toVideoPayload(video) });
 
     res.status(201).json({
       success: true,
@@ -103,6 +147,9 @@ const uploadVideo = async (req, res) => {
     if (req.file && req.file.path && fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
+    if (reservedBytes) {
+      await adjustUsage(req.user.tenantId, -reservedBytes).catch(() => {});
+    }
 
     console.error('Upload error:', error);
     res.status(500).json({
@@ -113,63 +160,90 @@ const uploadVideo = async (req, res) => {
   }
 };
 
+const MAX_PAGE_SIZE = 100;
+
 /**
  * @route   GET /api/videos
  * @desc    Get all videos for the authenticated user's tenant
  * @access  Private (All roles)
+ *
+ * Query: search (full text over title, tags, description and transcript),
+ *        status and tag (comma-separated), tagMatch (any | all),
+ *        uploadedBy (user id), uploadedWithin (24h | 7d | 30d | 365d),
+ *        uploadedFrom, uploadedTo (ISO dates), minDuration, maxDuration (seconds),
+ *        resolution (sd | hd | fhd | uhd, comma-separated), visibility (public | private),
+ *        sort (relevance | createdAt | views | duration | title | size), order (asc | desc),
+ *        facets=true to include facet counts,
+ *        limit (max 100) and either page or cursor (pagination.nextCursor of the previous page)
  */
 const getVideos = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, search } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build query - tenantId is automatically filtered by tenantIsolation middleware
-    const query = {
-      tenantId: req.user.tenantId,
-    };
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
 
-    // Filter by processing status if provided
-    if (status && ['PENDING', 'PROCESSING', 'COMPLETED', 'FLAGGED'].includes(status)) {
-      query.processingStatus = status;
+    const { search, filters, sort, cursor, error } = parseVideoListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
     }
 
-    // Search by title or description
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-      ];
+    // Tenant isolation, role-based visibility and folder grants are always part of the query
+    const query = await buildVideoQuery(req.user, search, filters);
+
+    // A cursor replaces page: keyset condition, or an offset for relevance
+    let skip = (page - 1) * limit;
+    let pageQuery = query;
+    if (cursor) {
+      skip = cursor.offset || 0;
+      if (cursor.id) {
+        pageQuery = { ...query, $and: [...(query.$and || []), afterCursor(sort, cursor)] };
+      }
     }
 
-    // Role-based filtering
-    // VIEWER can only see public videos or videos they uploaded
-    if (req.user.role === 'VIEWER') {
-      query.$or = [
-        { isPublic: true },
-        { uploadedBy: req.user.id },
-      ];
+    let videosQuery = Video.find(pageQuery);
+    if (search) {
+      videosQuery = videosQuery.select({ score: { $meta: 'textScore' } });
     }
 
-    const videos = await Video.find(query)
+    // One extra video tells whether there is a next page
+    const videos = await videosQuery
+      .sort(toMongoSort(sort))
       .populate('uploadedBy', 'firstName lastName email')
-      .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(parseInt(limit))
-      .select('-filePath'); // Don't expose file paths
+      .limit(limit + 1)
+      .select('-filePath -thumbnailPath -shares'); // Don't expose file paths or share lists
+
+    const hasMore = videos.length > limit;
+    if (hasMore) {
+      videos.pop();
+    }
 
     const total = await Video.countDocuments(query);
 
-    res.json({
-      success: true,
-      data: {
-        videos,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+    const nextCursor = hasMore ? encodeCursor(sort, videos[videos.length - 1], skip + limit) : null;
+
+    const data = {
+      videos,
+      pagination: cursor
+        ? { limit, total, nextCursor }
+        : {
+          page,
+          limit,
           total,
-          pages: Math.ceil(total / parseInt(limit)),
+          pages: Math.ceil(total / limit),
+          nextCursor,
         },
-      },
+    };
+
+    if (req.query.facets === 'true') {
+      data.facets = await getVideoFacets(req.user, search, filters);
+    }
+
+    res.json({
+      success: true,
+      data,
     });
   } catch (error) {
     console.error('Get videos error:', error);
@@ -195,13 +269,8 @@ const getVideoById = async (req, res) => {
       tenantId: req.user.tenantId, // Ensure tenant isolation
     };
 
-    // Role-based access
-    if (req.user.role === 'VIEWER') {
-      query.$or = [
-        { isPublic: true },
-        { uploadedBy: req.user.id },
-      ];
-    }
+    // Role-based access, folder grants and shares
+    withAccess(query, await videoReadCondition(req.user));
 
     const video = await Video.findOne(query)
       .populate('uploadedBy', 'firstName lastName email')
@@ -218,9 +287,18 @@ const getVideoById = async (req, res) => {
     video.views += 1;
     await video.save();
 
+    // Shares are listed by GET /api/videos/:id/shares, to the video's managers only
+    const videoData = video.toJSON();
+    delete videoData.shares;
+
     res.json({
       success: true,
-      data: { video },
+      data: {
+        video: videoData,
+        canEdit: await canEditVideo(req.user, video),
+        canManage: await canManageVideo(req.user, video),
+        breadcrumbs: await getBreadcrumbs(req.user.tenantId, video.folder),
+      },
     });
   } catch (error) {
     console.error('Get video error:', error);
@@ -242,7 +320,7 @@ const updateProcessingStatus = async (req, res) => {
     const { id } = req.params;
     const { processingStatus, processingError } = req.body;
 
-    if (!['PENDING', 'PROCESSING', 'COMPLETED', 'FLAGGED'].includes(processingStatus)) {
+    if (!['PENDING', 'PROCESSING', 'COMPLETED', 'FLAGGED', 'FAILED'].includes(processingStatus)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid processing status',
@@ -261,6 +339,30 @@ const updateProcessingStatus = async (req, res) => {
       });
     }
 
+    // Flagged videos under review leave FLAGGED through a recorded decision only
+    if (
+      video.processingStatus === 'FLAGGED' &&
+      processingStatus !== 'FLAGGED' &&
+      ['PENDING_REVIEW', 'ESCALATED'].includes(video.review?.status)
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: 'Video is awaiting moderation review. Use POST /api/moderation/:id/decision',
+      });
+    }
+
+    const before = {
+      processingStatus: video.processingStatus,
+      processingError: video.processingError,
+      reviewStatus: video.review?.status,
+    };
+
+    // Manually flagged videos enter the review queue
+    if (processingStatus === 'FLAGGED' && video.processingStatus !== 'FLAGGED') {
+      video.review.status = 'PENDING_REVIEW';
+      video.review.queuedAt = new Date();
+    }
+
     video.processingStatus = processingStatus;
     if (processingError) {
       video.processingError = processingError;
@@ -268,6 +370,29 @@ const updateProcessingStatus = async (req, res) => {
 
     await video.save();
 
+    await recordAuditEvent(req, {
+      action: 'VIDEO_STATUS_CHANGED',
+      target: { type: 'VIDEO', id: video._id, label: video.title },
+      changes: diffFields(before, {
+        processingStatus: video.processingStatus,
+        processingError: video.processingError,
+        reviewStatus: video.review?.status,
+      }, ['processingStatus', 'processingError', 'reviewStatus']),
+    });
+
+    if (before.processingStatus !== video.processingStatus) {
+      await dispatchEvent(req.user.tenantId, 'video.status_changed', {
+        video: toVideoPayload(video),
+        previousStatus: before.processingStatus,
+      });
+      if (video.processingStatus === 'FLAGGED') {
+        await dispatchEvent(req.user.tenantId, 'video.flagged', {
+          video: toVideoPayload(video),
+          reason: video.processingError || null,
+        });
+      }
+    }
+
     res.json({
       success: true,
       message: 'Processing status updated',
@@ -283,10 +408,195 @@ const updateProcessingStatus = async (req, res) => {
   }
 };
 
+// Limits for editable metadata
+const METADATA_LIMITS = {
+  titleLength: 200,
+  descriptionLength: 5000,
+  tagCount: 20,
+  tagLength: 50,
+  transcriptLength: 100000,
+};
+
+/**
+ * Validate and normalize a metadata update
+ * @param {object} body - Request body
+ * @returns {{changes: object, error: string|null}} Only the fields present in the body
+ */
+const parseMetadataUpdate = (body) => {
+  const changes = {};
+  const { title, description, tags, isPublic, transcript } = body;
+
+  if (title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return { changes, error: 'Title must be a non-empty string' };
+    }
+    if (title.trim().length > METADATA_LIMITS.titleLength) {
+      return { changes, error: `Title must be at most ${METADATA_LIMITS.titleLength} characters` };
+    }
+    changes.title = title.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { changes, error: 'Description must be a string' };
+    }
+    if (description && description.trim().length > METADATA_LIMITS.descriptionLength) {
+      return { changes, error: `Description must be at most ${METADATA_LIMITS.descriptionLength} characters` };
+    }
+    changes.description = description ? description.trim() : '';
+  }
+
+  if (tags !== undefined) {
+    if (tags !== null && typeof tags !== 'string' && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+      return { changes, error: 'Tags must be an array of strings or a comma-separated string' };
+    }
+    const parsed = [...new Set(parseTags(tags).map(tag => tag.trim()).filter(Boolean))];
+    if (parsed.length > METADATA_LIMITS.tagCount) {
+      return { changes, error: `At most ${METADATA_LIMITS.tagCount} tags are allowed` };
+    }
+    if (parsed.some(tag => tag.length > METADATA_LIMITS.tagLength)) {
+      return { changes, error: `Tags must be at most ${METADATA_LIMITS.tagLength} characters` };
+    }
+    changes.tags = parsed;
+  }
+
+  if (isPublic !== undefined) {
+    if (typeof isPublic !== 'boolean') {
+      return { changes, error: 'isPublic must be true or false' };
+    }
+    changes.isPublic = isPublic;
+  }
+
+  if (transcript !== undefined) {
+    if (transcript !== null && typeof transcript !== 'string') {
+      return { changes, error: 'Transcript must be a string' };
+    }
+    if (transcript && transcript.trim().length > METADATA_LIMITS.transcriptLength) {
+      return { changes, error: `Transcript must be at most ${METADATA_LIMITS.transcriptLength} characters` };
+    }
+    changes.transcript = transcript ? transcript.trim() : '';
+  }
+
+  return { changes, error: null };
+};
+
+/**
+ * @route   PATCH /api/videos/:id
+ * @desc    Edit a video's title, description, tags, visibility and transcript
+ * @access  Private (ADMIN, EDITOR, users with a folder EDITOR grant or an EDIT share)
+ *
+ * Body (all optional): { title, description, tags, isPublic, transcript }
+ * EDITOR can only edit their own videos (same rule as delete), unless a folder
+ * EDITOR grant or an EDIT share covers the video; these also let VIEWERs edit.
+ * Visibility (isPublic) is changed by the video's managers only, like its shares.
+ * The transcript is only used for search: it is not returned, audited as
+ * text or broadcast to clients.
+ */
+const updateVideo = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { changes, error } = parseMetadataUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Editable fields: title, description, tags, isPublic, transcript',
+      });
+    }
+
+    const query = {
+      _id: id,
+      tenantId: req.user.tenantId, // Tenant isolation
+    };
+
+    // EDITOR can only edit their own videos, folder grants and shares aside
+    withAccess(query, await videoWriteCondition(req.user));
+
+    const video = await Video.findOne(query);
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found or access denied',
+      });
+    }
+
+    if (changes.isPublic !== undefined && !(await canManageVideo(req.user, video))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Only the video\'s managers can change its visibility',
+      });
+    }
+
+    const { transcript, ...visibleChanges } = changes;
+    const fields = Object.keys(visibleChanges);
+    const before = video.toObject();
+
+    video.set(changes);
+    await video.save();
+
+    await recordAuditEvent(req, {
+      action: 'VIDEO_UPDATED',
+      target: { type: 'VIDEO', id: video._id, label: video.title },
+      changes: diffFields(before, video.toObject(), fields),
+      metadata: transcript !== undefined ? { transcriptUpdated: true } : undefined,
+    });
+
+    // A transcript-only edit changes nothing clients display
+    if (fields.length > 0) {
+      await dispatchEvent(req.user.tenantId, 'video.updated', {
+        video: toVideoPayload(video),
+        changes: visibleChanges,
+      });
+
+      emitVideoUpdated(video, visibleChanges, {
+        id: req.user.id,
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Video updated successfully',
+      data: {
+        video: {
+          id: video._id,
+          title: video.title,
+          description: video.description,
+          tags: video.tags,
+          isPublic: video.isPublic,
+          updatedAt: video.updatedAt,
+        },
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Video not found or access denied',
+      });
+    }
+
+    console.error('Update video error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating video',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * @route   DELETE /api/videos/:id
  * @desc    Delete a video (ADMIN, EDITOR)
- * @access  Private (ADMIN, EDITOR)
+ * @access  Private (ADMIN, EDITOR, users with a folder EDITOR grant; shares do not allow deleting)
  */
 const deleteVideo = async (req, res) => {
   try {
@@ -297,10 +607,8 @@ const deleteVideo = async (req, res) => {
       tenantId: req.user.tenantId, // Tenant isolation
     };
 
-    // EDITOR can only delete their own videos
-    if (req.user.role === 'EDITOR') {
-      query.uploadedBy = req.user.id;
-    }
+    // EDITOR can only delete their own videos, folder grants aside
+    withAccess(query, await videoManageCondition(req.user));
 
     const video = await Video.findOne(query);
 
@@ -311,18 +619,49 @@ const deleteVideo = async (req, res) => {
       });
     }
 
-    // Delete physical file
-    if (fs.existsSync(video.filePath)) {
-      fs.unlinkSync(video.filePath);
-    }
+    // Stop processing first, so the worker stores nothing once the files are gone
+    await cancelVideoJobs(video._id);
+
+    // Delete the original from storage
+    const storage = getStorage();
+    await storage.delete(toStorageKey(video.filePath));
 
     // Delete thumbnail if exists
-    if (video.thumbnailPath && fs.existsSync(video.thumbnailPath)) {
-      fs.unlinkSync(video.thumbnailPath);
+    if (video.thumbnailPath) {
+      await storage.delete(toStorageKey(video.thumbnailPath));
     }
 
-    // Delete from database
-    await Video.deleteOne({ _id: id });
+    // Delete HLS renditions and generated thumbnails
+    await removeHlsOutput(video.tenantId, video._id);
+    await removeThumbnails(video.tenantId, video._id);
+
+    // Delete from database; release the bytes the video accounted for at deletion time
+    const deleted = await Video.findOneAndDelete({ _id: id });
+    if (deleted) {
+      await adjustUsage(req.user.tenantId, -getVideoStorageBytes(deleted));
+
+      // Take the video out of every playlist (covers fall back to the default)
+      await Playlist.updateMany(
+        { tenantId: deleted.tenantId, 'items.video': deleted._id },
+        { $pull: { items: { video: deleted._id } } }
+      );
+      await Playlist.updateMany(
+        { tenantId: deleted.tenantId, coverVideo: deleted._id },
+        { $unset: { coverVideo: 1 } }
+      );
+
+      await recordAuditEvent(req, {
+        action: 'VIDEO_DELETED',
+        target: { type: 'VIDEO', id: deleted._id, label: deleted.title },
+        metadata: {
+          originalFilename: deleted.originalFilename,
+          fileSize: deleted.fileSize,
+          uploadedBy: deleted.uploadedBy,
+          processingStatus: deleted.processingStatus,
+        },
+      });
+      await dispatchEvent(req.user.tenantId, 'video.deleted', { video: toVideoPayload(deleted) });
+    }
 
     res.json({
       success: true,
@@ -343,6 +682,7 @@ module.exports = {
   getVideos,
   getVideoById,
   updateProcessingStatus,
+  updateVideo,
   deleteVideo,
 };
 
@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { revokeUserSessions } = require('../services/authToken.service');
+const { createPasswordReset } = require('../services/passwordReset.service');
+const { disconnectUser, applyUserRole } = require('../config/socket');
+const { recordAuditEvent, diffFields } = require('../services/audit.service');
+
+/**
+ * User Controller
+ *
+ * Tenant user management for ADMINs: list/search, profile edits, role changes,
+ * activation and password resets. Every query is scoped to the ADMIN's tenant,
+ * and a tenant always keeps at least one active ADMIN.
+ */
+
+const ROLES = ['ADMIN', 'EDITOR', 'VIEWER'];
+
+const formatUser = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a user of the ADMIN's tenant
+ * @param {object} req - Express request (params.id)
+ * @returns {Promise<object|null>} User document
+ */
+const findTenantUser = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return User.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId, // Tenant isolation
+  });
+};
+
+/**
+ * Apply a change that may take an ADMIN away, keeping at least one active ADMIN
+ * The change is made first and rolled back if no active ADMIN is left, so two
+ * ADMINs demoting each other at the same time cannot both succeed.
+ * @param {object} user - User document being changed
+ * @param {object} update - Fields to set
+ * @returns {Promise<object|null>} Updated user, or null if it was rolled back
+ */
+const updateKeepingAnAdmin = async (user, update) => {
+  const previous = { role: user.role, isActive: user.isActive };
+  const updated = await User.findByIdAndUpdate(user._id, { $set: update }, { new: true, runValidators: true });
+
+  const wasActiveAdmin = previous.role === 'ADMIN' && previous.isActive;
+  if (!wasActiveAdmin || (updated.role === 'ADMIN' && updated.isActive)) {
+    return updated;
+  }
+
+  const activeAdmins = await User.countDocuments({
+    tenantId: user.tenantId,
+    role: 'ADMIN',
+    isActive: true,
+  });
+  if (activeAdmins > 0) {
+    return updated;
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: previous });
+  return null;
+};
+
+/**
+ * @route   GET /api/users
+ * @desc    List the tenant's users
+ * @access  Private (ADMIN)
+ *
+ * Query: search (name or email), role, isActive (true/false), page, limit
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, isActive, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { tenantId: req.user.tenantId };
+
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${ROLES.join(', ')}`,
+        });
+      }
+      query.role = role;
+    }
+
+    if (isActive === 'true' || isActive === 'false') {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search.trim()), $options: 'i' };
+      query.$or = [
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+      ];
+    }
+
+    const users = await User.find(query)
+      .sort({ lastName: 1, firstName: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(formatUser),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/users/:id
+ * @desc    Get one user of the tenant
+ * @access  Private (ADMIN)
+ */
+const getUserById = async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user: formatUser(user) },
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Edit a user's name
+ * @access  Private (ADMIN)
+ *
+ * Body (all optional): { firstName, lastName }
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { firstName, lastName } = req.body;
+
+    const user = await findTenantUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (firstName !== undefined) user.firstName = firstName;
+    if (lastName !== undefined) user.lastName = lastName;
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User updated',
+      data: { user: formatUser(user) },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (ADMIN)
+ *
+ * Body: { role: 'ADMIN' | 'EDITOR' | 'VIEWER' }
+ * The last active ADMIN cannot be demoted.
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    const user = await findTenantUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const updated = await updateKeepingAnAdmin(user, { role });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot demote the last active ADMIN of the tenant',
+      });
+    }
+
+    // Open sockets gain or lose access to private video events right away
+    applyUserRole(updated._id.toString(), updated.role);
+
+    await recordAuditEvent(req, {
+      action: 'USER_ROLE_CHANGED',
+      target: { type: 'USER', id: updated._id, label: updated.email },
+      changes: diffFields(user, updated, ['role']),
+    });
+
+    console.log(`[Users] ${req.user.email} changed role of ${updated.email}: ${user.role} -> ${updated.role}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { user: formatUser(updated) },
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/users/:id/status
+ * @desc    Activate or deactivate a user
+ * @access  Private (ADMIN)
+ *
+ * Body: { isActive }
+ * Deactivation signs the user out everywhere. ADMINs cannot deactivate
+ * themselves, and the last active ADMIN cannot be deactivated.
+ */
+const updateUserStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isActive must be true or false',
+      });
+    }
+
+    const user = await findTenantUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (!isActive && user._id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account',
+      });
+    }
+
+    const updated = await updateKeepingAnAdmin(user, { isActive });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot deactivate the last active ADMIN of the tenant',
+      });
+    }
+
+    if (!isActive) {
+      await revokeUserSessions(updated._id, 'USER_INACTIVE');
+      disconnectUser(updated._id.toString());
+    }
+
+    await recordAuditEvent(req, {
+      action: 'USER_STATUS_CHANGED',
+      target: { type: 'USER', id: updated._id, label: updated.email },
+      changes: diffFields(user, updated, ['isActive']),
+    });
+
+    console.log(`[Users] ${req.user.email} ${isActive ? 'activated' : 'deactivated'} ${updated.email}`);
+
+    res.json({
+      success: true,
+      message: isActive ? 'User activated' : 'User deactivated',
+      data: { user: formatUser(updated) },
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/users/:id/password-reset
+ * @desc    Create a password reset link for a user
+ * @access  Private (ADMIN)
+ *
+ * Returns the reset link once; send the link to the user.
+ * The current password keeps working until the reset is completed.
+ * Other ADMINs' passwords cannot be reset this way: the link would let one
+ * ADMIN sign in as another.
+ */
+const triggerPasswordReset = async (req, res) => {
+  try {
+    const user = await findTenantUser(req);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'ADMIN' && user._id.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. ADMINs cannot reset another ADMIN\'s password',
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activate the user before resetting their password',
+      });
+    }
+
+    const { resetUrl, expiresAt } = await createPasswordReset(user, req.user.id);
+
+    await recordAuditEvent(req, {
+      action: 'USER_PASSWORD_RESET_REQUESTED',
+      target: { type: 'USER', id: user._id, label: user.email },
+      metadata: { expiresAt },
+    });
+
+    console.log(`[Users] ${req.user.email} triggered a password reset for ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Password reset link created',
+      data: { resetUrl, expiresAt },
+    });
+  } catch (error) {
+    console.error('Trigger password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUser,
+  updateUserRole,
+  updateUserStatus,
+  triggerPasswordReset,
+};
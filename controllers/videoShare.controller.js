@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const { emitVideoAccessChanged } = require('../config/socket');
+const { recordAuditEvent } = require('../services/audit.service');
+const { videoManageCondition, withAccess } = require('../services/videoAccess.service');
+
+/**
+ * Video Share Controller
+ * Share a video with users and groups of the tenant, beyond isPublic
+ */
+
+const MAX_SHARES = 100;
+const SHARE_PERMISSIONS = Video.schema.path('shares').schema.path('permission').enumValues;
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Video not found or access denied',
+});
+
+/**
+ * Load a video the user may share
+ * @param {object} user - req.user
+ * @param {string} videoId - Video ID
+ * @returns {Promise<object|null>} Video document, null if missing or not managed by the user
+ */
+const findManagedVideo = async (user, videoId) => {
+  if (!mongoose.Types.ObjectId.isValid(videoId)) {
+    return null;
+  }
+  const query = withAccess(
+    { _id: videoId, tenantId: user.tenantId }, // Tenant isolation
+    await videoManageCondition(user)
+  );
+  return Video.findOne(query);
+};
+
+/**
+ * Parse the share list of PUT /api/videos/:id/shares
+ * @param {*} shares - Raw body value
+ * @returns {object} { shares: [{ user?, group?, permission }] } or { error }
+ */
+const parseShares = (shares) => {
+  if (!Array.isArray(shares) || shares.length > MAX_SHARES) {
+    return { error: `shares must be an array of at most ${MAX_SHARES} entries` };
+  }
+
+  const parsed = [];
+  const seen = new Set();
+  for (const share of shares) {
+    const { userId, groupId, permission } = share || {};
+    if (!!userId === !!groupId) {
+      return { error: 'Each share needs either a userId or a groupId' };
+    }
+    const id = userId || groupId;
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) {
+      return { error: 'shares contains an invalid id' };
+    }
+    if (!SHARE_PERMISSIONS.includes(permission)) {
+      return { error: `Invalid permission. Allowed: ${SHARE_PERMISSIONS.join(', ')}` };
+    }
+
+    const key = `${userId ? 'user' : 'group'}_${id}`;
+    if (seen.has(key)) {
+      return { error: 'A user or group can only be listed once' };
+    }
+    seen.add(key);
+    parsed.push(userId ? { user: id, permission } : { group: id, permission });
+  }
+
+  return { shares: parsed };
+};
+
+/**
+ * Shares with their users and groups, for responses
+ * Users and groups deleted since are skipped.
+ * @param {object} video - Video document
+ * @returns {Promise<object[]>}
+ */
+const formatShares = async (video) => {
+  await video.populate([
+    { path: 'shares.user', select: 'firstName lastName email role' },
+    { path: 'shares.group', select: 'name members' },
+  ]);
+
+  return video.shares
+    .filter((share) => share.user || share.group)
+    .map((share) => ({
+      type: share.user ? 'USER' : 'GROUP',
+      user: share.user ? {
+        id: share.user._id,
+        email: share.user.email,
+        firstName: share.user.firstName,
+        lastName: share.user.lastName,
+        role: share.user.role,
+      } : undefined,
+      group: share.group ? {
+        id: share.group._id,
+        name: share.group.name,
+        memberCount: share.group.members.length,
+      } : undefined,
+      permission: share.permission,
+      sharedAt: share.sharedAt,
+    }));
+};
+
+const summarizeShares = (shares) =>
+  shares.map((share) => `${share.user ? `user:${share.user}` : `group:${share.group}`}:${share.permission}`);
+
+/**
+ * @route   GET /api/videos/:id/shares
+ * @desc    List who a video is shared with
+ * @access  Private (ADMIN, EDITOR (own videos), users with a folder EDITOR grant)
+ */
+const getVideoShares = async (req, res) => {
+  try {
+    const video = await findManagedVideo(req.user, req.params.id);
+    if (!video) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        shares: await formatShares(video),
+      },
+    });
+  } catch (error) {
+    console.error('Get video shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching video shares',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PUT /api/videos/:id/shares
+ * @desc    Replace a video's share list
+ * @access  Private (ADMIN, EDITOR (own videos), users with a folder EDITOR grant)
+ *
+ * Body: { shares: [{ userId | groupId, permission: 'VIEW' | 'EDIT' }] } - at most 100
+ * VIEW lets the user (or every member of the group) see and play the video,
+ * EDIT also lets them edit its details and poster.
+ */
+const updateVideoShares = async (req, res) => {
+  try {
+    const { shares, error } = parseShares(req.body.shares);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const video = await findManagedVideo(req.user, req.params.id);
+    if (!video) {
+      return notFound(res);
+    }
+
+    const userIds = shares.filter((share) => share.user).map((share) => share.user);
+    const groupIds = shares.filter((share) => share.group).map((share) => share.group);
+    const [userCount, groupCount] = await Promise.all([
+      User.countDocuments({ _id: { $in: userIds }, tenantId: req.user.tenantId }),
+      Group.countDocuments({ _id: { $in: groupIds }, tenantId: req.user.tenantId }),
+    ]);
+    if (userCount !== userIds.length || groupCount !== groupIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more users or groups not found',
+      });
+    }
+
+    const previous = video.shares.map((share) => share.toObject());
+    // Unchanged shares keep who shared them and when
+    video.shares = shares.map((share) => previous.find((entry) =>
+      (share.user ? entry.user?.toString() === share.user : entry.group?.toString() === share.group)
+        && entry.permission === share.permission
+    ) || { ...share, sharedBy: req.user.id });
+    await video.save();
+
+    await recordAuditEvent(req, {
+      action: 'VIDEO_SHARES_CHANGED',
+      target: { type: 'VIDEO', id: video._id, label: video.title },
+      changes: { shares: { from: summarizeShares(previous), to: summarizeShares(video.shares) } },
+    });
+
+    emitVideoAccessChanged(video, previous);
+
+    console.log(`[Video] ${req.user.email} shared "${video.title}" with ${shares.length} user(s)/group(s) (Video: ${video._id})`);
+
+    res.json({
+      success: true,
+      message: 'Video shares updated successfully',
+      data: {
+        shares: await formatShares(video),
+      },
+    });
+  } catch (error) {
+    console.error('Update video shares error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating video shares',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getVideoShares,
+  updateVideoShares,
+};
@@ -0,0 +1,574 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  validateWebhookUrl,
+  sendTestEvent,
+  redeliver,
+} = require('../services/webhook.service');
+
+/**
+ * Webhook Controller
+ *
+ * Tenant ADMINs register endpoints for video lifecycle events, inspect the
+ * delivery log, re-send deliveries and send test events.
+ */
+
+const MAX_WEBHOOKS_PER_TENANT = parseInt(process.env.WEBHOOK_MAX_PER_TENANT, 10) || 10;
+const DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+const formatWebhook = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  description: webhook.description,
+  events: webhook.events,
+  isActive: webhook.isActive,
+  createdBy: webhook.createdBy,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  lastDeliveryStatus: webhook.lastDeliveryStatus,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+const formatDelivery = (delivery, { includePayload = false } = {}) => ({
+  id: delivery._id,
+  webhookId: delivery.webhookId,
+  eventId: delivery.eventId,
+  event: delivery.event,
+  isTest: delivery.isTest,
+  status: delivery.status,
+  attemptCount: delivery.attempts.length,
+  maxAttempts: delivery.maxAttempts,
+  nextAttemptAt: delivery.status === 'PENDING' ? delivery.nextAttemptAt : null,
+  deliveredAt: delivery.deliveredAt,
+  lastError: delivery.lastError,
+  // Listed field by field: response bodies stored by older versions are not returned
+  attempts: delivery.attempts.map(({ attemptedAt, statusCode, durationMs, error }) => ({
+    attemptedAt,
+    statusCode,
+    durationMs,
+    error,
+  })),
+  payload: includePayload ? JSON.parse(delivery.payload) : undefined,
+  createdAt: delivery.createdAt,
+});
+
+/**
+ * Find a webhook of the ADMIN's tenant
+ * @param {object} req - Express request (params.id)
+ * @returns {Promise<object|null>} Webhook document
+ */
+const findTenantWebhook = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return Webhook.findOne({
+    _id: req.params.id,
+    tenantId: req.user.tenantId, // Tenant isolation
+  });
+};
+
+/**
+ * Validate the event list of a create/update request
+ * @param {*} events - Request value
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown event: ${unknown.join(', ')}. Use: ${WEBHOOK_EVENTS.join(', ')}`;
+  }
+  return null;
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: Object.values(error.errors).map(err => err.message).join(', '),
+});
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List the events endpoints can subscribe to
+ * @access  Private (ADMIN)
+ */
+const getWebhookEvents = (req, res) => {
+  res.json({
+    success: true,
+    data: { events: WEBHOOK_EVENTS },
+  });
+};
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook endpoint
+ * @access  Private (ADMIN)
+ *
+ * Body: { url, events: [...], description }
+ * Returns the signing secret once; store it to verify X-Webhook-Signature.
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const urlError = typeof url === 'string' ? await validateWebhookUrl(url.trim()) : 'URL is required';
+    const eventsError = validateEvents(events);
+    if (urlError || eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError || eventsError,
+      });
+    }
+
+    const count = await Webhook.countDocuments({ tenantId: req.user.tenantId });
+    if (count >= MAX_WEBHOOKS_PER_TENANT) {
+      return res.status(409).json({
+        success: false,
+        message: `A tenant can register at most ${MAX_WEBHOOKS_PER_TENANT} webhooks`,
+      });
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      tenantId: req.user.tenantId,
+      url: url.trim(),
+      description,
+      events: [...new Set(events)],
+      secret,
+      createdBy: req.user.id,
+    });
+
+    console.log(`[Webhooks] ${req.user.email} registered ${webhook.url} for ${webhook.events.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created',
+      data: {
+        webhook: formatWebhook(webhook),
+        secret,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List the tenant's webhook endpoints
+ * @access  Private (ADMIN)
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ tenantId: req.user.tenantId }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { webhooks: webhooks.map(formatWebhook) },
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get one webhook endpoint
+ * @access  Private (ADMIN)
+ */
+const getWebhookById = async (req, res) => {
+  try {
+    const webhook = await findTenantWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { webhook: formatWebhook(webhook) },
+    });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   PATCH /api/webhooks/:id
+ * @desc    Update a webhook endpoint
+ * @access  Private (ADMIN)
+ *
+ * Body (all optional): { url, events, description, isActive }
+ * Disabling an endpoint stops its pending deliveries.
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const webhook = await findTenantWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    if (url !== undefined) {
+      const urlError = typeof url === 'string' ? await validateWebhookUrl(url.trim()) : 'URL is not valid';
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          message: urlError,
+        });
+      }
+      webhook.url = url.trim();
+    }
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({
+          success: false,
+          message: eventsError,
+        });
+      }
+      webhook.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'isActive must be true or false',
+        });
+      }
+      webhook.isActive = isActive;
+    }
+
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      data: { webhook: formatWebhook(webhook) },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace a webhook's signing secret
+ * @access  Private (ADMIN)
+ *
+ * Returns the new secret once. Deliveries are signed with it from now on,
+ * including retries of earlier events.
+ */
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findTenantWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    const secret = generateSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    console.log(`[Webhooks] ${req.user.email} rotated the secret of ${webhook.url}`);
+
+    res.json({
+      success: true,
+      message: 'Secret rotated',
+      data: {
+        webhook: formatWebhook(webhook),
+        secret,
+      },
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating secret',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook endpoint and its delivery log
+ * @access  Private (ADMIN)
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findTenantWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    console.log(`[Webhooks] ${req.user.email} deleted ${webhook.url}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted',
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/webhooks/:id/test
+ * @desc    Send a test event to a webhook endpoint
+ * @access  Private (ADMIN)
+ *
+ * Sends a signed "webhook.test" event right away (one attempt, no retries)
+ * and returns the delivery with the endpoint's response. Works for
+ * disabled endpoints too.
+ */
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findTenantWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook, req.user);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'SUCCEEDED'
+        ? 'Test event delivered'
+        : `Test event failed: ${delivery.lastError}`,
+      data: { delivery: formatDelivery(delivery, { includePayload: true }) },
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending test event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log of a webhook endpoint (newest first)
+ * @access  Private (ADMIN)
+ *
+ * Query: status (PENDING, SUCCEEDED, FAILED), event, page, limit
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const webhook = await findTenantWebhook(req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    const query = {
+      tenantId: req.user.tenantId,
+      webhookId: webhook._id,
+    };
+
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+        });
+      }
+      query.status = status;
+    }
+
+    if (event) {
+      query.event = event;
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map((delivery) => formatDelivery(delivery)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   GET /api/webhooks/deliveries/:deliveryId
+ * @desc    Get one delivery with its payload and attempts
+ * @access  Private (ADMIN)
+ */
+const getWebhookDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    const delivery = mongoose.Types.ObjectId.isValid(deliveryId)
+      ? await WebhookDelivery.findOne({ _id: deliveryId, tenantId: req.user.tenantId })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { delivery: formatDelivery(delivery, { includePayload: true }) },
+    });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @desc    Send a succeeded or failed delivery again
+ * @access  Private (ADMIN)
+ *
+ * The event keeps its ID and payload; it is queued with a fresh set of attempts.
+ */
+const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    const delivery = await redeliver(deliveryId, req.user.tenantId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found or still pending',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery queued',
+      data: { delivery: formatDelivery(delivery) },
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getWebhookEvents,
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery,
+};
@@ -3,6 +3,14 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom'
 import Dashboard from './components/Dashboard'
 import VideoPlayer from './components/VideoPlayer'
 import Login from './components/Login'
+import AcceptInvite from './components/AcceptInvite'
+import ResetPassword from './components/ResetPassword'
+import UserManagement from './components/UserManagement'
+import GroupManagement from './components/GroupManagement'
+import ModerationQueue from './components/ModerationQueue'
+import Playlists from './components/Playlists'
+import PlaylistPage from './components/PlaylistPage'
+import api from './utils/api'
 import { getToken, setToken, removeToken } from './utils/auth'
 
 function App() {
@@ -20,7 +28,13 @@ function App() {
     setIsAuthenticated(true)
   }
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      // Revoke the session server-side, not just locally
+      await api.post('/auth/logout')
+    } catch (error) {
+      console.error('Logout request failed:', error)
+    }
     removeToken()
     setIsAuthenticated(false)
   }
@@ -46,6 +60,17 @@ function App() {
             )
           }
         />
+        <Route
+          path="/accept-invite"
+          element={
+            isAuthenticated ? (
+              <Navigate to="/" replace />
+            ) : (
+              <AcceptInvite onLogin={handleLogin} />
+            )
+          }
+        />
+        <Route path="/reset-password" element={<ResetPassword />} />
         <Route
           path="/"
           element={
@@ -66,6 +91,56 @@ function App() {
             )
           }
         />
+        <Route
+          path="/playlists"
+          element={
+            isAuthenticated ? (
+              <Playlists />
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          }
+        />
+        <Route
+          path="/playlist/:id"
+          element={
+            isAuthenticated ? (
+              <PlaylistPage />
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          }
+        />
+        <Route
+          path="/moderation"
+          element={
+            isAuthenticated ? (
+              <ModerationQueue />
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          }
+        />
+        <Route
+          path="/users"
+          element={
+            isAuthenticated ? (
+              <UserManagement />
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          }
+        />
+        <Route
+          path="/groups"
+          element={
+            isAuthenticated ? (
+              <GroupManagement />
+            ) : (
+              <Navigate to="/login" replace />
+            )
+          }
+        />
       </Routes>
     </BrowserRouter>
   )
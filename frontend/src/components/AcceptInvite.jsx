@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
+import api from '../utils/api'
+import { setUser, setRefreshToken } from '../utils/auth'
+
+const inputClass =
+  'appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm'
+
+function AcceptInvite({ onLogin }) {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [invitation, setInvitation] = useState(null)
+  const [checking, setChecking] = useState(true)
+  const [firstName, setFirstName] = useState('')
+  const [lastName, setLastName] = useState('')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!token) {
+      setError('This invitation link is incomplete.')
+      setChecking(false)
+      return
+    }
+
+    api
+      .get(`/auth/invitations/${encodeURIComponent(token)}`)
+      .then((response) => setInvitation(response.data.data.invitation))
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Could not load the invitation.')
+      })
+      .finally(() => setChecking(false))
+  }, [token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+    try {
+      const response = await api.post('/auth/register', {
+        inviteToken: token,
+        firstName,
+        lastName,
+        password,
+      })
+
+      if (response.data.success) {
+        setUser(response.data.data.user)
+        setRefreshToken(response.data.data.refreshToken)
+        onLogin(response.data.data.token)
+      }
+    } catch (err) {
+      setError(
+        err.response?.data?.message || 'Could not accept the invitation. Please try again.'
+      )
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="max-w-md w-full space-y-8 p-8 bg-white rounded-lg shadow-md">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Video Management SaaS
+          </h2>
+          {invitation && (
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Join <span className="font-medium">{invitation.tenantName}</span> as{' '}
+              <span className="font-medium">{invitation.role}</span>
+            </p>
+          )}
+        </div>
+
+        {checking ? (
+          <div className="text-center text-gray-600">Checking invitation...</div>
+        ) : !invitation ? (
+          <div className="space-y-4">
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+              {error}
+            </div>
+            <p className="text-center text-sm text-gray-600">
+              Ask your administrator for a new invitation, or{' '}
+              <Link to="/login" className="text-indigo-600 hover:text-indigo-500">
+                sign in
+              </Link>
+              .
+            </p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+            <input
+              type="email"
+              value={invitation.email}
+              disabled
+              className={`${inputClass} bg-gray-100 text-gray-600`}
+            />
+            <div className="flex gap-4">
+              <input
+                type="text"
+                required
+                autoComplete="given-name"
+                placeholder="First name"
+                className={inputClass}
+                value={firstName}
+                onChange={(e) => setFirstName(e.target.value)}
+              />
+              <input
+                type="text"
+                required
+                autoComplete="family-name"
+                placeholder="Last name"
+                className={inputClass}
+                value={lastName}
+                onChange={(e) => setLastName(e.target.value)}
+              />
+            </div>
+            <input
+              type="password"
+              required
+              minLength={6}
+              autoComplete="new-password"
+              placeholder="Password"
+              className={inputClass}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            <input
+              type="password"
+              required
+              minLength={6}
+              autoComplete="new-password"
+              placeholder="Confirm password"
+              className={inputClass}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {loading ? 'Creating account...' : 'Accept invitation'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AcceptInvite
@@ -1,10 +1,68 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { io } from 'socket.io-client'
-import api from '../utils/api'
-import { getToken, getUser } from '../utils/auth'
+import api, { refreshAccessToken } from '../utils/api'
+import { getToken, getUser, removeToken } from '../utils/auth'
 import UploadModal from './UploadModal'
 import VideoCard from './VideoCard'
+import FolderBar from './FolderBar'
+
+const PAGE_SIZE = 24
+
+const DEFAULT_FILTERS = {
+  search: '',
+  status: [],
+  tag: [],
+  tagMatch: 'any',
+  visibility: '',
+  duration: '',
+  resolution: '',
+  sort: '',
+  folder: '',
+}
+
+const DURATION_RANGES = {
+  short: { label: 'Under 1 min', maxDuration: 60 },
+  medium: { label: '1-10 min', minDuration: 60, maxDuration: 600 },
+  long: { label: 'Over 10 min', minDuration: 600 },
+}
+
+const RESOLUTIONS = { sd: 'SD', hd: 'HD (720p)', fhd: 'Full HD (1080p)', uhd: '4K' }
+
+// Select value -> sort/order query parameters ('' is the server default)
+const SORT_OPTIONS = {
+  '': 'Newest / best match',
+  'createdAt:asc': 'Oldest',
+  views: 'Most viewed',
+  duration: 'Longest',
+  'duration:asc': 'Shortest',
+  title: 'Title A-Z',
+  size: 'Largest',
+}
+
+const buildListParams = (filters) => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE) })
+  if (filters.search) params.set('search', filters.search)
+  if (filters.folder) params.set('folder', filters.folder)
+  if (filters.status.length > 0) params.set('status', filters.status.join(','))
+  if (filters.tag.length > 0) {
+    params.set('tag', filters.tag.join(','))
+    params.set('tagMatch', filters.tagMatch)
+  }
+  if (filters.visibility) params.set('visibility', filters.visibility)
+  if (filters.resolution) params.set('resolution', filters.resolution)
+  if (filters.duration) {
+    const { minDuration, maxDuration } = DURATION_RANGES[filters.duration]
+    if (minDuration !== undefined) params.set('minDuration', minDuration)
+    if (maxDuration !== undefined) params.set('maxDuration', maxDuration)
+  }
+  if (filters.sort) {
+    const [sort, order] = filters.sort.split(':')
+    params.set('sort', sort)
+    if (order) params.set('order', order)
+  }
+  return params
+}
 
 function Dashboard({ onLogout }) {
   const [videos, setVideos] = useState([])
@@ -13,10 +71,26 @@ function Dashboard({ onLogout }) {
   const [showUploadModal, setShowUploadModal] = useState(false)
   const [processingVideos, setProcessingVideos] = useState({})
   const [socket, setSocket] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const [searchInput, setSearchInput] = useState('')
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
+  const [facets, setFacets] = useState(null)
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [currentFolder, setCurrentFolder] = useState(null)
+  // Socket handlers keep the first render's fetchVideos; it reads the filters from here
+  const filtersRef = useRef(filters)
+  // Responses to superseded requests (filters changed meanwhile) are dropped
+  const requestRef = useRef(0)
+  const loadMoreRef = useRef(null)
+  // { epoch, lastSeq } of the last video event seen, sent on reconnect to replay missed events
+  const resumeRef = useRef(null)
   const user = getUser()
   const navigate = useNavigate()
 
   const canUpload = user?.role === 'ADMIN' || user?.role === 'EDITOR'
+  const isAdmin = user?.role === 'ADMIN'
 
   useEffect(() => {
     fetchVideos()
@@ -33,18 +107,56 @@ function Dashboard({ onLogout }) {
     if (!token) return
 
     const newSocket = io(import.meta.env.VITE_SOCKET_URL || 'http://localhost:3000', {
-      auth: { token },
+      // Read on every (re)connect: access tokens are short-lived
+      auth: (cb) => cb({ token: getToken(), resume: resumeRef.current }),
     })
 
+    // Video events carry a sequence number; remember the latest one
+    const onVideoEvent = (event, handler) => {
+      newSocket.on(event, (data) => {
+        if (resumeRef.current && data.seq > resumeRef.current.lastSeq) {
+          resumeRef.current.lastSeq = data.seq
+        }
+        handler(data)
+      })
+    }
+
     newSocket.on('connect', () => {
       console.log('Socket connected')
     })
 
+    newSocket.on('connect_error', async (err) => {
+      if (err.message === 'Authentication error: Token expired') {
+        try {
+          await refreshAccessToken()
+          newSocket.connect()
+        } catch (refreshError) {
+          console.error('Socket token refresh failed:', refreshError)
+        }
+      }
+    })
+
+    newSocket.on('session_revoked', () => {
+      removeToken()
+      window.location.href = '/login'
+    })
+
     newSocket.on('connected', (data) => {
       console.log('Connected to tenant room:', data.room)
+      const isReconnect = resumeRef.current !== null
+      resumeRef.current = { epoch: data.epoch, lastSeq: data.seq }
+
+      if (!isReconnect) return
+      if (data.resumed) {
+        if (data.replayed > 0) console.log(`Replayed ${data.replayed} missed event(s)`)
+      } else {
+        // Missed events could not be replayed (server restart, long outage): reload
+        setProcessingVideos({})
+        fetchVideos()
+      }
     })
 
-    newSocket.on('video_processing_progress', (data) => {
+    onVideoEvent('video_processing_progress', (data) => {
       setProcessingVideos((prev) => ({
         ...prev,
         [data.videoId]: {
@@ -55,7 +167,7 @@ function Dashboard({ onLogout }) {
       }))
     })
 
-    newSocket.on('video_processing_complete', (data) => {
+    onVideoEvent('video_processing_complete', (data) => {
       setProcessingVideos((prev) => {
         const updated = { ...prev }
         delete updated[data.videoId]
@@ -65,7 +177,29 @@ function Dashboard({ onLogout }) {
       fetchVideos()
     })
 
-    newSocket.on('video_processing_error', (data) => {
+    onVideoEvent('video_moderation_decision', (data) => {
+      setNotice(data)
+      fetchVideos()
+    })
+
+    // Metadata edited by someone in the tenant
+    onVideoEvent('video_updated', (data) => {
+      if (data.changes.folder !== undefined || (data.changes.isPublic !== undefined && user?.role === 'VIEWER')) {
+        // Moved between folders, or visibility changed what a VIEWER sees
+        fetchVideos()
+        return
+      }
+      setVideos((prev) =>
+        prev.map((video) => (video._id === data.videoId ? { ...video, ...data.changes } : video))
+      )
+    })
+
+    // Shared with or unshared from this user (staff see every video anyway)
+    onVideoEvent('video_access_changed', () => {
+      if (user?.role === 'VIEWER') fetchVideos()
+    })
+
+    onVideoEvent('video_processing_error', (data) => {
       console.error('Processing error:', data)
       setProcessingVideos((prev) => {
         const updated = { ...prev }
@@ -78,20 +212,99 @@ function Dashboard({ onLogout }) {
     setSocket(newSocket)
   }
 
+  // Loads the first page; further pages are appended by loadMore
   const fetchVideos = async () => {
+    const requestId = ++requestRef.current
+    const params = buildListParams(filtersRef.current)
+    params.set('facets', 'true')
+
     try {
-      setLoading(true)
-      const response = await api.get('/videos?limit=50')
+      const response = await api.get(`/videos?${params}`)
+      if (requestId !== requestRef.current) return
       if (response.data.success) {
-        setVideos(response.data.data.videos)
+        const { videos, pagination, facets } = response.data.data
+        setVideos(videos)
+        setFacets(facets)
+        setTotal(pagination.total)
+        setNextCursor(pagination.nextCursor)
+        setError('')
       }
     } catch (err) {
+      if (requestId !== requestRef.current) return
       setError(err.response?.data?.message || 'Failed to fetch videos')
     } finally {
       setLoading(false)
+      setLoadingMore(false)
     }
   }
 
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return
+    const requestId = ++requestRef.current
+    const params = buildListParams(filtersRef.current)
+    params.set('cursor', nextCursor)
+
+    setLoadingMore(true)
+    try {
+      const response = await api.get(`/videos?${params}`)
+      if (requestId !== requestRef.current) return
+      if (response.data.success) {
+        const { videos: page, pagination } = response.data.data
+        setVideos((prev) => {
+          const seen = new Set(prev.map((video) => video._id))
+          return [...prev, ...page.filter((video) => !seen.has(video._id))]
+        })
+        setTotal(pagination.total)
+        setNextCursor(pagination.nextCursor)
+      }
+    } catch (err) {
+      if (requestId !== requestRef.current) return
+      setError(err.response?.data?.message || 'Failed to fetch videos')
+    } finally {
+      if (requestId === requestRef.current) setLoadingMore(false)
+    }
+  }
+
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const target = loadMoreRef.current
+    if (!target || !nextCursor) return
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '400px' })
+    observer.observe(target)
+    return () => observer.disconnect()
+  }, [nextCursor, loadingMore, videos.length])
+
+  const applyFilters = (changes) => {
+    const next = { ...filtersRef.current, ...changes }
+    filtersRef.current = next
+    setFilters(next)
+    fetchVideos()
+  }
+
+  const toggleFilter = (name, value) => {
+    const selected = filtersRef.current[name]
+    applyFilters({
+      [name]: selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value],
+    })
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    applyFilters({ search: searchInput.trim() })
+  }
+
+  const clearFilters = () => {
+    setSearchInput('')
+    applyFilters({ ...DEFAULT_FILTERS, sort: filtersRef.current.sort, folder: filtersRef.current.folder })
+  }
+
+  const hasFilters = filters.search || filters.status.length > 0 || filters.tag.length > 0 ||
+    filters.visibility || filters.duration || filters.resolution
+
+  const selectClassName = 'px-2 py-1 text-sm border border-gray-300 rounded-md bg-white'
+
   const handleVideoUploaded = () => {
     setShowUploadModal(false)
     fetchVideos()
@@ -121,6 +334,36 @@ function Dashboard({ onLogout }) {
             </p>
           </div>
           <div className="flex gap-4">
+            <button
+              onClick={() => navigate('/playlists')}
+              className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+            >
+              Playlists
+            </button>
+            {isAdmin && (
+              <button
+                onClick={() => navigate('/users')}
+                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Users
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                onClick={() => navigate('/groups')}
+                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Groups
+              </button>
+            )}
+            {canUpload && (
+              <button
+                onClick={() => navigate('/moderation')}
+                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Moderation
+              </button>
+            )}
             {canUpload && (
               <button
                 onClick={() => setShowUploadModal(true)}
@@ -141,16 +384,142 @@ function Dashboard({ onLogout }) {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {notice && (
+          <div className="mb-4 bg-indigo-50 border border-indigo-200 text-indigo-800 px-4 py-3 rounded flex justify-between items-start gap-4">
+            <span>
+              “{notice.title}” was {notice.decision.toLowerCase()} in moderation review
+              {notice.reviewer && ` by ${notice.reviewer.firstName} ${notice.reviewer.lastName}`}: {notice.reason}
+            </span>
+            <button onClick={() => setNotice(null)} className="text-indigo-600 hover:text-indigo-800">
+              ✕
+            </button>
+          </div>
+        )}
+
         {error && (
           <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
             {error}
           </div>
         )}
 
+        <FolderBar
+          folderId={filters.folder}
+          onOpen={(folder) => applyFilters({ folder })}
+          onCurrentChange={setCurrentFolder}
+        />
+
+        {/* Search and filters */}
+        <div className="mb-6 space-y-3">
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search titles, tags, descriptions and transcripts"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+              Search
+            </button>
+            {hasFilters && (
+              <button
+                type="button"
+                onClick={clearFilters}
+                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Clear
+              </button>
+            )}
+          </form>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={filters.sort}
+              onChange={(e) => applyFilters({ sort: e.target.value })}
+              className={selectClassName}
+            >
+              {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.visibility}
+              onChange={(e) => applyFilters({ visibility: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Any visibility</option>
+              <option value="public">Public</option>
+              <option value="private">Private</option>
+            </select>
+            <select
+              value={filters.duration}
+              onChange={(e) => applyFilters({ duration: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Any duration</option>
+              {Object.entries(DURATION_RANGES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.resolution}
+              onChange={(e) => applyFilters({ resolution: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Any resolution</option>
+              {Object.entries(RESOLUTIONS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {filters.tag.length > 1 && (
+              <select
+                value={filters.tagMatch}
+                onChange={(e) => applyFilters({ tagMatch: e.target.value })}
+                className={selectClassName}
+              >
+                <option value="any">Any selected tag</option>
+                <option value="all">All selected tags</option>
+              </select>
+            )}
+            <span className="text-sm text-gray-500">{total} video{total === 1 ? '' : 's'}</span>
+          </div>
+
+          {facets && (
+            <div className="flex flex-wrap gap-2">
+              {facets.status.map(({ value, count }) => (
+                <button
+                  key={value}
+                  onClick={() => toggleFilter('status', value)}
+                  className={`px-3 py-1 text-sm rounded-full border ${
+                    filters.status.includes(value)
+                      ? 'bg-indigo-600 text-white border-indigo-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                  }`}
+                >
+                  {value} ({count})
+                </button>
+              ))}
+              {facets.tags.slice(0, 10).map(({ value, count }) => (
+                <button
+                  key={`tag-${value}`}
+                  onClick={() => toggleFilter('tag', value)}
+                  className={`px-3 py-1 text-sm rounded-full border ${
+                    filters.tag.includes(value)
+                      ? 'bg-gray-700 text-white border-gray-700'
+                      : 'bg-gray-100 text-gray-600 border-gray-200 hover:bg-gray-200'
+                  }`}
+                >
+                  #{value} ({count})
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
         {videos.length === 0 ? (
           <div className="text-center py-12">
             <p className="text-gray-500 text-lg">No videos found</p>
-            {canUpload && (
+            {canUpload && !hasFilters && (
               <button
                 onClick={() => setShowUploadModal(true)}
                 className="mt-4 px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
@@ -171,11 +540,22 @@ function Dashboard({ onLogout }) {
             ))}
           </div>
         )}
+
+        {nextCursor && (
+          <div ref={loadMoreRef} className="py-8 text-center text-gray-500">
+            {loadingMore ? 'Loading more videos...' : (
+              <button onClick={loadMore} className="text-indigo-600 hover:text-indigo-800">
+                Load more
+              </button>
+            )}
+          </div>
+        )}
       </main>
 
       {/* Upload Modal */}
       {showUploadModal && (
         <UploadModal
+          folder={currentFolder}
           onClose={() => setShowUploadModal(false)}
           onUploaded={handleVideoUploaded}
         />
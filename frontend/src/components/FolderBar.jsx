@@ -0,0 +1,316 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+import { getUser } from '../utils/auth'
+
+// Every folder of the tenant as [{ id, name, depth, ancestors, canManage }], in tree order
+export const useFolderOptions = (refreshKey) => {
+  const [options, setOptions] = useState([])
+
+  useEffect(() => {
+    api.get('/folders')
+      .then((response) => {
+        const { folders } = response.data.data
+        const byParent = {}
+        folders.forEach((folder) => {
+          const key = folder.parent || 'root'
+          byParent[key] = [...(byParent[key] || []), folder]
+        })
+        const walk = (parent, depth) =>
+          (byParent[parent] || []).flatMap((folder) => [
+            { id: folder.id, name: folder.name, depth, ancestors: folder.ancestors, canManage: folder.canManage },
+            ...walk(folder.id, depth + 1),
+          ])
+        setOptions(walk('root', 0))
+      })
+      .catch(() => setOptions([]))
+  }, [refreshKey])
+
+  return options
+}
+
+// <option>s for a folder <select>; "root" is the top level. exclude drops a folder and its subfolders
+export function FolderOptions({ options, exclude }) {
+  return (
+    <>
+      <option value="root">Top level</option>
+      {options
+        .filter((option) => option.id !== exclude && !option.ancestors.includes(exclude))
+        .map((option) => (
+          <option key={option.id} value={option.id}>
+            {'  '.repeat(option.depth + 1)}{option.name}
+          </option>
+        ))}
+    </>
+  )
+}
+
+function FolderAccess({ folderId, acl, onChange, onError }) {
+  const [users, setUsers] = useState([])
+  const [grant, setGrant] = useState({ userId: '', permission: 'VIEWER' })
+
+  useEffect(() => {
+    api.get('/users', { params: { isActive: 'true', limit: 100 } })
+      .then((response) => setUsers(response.data.data.users))
+      .catch(() => setUsers([]))
+  }, [])
+
+  const setAccess = async (userId, permission) => {
+    try {
+      await api.put(`/folders/${folderId}/acl/${userId}`, { permission })
+      onChange()
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to update access')
+    }
+  }
+
+  const removeAccess = async (userId) => {
+    try {
+      await api.delete(`/folders/${folderId}/acl/${userId}`)
+      onChange()
+    } catch (err) {
+      onError(err.response?.data?.message || 'Failed to remove access')
+    }
+  }
+
+  const granted = new Set(acl.map((entry) => entry.user.id))
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 mt-3">
+      <h3 className="font-semibold mb-1">Folder access</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        Rights on top of each user's role, for this folder and its subfolders. VIEWER sees every video here;
+        EDITOR can also edit, move and delete them and manage subfolders.
+      </p>
+      {acl.length > 0 && (
+        <ul className="divide-y mb-3">
+          {acl.map((entry) => (
+            <li key={entry.user.id} className="py-2 flex items-center justify-between gap-2 text-sm">
+              <span className="truncate">
+                {entry.user.firstName} {entry.user.lastName} ({entry.user.email}, {entry.user.role})
+              </span>
+              <div className="flex items-center gap-2">
+                <select
+                  value={entry.permission}
+                  onChange={(e) => setAccess(entry.user.id, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+                >
+                  <option value="VIEWER">VIEWER</option>
+                  <option value="EDITOR">EDITOR</option>
+                </select>
+                <button onClick={() => removeAccess(entry.user.id)} className="text-red-600 hover:text-red-800">
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault()
+          if (grant.userId) setAccess(grant.userId, grant.permission)
+          setGrant((prev) => ({ ...prev, userId: '' }))
+        }}
+        className="flex gap-2 text-sm"
+      >
+        <select
+          value={grant.userId}
+          onChange={(e) => setGrant((prev) => ({ ...prev, userId: e.target.value }))}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value="">Select a user</option>
+          {users.filter((user) => !granted.has(user.id)).map((user) => (
+            <option key={user.id} value={user.id}>
+              {user.firstName} {user.lastName} ({user.email})
+            </option>
+          ))}
+        </select>
+        <select
+          value={grant.permission}
+          onChange={(e) => setGrant((prev) => ({ ...prev, permission: e.target.value }))}
+          className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value="VIEWER">VIEWER</option>
+          <option value="EDITOR">EDITOR</option>
+        </select>
+        <button type="submit" className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+          Grant
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// Breadcrumbs, subfolders and folder actions above the video list
+function FolderBar({ folderId, onOpen, onCurrentChange }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState('')
+  const [mode, setMode] = useState(null) // 'create' | 'rename' | 'move' | 'access'
+  const [name, setName] = useState('')
+  const [moveTarget, setMoveTarget] = useState('root')
+  const folderOptions = useFolderOptions(data)
+  const user = getUser()
+
+  useEffect(() => {
+    setMode(null)
+    fetchFolder()
+  }, [folderId])
+
+  const fetchFolder = async () => {
+    try {
+      const response = await api.get(`/folders/${folderId || 'root'}`)
+      if (response.data.success) {
+        setData(response.data.data)
+        setError('')
+        onCurrentChange(response.data.data.folder)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load folder')
+      if (err.response?.status === 404) onOpen('')
+    }
+  }
+
+  const folder = data?.folder
+  const parentId = folder ? folder.parent || 'root' : null
+  // Renaming, moving and deleting a folder is managing its parent's contents
+  const parentManaged = folder && (folder.parent
+    ? folderOptions.find((option) => option.id === folder.parent)?.canManage
+    : user?.role === 'ADMIN' || user?.role === 'EDITOR')
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setError('')
+    try {
+      if (mode === 'create') {
+        const response = await api.post('/folders', { name, parentId: folderId || null })
+        onOpen(response.data.data.folder.id)
+      } else if (mode === 'rename') {
+        await api.patch(`/folders/${folder.id}`, { name })
+        fetchFolder()
+      } else if (mode === 'move') {
+        await api.patch(`/folders/${folder.id}`, { parentId: moveTarget })
+        fetchFolder()
+      }
+      setMode(null)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save folder')
+    }
+  }
+
+  const deleteFolder = async () => {
+    if (!window.confirm(`Delete the folder "${folder.name}"?`)) return
+    try {
+      await api.delete(`/folders/${folder.id}`)
+      onOpen(parentId === 'root' ? '' : parentId)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete folder')
+    }
+  }
+
+  const startMode = (next) => {
+    setName(next === 'rename' ? folder.name : '')
+    setMoveTarget(parentId || 'root')
+    setMode(mode === next ? null : next)
+  }
+
+  if (!data) {
+    return error ? <div className="mb-4 text-sm text-red-600">{error}</div> : null
+  }
+
+  const linkClassName = 'text-indigo-600 hover:text-indigo-800'
+  const actionClassName = 'px-3 py-1 text-sm bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100'
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <nav className="flex flex-wrap items-center gap-1 text-sm">
+          <button onClick={() => onOpen('')} className={folder ? linkClassName : 'font-semibold text-gray-900'}>
+            All videos
+          </button>
+          {data.breadcrumbs.map((crumb, index) => (
+            <span key={crumb.id} className="flex items-center gap-1">
+              <span className="text-gray-400">/</span>
+              {index === data.breadcrumbs.length - 1 ? (
+                <span className="font-semibold text-gray-900">{crumb.name}</span>
+              ) : (
+                <button onClick={() => onOpen(crumb.id)} className={linkClassName}>{crumb.name}</button>
+              )}
+            </span>
+          ))}
+        </nav>
+        <div className="flex flex-wrap gap-2">
+          {data.canManage && (
+            <button onClick={() => startMode('create')} className={actionClassName}>New folder</button>
+          )}
+          {parentManaged && (
+            <>
+              <button onClick={() => startMode('rename')} className={actionClassName}>Rename</button>
+              <button onClick={() => startMode('move')} className={actionClassName}>Move</button>
+              <button onClick={deleteFolder} className={actionClassName}>Delete</button>
+            </>
+          )}
+          {folder && user?.role === 'ADMIN' && (
+            <button onClick={() => startMode('access')} className={actionClassName}>
+              Access ({data.acl?.length || 0})
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="mt-2 text-sm text-red-600">{error}</div>}
+
+      {(mode === 'create' || mode === 'rename') && (
+        <form onSubmit={submit} className="flex gap-2 mt-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Folder name"
+            required
+            maxLength={100}
+            autoFocus
+            className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md"
+          />
+          <button type="submit" className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+            {mode === 'create' ? 'Create' : 'Rename'}
+          </button>
+        </form>
+      )}
+
+      {mode === 'move' && (
+        <form onSubmit={submit} className="flex gap-2 mt-3">
+          <select
+            value={moveTarget}
+            onChange={(e) => setMoveTarget(e.target.value)}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md bg-white"
+          >
+            <FolderOptions options={folderOptions} exclude={folder.id} />
+          </select>
+          <button type="submit" className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+            Move here
+          </button>
+        </form>
+      )}
+
+      {mode === 'access' && (
+        <FolderAccess folderId={folder.id} acl={data.acl || []} onChange={fetchFolder} onError={setError} />
+      )}
+
+      {data.children.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {data.children.map((child) => (
+            <button
+              key={child.id}
+              onClick={() => onOpen(child.id)}
+              className="px-3 py-2 text-sm bg-white border border-gray-200 rounded-md shadow-sm hover:bg-gray-50"
+            >
+              📁 {child.name}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FolderBar
@@ -0,0 +1,297 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import api from '../utils/api'
+
+function GroupForm({ group, onSaved, onCancel }) {
+  const [name, setName] = useState(group?.name || '')
+  const [description, setDescription] = useState(group?.description || '')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    try {
+      const response = group
+        ? await api.patch(`/groups/${group.id}`, { name, description })
+        : await api.post('/groups', { name, description })
+      if (response.data.success) {
+        onSaved(response.data.data.group)
+        if (!group) {
+          setName('')
+          setDescription('')
+        }
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save group')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 mb-6">
+      <h2 className="font-semibold text-gray-900 mb-3">{group ? 'Edit group' : 'New group'}</h2>
+      <div className="flex flex-wrap gap-4 items-end">
+        <label className="text-sm text-gray-700 min-w-[12rem]">
+          Name
+          <input
+            type="text"
+            required
+            maxLength={100}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="text-sm text-gray-700 flex-1 min-w-[16rem]">
+          Description
+          <input
+            type="text"
+            maxLength={1000}
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : group ? 'Save' : 'Create group'}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-4 py-2 text-gray-700 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </form>
+  )
+}
+
+// Members of one group, with controls to add and remove them
+function GroupMembers({ groupId, users, onChanged }) {
+  const [group, setGroup] = useState(null)
+  const [userId, setUserId] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchGroup()
+  }, [groupId])
+
+  const fetchGroup = async () => {
+    try {
+      const response = await api.get(`/groups/${groupId}`)
+      if (response.data.success) {
+        setGroup(response.data.data.group)
+        setError('')
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load group')
+    }
+  }
+
+  const changeMember = async (memberId, add) => {
+    setError('')
+    try {
+      const response = add
+        ? await api.put(`/groups/${groupId}/members/${memberId}`)
+        : await api.delete(`/groups/${groupId}/members/${memberId}`)
+      if (response.data.success) {
+        onChanged(response.data.data.group)
+        fetchGroup()
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update members')
+    }
+  }
+
+  if (!group) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-sm text-gray-500">Loading...</p>
+  }
+
+  const memberIds = new Set(group.members.map((member) => member.id))
+
+  return (
+    <div>
+      {group.members.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No members yet</p>
+      ) : (
+        <ul className="divide-y mb-3">
+          {group.members.map((member) => (
+            <li key={member.id} className="py-2 flex items-center justify-between gap-2 text-sm">
+              <span className="truncate">
+                {member.firstName} {member.lastName} ({member.email}, {member.role})
+              </span>
+              <button onClick={() => changeMember(member.id, false)} className="text-red-600 hover:text-red-800">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault()
+          if (userId) changeMember(userId, true)
+          setUserId('')
+        }}
+        className="flex gap-2 text-sm"
+      >
+        <select
+          value={userId}
+          onChange={(e) => setUserId(e.target.value)}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value="">Select a user</option>
+          {users.filter((user) => !memberIds.has(user.id)).map((user) => (
+            <option key={user.id} value={user.id}>
+              {user.firstName} {user.lastName} ({user.email})
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+          Add
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  )
+}
+
+function GroupManagement() {
+  const navigate = useNavigate()
+  const [groups, setGroups] = useState([])
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [openId, setOpenId] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+
+  useEffect(() => {
+    fetchGroups()
+    api.get('/users', { params: { isActive: 'true', limit: 100 } })
+      .then((response) => setUsers(response.data.data.users))
+      .catch(() => setUsers([]))
+  }, [])
+
+  const fetchGroups = async () => {
+    try {
+      const response = await api.get('/groups')
+      if (response.data.success) {
+        setGroups(response.data.data.groups)
+        setError('')
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch groups')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const replaceGroup = (updated) => {
+    setGroups((prev) => prev.map((group) => (group.id === updated.id ? updated : group)))
+  }
+
+  const deleteGroup = async (group) => {
+    if (!window.confirm(`Delete the group "${group.name}"? Videos shared with it will no longer be shared with its members.`)) {
+      return
+    }
+    try {
+      await api.delete(`/groups/${group.id}`)
+      setGroups((prev) => prev.filter((entry) => entry.id !== group.id))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete group')
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Groups</h1>
+            <p className="text-sm text-gray-500">Share videos with several users at once</p>
+          </div>
+          <button
+            onClick={() => navigate('/')}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <GroupForm onSaved={(group) => setGroups((prev) => [...prev, group].sort((a, b) => a.name.localeCompare(b.name)))} />
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading groups...</div>
+        ) : groups.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500 text-lg">No groups yet</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {groups.map((group) => (
+              <div key={group.id} className="bg-white rounded-lg shadow p-4">
+                {editingId === group.id ? (
+                  <GroupForm
+                    group={group}
+                    onSaved={(updated) => {
+                      replaceGroup(updated)
+                      setEditingId(null)
+                    }}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="flex flex-wrap justify-between items-start gap-2">
+                    <div>
+                      <h3 className="font-semibold text-gray-900">{group.name}</h3>
+                      {group.description && <p className="text-sm text-gray-600">{group.description}</p>}
+                      <p className="text-xs text-gray-500 mt-1">
+                        {group.memberCount} member{group.memberCount === 1 ? '' : 's'}
+                      </p>
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        onClick={() => setOpenId(openId === group.id ? null : group.id)}
+                        className="text-indigo-600 hover:text-indigo-800"
+                      >
+                        {openId === group.id ? 'Hide members' : 'Members'}
+                      </button>
+                      <button onClick={() => setEditingId(group.id)} className="text-indigo-600 hover:text-indigo-800">
+                        Edit
+                      </button>
+                      <button onClick={() => deleteGroup(group)} className="text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                )}
+                {openId === group.id && (
+                  <div className="mt-4 border-t pt-4">
+                    <GroupMembers groupId={group.id} users={users} onChanged={replaceGroup} />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default GroupManagement
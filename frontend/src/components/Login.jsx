@@ -1,6 +1,6 @@
 import { useState } from 'react'
 import api from '../utils/api'
-import { setUser } from '../utils/auth'
+import { setUser, setRefreshToken } from '../utils/auth'
 
 function Login({ onLogin }) {
   const [email, setEmail] = useState('')
@@ -21,6 +21,7 @@ function Login({ onLogin }) {
 
       if (response.data.success) {
         setUser(response.data.data.user)
+        setRefreshToken(response.data.data.refreshToken)
         onLogin(response.data.data.token)
       }
     } catch (err) {
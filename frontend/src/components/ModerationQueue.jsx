@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import api from '../utils/api'
+import { getUser } from '../utils/auth'
+import { useAuthImage } from '../utils/useAuthImage'
+
+const STATUS_TABS = [
+  { value: 'PENDING_REVIEW', label: 'Pending review' },
+  { value: 'ESCALATED', label: 'Escalated' },
+  { value: 'APPROVED', label: 'Approved' },
+  { value: 'REJECTED', label: 'Rejected' },
+]
+
+const DECISION_STYLES = {
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+  ESCALATED: 'bg-purple-100 text-purple-800',
+}
+
+function ReviewItem({ video, user, onDecided }) {
+  const [reason, setReason] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const navigate = useNavigate()
+
+  const posterSrc = useAuthImage(
+    video.thumbnailUpdatedAt
+      ? `/videos/${video._id}/thumbnail?v=${new Date(video.thumbnailUpdatedAt).getTime()}`
+      : null
+  )
+
+  const status = video.review?.status
+  const isOwnUpload = video.uploadedBy?._id === user?.id
+  const canDecide =
+    (status === 'PENDING_REVIEW' || status === 'ESCALATED') &&
+    (user?.role === 'ADMIN' || (!isOwnUpload && status !== 'ESCALATED'))
+
+  const decide = async (decision) => {
+    if (!reason.trim()) {
+      setError('Please give a reason for your decision')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    try {
+      const response = await api.post(`/moderation/${video._id}/decision`, { decision, reason })
+      if (response.data.success) {
+        setReason('')
+        onDecided()
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to record decision')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const flaggedResults = (video.moderation?.results || []).filter((result) => result.flagged)
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-4 flex flex-col md:flex-row gap-4">
+      <div className="w-full md:w-48 h-28 bg-gray-200 rounded overflow-hidden flex items-center justify-center flex-shrink-0">
+        {posterSrc ? (
+          <img src={posterSrc} alt={video.title} className="w-full h-full object-cover" />
+        ) : (
+          <div className="text-red-600 text-3xl">⚠️</div>
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-start justify-between gap-2">
+          <button
+            onClick={() => navigate(`/video/${video._id}`)}
+            className="font-semibold text-lg text-left truncate hover:text-indigo-600"
+          >
+            {video.title}
+          </button>
+          <span className="text-xs text-gray-500 whitespace-nowrap">
+            Queued {video.review?.queuedAt ? new Date(video.review.queuedAt).toLocaleString() : '—'}
+          </span>
+        </div>
+        <p className="text-sm text-gray-500">
+          Uploaded by {video.uploadedBy?.firstName} {video.uploadedBy?.lastName} · {video.originalFilename}
+        </p>
+
+        {video.processingError && (
+          <p className="text-sm text-red-700 mt-2">{video.processingError}</p>
+        )}
+
+        {flaggedResults.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {flaggedResults.map((result) => (
+              <span key={result.scanner} className="px-2 py-1 rounded text-xs bg-red-50 text-red-700">
+                {result.scanner} ({Math.round(result.confidence * 100)}%)
+                {result.labels?.length > 0 && `: ${result.labels.map((label) => label.name).join(', ')}`}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {video.review?.history?.length > 0 && (
+          <ul className="mt-3 space-y-1 text-sm">
+            {video.review.history.map((entry, index) => (
+              <li key={index} className="flex flex-wrap items-center gap-2">
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ${DECISION_STYLES[entry.decision]}`}>
+                  {entry.decision}
+                </span>
+                <span className="text-gray-700">
+                  {entry.reviewer ? `${entry.reviewer.firstName} ${entry.reviewer.lastName}` : 'Unknown reviewer'}
+                </span>
+                <span className="text-gray-400">{new Date(entry.decidedAt).toLocaleString()}</span>
+                <span className="text-gray-600 italic">“{entry.reason}”</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canDecide && (
+          <div className="mt-3">
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason for your decision"
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            />
+            {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+            <div className="flex gap-2 mt-2">
+              <button
+                onClick={() => decide('APPROVE')}
+                disabled={saving}
+                className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-md hover:bg-green-700 disabled:opacity-50"
+              >
+                Approve
+              </button>
+              <button
+                onClick={() => decide('REJECT')}
+                disabled={saving}
+                className="px-3 py-1.5 bg-red-600 text-white text-sm rounded-md hover:bg-red-700 disabled:opacity-50"
+              >
+                Reject
+              </button>
+              {status === 'PENDING_REVIEW' && (
+                <button
+                  onClick={() => decide('ESCALATE')}
+                  disabled={saving}
+                  className="px-3 py-1.5 bg-purple-600 text-white text-sm rounded-md hover:bg-purple-700 disabled:opacity-50"
+                >
+                  Escalate
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+        {!canDecide && isOwnUpload && (status === 'PENDING_REVIEW' || status === 'ESCALATED') && (
+          <p className="text-sm text-gray-500 mt-3">Your own upload — another reviewer must decide.</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function ModerationQueue() {
+  const [status, setStatus] = useState('PENDING_REVIEW')
+  const [filters, setFilters] = useState({ scanner: '', from: '', to: '' })
+  const [videos, setVideos] = useState([])
+  const [summary, setSummary] = useState({})
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 })
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const user = getUser()
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    fetchQueue()
+  }, [status, filters, page])
+
+  const fetchQueue = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const params = { status, page, limit: 20 }
+      if (filters.scanner) params.scanner = filters.scanner
+      if (filters.from) params.from = filters.from
+      if (filters.to) params.to = `${filters.to}T23:59:59.999Z`
+
+      const [queueResponse, summaryResponse] = await Promise.all([
+        api.get('/moderation/queue', { params }),
+        api.get('/moderation/summary'),
+      ])
+
+      if (queueResponse.data.success) {
+        setVideos(queueResponse.data.data.videos)
+        setPagination(queueResponse.data.data.pagination)
+      }
+      if (summaryResponse.data.success) {
+        setSummary(summaryResponse.data.data.summary)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch review queue')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => ({ ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Moderation</h1>
+            <p className="text-sm text-gray-500">Review videos flagged by content scanners</p>
+          </div>
+          <button
+            onClick={() => navigate('/')}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Status tabs */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {STATUS_TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => {
+                setStatus(tab.value)
+                setPage(1)
+              }}
+              className={`px-4 py-2 rounded-md text-sm font-medium ${
+                status === tab.value
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white text-gray-700 shadow hover:bg-gray-100'
+              }`}
+            >
+              {tab.label} ({summary[tab.value] || 0})
+            </button>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+          <label className="text-sm text-gray-700">
+            Flagged by
+            <select
+              value={filters.scanner}
+              onChange={(e) => updateFilter('scanner', e.target.value)}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">Any scanner</option>
+              <option value="keyword">keyword</option>
+              <option value="http">http</option>
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Queued from
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Queued to
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading review queue...</div>
+        ) : videos.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500 text-lg">No videos in this queue</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {videos.map((video) => (
+              <ReviewItem key={video._id} video={video} user={user} onDecided={fetchQueue} />
+            ))}
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-6">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1.5 bg-white rounded-md shadow disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.page} of {pagination.pages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+              className="px-3 py-1.5 bg-white rounded-md shadow disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default ModerationQueue
@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import api from '../utils/api'
+import { useAuthImage } from '../utils/useAuthImage'
+import { formatTotalDuration, usePlaylistCover } from './Playlists'
+
+const formatDuration = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`
+
+function PlaylistItem({ item, index, count, isCover, canEdit, onPlay, onMove, onRemove, onSetCover }) {
+  const { video } = item
+  const thumbnailSrc = useAuthImage(
+    video.thumbnailUpdatedAt && video.processingStatus === 'COMPLETED'
+      ? `/videos/${video._id}/thumbnail?v=${new Date(video.thumbnailUpdatedAt).getTime()}`
+      : null
+  )
+
+  return (
+    <li className="bg-white rounded-lg shadow p-3 flex items-center gap-4">
+      <span className="w-6 text-right text-gray-400">{index + 1}</span>
+      <button onClick={onPlay} className="w-32 flex-shrink-0 bg-gray-200 rounded overflow-hidden flex items-center justify-center" style={{ height: '4.5rem' }}>
+        {thumbnailSrc ? (
+          <img src={thumbnailSrc} alt={video.title} className="w-full h-full object-cover" />
+        ) : (
+          <span className="text-gray-400 text-2xl">▶️</span>
+        )}
+      </button>
+      <div className="flex-1 min-w-0">
+        <button onClick={onPlay} className="font-semibold truncate block text-left hover:text-indigo-600">
+          {video.title}
+        </button>
+        <p className="text-sm text-gray-500">
+          {video.duration ? formatDuration(video.duration) : video.processingStatus}
+          {!video.isPublic && ' · Private'}
+          {isCover && ' · Cover'}
+        </p>
+      </div>
+      {canEdit && (
+        <div className="flex items-center gap-1 text-sm">
+          <button
+            onClick={() => onMove(index, index - 1)}
+            disabled={index === 0}
+            className="px-2 py-1 border border-gray-300 rounded disabled:opacity-30"
+            title="Move up"
+          >
+            ↑
+          </button>
+          <button
+            onClick={() => onMove(index, index + 1)}
+            disabled={index === count - 1}
+            className="px-2 py-1 border border-gray-300 rounded disabled:opacity-30"
+            title="Move down"
+          >
+            ↓
+          </button>
+          {!isCover && onSetCover && video.thumbnailUpdatedAt && (
+            <button onClick={onSetCover} className="px-2 py-1 text-gray-600 hover:text-indigo-600">
+              Set as cover
+            </button>
+          )}
+          <button onClick={onRemove} className="px-2 py-1 text-red-600 hover:text-red-800">
+            Remove
+          </button>
+        </div>
+      )}
+    </li>
+  )
+}
+
+function PlaylistPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [playlist, setPlaylist] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [editing, setEditing] = useState(false)
+  const [form, setForm] = useState({ title: '', description: '', isPublic: false })
+  const [search, setSearch] = useState('')
+  const [results, setResults] = useState([])
+  const coverSrc = usePlaylistCover(playlist)
+
+  useEffect(() => {
+    fetchPlaylist()
+  }, [id])
+
+  const fetchPlaylist = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/playlists/${id}`)
+      if (response.data.success) {
+        setPlaylist(response.data.data.playlist)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load playlist')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Every change returns the updated playlist
+  const change = async (request, fallbackMessage) => {
+    setError('')
+    try {
+      const response = await request()
+      if (response.data.success) {
+        setPlaylist(response.data.data.playlist)
+        return true
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage)
+      if (err.response?.status === 409) fetchPlaylist()
+    }
+    return false
+  }
+
+  const moveItem = (from, to) => {
+    const videoIds = playlist.items.map((item) => item.video._id)
+    const [moved] = videoIds.splice(from, 1)
+    videoIds.splice(to, 0, moved)
+    change(() => api.put(`/playlists/${id}/items`, { videoIds }), 'Failed to reorder playlist')
+  }
+
+  const removeItem = (videoId) =>
+    change(() => api.delete(`/playlists/${id}/items/${videoId}`), 'Failed to remove video')
+
+  const addItem = async (videoId) => {
+    const added = await change(() => api.post(`/playlists/${id}/items`, { videoId }), 'Failed to add video')
+    if (added) setResults((prev) => prev.filter((video) => video._id !== videoId))
+  }
+
+  const setCover = (videoId) =>
+    change(() => api.patch(`/playlists/${id}`, { coverVideoId: videoId }), 'Failed to set cover')
+
+  const uploadCover = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    const formData = new FormData()
+    formData.append('image', file)
+    change(
+      () => api.put(`/playlists/${id}/cover`, formData, { headers: { 'Content-Type': 'multipart/form-data' } }),
+      'Failed to upload cover'
+    )
+    e.target.value = ''
+  }
+
+  const removeCover = () =>
+    change(() => api.delete(`/playlists/${id}/cover`), 'Failed to remove cover')
+
+  const startEditing = () => {
+    setForm({ title: playlist.title, description: playlist.description || '', isPublic: playlist.isPublic })
+    setEditing(true)
+  }
+
+  const saveDetails = async (e) => {
+    e.preventDefault()
+    const saved = await change(() => api.patch(`/playlists/${id}`, form), 'Failed to save playlist')
+    if (saved) setEditing(false)
+  }
+
+  const deletePlaylist = async () => {
+    if (!window.confirm(`Delete the playlist "${playlist.title}"? Its videos are kept.`)) return
+    try {
+      await api.delete(`/playlists/${id}`)
+      navigate('/playlists')
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete playlist')
+    }
+  }
+
+  const searchVideos = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await api.get('/videos', { params: { search: search.trim() || undefined, limit: 10 } })
+      if (response.data.success) {
+        const inPlaylist = new Set(playlist.items.map((item) => item.video._id))
+        setResults(response.data.data.videos.filter((video) => !inPlaylist.has(video._id)))
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to search videos')
+    }
+  }
+
+  const play = (videoId) => navigate(`/video/${videoId}?playlist=${id}`)
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-xl">Loading playlist...</div>
+      </div>
+    )
+  }
+
+  if (!playlist) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-red-600 text-xl mb-4">{error}</div>
+          <button
+            onClick={() => navigate('/playlists')}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+          >
+            Back to Playlists
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const firstPlayable = playlist.items.find((item) => item.video.processingStatus === 'COMPLETED')
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{playlist.title}</h1>
+            <p className="text-sm text-gray-500">
+              {playlist.itemCount} video{playlist.itemCount === 1 ? '' : 's'}
+              {playlist.totalDuration > 0 && ` · ${formatTotalDuration(playlist.totalDuration)}`}
+              {` · ${playlist.isPublic ? 'Public' : 'Private'}`}
+            </p>
+          </div>
+          <button
+            onClick={() => navigate('/playlists')}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+          >
+            ← Back to Playlists
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex gap-6">
+          <div className="w-64 flex-shrink-0">
+            <div className="h-36 bg-gray-200 rounded overflow-hidden flex items-center justify-center">
+              {coverSrc ? (
+                <img src={coverSrc} alt={playlist.title} className="w-full h-full object-cover" />
+              ) : (
+                <span className="text-gray-400 text-4xl">☰</span>
+              )}
+            </div>
+            {playlist.canEdit && (
+              <div className="mt-2 flex gap-3 text-sm">
+                <label className="text-indigo-600 hover:text-indigo-800 cursor-pointer">
+                  Upload cover
+                  <input type="file" accept="image/jpeg,image/png,image/webp" onChange={uploadCover} className="hidden" />
+                </label>
+                {playlist.cover?.type === 'IMAGE' && (
+                  <button onClick={removeCover} className="text-red-600 hover:text-red-800">
+                    Remove cover
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+          <div className="flex-1">
+            {editing ? (
+              <form onSubmit={saveDetails} className="space-y-3">
+                <input
+                  type="text"
+                  value={form.title}
+                  onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+                  required
+                  maxLength={200}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+                  rows={3}
+                  maxLength={5000}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                />
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.isPublic}
+                    onChange={(e) => setForm((prev) => ({ ...prev, isPublic: e.target.checked }))}
+                  />
+                  Public
+                </label>
+                <div className="flex gap-2">
+                  <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditing(false)}
+                    className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <>
+                {playlist.description && <p className="text-gray-700 mb-4 whitespace-pre-line">{playlist.description}</p>}
+                <div className="flex gap-2">
+                  {firstPlayable && (
+                    <button
+                      onClick={() => play(firstPlayable.video._id)}
+                      className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                    >
+                      ▶ Play all
+                    </button>
+                  )}
+                  {playlist.canEdit && (
+                    <>
+                      <button
+                        onClick={startEditing}
+                        className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+                      >
+                        Edit details
+                      </button>
+                      <button
+                        onClick={deletePlaylist}
+                        className="px-4 py-2 bg-white text-red-600 border border-red-300 rounded-md hover:bg-red-50"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
+        {playlist.items.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500 text-lg">This playlist has no videos yet</p>
+          </div>
+        ) : (
+          <ol className="space-y-2">
+            {playlist.items.map((item, index) => (
+              <PlaylistItem
+                key={item.video._id}
+                item={item}
+                index={index}
+                count={playlist.items.length}
+                isCover={playlist.cover?.videoId === item.video._id}
+                canEdit={playlist.canEdit}
+                onPlay={() => play(item.video._id)}
+                onMove={moveItem}
+                onRemove={() => removeItem(item.video._id)}
+                // An uploaded cover image takes precedence over video posters
+                onSetCover={playlist.cover?.type === 'IMAGE' ? null : () => setCover(item.video._id)}
+              />
+            ))}
+          </ol>
+        )}
+
+        {playlist.canEdit && (
+          <div className="bg-white rounded-lg shadow p-4 mt-6">
+            <h2 className="font-semibold mb-3">Add videos</h2>
+            <form onSubmit={searchVideos} className="flex gap-2 mb-3">
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search the library"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md"
+              />
+              <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+                Search
+              </button>
+            </form>
+            <ul className="divide-y">
+              {results.map((video) => (
+                <li key={video._id} className="py-2 flex items-center justify-between">
+                  <span className="truncate">{video.title}</span>
+                  <button onClick={() => addItem(video._id)} className="text-sm text-indigo-600 hover:text-indigo-800">
+                    Add
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default PlaylistPage
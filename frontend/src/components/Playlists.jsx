@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import api from '../utils/api'
+import { getUser } from '../utils/auth'
+import { useAuthImage } from '../utils/useAuthImage'
+
+export const formatTotalDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
+
+// Uploaded cover image, or the poster of the playlist's cover video
+const coverUrl = (playlist) => {
+  const cover = playlist?.cover
+  if (!cover) return null
+  if (cover.type === 'IMAGE') return `/playlists/${playlist.id}/cover?v=${new Date(cover.updatedAt).getTime()}`
+  return `/videos/${cover.videoId}/thumbnail?v=${new Date(cover.thumbnailUpdatedAt).getTime()}`
+}
+
+export const usePlaylistCover = (playlist) => useAuthImage(coverUrl(playlist))
+
+function PlaylistCard({ playlist, onClick }) {
+  const coverSrc = usePlaylistCover(playlist)
+
+  return (
+    <div
+      onClick={onClick}
+      className="bg-white rounded-lg shadow-md overflow-hidden cursor-pointer hover:shadow-lg transition-shadow"
+    >
+      <div className="w-full h-40 bg-gray-200 flex items-center justify-center relative overflow-hidden">
+        {coverSrc ? (
+          <img src={coverSrc} alt={playlist.title} className="w-full h-full object-cover" />
+        ) : (
+          <div className="text-gray-400 text-4xl">☰</div>
+        )}
+        <span className="absolute bottom-2 right-2 px-2 py-1 rounded text-xs bg-black bg-opacity-70 text-white">
+          {playlist.itemCount} video{playlist.itemCount === 1 ? '' : 's'}
+        </span>
+      </div>
+      <div className="p-4">
+        <h3 className="font-semibold text-lg mb-1 truncate">{playlist.title}</h3>
+        <div className="flex items-center justify-between text-sm text-gray-500">
+          <span>{playlist.isPublic ? 'Public' : 'Private'}</span>
+          {playlist.totalDuration > 0 && <span>{formatTotalDuration(playlist.totalDuration)}</span>}
+        </div>
+        {playlist.description && (
+          <p className="text-sm text-gray-600 mt-2 line-clamp-2">{playlist.description}</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function Playlists() {
+  const [playlists, setPlaylists] = useState([])
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 })
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [creating, setCreating] = useState(false)
+  const [form, setForm] = useState({ title: '', description: '', isPublic: false })
+  const [saving, setSaving] = useState(false)
+  const user = getUser()
+  const navigate = useNavigate()
+
+  const canCreate = user?.role === 'ADMIN' || user?.role === 'EDITOR'
+
+  useEffect(() => {
+    fetchPlaylists()
+  }, [page])
+
+  const fetchPlaylists = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const response = await api.get('/playlists', { params: { page, limit: 24 } })
+      if (response.data.success) {
+        setPlaylists(response.data.data.playlists)
+        setPagination(response.data.data.pagination)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch playlists')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const createPlaylist = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    try {
+      const response = await api.post('/playlists', form)
+      if (response.data.success) {
+        navigate(`/playlist/${response.data.data.playlist.id}`)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create playlist')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Playlists</h1>
+            <p className="text-sm text-gray-500">Courses and collections of videos</p>
+          </div>
+          <div className="flex gap-4">
+            {canCreate && !creating && (
+              <button
+                onClick={() => setCreating(true)}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+              >
+                New Playlist
+              </button>
+            )}
+            <button
+              onClick={() => navigate('/')}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+            >
+              ← Back to Dashboard
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {creating && (
+          <form onSubmit={createPlaylist} className="bg-white rounded-lg shadow p-4 mb-6 space-y-3">
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => setForm((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="Title"
+              required
+              maxLength={200}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              placeholder="Description"
+              rows={3}
+              maxLength={5000}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+            />
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.isPublic}
+                onChange={(e) => setForm((prev) => ({ ...prev, isPublic: e.target.checked }))}
+              />
+              Public (everyone in the tenant can see it; private videos in it stay hidden from VIEWERs)
+            </label>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {saving ? 'Creating...' : 'Create'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setCreating(false)}
+                className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading playlists...</div>
+        ) : playlists.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500 text-lg">No playlists yet</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+            {playlists.map((playlist) => (
+              <PlaylistCard
+                key={playlist.id}
+                playlist={playlist}
+                onClick={() => navigate(`/playlist/${playlist.id}`)}
+              />
+            ))}
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-6">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1.5 bg-white rounded-md shadow disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.page} of {pagination.pages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+              className="px-3 py-1.5 bg-white rounded-md shadow disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default Playlists
@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams, Link } from 'react-router-dom'
+import api from '../utils/api'
+
+const inputClass =
+  'appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm'
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [email, setEmail] = useState('')
+  const [checking, setChecking] = useState(true)
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [error, setError] = useState('')
+  const [done, setDone] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    if (!token) {
+      setError('This reset link is incomplete.')
+      setChecking(false)
+      return
+    }
+
+    api
+      .get(`/auth/password-reset/${encodeURIComponent(token)}`)
+      .then((response) => setEmail(response.data.data.email))
+      .catch((err) => {
+        setError(err.response?.data?.message || 'Could not check the reset link.')
+      })
+      .finally(() => setChecking(false))
+  }, [token])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+    try {
+      const response = await api.post('/auth/password-reset', { token, password })
+      if (response.data.success) {
+        setDone(true)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not reset the password. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="max-w-md w-full space-y-8 p-8 bg-white rounded-lg shadow-md">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Video Management SaaS
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {email ? `Choose a new password for ${email}` : 'Reset your password'}
+          </p>
+        </div>
+
+        {checking ? (
+          <div className="text-center text-gray-600">Checking reset link...</div>
+        ) : done ? (
+          <div className="space-y-4 text-center">
+            <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+              Your password was changed. You were signed out of all devices.
+            </div>
+            <Link to="/login" className="text-indigo-600 hover:text-indigo-500">
+              Sign in
+            </Link>
+          </div>
+        ) : !email ? (
+          <div className="space-y-4">
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+              {error}
+            </div>
+            <p className="text-center text-sm text-gray-600">
+              Ask your administrator for a new reset link, or{' '}
+              <Link to="/login" className="text-indigo-600 hover:text-indigo-500">
+                sign in
+              </Link>
+              .
+            </p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-4" onSubmit={handleSubmit}>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+            <input
+              type="password"
+              required
+              minLength={6}
+              autoComplete="new-password"
+              placeholder="New password"
+              className={inputClass}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            <input
+              type="password"
+              required
+              minLength={6}
+              autoComplete="new-password"
+              placeholder="Confirm new password"
+              className={inputClass}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+            >
+              {loading ? 'Saving...' : 'Set new password'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
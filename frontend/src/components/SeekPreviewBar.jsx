@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react'
+import { parseThumbnailTrack, findCue } from '../utils/thumbnailTrack'
+
+const formatTime = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`
+
+function SeekPreviewBar({ videoRef, trackUrl }) {
+  const barRef = useRef(null)
+  const [cues, setCues] = useState([])
+  const [currentTime, setCurrentTime] = useState(0)
+  const [duration, setDuration] = useState(0)
+  const [hover, setHover] = useState(null)
+
+  // Load the WebVTT thumbnails track (its URL carries a playback token)
+  useEffect(() => {
+    if (!trackUrl) return
+    let cancelled = false
+
+    fetch(trackUrl)
+      .then((response) => (response.ok ? response.text() : ''))
+      .then((text) => {
+        if (!cancelled && text) setCues(parseThumbnailTrack(text, trackUrl))
+      })
+      .catch(() => {})
+
+    return () => {
+      cancelled = true
+    }
+  }, [trackUrl])
+
+  // Follow playback position
+  useEffect(() => {
+    const videoElement = videoRef.current
+    if (!videoElement) return
+
+    const update = () => {
+      setCurrentTime(videoElement.currentTime)
+      setDuration(videoElement.duration || 0)
+    }
+
+    videoElement.addEventListener('timeupdate', update)
+    videoElement.addEventListener('loadedmetadata', update)
+    return () => {
+      videoElement.removeEventListener('timeupdate', update)
+      videoElement.removeEventListener('loadedmetadata', update)
+    }
+  }, [videoRef])
+
+  const timeAt = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect()
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1)
+    return { time: ratio * duration, offset: ratio * rect.width }
+  }
+
+  const handleMouseMove = (e) => {
+    if (!duration) return
+    const { time, offset } = timeAt(e.clientX)
+    setHover({ time, offset, cue: cues.length ? findCue(cues, time) : null })
+  }
+
+  const handleClick = (e) => {
+    if (!duration || !videoRef.current) return
+    videoRef.current.currentTime = timeAt(e.clientX).time
+  }
+
+  return (
+    <div className="relative mt-2 px-1">
+      {hover && (
+        <div
+          className="absolute bottom-6 -translate-x-1/2 pointer-events-none flex flex-col items-center"
+          style={{ left: hover.offset }}
+        >
+          {hover.cue && (
+            <div
+              className="rounded border border-white shadow-lg"
+              style={{
+                width: hover.cue.w,
+                height: hover.cue.h,
+                backgroundImage: `url("${hover.cue.url}")`,
+                backgroundPosition: `-${hover.cue.x}px -${hover.cue.y}px`,
+              }}
+            />
+          )}
+          <span className="mt-1 text-xs text-white bg-black bg-opacity-75 px-1 rounded">
+            {formatTime(hover.time)}
+          </span>
+        </div>
+      )}
+      <div
+        ref={barRef}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setHover(null)}
+        onClick={handleClick}
+        className="h-3 bg-gray-700 rounded-full cursor-pointer"
+      >
+        <div
+          className="h-3 bg-indigo-500 rounded-full"
+          style={{ width: duration ? `${(currentTime / duration) * 100}%` : 0 }}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default SeekPreviewBar
@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import api from '../utils/api'
+import { useAuthImage } from '../utils/useAuthImage'
+
+function CandidateThumbnail({ videoId, index, version, onSelect, disabled }) {
+  const src = useAuthImage(`/videos/${videoId}/thumbnail?candidate=${index}&v=${version}`)
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSelect(index)}
+      disabled={disabled}
+      className="rounded overflow-hidden border-2 border-transparent hover:border-indigo-500 disabled:opacity-50"
+    >
+      {src ? (
+        <img src={src} alt={`Thumbnail candidate ${index + 1}`} className="w-full h-20 object-cover" />
+      ) : (
+        <div className="w-full h-20 bg-gray-200" />
+      )}
+    </button>
+  )
+}
+
+function ThumbnailPicker({ videoId, candidates, version, onUpdated }) {
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const save = async (data, headers) => {
+    setSaving(true)
+    setError('')
+    try {
+      const response = await api.put(`/videos/${videoId}/thumbnail`, data, { headers })
+      if (response.data.success) {
+        onUpdated(response.data.data.thumbnailUpdatedAt)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update thumbnail')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSelect = (index) => save({ candidate: index })
+
+  const handleUpload = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+    const formData = new FormData()
+    formData.append('image', file)
+    save(formData, { 'Content-Type': 'multipart/form-data' })
+    e.target.value = ''
+  }
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold mb-2">Poster Image</h3>
+      {error && (
+        <div className="mb-2 bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded text-sm">
+          {error}
+        </div>
+      )}
+      {candidates.length > 0 && (
+        <div className="grid grid-cols-4 gap-2 mb-3">
+          {candidates.map((candidate, index) => (
+            <CandidateThumbnail
+              key={candidate.filename}
+              videoId={videoId}
+              index={index}
+              version={version}
+              onSelect={handleSelect}
+              disabled={saving}
+            />
+          ))}
+        </div>
+      )}
+      <label className="block text-sm text-gray-600">
+        Or upload a custom poster (JPEG, PNG or WebP, max 5MB)
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          onChange={handleUpload}
+          disabled={saving}
+          className="block w-full mt-1 text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+        />
+      </label>
+    </div>
+  )
+}
+
+export default ThumbnailPicker
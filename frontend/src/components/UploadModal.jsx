@@ -1,24 +1,46 @@
 import { useState } from 'react'
-import api from '../utils/api'
-
-function UploadModal({ onClose, onUploaded }) {
+import {
+  uploadResumable,
+  getPendingUploads,
+  discardPendingUpload,
+  getFingerprint,
+} from '../utils/resumableUpload'
+
+function UploadModal({ folder, onClose, onUploaded }) {
   const [file, setFile] = useState(null)
   const [title, setTitle] = useState('')
   const [description, setDescription] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [progress, setProgress] = useState(0)
+  const [pendingUploads, setPendingUploads] = useState(getPendingUploads)
+
+  const resumable = file
+    ? pendingUploads.find((upload) => upload.fingerprint === getFingerprint(file))
+    : null
 
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0]
     if (selectedFile) {
       setFile(selectedFile)
-      if (!title) {
+      // Picking the file of an interrupted upload brings back its details
+      const pending = getPendingUploads().find(
+        (upload) => upload.fingerprint === getFingerprint(selectedFile)
+      )
+      if (pending) {
+        setTitle(pending.title || '')
+        setDescription(pending.description || '')
+      } else if (!title) {
         setTitle(selectedFile.name.replace(/\.[^/.]+$/, ''))
       }
     }
   }
 
+  const handleDiscard = async (fingerprint) => {
+    await discardPendingUpload(fingerprint)
+    setPendingUploads(getPendingUploads())
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     if (!file) {
@@ -31,32 +53,21 @@ function UploadModal({ onClose, onUploaded }) {
     setProgress(0)
 
     try {
-      const formData = new FormData()
-      formData.append('video', file)
-      formData.append('title', title)
-      formData.append('description', description)
-
-      const response = await api.post('/videos/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          )
-          setProgress(percentCompleted)
-        },
+      // Chunked tus upload: survives dropped connections and page refreshes
+      await uploadResumable(file, {
+        title,
+        description,
+        folderId: folder?.id,
+        onProgress: setProgress,
       })
-
-      if (response.data.success) {
-        onUploaded()
-      }
+      onUploaded()
     } catch (err) {
       setError(
         err.response?.data?.message || 'Upload failed. Please try again.'
       )
     } finally {
       setLoading(false)
+      setPendingUploads(getPendingUploads())
     }
   }
 
@@ -64,7 +75,9 @@ function UploadModal({ onClose, onUploaded }) {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
         <div className="flex justify-between items-center mb-4">
-          <h2 className="text-xl font-bold">Upload Video</h2>
+          <h2 className="text-xl font-bold">
+            Upload Video{folder && <span className="font-normal text-gray-500"> to {folder.name}</span>}
+          </h2>
           <button
             onClick={onClose}
             className="text-gray-500 hover:text-gray-700"
@@ -80,6 +93,28 @@ function UploadModal({ onClose, onUploaded }) {
             </div>
           )}
 
+          {pendingUploads.length > 0 && !loading && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded text-sm">
+              <p className="font-medium mb-1">Unfinished uploads — select the same file to resume:</p>
+              <ul className="space-y-1">
+                {pendingUploads.map((upload) => (
+                  <li key={upload.fingerprint} className="flex justify-between items-center gap-2">
+                    <span className="truncate">
+                      {upload.filename} ({Math.floor((upload.offset * 100) / upload.size)}%)
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => handleDiscard(upload.fingerprint)}
+                      className="text-yellow-900 underline hover:no-underline"
+                    >
+                      Discard
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Video File
@@ -147,7 +182,7 @@ function UploadModal({ onClose, onUploaded }) {
               disabled={loading || !file}
               className="flex-1 px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
             >
-              {loading ? 'Uploading...' : 'Upload'}
+              {loading ? 'Uploading...' : resumable ? 'Resume Upload' : 'Upload'}
             </button>
           </div>
         </form>
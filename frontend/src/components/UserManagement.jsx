@@ -0,0 +1,401 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import api from '../utils/api'
+import { getUser } from '../utils/auth'
+
+const ROLES = ['ADMIN', 'EDITOR', 'VIEWER']
+
+const ROLE_STYLES = {
+  ADMIN: 'bg-purple-100 text-purple-800',
+  EDITOR: 'bg-blue-100 text-blue-800',
+  VIEWER: 'bg-gray-100 text-gray-800',
+}
+
+// Shows a one-time link (invitation or password reset) for the ADMIN to pass on
+function LinkNotice({ notice, onClose }) {
+  const [copied, setCopied] = useState(false)
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(notice.url)
+    setCopied(true)
+  }
+
+  return (
+    <div className="mb-4 bg-indigo-50 border border-indigo-200 text-indigo-800 px-4 py-3 rounded">
+      <div className="flex justify-between items-start gap-4">
+        <p className="text-sm">{notice.message} This link is only shown once.</p>
+        <button onClick={onClose} className="text-indigo-600 hover:text-indigo-800">
+          ✕
+        </button>
+      </div>
+      <div className="mt-2 flex gap-2">
+        <input
+          readOnly
+          value={notice.url}
+          className="flex-1 px-3 py-1.5 border border-indigo-200 rounded-md text-sm bg-white"
+          onFocus={(e) => e.target.select()}
+        />
+        <button
+          onClick={copy}
+          className="px-3 py-1.5 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700"
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function InviteForm({ onInvited }) {
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('VIEWER')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    try {
+      const response = await api.post('/invitations', { email, role })
+      if (response.data.success) {
+        onInvited(email, response.data.data.acceptUrl)
+        setEmail('')
+        setRole('VIEWER')
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invitation')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 mb-6">
+      <h2 className="font-semibold text-gray-900 mb-3">Invite a user</h2>
+      <div className="flex flex-wrap gap-4 items-end">
+        <label className="text-sm text-gray-700 flex-1 min-w-[16rem]">
+          Email
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Role
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+          >
+            {ROLES.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {saving ? 'Inviting...' : 'Send invitation'}
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </form>
+  )
+}
+
+function UserRow({ member, currentUser, onChanged, onResetLink }) {
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const isSelf = member.id === currentUser?.id
+
+  const run = async (request) => {
+    setSaving(true)
+    setError('')
+    try {
+      const response = await request()
+      if (response.data.success) {
+        onChanged(response.data.data.user)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Update failed')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const changeRole = (role) => run(() => api.patch(`/users/${member.id}/role`, { role }))
+
+  const toggleActive = () => {
+    if (member.isActive && !window.confirm(`Deactivate ${member.email}? They will be signed out everywhere.`)) {
+      return
+    }
+    run(() => api.patch(`/users/${member.id}/status`, { isActive: !member.isActive }))
+  }
+
+  const resetPassword = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const response = await api.post(`/users/${member.id}/password-reset`)
+      if (response.data.success) {
+        onResetLink(member.email, response.data.data.resetUrl)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create reset link')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <tr className={member.isActive ? '' : 'bg-gray-50 text-gray-500'}>
+      <td className="px-4 py-3">
+        <div className="font-medium">
+          {member.firstName} {member.lastName} {isSelf && <span className="text-xs text-gray-500">(you)</span>}
+        </div>
+        <div className="text-sm text-gray-500">{member.email}</div>
+        {error && <div className="text-sm text-red-600 mt-1">{error}</div>}
+      </td>
+      <td className="px-4 py-3">
+        <select
+          value={member.role}
+          disabled={saving}
+          onChange={(e) => changeRole(e.target.value)}
+          className={`px-2 py-1 rounded text-xs font-medium border-0 ${ROLE_STYLES[member.role]}`}
+        >
+          {ROLES.map((value) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+      </td>
+      <td className="px-4 py-3 text-sm">
+        {member.isActive ? (
+          <span className="text-green-700">Active</span>
+        ) : (
+          <span className="text-red-700">Inactive</span>
+        )}
+      </td>
+      <td className="px-4 py-3 text-sm text-gray-500">
+        {member.lastLogin ? new Date(member.lastLogin).toLocaleString() : 'Never'}
+      </td>
+      <td className="px-4 py-3 text-right whitespace-nowrap">
+        <button
+          onClick={resetPassword}
+          disabled={saving || !member.isActive || (member.role === 'ADMIN' && !isSelf)}
+          title={member.role === 'ADMIN' && !isSelf ? 'Other ADMINs reset their own password' : undefined}
+          className="px-3 py-1.5 bg-white text-gray-700 text-sm border border-gray-300 rounded-md hover:bg-gray-100 disabled:opacity-50 mr-2"
+        >
+          Reset password
+        </button>
+        <button
+          onClick={toggleActive}
+          disabled={saving || (isSelf && member.isActive)}
+          className={`px-3 py-1.5 text-sm text-white rounded-md disabled:opacity-50 ${
+            member.isActive ? 'bg-red-600 hover:bg-red-700' : 'bg-green-600 hover:bg-green-700'
+          }`}
+        >
+          {member.isActive ? 'Deactivate' : 'Activate'}
+        </button>
+      </td>
+    </tr>
+  )
+}
+
+function UserManagement() {
+  const [users, setUsers] = useState([])
+  const [filters, setFilters] = useState({ search: '', role: '', isActive: '' })
+  const [search, setSearch] = useState('')
+  const [pagination, setPagination] = useState({ page: 1, pages: 1 })
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [linkNotice, setLinkNotice] = useState(null)
+  const currentUser = getUser()
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    fetchUsers()
+  }, [filters, page])
+
+  // Search as the ADMIN types, without a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => updateFilter('search', search), 300)
+    return () => clearTimeout(timer)
+  }, [search])
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const params = { page, limit: 20 }
+      if (filters.search) params.search = filters.search
+      if (filters.role) params.role = filters.role
+      if (filters.isActive) params.isActive = filters.isActive
+
+      const response = await api.get('/users', { params })
+      if (response.data.success) {
+        setUsers(response.data.data.users)
+        setPagination(response.data.data.pagination)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateFilter = (name, value) => {
+    setFilters((prev) => (prev[name] === value ? prev : { ...prev, [name]: value }))
+    setPage(1)
+  }
+
+  const replaceUser = (updated) => {
+    setUsers((prev) => prev.map((member) => (member.id === updated.id ? updated : member)))
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Users</h1>
+            <p className="text-sm text-gray-500">Manage who can access your organization</p>
+          </div>
+          <button
+            onClick={() => navigate('/')}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700"
+          >
+            ← Back to Dashboard
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {linkNotice && <LinkNotice notice={linkNotice} onClose={() => setLinkNotice(null)} />}
+
+        <InviteForm
+          onInvited={(email, url) =>
+            setLinkNotice({ message: `Invitation created for ${email}. Send them this link.`, url })
+          }
+        />
+
+        {/* Filters */}
+        <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+          <label className="text-sm text-gray-700 flex-1 min-w-[16rem]">
+            Search
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Name or email"
+              className="block w-full mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Role
+            <select
+              value={filters.role}
+              onChange={(e) => updateFilter('role', e.target.value)}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">All roles</option>
+              {ROLES.map((value) => (
+                <option key={value} value={value}>
+                  {value}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Status
+            <select
+              value={filters.isActive}
+              onChange={(e) => updateFilter('isActive', e.target.value)}
+              className="block mt-1 px-3 py-2 border border-gray-300 rounded-md"
+            >
+              <option value="">All</option>
+              <option value="true">Active</option>
+              <option value="false">Inactive</option>
+            </select>
+          </label>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12 text-gray-500">Loading users...</div>
+        ) : users.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-gray-500 text-lg">No users found</p>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <th className="px-4 py-3">User</th>
+                  <th className="px-4 py-3">Role</th>
+                  <th className="px-4 py-3">Status</th>
+                  <th className="px-4 py-3">Last login</th>
+                  <th className="px-4 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {users.map((member) => (
+                  <UserRow
+                    key={member.id}
+                    member={member}
+                    currentUser={currentUser}
+                    onChanged={replaceUser}
+                    onResetLink={(email, url) =>
+                      setLinkNotice({ message: `Password reset link for ${email}.`, url })
+                    }
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination.pages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-6">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="px-3 py-1.5 bg-white rounded-md shadow disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.page} of {pagination.pages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.pages}
+              className="px-3 py-1.5 bg-white rounded-md shadow disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default UserManagement
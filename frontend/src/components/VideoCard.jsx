@@ -1,4 +1,12 @@
+import { useAuthImage } from '../utils/useAuthImage'
+
 function VideoCard({ video, processing, onClick }) {
+  const thumbnailSrc = useAuthImage(
+    video.thumbnailUpdatedAt && video.processingStatus === 'COMPLETED'
+      ? `/videos/${video._id}/thumbnail?v=${new Date(video.thumbnailUpdatedAt).getTime()}`
+      : null
+  )
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'COMPLETED':
@@ -9,6 +17,8 @@ function VideoCard({ video, processing, onClick }) {
         return 'bg-yellow-100 text-yellow-800'
       case 'FLAGGED':
         return 'bg-red-100 text-red-800'
+      case 'FAILED':
+        return 'bg-orange-100 text-orange-800'
       default:
         return 'bg-gray-100 text-gray-800'
     }
@@ -19,8 +29,8 @@ function VideoCard({ video, processing, onClick }) {
       onClick={onClick}
       className="bg-white rounded-lg shadow-md overflow-hidden cursor-pointer hover:shadow-lg transition-shadow"
     >
-      {/* Video Thumbnail Placeholder */}
-      <div className="w-full h-48 bg-gray-200 flex items-center justify-center relative">
+      {/* Video Thumbnail */}
+      <div className="w-full h-48 bg-gray-200 flex items-center justify-center relative overflow-hidden">
         {video.processingStatus === 'PROCESSING' || processing ? (
           <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center">
             <div className="text-white text-center">
@@ -37,6 +47,10 @@ function VideoCard({ video, processing, onClick }) {
           </div>
         ) : video.processingStatus === 'FLAGGED' ? (
           <div className="text-red-600 text-4xl">⚠️</div>
+        ) : video.processingStatus === 'FAILED' ? (
+          <div className="text-orange-600 text-4xl">❗</div>
+        ) : thumbnailSrc ? (
+          <img src={thumbnailSrc} alt={video.title} className="w-full h-full object-cover" />
         ) : (
           <div className="text-gray-400 text-4xl">▶️</div>
         )}
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import api from '../utils/api'
+
+// canChangeVisibility: only the video's managers may change isPublic
+function VideoMetadataForm({ video, canChangeVisibility = true, onSaved, onCancel }) {
+  const [title, setTitle] = useState(video.title || '')
+  const [description, setDescription] = useState(video.description || '')
+  const [tags, setTags] = useState((video.tags || []).join(', '))
+  const [isPublic, setIsPublic] = useState(!!video.isPublic)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    try {
+      const response = await api.patch(`/videos/${video.id}`, {
+        title,
+        description,
+        tags,
+        ...(canChangeVisibility && { isPublic }),
+      })
+      if (response.data.success) {
+        onSaved(response.data.data.video)
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save changes')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+      <label className="block text-sm font-medium text-gray-700">
+        Title
+        <input
+          type="text"
+          required
+          maxLength={200}
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </label>
+      <label className="block text-sm font-medium text-gray-700">
+        Description
+        <textarea
+          rows={4}
+          maxLength={5000}
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </label>
+      <label className="block text-sm font-medium text-gray-700">
+        Tags (comma-separated)
+        <input
+          type="text"
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="e.g., tutorial, demo, product"
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </label>
+      {canChangeVisibility && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={isPublic}
+            onChange={(e) => setIsPublic(e.target.checked)}
+            className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+          />
+          Public (visible to viewers)
+        </label>
+      )}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="px-4 py-2 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default VideoMetadataForm
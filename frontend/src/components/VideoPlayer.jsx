@@ -1,36 +1,334 @@
 import { useState, useEffect, useRef } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom'
+import Hls from 'hls.js'
 import api from '../utils/api'
+import { getUser } from '../utils/auth'
+import { useAuthImage } from '../utils/useAuthImage'
+import ThumbnailPicker from './ThumbnailPicker'
+import SeekPreviewBar from './SeekPreviewBar'
+import VideoMetadataForm from './VideoMetadataForm'
+import { useFolderOptions, FolderOptions } from './FolderBar'
+
+// Seconds before the next playlist video starts
+const AUTOPLAY_DELAY = 5
+
+// Folder path of a video, with move and copy to another folder
+function VideoFolder({ videoId, breadcrumbs, canMove, onMoved }) {
+  const [target, setTarget] = useState('root')
+  const [message, setMessage] = useState(null)
+  const folderOptions = useFolderOptions()
+  const navigate = useNavigate()
+
+  const send = async (action) => {
+    setMessage(null)
+    try {
+      const response = await api.post(`/folders/${target}/${action}`, { videoIds: [videoId] })
+      if (action === 'move') {
+        const byId = new Map(folderOptions.map((option) => [option.id, option]))
+        const folder = byId.get(target)
+        onMoved(folder ? [...folder.ancestors.map((ancestorId) => byId.get(ancestorId)), folder] : [])
+        setMessage({ text: 'Video moved' })
+      } else {
+        const copyId = response.data.data.videoIds[0]
+        setMessage({ text: 'Copy created', copyId })
+      }
+    } catch (err) {
+      setMessage({ text: err.response?.data?.message || `Failed to ${action} video`, error: true })
+    }
+  }
+
+  return (
+    <div className="mt-4 border-t pt-4">
+      <p className="text-sm text-gray-500 mb-1">Folder</p>
+      <p className="font-semibold mb-2">
+        {breadcrumbs.length > 0 ? breadcrumbs.map((crumb) => crumb.name).join(' / ') : 'Top level'}
+      </p>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+        >
+          <FolderOptions options={folderOptions} />
+        </select>
+        {canMove && (
+          <button
+            onClick={() => send('move')}
+            className="px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            Move here
+          </button>
+        )}
+        <button
+          onClick={() => send('copy')}
+          className="px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md hover:bg-gray-100"
+        >
+          Copy here
+        </button>
+        {message && (
+          <span className={message.error ? 'text-red-600' : 'text-green-700'}>
+            {message.text}
+            {message.copyId && (
+              <button onClick={() => navigate(`/video/${message.copyId}`)} className="ml-2 text-indigo-600 hover:text-indigo-800">
+                Open copy
+              </button>
+            )}
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Users and groups a private video is shared with, beyond its visibility
+function VideoShares({ videoId }) {
+  const [shares, setShares] = useState([])
+  const [users, setUsers] = useState([])
+  const [groups, setGroups] = useState([])
+  const [grant, setGrant] = useState({ target: '', permission: 'VIEW' })
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api.get(`/videos/${videoId}/shares`)
+      .then((response) => setShares(response.data.data.shares))
+      .catch((err) => setError(err.response?.data?.message || 'Failed to load shares'))
+    api.get('/users', { params: { isActive: 'true', limit: 100 } })
+      .then((response) => setUsers(response.data.data.users))
+      .catch(() => setUsers([]))
+    api.get('/groups')
+      .then((response) => setGroups(response.data.data.groups))
+      .catch(() => setGroups([]))
+  }, [videoId])
+
+  // Shares are replaced as a whole list
+  const save = async (next) => {
+    setError('')
+    try {
+      const response = await api.put(`/videos/${videoId}/shares`, {
+        shares: next.map((share) =>
+          share.type === 'USER'
+            ? { userId: share.user.id, permission: share.permission }
+            : { groupId: share.group.id, permission: share.permission }
+        ),
+      })
+      setShares(response.data.data.shares)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update shares')
+    }
+  }
+
+  const keyOf = (share) => (share.type === 'USER' ? `user:${share.user.id}` : `group:${share.group.id}`)
+  const shared = new Set(shares.map(keyOf))
+
+  const add = (e) => {
+    e.preventDefault()
+    const [type, targetId] = grant.target.split(':')
+    if (!targetId) return
+    const share = type === 'user'
+      ? { type: 'USER', user: { id: targetId }, permission: grant.permission }
+      : { type: 'GROUP', group: { id: targetId }, permission: grant.permission }
+    save([...shares, share])
+    setGrant((prev) => ({ ...prev, target: '' }))
+  }
+
+  return (
+    <div className="mt-4 border-t pt-4">
+      <p className="text-sm text-gray-500 mb-1">Shared with</p>
+      <p className="text-xs text-gray-500 mb-2">
+        VIEW lets them watch the video even while it is private; EDIT also lets them edit its details and poster.
+      </p>
+      {shares.length > 0 && (
+        <ul className="divide-y mb-3">
+          {shares.map((share) => (
+            <li key={keyOf(share)} className="py-2 flex items-center justify-between gap-2 text-sm">
+              <span className="truncate">
+                {share.type === 'USER'
+                  ? `${share.user.firstName} ${share.user.lastName} (${share.user.email})`
+                  : `${share.group.name} (group, ${share.group.memberCount} members)`}
+              </span>
+              <div className="flex items-center gap-2">
+                <select
+                  value={share.permission}
+                  onChange={(e) =>
+                    save(shares.map((entry) => (entry === share ? { ...entry, permission: e.target.value } : entry)))
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+                >
+                  <option value="VIEW">VIEW</option>
+                  <option value="EDIT">EDIT</option>
+                </select>
+                <button
+                  onClick={() => save(shares.filter((entry) => entry !== share))}
+                  className="text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={add} className="flex flex-wrap gap-2 text-sm">
+        <select
+          value={grant.target}
+          onChange={(e) => setGrant((prev) => ({ ...prev, target: e.target.value }))}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value="">Select a user or group</option>
+          {groups.filter((group) => !shared.has(`group:${group.id}`)).length > 0 && (
+            <optgroup label="Groups">
+              {groups.filter((group) => !shared.has(`group:${group.id}`)).map((group) => (
+                <option key={group.id} value={`group:${group.id}`}>{group.name}</option>
+              ))}
+            </optgroup>
+          )}
+          <optgroup label="Users">
+            {users.filter((user) => !shared.has(`user:${user.id}`)).map((user) => (
+              <option key={user.id} value={`user:${user.id}`}>
+                {user.firstName} {user.lastName} ({user.email})
+              </option>
+            ))}
+          </optgroup>
+        </select>
+        <select
+          value={grant.permission}
+          onChange={(e) => setGrant((prev) => ({ ...prev, permission: e.target.value }))}
+          className="px-2 py-1 border border-gray-300 rounded-md bg-white"
+        >
+          <option value="VIEW">VIEW</option>
+          <option value="EDIT">EDIT</option>
+        </select>
+        <button type="submit" className="px-3 py-1 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">
+          Share
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  )
+}
 
 function VideoPlayer() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const playlistId = searchParams.get('playlist')
   const videoRef = useRef(null)
   const [video, setVideo] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [streamUrl, setStreamUrl] = useState('')
+  const [hlsUrl, setHlsUrl] = useState('')
+  const [thumbnailTrackUrl, setThumbnailTrackUrl] = useState('')
+  const [editing, setEditing] = useState(false)
+  // { canEdit, canManage, breadcrumbs } as decided by the API (role, ownership, folder grants and shares)
+  const [access, setAccess] = useState({ canEdit: false, canManage: false, breadcrumbs: [] })
+  const [playlist, setPlaylist] = useState(null)
+  // Seconds left before "next up" starts; null when no countdown is running
+  const [countdown, setCountdown] = useState(null)
+  const user = getUser()
+  const thumbnailVersion = video?.thumbnailUpdatedAt ? new Date(video.thumbnailUpdatedAt).getTime() : 0
+  const posterSrc = useAuthImage(
+    thumbnailVersion ? `/videos/${id}/thumbnail?v=${thumbnailVersion}` : null
+  )
 
   useEffect(() => {
+    setCountdown(null)
+    setStreamUrl('')
+    setHlsUrl('')
+    setThumbnailTrackUrl('')
     fetchVideoInfo()
   }, [id])
 
+  useEffect(() => {
+    if (!playlistId) {
+      setPlaylist(null)
+      return
+    }
+    api
+      .get(`/playlists/${playlistId}`)
+      .then((response) => setPlaylist(response.data.data.playlist))
+      .catch(() => setPlaylist(null))
+  }, [playlistId])
+
+  // Next playable video of the playlist after this one
+  const playlistIndex = playlist ? playlist.items.findIndex((item) => item.video._id === id) : -1
+  const nextUp = playlist
+    ? playlist.items
+      .slice(playlistIndex + 1)
+      .find((item) => item.video.processingStatus === 'COMPLETED')?.video
+    : null
+
+  const playNext = () => {
+    setCountdown(null)
+    navigate(`/video/${nextUp._id}?playlist=${playlistId}`)
+  }
+
+  useEffect(() => {
+    if (countdown === null || !nextUp) return
+    if (countdown === 0) {
+      playNext()
+      return
+    }
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000)
+    return () => clearTimeout(timer)
+  }, [countdown])
+
+  // Attach the adaptive (HLS) stream once the video element is rendered
+  useEffect(() => {
+    const videoElement = videoRef.current
+    if (!videoElement || !hlsUrl) return
+
+    if (Hls.isSupported()) {
+      const hls = new Hls()
+      hls.loadSource(hlsUrl)
+      hls.attachMedia(videoElement)
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        // Fall back to the original file if adaptive playback fails
+        if (data.fatal) {
+          hls.destroy()
+          if (streamUrl) {
+            videoElement.src = streamUrl
+          }
+        }
+      })
+      return () => hls.destroy()
+    }
+
+    // Safari plays HLS natively
+    if (videoElement.canPlayType('application/vnd.apple.mpegurl')) {
+      videoElement.src = hlsUrl
+    } else if (streamUrl) {
+      videoElement.src = streamUrl
+    }
+  }, [hlsUrl, streamUrl, loading])
+
   const fetchVideoInfo = async () => {
     try {
       setLoading(true)
       const response = await api.get(`/videos/${id}/stream-info`)
       if (response.data.success) {
-        const videoData = response.data.data.video
+        const { video: videoData, canEdit, canManage, breadcrumbs } = response.data.data
         setVideo(videoData)
+        setAccess({ canEdit, canManage, breadcrumbs })
 
         // Only set stream URL if video is COMPLETED and not FLAGGED
         if (
           videoData.processingStatus === 'COMPLETED' &&
           videoData.processingStatus !== 'FLAGGED'
         ) {
-          const token = localStorage.getItem('video_management_token')
-          const baseUrl = import.meta.env.VITE_API_URL || ''
-          setStreamUrl(`${baseUrl}/videos/stream/${id}?token=${token}`)
+          // Short-lived URLs signed for this video and user - the login token never goes in a URL
+          const signed = await api.post(`/videos/${id}/stream-url`)
+          const urls = signed.data.data
+          const apiUrl = import.meta.env.VITE_API_URL || '/api'
+          const toApiUrl = (url) => `${apiUrl}${url.replace(/^\/api/, '')}`
+
+          setStreamUrl(toApiUrl(urls.streamUrl))
+          if (urls.hlsUrl) {
+            setHlsUrl(toApiUrl(urls.hlsUrl))
+          }
+          if (urls.thumbnailTrackUrl) {
+            setThumbnailTrackUrl(toApiUrl(urls.thumbnailTrackUrl))
+          }
         }
       }
     } catch (err) {
@@ -67,8 +365,10 @@ function VideoPlayer() {
   }
 
   const isFlagged = video.processingStatus === 'FLAGGED'
+  const isFailed = video.processingStatus === 'FAILED'
   const isProcessing = video.processingStatus === 'PROCESSING' || video.processingStatus === 'PENDING'
   const canPlay = video.processingStatus === 'COMPLETED' && !isFlagged
+  const { canEdit, canManage } = access
 
   return (
     <div className="min-h-screen bg-gray-900">
@@ -77,10 +377,10 @@ function VideoPlayer() {
         <div className="max-w-7xl mx-auto flex items-center justify-between">
           <div>
             <button
-              onClick={() => navigate('/')}
+              onClick={() => navigate(playlistId ? `/playlist/${playlistId}` : '/')}
               className="text-gray-300 hover:text-white mr-4"
             >
-              ← Back
+              ← {playlist ? playlist.title : 'Back'}
             </button>
             <h1 className="text-xl font-bold">{video.title}</h1>
           </div>
@@ -96,8 +396,14 @@ function VideoPlayer() {
               controls
               className="w-full h-full"
               crossOrigin="anonymous"
+              poster={posterSrc || undefined}
+              autoPlay={!!playlistId}
+              onEnded={() => nextUp && setCountdown(AUTOPLAY_DELAY)}
+              onPlay={() => setCountdown(null)}
             >
-              <source src={streamUrl} type={video.mimeType || 'video/mp4'} />
+              {!hlsUrl && (
+                <source src={streamUrl} type={video.mimeType || 'video/mp4'} />
+              )}
               Your browser does not support the video tag.
             </video>
           ) : (
@@ -114,6 +420,13 @@ function VideoPlayer() {
                       Reason: {video.processingError}
                     </p>
                   )}
+                  {(video.reviewStatus === 'PENDING_REVIEW' || video.reviewStatus === 'ESCALATED') && (
+                    <p className="text-sm text-gray-300 mb-4">
+                      {video.reviewStatus === 'ESCALATED'
+                        ? 'Escalated to an administrator for review.'
+                        : 'Awaiting moderation review.'}
+                    </p>
+                  )}
                   <button
                     onClick={() => navigate('/')}
                     className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700"
@@ -121,6 +434,19 @@ function VideoPlayer() {
                     Back to Dashboard
                   </button>
                 </div>
+              ) : isFailed ? (
+                <div className="text-center text-white p-8 bg-orange-900 bg-opacity-50 rounded-lg max-w-md">
+                  <div className="text-6xl mb-4">❗</div>
+                  <h2 className="text-2xl font-bold mb-2">Processing Failed</h2>
+                  <p className="text-gray-300 mb-4">
+                    This video could not be processed. An administrator can retry it.
+                  </p>
+                  {video.processingError && (
+                    <p className="text-sm text-gray-400">
+                      {video.processingError}
+                    </p>
+                  )}
+                </div>
               ) : isProcessing ? (
                 <div className="text-center text-white">
                   <div className="text-4xl mb-4">⏳</div>
@@ -137,16 +463,104 @@ function VideoPlayer() {
               )}
             </div>
           )}
+
+          {countdown !== null && nextUp && (
+            <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center">
+              <div className="text-center text-white">
+                <p className="text-sm text-gray-300 mb-1">Up next in {countdown}s</p>
+                <h2 className="text-xl font-bold mb-4">{nextUp.title}</h2>
+                <div className="flex gap-2 justify-center">
+                  <button
+                    onClick={playNext}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+                  >
+                    Play now
+                  </button>
+                  <button
+                    onClick={() => setCountdown(null)}
+                    className="px-4 py-2 bg-gray-700 text-white rounded-md hover:bg-gray-600"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
         </div>
 
+        {/* Seek bar with sprite previews */}
+        {canPlay && streamUrl && thumbnailTrackUrl && (
+          <SeekPreviewBar videoRef={videoRef} trackUrl={thumbnailTrackUrl} />
+        )}
+
+        {/* Playlist: position and up next */}
+        {playlist && playlistIndex !== -1 && (
+          <div className="mt-6 bg-white rounded-lg p-4">
+            <div className="flex items-center justify-between mb-2">
+              <p className="font-semibold">
+                {playlist.title}
+                <span className="ml-2 text-sm text-gray-500">
+                  {playlistIndex + 1} / {playlist.items.length}
+                </span>
+              </p>
+              {nextUp && (
+                <button onClick={playNext} className="text-sm text-indigo-600 hover:text-indigo-800">
+                  Next: {nextUp.title} →
+                </button>
+              )}
+            </div>
+            <ol className="max-h-48 overflow-y-auto divide-y">
+              {playlist.items.map((item, index) => (
+                <li key={item.video._id}>
+                  <button
+                    onClick={() => navigate(`/video/${item.video._id}?playlist=${playlistId}`)}
+                    className={`w-full text-left px-2 py-1.5 text-sm truncate ${
+                      item.video._id === id ? 'bg-indigo-50 font-semibold' : 'hover:bg-gray-50'
+                    }`}
+                  >
+                    {index + 1}. {item.video.title}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         {/* Video Info */}
         <div className="mt-6 bg-white rounded-lg p-6">
-          <h2 className="text-2xl font-bold mb-4">Video Details</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-2xl font-bold">Video Details</h2>
+            {canEdit && !editing && (
+              <button
+                onClick={() => setEditing(true)}
+                className="px-3 py-1.5 bg-white text-gray-700 text-sm border border-gray-300 rounded-md hover:bg-gray-100"
+              >
+                Edit details
+              </button>
+            )}
+          </div>
+          {editing && (
+            <div className="mb-6">
+              <VideoMetadataForm
+                video={video}
+                canChangeVisibility={canManage}
+                onSaved={(updated) => {
+                  setVideo((prev) => ({ ...prev, ...updated, id: prev.id }))
+                  setEditing(false)
+                }}
+                onCancel={() => setEditing(false)}
+              />
+            </div>
+          )}
           <div className="grid grid-cols-2 gap-4">
             <div>
               <p className="text-sm text-gray-500">Status</p>
               <p className="font-semibold">{video.processingStatus}</p>
             </div>
+            <div>
+              <p className="text-sm text-gray-500">Visibility</p>
+              <p className="font-semibold">{video.isPublic ? 'Public' : 'Private'}</p>
+            </div>
             {video.duration && (
               <div>
                 <p className="text-sm text-gray-500">Duration</p>
@@ -171,12 +585,40 @@ function VideoPlayer() {
               </div>
             )}
           </div>
-          {video.description && (
+          {!editing && video.description && (
             <div className="mt-4">
               <p className="text-sm text-gray-500 mb-1">Description</p>
               <p>{video.description}</p>
             </div>
           )}
+          {!editing && video.tags?.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              {video.tags.map((tag) => (
+                <span key={tag} className="px-2 py-1 rounded text-xs bg-gray-100 text-gray-700">
+                  {tag}
+                </span>
+              ))}
+            </div>
+          )}
+          {(canManage || user?.role !== 'VIEWER') && (
+            <VideoFolder
+              videoId={id}
+              breadcrumbs={access.breadcrumbs}
+              canMove={canManage}
+              onMoved={(breadcrumbs) => setAccess((prev) => ({ ...prev, breadcrumbs }))}
+            />
+          )}
+          {canManage && <VideoShares videoId={id} />}
+          {canEdit && video.thumbnailCandidates?.length > 0 && (
+            <ThumbnailPicker
+              videoId={id}
+              candidates={video.thumbnailCandidates}
+              version={thumbnailVersion}
+              onUpdated={(thumbnailUpdatedAt) =>
+                setVideo((prev) => ({ ...prev, thumbnailUpdatedAt }))
+              }
+            />
+          )}
         </div>
       </main>
     </div>
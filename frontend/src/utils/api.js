@@ -1,8 +1,10 @@
 import axios from 'axios'
-import { getToken, removeToken } from './auth'
+import { getToken, setToken, getRefreshToken, setRefreshToken, removeToken } from './auth'
+
+const baseURL = import.meta.env.VITE_API_URL || '/api'
 
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || '/api',
+  baseURL,
   headers: {
     'Content-Type': 'application/json',
   },
@@ -22,17 +24,69 @@ api.interceptors.request.use(
   }
 )
 
-// Handle 401 errors (unauthorized)
+// Credentials endpoints answer 401 for bad input; never refresh for them
+const isAuthRequest = (config) => /^\/?auth\/(login|register|refresh)$/.test(config.url || '')
+
+let refreshPromise = null
+
+/**
+ * Exchange the refresh token for a new token pair
+ * Concurrent callers share one request, since each refresh token works once.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken()
+
+    refreshPromise = (async () => {
+      if (!refreshToken) {
+        throw new Error('No refresh token')
+      }
+
+      try {
+        // Plain axios: a failing refresh must not re-enter the interceptor
+        const response = await axios.post(`${baseURL}/auth/refresh`, { refreshToken })
+        setToken(response.data.data.token)
+        setRefreshToken(response.data.data.refreshToken)
+        return response.data.data.token
+      } catch (error) {
+        // Another tab rotated the token in the meantime
+        if (getRefreshToken() && getRefreshToken() !== refreshToken) {
+          return getToken()
+        }
+        throw error
+      }
+    })().finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
+// Handle 401 errors (unauthorized): refresh once, then retry the request
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      removeToken()
-      window.location.href = '/login'
+  async (error) => {
+    const { config, response } = error
+
+    if (response?.status !== 401 || !config || config._retried || isAuthRequest(config)) {
+      return Promise.reject(error)
     }
-    return Promise.reject(error)
+    config._retried = true
+
+    try {
+      await refreshAccessToken()
+    } catch (refreshError) {
+      // Network trouble is not a logout
+      if (!getRefreshToken() || refreshError.response?.status === 401) {
+        removeToken()
+        window.location.href = '/login'
+      }
+      return Promise.reject(error)
+    }
+
+    return api(config)
   }
 )
 
 export default api
-
@@ -1,5 +1,6 @@
 const TOKEN_KEY = 'video_management_token'
 const USER_KEY = 'video_management_user'
+const REFRESH_TOKEN_KEY = 'video_management_refresh_token'
 
 export const getToken = () => {
   return localStorage.getItem(TOKEN_KEY)
@@ -9,8 +10,17 @@ export const setToken = (token) => {
   localStorage.setItem(TOKEN_KEY, token)
 }
 
+export const getRefreshToken = () => {
+  return localStorage.getItem(REFRESH_TOKEN_KEY)
+}
+
+export const setRefreshToken = (refreshToken) => {
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+}
+
 export const removeToken = () => {
   localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
   localStorage.removeItem(USER_KEY)
 }
 
@@ -0,0 +1,190 @@
+import api from './api'
+import { getUser } from './auth'
+
+// tus client for /api/uploads. Upload sessions are remembered in localStorage
+// so an interrupted upload resumes when the same file is selected again,
+// also after a page refresh.
+
+const STORAGE_KEY = 'video_management_uploads'
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' }
+const CHUNK_SIZE = 8 * 1024 * 1024
+const MAX_RETRIES = 5
+
+const readSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+const writeSessions = (sessions) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions))
+}
+
+const forgetSession = (fingerprint) => {
+  const sessions = readSessions()
+  delete sessions[fingerprint]
+  writeSessions(sessions)
+}
+
+export const getFingerprint = (file) => {
+  return [getUser()?.id, file.name, file.size, file.lastModified].join(':')
+}
+
+// Unfinished uploads of the current user: [{ fingerprint, uploadId, filename, size, offset, title, description }]
+export const getPendingUploads = () => {
+  const userId = getUser()?.id
+  return Object.entries(readSessions())
+    .filter(([fingerprint]) => fingerprint.startsWith(`${userId}:`))
+    .map(([fingerprint, session]) => ({ fingerprint, ...session }))
+}
+
+export const discardPendingUpload = async (fingerprint) => {
+  const session = readSessions()[fingerprint]
+  forgetSession(fingerprint)
+  if (session) {
+    await api.delete(`/uploads/${session.uploadId}`, { headers: TUS_HEADERS }).catch(() => {})
+  }
+}
+
+const encodeMetadata = (metadata) => {
+  return Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => {
+      const bytes = new TextEncoder().encode(String(value))
+      return `${key} ${btoa(String.fromCharCode(...bytes))}`
+    })
+    .join(',')
+}
+
+// Upload-Checksum value, or null where Web Crypto is unavailable (non-HTTPS origins)
+const checksumOf = async (blob) => {
+  if (!window.crypto?.subtle) return null
+  const digest = await window.crypto.subtle.digest('SHA-1', await blob.arrayBuffer())
+  return `sha1 ${btoa(String.fromCharCode(...new Uint8Array(digest)))}`
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Offset stored on the server, or null if the session no longer exists
+const fetchOffset = async (uploadId) => {
+  try {
+    const response = await api.head(`/uploads/${uploadId}`, { headers: TUS_HEADERS })
+    return {
+      offset: parseInt(response.headers['upload-offset'], 10),
+      videoId: response.headers['upload-video-id'],
+    }
+  } catch (err) {
+    if (err.response?.status === 404 || err.response?.status === 410) return null
+    throw err
+  }
+}
+
+const createSession = async (file, fields) => {
+  const response = await api.post('/uploads', null, {
+    headers: {
+      ...TUS_HEADERS,
+      'Upload-Length': String(file.size),
+      'Upload-Metadata': encodeMetadata({
+        filename: file.name,
+        filetype: file.type,
+        title: fields.title,
+        description: fields.description,
+        folderId: fields.folderId,
+      }),
+    },
+  })
+  return response.headers.location.split('/').pop()
+}
+
+/**
+ * Upload a file with the tus protocol, resuming a previous session for the same file
+ * @param {File} file
+ * @param {object} options - { title, description, folderId, onProgress(percent) }
+ * @returns {Promise<string>} ID of the created video
+ */
+export const uploadResumable = async (file, { title, description, folderId, onProgress = () => {} }) => {
+  const fingerprint = getFingerprint(file)
+  let uploadId = readSessions()[fingerprint]?.uploadId
+  let offset = 0
+
+  if (uploadId) {
+    const state = await fetchOffset(uploadId)
+    if (state?.videoId) {
+      forgetSession(fingerprint)
+      return state.videoId
+    }
+    if (state) {
+      offset = state.offset
+    } else {
+      uploadId = null
+    }
+  }
+
+  if (!uploadId) {
+    uploadId = await createSession(file, { title, description, folderId })
+  }
+
+  const remember = () => {
+    writeSessions({
+      ...readSessions(),
+      [fingerprint]: { uploadId, filename: file.name, size: file.size, offset, title, description },
+    })
+  }
+  remember()
+  onProgress(Math.floor((offset * 100) / file.size))
+
+  let retries = 0
+  while (true) {
+    const chunk = file.slice(offset, offset + CHUNK_SIZE)
+    const headers = {
+      ...TUS_HEADERS,
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': String(offset),
+    }
+    const checksum = await checksumOf(chunk)
+    if (checksum) headers['Upload-Checksum'] = checksum
+
+    try {
+      const response = await api.patch(`/uploads/${uploadId}`, chunk, {
+        headers,
+        onUploadProgress: (event) => {
+          onProgress(Math.floor(((offset + event.loaded) * 100) / file.size))
+        },
+      })
+
+      offset = parseInt(response.headers['upload-offset'], 10)
+      retries = 0
+      remember()
+
+      if (response.headers['upload-video-id']) {
+        forgetSession(fingerprint)
+        onProgress(100)
+        return response.headers['upload-video-id']
+      }
+    } catch (err) {
+      const status = err.response?.status
+      // Client errors other than a stale offset or bad checksum will not go away by retrying
+      if (status && status < 500 && status !== 409 && status !== 460) {
+        if (status === 404 || status === 410) forgetSession(fingerprint)
+        throw err
+      }
+      if (++retries > MAX_RETRIES) throw err
+
+      await wait(1000 * 2 ** (retries - 1))
+      const state = await fetchOffset(uploadId)
+      if (!state) {
+        forgetSession(fingerprint)
+        throw err
+      }
+      // The last chunk arrived but its response was lost
+      if (state.videoId) {
+        forgetSession(fingerprint)
+        onProgress(100)
+        return state.videoId
+      }
+      offset = state.offset
+    }
+  }
+}
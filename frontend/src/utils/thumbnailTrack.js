@@ -0,0 +1,40 @@
+// Parses a WebVTT thumbnails track into cues:
+// [{ start, end, url, x, y, w, h }] where url is the sprite sheet and
+// x/y/w/h the tile inside it (from the #xywh= fragment).
+
+const toSeconds = (timestamp) => {
+  const parts = timestamp.trim().split(':').map(parseFloat)
+  return parts.reduce((total, part) => total * 60 + part, 0)
+}
+
+export const parseThumbnailTrack = (text, trackUrl) => {
+  const base = new URL(trackUrl, window.location.href)
+  const cues = []
+
+  text.split(/\r?\n\r?\n/).forEach((block) => {
+    const lines = block.split(/\r?\n/).filter(Boolean)
+    const timingIndex = lines.findIndex((line) => line.includes('-->'))
+    if (timingIndex === -1 || !lines[timingIndex + 1]) return
+
+    const [start, end] = lines[timingIndex].split('-->')
+    const [ref, fragment = ''] = lines[timingIndex + 1].split('#')
+    const match = fragment.match(/xywh=(\d+),(\d+),(\d+),(\d+)/)
+    if (!match) return
+
+    cues.push({
+      start: toSeconds(start),
+      end: toSeconds(end),
+      url: new URL(ref, base).toString(),
+      x: Number(match[1]),
+      y: Number(match[2]),
+      w: Number(match[3]),
+      h: Number(match[4]),
+    })
+  })
+
+  return cues
+}
+
+export const findCue = (cues, time) => {
+  return cues.find((cue) => time >= cue.start && time < cue.end) || cues[cues.length - 1]
+}
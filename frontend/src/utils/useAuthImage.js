@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react'
+import api from './api'
+
+// <img> cannot send the Authorization header, so protected images are
+// fetched through the API client and shown from an object URL.
+// Pass a falsy path to skip loading.
+export const useAuthImage = (path) => {
+  const [src, setSrc] = useState('')
+
+  useEffect(() => {
+    if (!path) {
+      setSrc('')
+      return
+    }
+
+    let objectUrl = ''
+    let cancelled = false
+
+    api
+      .get(path, { responseType: 'blob' })
+      .then((response) => {
+        if (cancelled) return
+        objectUrl = URL.createObjectURL(response.data)
+        setSrc(objectUrl)
+      })
+      .catch(() => {
+        if (!cancelled) setSrc('')
+      })
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [path])
+
+  return src
+}
@@ -1,11 +1,12 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../services/authToken.service');
 
 /**
  * JWT Authentication Middleware
  * 
  * This middleware:
- * 1. Verifies the JWT token from the Authorization header
+ * 1. Verifies the JWT token from the Authorization header and checks that
+ *    its session has not been revoked (logout, refresh token reuse)
  * 2. Fetches the user from the database
  * 3. Attaches user, role, and tenantId to the request object
  * 4. Ensures data isolation by tenant
@@ -31,8 +32,8 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and session
+    const decoded = await verifyAccessToken(token);
 
     // Fetch user with password excluded
     const user = await User.findById(decoded.userId)
@@ -63,13 +64,14 @@ const authenticate = async (req, res, next) => {
     // Attach user, role, and tenantId to request object
     // This ensures all subsequent middleware and controllers have access
     req.user = {
-      id: user._id,
+      id: user._id.toString(), // Strings compare with === like tenantId
       email: user.email,
       firstName: user.firstName,
       lastName: user.lastName,
       role: user.role,
       tenantId: user.tenantId._id.toString(), // Store as string for easy comparison
       tenant: user.tenantId,
+      sessionId: decoded.sid,
     };
 
     next();
@@ -86,7 +88,13 @@ const authenticate = async (req, res, next) => {
         message: 'Token expired',
       });
     }
-    
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked',
+      });
+    }
+
     console.error('Auth middleware error:', error);
     return res.status(500).json({
       success: false,
@@ -0,0 +1,64 @@
+const Tenant = require('../models/Tenant');
+const { hasRoomFor } = require('../services/storageUsage.service');
+
+// Multipart boundaries and text fields sent along with the file
+const MULTIPART_ALLOWANCE_BYTES = 1024 * 1024;
+
+/**
+ * Storage Quota Middleware
+ *
+ * Rejects an upload before its body is read when the request is larger than
+ * the tenant's maxVideoSizeMB or would take the tenant over maxStorageGB.
+ * Relies on Content-Length, which Node enforces while reading the body.
+ * The controller still reserves the exact file size once it is known.
+ * Use after authentication, before multer.
+ */
+const checkUploadQuota = async (req, res, next) => {
+  try {
+    const contentLength = parseInt(req.headers['content-length'], 10);
+
+    if (!Number.isFinite(contentLength)) {
+      return res.status(411).json({
+        success: false,
+        message: 'Content-Length header is required for uploads',
+      });
+    }
+
+    const tenant = await Tenant.findById(req.user.tenantId).select('settings usage');
+
+    if (!tenant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tenant not found',
+      });
+    }
+
+    const maxSizeBytes = tenant.settings.maxVideoSizeMB * 1024 * 1024;
+    if (contentLength > maxSizeBytes + MULTIPART_ALLOWANCE_BYTES) {
+      return res.status(413).json({
+        success: false,
+        message: `File size exceeds tenant limit of ${tenant.settings.maxVideoSizeMB}MB`,
+      });
+    }
+
+    if (!hasRoomFor(tenant, contentLength)) {
+      return res.status(413).json({
+        success: false,
+        message: `Upload would exceed tenant storage quota of ${tenant.settings.maxStorageGB}GB`,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Storage quota check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking storage quota',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  checkUploadQuota,
+};
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit event
+ *
+ * Append-only record of a security- or content-relevant action: who did what
+ * to which target, from where, and which fields changed. Events are written
+ * through audit.service.js and are never updated or deleted by the application.
+ */
+
+const AUDIT_ACTIONS = [
+  'AUTH_LOGIN_SUCCEEDED',
+  'AUTH_LOGIN_FAILED',
+  'USER_REGISTERED',
+  'USER_ROLE_CHANGED',
+  'USER_STATUS_CHANGED',
+  'USER_PASSWORD_RESET_REQUESTED',
+  'VIDEO_UPLOADED',
+  'VIDEO_UPDATED',
+  'VIDEO_STATUS_CHANGED',
+  'VIDEO_MODERATION_DECIDED',
+  'VIDEO_DELETED',
+  'FOLDER_ACCESS_CHANGED',
+  'GROUP_MEMBERSHIP_CHANGED',
+  'VIDEO_SHARES_CHANGED',
+];
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Null for failed logins that match no user
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: [true, 'Action is required'],
+    },
+    // Copied at the time of the action, so the record survives later changes to the user
+    actor: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      email: String,
+      role: String,
+    },
+    target: {
+      type: {
+        type: String,
+        enum: ['USER', 'VIDEO', 'FOLDER', 'GROUP'],
+      },
+      id: mongoose.Schema.Types.ObjectId,
+      // Title or email at the time of the action
+      label: String,
+    },
+    ip: String,
+    userAgent: String,
+    // { field: { from, to } }
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    // Action-specific details (e.g. failure reason)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ tenantId: 1, createdAt: -1 });
+auditEventSchema.index({ tenantId: 1, action: 1, createdAt: -1 });
+auditEventSchema.index({ tenantId: 1, 'actor.userId': 1, createdAt: -1 });
+auditEventSchema.index({ tenantId: 1, 'target.id': 1, createdAt: -1 });
+
+// Append-only: existing events cannot be changed or removed through the model
+const rejectChange = function (next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditEventSchema.pre(
+  ['deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectChange
+);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
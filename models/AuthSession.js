@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login session
+ *
+ * Created at login/registration. Access tokens carry the session ID (sid) and
+ * are only accepted while the session is not revoked. The refresh token is
+ * rotated on every use; only its SHA-256 hash is stored. Presenting a refresh
+ * token that was already rotated (reuse) revokes the whole session.
+ */
+const authSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    // Hash of the current refresh token
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of refresh tokens that were already rotated (most recent last)
+    rotatedTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    rotatedAt: Date,
+    lastUsedAt: Date,
+    userAgent: String,
+    ip: String,
+    // Sliding: extended on every refresh
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['LOGOUT', 'REUSE_DETECTED', 'USER_INACTIVE', 'PASSWORD_RESET', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are removed by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Folder in a tenant's video library
+ *
+ * Folders nest: parent is null for top-level folders, and ancestors holds
+ * every folder above this one (top-level first), so breadcrumbs and subtree
+ * queries need no recursion.
+ *
+ * The ACL grants users rights on top of their tenant role, for this folder
+ * and everything below it:
+ *   VIEWER - see every video, public or private
+ *   EDITOR - also edit, move and delete those videos and manage subfolders
+ */
+const folderSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Folder name is required'],
+      trim: true,
+      maxlength: [100, 'Folder name must be at most 100 characters'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: null,
+    },
+    ancestors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+    }],
+    acl: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      permission: {
+        type: String,
+        enum: ['VIEWER', 'EDITOR'],
+        required: true,
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      grantedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Sibling names are unique
+folderSchema.index({ tenantId: 1, parent: 1, name: 1 }, { unique: true });
+folderSchema.index({ tenantId: 1, ancestors: 1 });
+folderSchema.index({ tenantId: 1, 'acl.user': 1 });
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * User group within a tenant
+ *
+ * Groups are managed by ADMINs and used to share videos with several users
+ * at once (see Video.shares). Membership never changes a user's role.
+ */
+const groupSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [100, 'Group name must be at most 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description must be at most 1000 characters'],
+      default: '',
+    },
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Group names are unique within a tenant
+groupSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+groupSchema.index({ tenantId: 1, members: 1 });
+
+module.exports = mongoose.model('Group', groupSchema);
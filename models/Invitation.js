@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation to join a tenant
+ *
+ * Created by a tenant ADMIN for one email address and role. The invitee
+ * registers with the invitation token (sent as a link); only its SHA-256
+ * hash is stored. An invitation can be accepted once, until expiresAt.
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
+    },
+    role: {
+      type: String,
+      enum: ['ADMIN', 'EDITOR', 'VIEWER'],
+      default: 'VIEWER',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'ACCEPTED', 'REVOKED'],
+      default: 'PENDING',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: Date,
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+invitationSchema.index({ tenantId: 1, email: 1, status: 1 });
+
+// PENDING invitations past their expiry are reported as EXPIRED
+invitationSchema.virtual('effectiveStatus').get(function () {
+  if (this.status === 'PENDING' && this.expiresAt <= new Date()) {
+    return 'EXPIRED';
+  }
+  return this.status;
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Password reset request
+ *
+ * Triggered by a tenant ADMIN. The user sets a new password with the reset
+ * token (sent as a link); only its SHA-256 hash is stored. Usable once,
+ * until expiresAt.
+ */
+const passwordResetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired requests are removed by MongoDB
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Playlist: an ordered collection of a tenant's videos (e.g. a course)
+ *
+ * A video appears at most once per playlist. Visibility applies to the
+ * playlist itself; each item stays subject to the video's own access rules,
+ * so VIEWERs only see the items they could open directly.
+ */
+const playlistSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    title: {
+      type: String,
+      required: [true, 'Playlist title is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    items: [{
+      _id: false,
+      video: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Video',
+        required: true,
+      },
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Video whose poster is the cover; defaults to the first visible item
+    coverVideo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+    },
+    // Uploaded cover image; takes precedence over the video posters
+    coverImage: {
+      path: String, // Storage key (see playlistCover.service.js)
+      bytes: Number, // Counted against the tenant quota
+      updatedAt: Date,
+    },
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+playlistSchema.index({ tenantId: 1, createdAt: -1 });
+playlistSchema.index({ tenantId: 1, 'items.video': 1 });
+
+module.exports = mongoose.model('Playlist', playlistSchema);
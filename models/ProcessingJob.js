@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Processing Job
+ *
+ * One document per queued run of the video processing pipeline.
+ * Workers claim jobs by taking a time-limited lease (lockedBy/lockedUntil)
+ * and renew it with heartbeats, so a job held by a crashed or restarted
+ * server is picked up again once its lease expires.
+ *
+ * Failed jobs are re-queued with exponential backoff until one stage has
+ * used up its attempts; the job is then dead-lettered (DEAD) and only runs
+ * again when an ADMIN retries it.
+ *
+ * Jobs of a deleted video are CANCELLED.
+ *
+ * `active` is true while the job is QUEUED or RUNNING. The one-active-job-per-video
+ * index filters on it, as partial indexes only accept equality filters before
+ * MongoDB 6.0 (no $in); every status change has to keep it in step.
+ */
+const processingJobSchema = new mongoose.Schema(
+  {
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: [true, 'Video ID is required'],
+    },
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'DEAD', 'CANCELLED'],
+      default: 'QUEUED',
+      required: true,
+    },
+    active: {
+      type: Boolean, // QUEUED or RUNNING
+      default: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedBy: {
+      type: String, // Worker ID holding the lease
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    heartbeatAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    failedStage: {
+      type: String, // Pipeline stage of the last failure
+    },
+    stageAttempts: {
+      type: Map, // Failed attempts per pipeline stage, e.g. { metadata: 2 }
+      of: Number,
+      default: {},
+    },
+    deadLetteredAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes used by the worker claim query and duplicate checks
+processingJobSchema.index({ status: 1, runAt: 1 });
+processingJobSchema.index({ status: 1, lockedUntil: 1 });
+processingJobSchema.index({ videoId: 1, status: 1 });
+// At most one active job per video, even when two requests enqueue at once
+processingJobSchema.index(
+  { videoId: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+processingJobSchema.index({ tenantId: 1, status: 1, deadLetteredAt: -1 });
+
+module.exports = mongoose.model('ProcessingJob', processingJobSchema);
@@ -1,5 +1,73 @@
 const mongoose = require('mongoose');
 
+// Default HLS ladder; renditions above the source resolution are skipped
+const DEFAULT_TRANSCODING_LADDER = [
+  { name: '1080p', height: 1080, videoBitrateKbps: 5000, audioBitrateKbps: 192 },
+  { name: '720p', height: 720, videoBitrateKbps: 2800, audioBitrateKbps: 128 },
+  { name: '480p', height: 480, videoBitrateKbps: 1400, audioBitrateKbps: 128 },
+  { name: '360p', height: 360, videoBitrateKbps: 800, audioBitrateKbps: 96 },
+];
+
+const renditionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rendition name is required'],
+      trim: true,
+      match: [/^[a-zA-Z0-9_-]+$/, 'Rendition name may only contain letters, numbers, _ and -'],
+    },
+    height: {
+      type: Number,
+      required: [true, 'Rendition height is required'],
+      min: [144, 'Rendition height must be at least 144'],
+      max: [4320, 'Rendition height must be at most 4320'],
+    },
+    videoBitrateKbps: {
+      type: Number,
+      required: [true, 'Video bitrate is required'],
+      min: [100, 'Video bitrate must be at least 100 kbps'],
+    },
+    audioBitrateKbps: {
+      type: Number,
+      default: 128,
+      min: [32, 'Audio bitrate must be at least 32 kbps'],
+    },
+  },
+  { _id: false }
+);
+
+// Scanners run on every upload unless a tenant configures its own list
+const DEFAULT_MODERATION_SCANNERS = [
+  { name: 'keyword', enabled: true, threshold: 0.5 },
+];
+
+const scannerConfigSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Scanner name is required'],
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // A FLAGGED verdict only counts at or above this confidence
+    threshold: {
+      type: Number,
+      default: 0.5,
+      min: [0, 'Threshold must be between 0 and 1'],
+      max: [1, 'Threshold must be between 0 and 1'],
+    },
+    // Scanner-specific options, e.g. { keywords: [...] } for the keyword scanner
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({}),
+    },
+  },
+  { _id: false }
+);
+
 const tenantSchema = new mongoose.Schema(
   {
     name: {
@@ -18,6 +86,13 @@ const tenantSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Running totals, updated with $inc (see storageUsage.service.js)
+    usage: {
+      storageBytes: {
+        type: Number,
+        default: 0,
+      },
+    },
     settings: {
       maxStorageGB: {
         type: Number,
@@ -27,6 +102,44 @@ const tenantSchema = new mongoose.Schema(
         type: Number,
         default: 500,
       },
+      transcoding: {
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+        segmentDurationSeconds: {
+          type: Number,
+          default: 6,
+          min: [2, 'Segment duration must be at least 2 seconds'],
+          max: [12, 'Segment duration must be at most 12 seconds'],
+        },
+        ladder: {
+          type: [renditionSchema],
+          default: () => DEFAULT_TRANSCODING_LADDER.map(rung => ({ ...rung })),
+        },
+      },
+      moderation: {
+        scanners: {
+          type: [scannerConfigSchema],
+          default: () => DEFAULT_MODERATION_SCANNERS.map(scanner => ({ ...scanner })),
+        },
+      },
+      // Users join by invitation unless open sign-up is enabled
+      registration: {
+        openSignup: {
+          type: Boolean,
+          default: false,
+        },
+        // Role of users who sign up without an invitation
+        defaultRole: {
+          type: String,
+          enum: {
+            values: ['EDITOR', 'VIEWER'],
+            message: 'Default role must be EDITOR or VIEWER',
+          },
+          default: 'VIEWER',
+        },
+      },
     },
   },
   {
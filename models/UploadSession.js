@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Resumable (tus) upload session
+ *
+ * Bytes are appended to partPath (local staging) until offset reaches
+ * uploadLength; the file is then stored like a multipart upload and turned
+ * into a Video.
+ * The full uploadLength is reserved against the tenant quota when the session
+ * is created and released again if the session expires or is terminated.
+ */
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Uploader is required'],
+    },
+    // FINALIZING while the completed file is turned into a Video
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'FINALIZING', 'COMPLETED'],
+      default: 'ACTIVE',
+    },
+    uploadLength: {
+      type: Number,
+      required: true,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // Decoded Upload-Metadata
+    metadata: {
+      filename: String,
+      filetype: String,
+      title: String,
+      description: String,
+      tags: String,
+      isPublic: String,
+      folderId: String,
+    },
+    partPath: {
+      type: String,
+      required: true,
+    },
+    reservedBytes: {
+      type: Number,
+      default: 0,
+    },
+    // Held while a PATCH request writes to the part file
+    lockedUntil: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -19,6 +19,8 @@ const videoSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Original filename is required'],
     },
+    // Storage key of the original, e.g. videos/<tenantId>/<filename> (see services/storage).
+    // Videos uploaded before the storage layer hold an absolute path below uploads/.
     filePath: {
       type: String,
       required: [true, 'File path is required'],
@@ -35,11 +37,29 @@ const videoSchema = new mongoose.Schema(
       type: Number, // Duration in seconds
     },
     thumbnailPath: {
-      type: String,
+      type: String, // Storage key of the current poster: a generated candidate or a custom upload
+    },
+    thumbnailCandidates: [{
+      _id: false,
+      filename: String, // e.g. "candidate_0.jpg" in thumbnails/<tenantId>/<videoId>/
+      timestamp: Number, // Position in seconds
+    }],
+    thumbnailUpdatedAt: {
+      type: Date, // Changes whenever the poster changes (cache busting)
+    },
+    // Seek-preview sprite sheets + WebVTT track in thumbnails/<tenantId>/<videoId>/sprites/
+    sprites: {
+      interval: Number, // Seconds between tiles
+      tileWidth: Number,
+      tileHeight: Number,
+      columns: Number,
+      rows: Number,
+      sheets: Number, // Number of sprite_N.jpg files
+      track: String, // WebVTT file name
     },
     processingStatus: {
       type: String,
-      enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FLAGGED'],
+      enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FLAGGED', 'FAILED'],
       default: 'PENDING',
       required: true,
       index: true,
@@ -47,6 +67,81 @@ const videoSchema = new mongoose.Schema(
     processingError: {
       type: String,
     },
+    // History of pipeline failures (FAILED = pipeline crashed, not unsafe content)
+    processingFailures: [{
+      stage: String,
+      attempt: Number, // Failed attempts of this stage so far
+      error: String,
+      retryAt: Date, // Unset when the failure dead-lettered the job
+      occurredAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Outcome of the content scanners configured in Tenant.settings.moderation
+    moderation: {
+      verdict: {
+        type: String,
+        enum: ['SAFE', 'FLAGGED'],
+      },
+      results: [{
+        _id: false,
+        scanner: String,
+        verdict: String, // Scanner's own verdict
+        confidence: Number, // 0-1
+        threshold: Number, // Tenant threshold at scan time
+        flagged: Boolean, // verdict FLAGGED and confidence >= threshold
+        labels: [{
+          _id: false,
+          name: String,
+          confidence: Number,
+        }],
+        reason: String,
+      }],
+      scannedAt: Date,
+    },
+    // Human review of FLAGGED videos (see moderation.controller.js)
+    review: {
+      status: {
+        type: String,
+        enum: ['PENDING_REVIEW', 'APPROVED', 'REJECTED', 'ESCALATED'],
+      },
+      queuedAt: Date, // When the video entered the review queue
+      history: [{
+        decision: {
+          type: String,
+          enum: ['APPROVED', 'REJECTED', 'ESCALATED'],
+        },
+        reviewer: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reason: String,
+        decidedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      }],
+    },
+    // Bytes counted against the tenant's storage quota
+    storage: {
+      originalBytes: Number,
+      hlsBytes: Number,
+      thumbnailBytes: Number,
+    },
+    // HLS renditions, stored under hls/<tenantId>/<videoId>/
+    hls: {
+      masterPlaylist: String, // File name relative to the video's HLS directory
+      renditions: [{
+        _id: false,
+        name: String,
+        width: Number,
+        height: Number,
+        bandwidth: Number, // Bits per second, as advertised in the master playlist
+        playlist: String, // e.g. "720p/index.m3u8"
+      }],
+      transcodedAt: Date,
+    },
     metadata: {
       width: Number,
       height: Number,
@@ -69,10 +164,51 @@ const videoSchema = new mongoose.Schema(
       type: String,
       trim: true,
     }],
+    // Plain transcript / caption text; only used for search
+    transcript: {
+      type: String,
+      select: false,
+    },
     isPublic: {
       type: Boolean,
       default: false,
     },
+    // Library folder (see Folder.js); null for the top level
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: null,
+    },
+    // Users and groups the video is shared with, beyond isPublic:
+    //   VIEW - see and play it
+    //   EDIT - also edit its details and poster
+    // Each entry names either a user or a group.
+    shares: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: undefined,
+      },
+      group: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        default: undefined,
+      },
+      permission: {
+        type: String,
+        enum: ['VIEW', 'EDIT'],
+        required: true,
+      },
+      sharedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      sharedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
     views: {
       type: Number,
       default: 0,
@@ -88,6 +224,20 @@ videoSchema.index({ tenantId: 1, createdAt: -1 });
 videoSchema.index({ tenantId: 1, processingStatus: 1 });
 videoSchema.index({ tenantId: 1, uploadedBy: 1 });
 videoSchema.index({ tenantId: 1, isPublic: 1 });
+videoSchema.index({ tenantId: 1, folder: 1, createdAt: -1 });
+videoSchema.index({ tenantId: 1, 'shares.user': 1 });
+videoSchema.index({ tenantId: 1, 'shares.group': 1 });
+videoSchema.index({ tenantId: 1, 'review.status': 1, 'review.queuedAt': 1 });
+videoSchema.index({ tenantId: 1, createdAt: -1, _id: -1 }); // Default listing order and its cursors
+
+// Full-text search (GET /api/videos?search=), always scoped to one tenant
+videoSchema.index(
+  { tenantId: 1, title: 'text', tags: 'text', description: 'text', transcript: 'text' },
+  {
+    name: 'video_text_search',
+    weights: { title: 10, tags: 5, description: 2, transcript: 1 },
+  }
+);
 
 // Virtual for formatted file size
 videoSchema.virtual('formattedFileSize').get(function () {
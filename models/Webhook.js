@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook endpoint
+ *
+ * A tenant-registered URL that receives video lifecycle events as signed
+ * JSON POSTs (see webhook.service.js). The signing secret is shown to the
+ * ADMIN once when the endpoint is created or its secret is rotated.
+ */
+
+const WEBHOOK_EVENTS = [
+  'video.uploaded',
+  'video.processing.started',
+  'video.processing.completed',
+  'video.processing.failed',
+  'video.flagged',
+  'video.moderation.decided',
+  'video.status_changed',
+  'video.updated',
+  'video.deleted',
+];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+      index: true,
+    },
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      maxlength: [2048, 'URL cannot exceed 2048 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    events: {
+      type: [{
+        type: String,
+        enum: {
+          values: WEBHOOK_EVENTS,
+          message: 'Unknown event: {VALUE}',
+        },
+      }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe to at least one event',
+      },
+    },
+    // HMAC-SHA256 key for the X-Webhook-Signature header
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastDeliveryAt: Date,
+    lastDeliveryStatus: {
+      type: String,
+      enum: ['SUCCEEDED', 'FAILED', null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Webhook', webhookSchema);
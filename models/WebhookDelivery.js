@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook delivery
+ *
+ * One event sent to one endpoint, and the delivery log of its attempts.
+ * Deliveries double as the retry queue: a dispatcher claims PENDING
+ * deliveries that are due by taking a short lease (lockedUntil), and failed
+ * attempts are rescheduled with exponential backoff until maxAttempts is
+ * reached (FAILED). Old deliveries are removed by MongoDB after the
+ * retention period.
+ */
+
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      required: true,
+    },
+    // HTTP status of the response; absent if the request failed (timeout, DNS, ...)
+    statusCode: Number,
+    durationMs: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: [true, 'Tenant ID is required'],
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: [true, 'Webhook ID is required'],
+    },
+    // Event ID, the same for every attempt (receivers can deduplicate on it)
+    eventId: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The exact JSON body that is signed and sent
+    payload: {
+      type: String,
+      required: true,
+    },
+    isTest: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'SUCCEEDED', 'FAILED'],
+      default: 'PENDING',
+    },
+    attempts: [attemptSchema],
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: Date,
+    deliveredAt: Date,
+    lastError: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Dispatcher claim query and the per-endpoint delivery log
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ tenantId: 1, webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { getAuditEvents, exportAuditEvents } = require('../controllers/audit.controller');
+
+// The audit log is ADMIN only, tenant-scoped and read-only
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+// Export as CSV / NDJSON (same filters as the list)
+router.get('/export', exportAuditEvents);
+
+// Query events with filters and date range
+router.get('/', getAuditEvents);
+
+module.exports = router;
@@ -1,17 +1,92 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Tenant = require('../models/Tenant');
+const Invitation = require('../models/Invitation');
+const { authenticate } = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = require('../services/authToken.service');
+const { disconnectSession, disconnectUser } = require('../config/socket');
+const { findPasswordReset, redeemPasswordReset } = require('../services/passwordReset.service');
+const { recordAuditEvent, diffFields } = require('../services/audit.service');
+const { findPendingInvitation, claimInvitation, releaseInvitation } = require('../services/invitation.service');
+
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Look up an invitation before accepting it (email, role, tenant name)
+ * @access  Public (invitation token)
+ */
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    if (!invitation || !invitation.tenantId?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          tenantName: invitation.tenantId.name,
+          expiresAt: invitation.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user (requires tenant to exist)
+ * @desc    Register a new user
  * @access  Public
+ *
+ * With an invitation: { inviteToken, password, firstName, lastName } - email, role
+ * and tenant come from the invitation.
+ * Without: { email, password, firstName, lastName, tenantId } - only if the tenant
+ * enabled open sign-up; the user gets the tenant's default role.
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, firstName, lastName, role, tenantId } = req.body;
+    const { inviteToken, password, firstName, lastName } = req.body;
+    let { email, tenantId } = req.body;
+    let role;
+    let invitation = null;
+
+    if (inviteToken) {
+      invitation = await findPendingInvitation(inviteToken);
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation is invalid or has expired',
+        });
+      }
+      if (email && email.toLowerCase().trim() !== invitation.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email does not match the invitation',
+        });
+      }
+      email = invitation.email;
+      tenantId = invitation.tenantId._id;
+      role = invitation.role;
+    }
 
     // Validate required fields
     if (!email || !password || !firstName || !lastName || !tenantId) {
@@ -30,37 +105,74 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email, tenantId });
+    if (!invitation) {
+      if (!tenant.settings.registration?.openSignup) {
+        return res.status(403).json({
+          success: false,
+          message: 'Registration requires an invitation',
+        });
+      }
+      role = tenant.settings.registration.defaultRole;
+    }
+
+    // Check if user already exists (emails are unique across tenants)
+    const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'User already exists in this tenant',
+        message: 'User already exists',
+      });
+    }
+
+    // One account per invitation, even with concurrent requests
+    if (invitation && !(await claimInvitation(invitation._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired',
       });
     }
 
     // Create user
-    const user = await User.create({
-      email,
-      password,
-      firstName,
-      lastName,
-      role: role || 'VIEWER',
-      tenantId,
-    });
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    let user;
+    try {
+      user = await User.create({
+        email,
+        password,
+        firstName,
+        lastName,
+        role,
+        tenantId,
+      });
+    } catch (error) {
+      if (invitation) {
+        await releaseInvitation(invitation._id);
+      }
+      throw error;
+    }
+
+    if (invitation) {
+      await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: user._id } });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'USER_REGISTERED',
+      actor: user,
+      target: { type: 'USER', id: user._id, label: user.email },
+      changes: diffFields({}, { role: user.role, isActive: user.isActive }, ['role', 'isActive']),
+      metadata: invitation
+        ? { via: 'INVITATION', invitationId: invitation._id, invitedBy: invitation.invitedBy }
+        : { via: 'OPEN_SIGNUP' },
+    });
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
@@ -68,10 +180,18 @@ router.post('/register', async (req, res) => {
           lastName: user.lastName,
           role: user.role,
           tenantId: user.tenantId,
+          tenantName: tenant.name,
         },
       },
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', '),
+      });
+    }
+
     console.error('Register error:', error);
     res.status(500).json({
       success: false,
@@ -100,62 +220,66 @@ router.post('/login', async (req, res) => {
     // Find user with password (select: false by default)
     const user = await User.findOne({ email }).select('+password').populate('tenantId');
 
-    if (!user) {
-      return res.status(401).json({
+    // Failed attempts are audited against the account they targeted, if any
+    const rejectLogin = async (status, message, reason) => {
+      await recordAuditEvent(req, {
+        action: 'AUTH_LOGIN_FAILED',
+        tenantId: user?.tenantId?._id || null,
+        actor: null,
+        target: user ? { type: 'USER', id: user._id, label: user.email } : undefined,
+        metadata: { email: String(email), reason },
+      });
+      return res.status(status).json({
         success: false,
-        message: 'Invalid credentials',
+        message,
       });
+    };
+
+    if (!user) {
+      return rejectLogin(401, 'Invalid credentials', 'UNKNOWN_EMAIL');
     }
 
     // If tenantId provided, verify it matches
     if (tenantId && user.tenantId._id.toString() !== tenantId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials',
-      });
+      return rejectLogin(401, 'Invalid credentials', 'TENANT_MISMATCH');
     }
 
     // Check if user is active
     if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is inactive',
-      });
+      return rejectLogin(401, 'Account is inactive', 'ACCOUNT_INACTIVE');
     }
 
     // Check if tenant is active
     if (!user.tenantId || !user.tenantId.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Tenant account is inactive',
-      });
+      return rejectLogin(401, 'Tenant account is inactive', 'TENANT_INACTIVE');
     }
 
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials',
-      });
+      return rejectLogin(401, 'Invalid credentials', 'INVALID_PASSWORD');
     }
 
     // Update last login
     user.lastLogin = new Date();
     await user.save({ validateBeforeSave: false });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, sessionId } = await createSession(user, req);
+
+    await recordAuditEvent(req, {
+      action: 'AUTH_LOGIN_SUCCEEDED',
+      actor: user,
+      target: { type: 'USER', id: user._id, label: user.email },
+      metadata: { sessionId },
+    });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         token,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
@@ -177,5 +301,168 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (refresh token in body)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const { token, refreshToken: nextRefreshToken, session } = await rotateRefreshToken(refreshToken, req);
+
+    // Session outlived the account or tenant
+    const user = await User.findById(session.userId).populate('tenantId', 'isActive');
+    if (!user || !user.isActive || !user.tenantId?.isActive) {
+      await revokeSession(session._id, 'USER_INACTIVE');
+      disconnectSession(session._id.toString());
+      return res.status(401).json({
+        success: false,
+        message: 'Account is inactive',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token,
+        refreshToken: nextRefreshToken,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'InvalidRefreshTokenError') {
+      if (error.revokedSessionId) {
+        disconnectSession(error.revokedSessionId);
+      }
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/password-reset/:token
+ * @desc    Check a password reset link before choosing a new password
+ * @access  Public (reset token)
+ */
+router.get('/password-reset/:token', async (req, res) => {
+  try {
+    const reset = await findPasswordReset(req.params.token);
+    const user = reset && await User.findById(reset.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: user.email,
+        expiresAt: reset.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error('Get password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking reset link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/password-reset
+ * @desc    Set a new password with a reset token (signs out every session)
+ * @access  Public (reset token)
+ *
+ * Body: { token, password }
+ */
+router.post('/password-reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters',
+      });
+    }
+
+    const reset = await findPasswordReset(token);
+    const user = reset && await User.findById(reset.userId);
+
+    if (!user || !user.isActive || !(await redeemPasswordReset(reset._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired',
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'PASSWORD_RESET');
+    disconnectUser(user._id.toString());
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please log in with your new password',
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session (access and refresh tokens stop working)
+ * @access  Private
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, 'LOGOUT');
+    disconnectSession(req.user.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
 module.exports = router;
 
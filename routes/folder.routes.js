@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { filterByTenant } = require('../middleware/tenantIsolation');
+const {
+  getFolders,
+  getFolderById,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  setFolderAccess,
+  removeFolderAccess,
+  moveToFolder,
+  copyToFolder,
+} = require('../controllers/folder.controller');
+
+// All folder routes are tenant-scoped
+router.use(authenticate);
+router.use(filterByTenant);
+
+// Browse the folder tree - All authenticated users
+router.get('/', getFolders);
+router.get('/:id', getFolderById);
+
+// Create, rename, move and delete folders - ADMIN, EDITOR and folder EDITOR grants (checked in the controller)
+router.post('/', createFolder);
+router.patch('/:id', updateFolder);
+router.delete('/:id', deleteFolder);
+
+// Move or copy videos (and move folders) into a folder - checked per item in the controller
+router.post('/:id/move', moveToFolder);
+router.post('/:id/copy', copyToFolder);
+
+// Folder ACL - ADMIN only
+router.put('/:id/acl/:userId', authorize('ADMIN'), setFolderAccess);
+router.delete('/:id/acl/:userId', authorize('ADMIN'), removeFolderAccess);
+
+module.exports = router;
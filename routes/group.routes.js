@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { filterByTenant } = require('../middleware/tenantIsolation');
+const {
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMember,
+  removeGroupMember,
+} = require('../controllers/group.controller');
+
+// All group routes are tenant-scoped
+router.use(authenticate);
+router.use(filterByTenant);
+
+// List groups - All authenticated users (to share videos with them)
+router.get('/', getGroups);
+
+// Group members - ADMIN and the group's members (checked in the controller)
+router.get('/:id', getGroupById);
+
+// Manage groups and their members - ADMIN only
+router.post('/', authorize('ADMIN'), createGroup);
+router.patch('/:id', authorize('ADMIN'), updateGroup);
+router.delete('/:id', authorize('ADMIN'), deleteGroup);
+router.put('/:id/members/:userId', authorize('ADMIN'), addGroupMember);
+router.delete('/:id/members/:userId', authorize('ADMIN'), removeGroupMember);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { ensureTenantAccess } = require('../middleware/tenantIsolation');
+const {
+  inviteUser,
+  getInvitations,
+  revokeInvitation,
+} = require('../controllers/invitation.controller');
+
+// All invitation routes are ADMIN only and tenant-scoped
+// (accepting an invitation is POST /api/auth/register)
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+// Invite a user by email with a fixed role
+router.post('/', ensureTenantAccess, inviteUser);
+
+// List invitations
+router.get('/', getInvitations);
+
+// Revoke a pending invitation
+router.delete('/:id', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { filterByTenant } = require('../middleware/tenantIsolation');
+const {
+  getDeadLetterJobs,
+  retryJob,
+} = require('../controllers/job.controller');
+
+// All job routes are ADMIN only and tenant-scoped
+router.use(authenticate);
+router.use(filterByTenant);
+router.use(authorize('ADMIN'));
+
+// List dead-lettered jobs
+router.get('/dead-letter', getDeadLetterJobs);
+
+// Re-queue a dead-lettered job
+router.post('/:id/retry', retryJob);
+
+module.exports = router;
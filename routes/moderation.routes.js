@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { filterByTenant } = require('../middleware/tenantIsolation');
+const {
+  getReviewQueue,
+  getReviewSummary,
+  decideReview,
+} = require('../controllers/moderation.controller');
+
+// Review queue is for ADMINs and EDITORs, always tenant-scoped
+router.use(authenticate);
+router.use(filterByTenant);
+router.use(authorize('ADMIN', 'EDITOR'));
+
+// List videos awaiting (or past) review
+router.get('/queue', getReviewQueue);
+
+// Counts per review status
+router.get('/summary', getReviewSummary);
+
+// Approve, reject or escalate a flagged video
+router.post('/:id/decision', decideReview);
+
+module.exports = router;
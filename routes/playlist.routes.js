@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { filterByTenant } = require('../middleware/tenantIsolation');
+const { imageUpload, handleMulterError } = require('../config/multer');
+const {
+  getPlaylists,
+  createPlaylist,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  getPlaylistCover,
+  updatePlaylistCover,
+  removePlaylistCover,
+  addPlaylistItem,
+  removePlaylistItem,
+  reorderPlaylistItems,
+} = require('../controllers/playlist.controller');
+
+// All playlist routes are tenant-scoped
+router.use(authenticate);
+router.use(filterByTenant);
+
+// List playlists - All authenticated users (VIEWER: public playlists)
+router.get('/', getPlaylists);
+
+// Create playlist - ADMIN and EDITOR
+router.post('/', authorize('ADMIN', 'EDITOR'), createPlaylist);
+
+// Get playlist with the items the user can see - All authenticated users
+router.get('/:id', getPlaylistById);
+
+// Edit title, description, visibility and cover - ADMIN and EDITOR (own playlists)
+router.patch('/:id', authorize('ADMIN', 'EDITOR'), updatePlaylist);
+
+// Delete playlist - ADMIN and EDITOR (own playlists)
+router.delete('/:id', authorize('ADMIN', 'EDITOR'), deletePlaylist);
+
+// Uploaded cover image - All authenticated users who can see the playlist
+router.get('/:id/cover', getPlaylistCover);
+
+// Upload or remove the cover image - ADMIN and EDITOR (own playlists)
+router.put('/:id/cover', authorize('ADMIN', 'EDITOR'), imageUpload.single('image'), handleMulterError, updatePlaylistCover);
+router.delete('/:id/cover', authorize('ADMIN', 'EDITOR'), removePlaylistCover);
+
+// Insert, reorder and remove items - ADMIN and EDITOR (own playlists)
+router.post('/:id/items', authorize('ADMIN', 'EDITOR'), addPlaylistItem);
+router.put('/:id/items', authorize('ADMIN', 'EDITOR'), reorderPlaylistItems);
+router.delete('/:id/items/:videoId', authorize('ADMIN', 'EDITOR'), removePlaylistItem);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { ensureTenantAccess } = require('../middleware/tenantIsolation');
+const {
+  getSettings,
+  updateTranscodingSettings,
+  updateModerationSettings,
+  updateRegistrationSettings,
+  getUsage,
+  recalculateTenantUsage,
+} = require('../controllers/tenant.controller');
+
+// All tenant routes require authentication
+router.use(authenticate);
+
+// Get tenant settings - ADMIN only
+router.get('/settings', authorize('ADMIN'), getSettings);
+
+// Update transcoding ladder - ADMIN only
+router.patch(
+  '/settings/transcoding',
+  authorize('ADMIN'),
+  ensureTenantAccess,
+  updateTranscodingSettings
+);
+
+// Update content scanners and thresholds - ADMIN only
+router.patch(
+  '/settings/moderation',
+  authorize('ADMIN'),
+  ensureTenantAccess,
+  updateModerationSettings
+);
+
+// Open sign-up and its default role - ADMIN only
+router.patch(
+  '/settings/registration',
+  authorize('ADMIN'),
+  ensureTenantAccess,
+  updateRegistrationSettings
+);
+
+// Storage usage by user and status - ADMIN only
+router.get('/usage', authorize('ADMIN'), getUsage);
+
+// Rebuild storage counters from disk - ADMIN only
+router.post('/usage/recalculate', authorize('ADMIN'), recalculateTenantUsage);
+
+module.exports = router;
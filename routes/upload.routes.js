@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const { filterByTenant } = require('../middleware/tenantIsolation');
+const {
+  createUpload,
+  getUploadOffset,
+  appendUpload,
+  terminateUpload,
+} = require('../controllers/resumableUpload.controller');
+
+// Resumable (tus) uploads - ADMIN and EDITOR only, scoped to the uploader's tenant
+router.use(authenticate);
+router.use(filterByTenant);
+router.use(authorize('ADMIN', 'EDITOR'));
+
+// Create an upload session
+router.post('/', createUpload);
+
+// Offset to resume from
+router.head('/:id', getUploadOffset);
+
+// Append a chunk
+router.patch('/:id', appendUpload);
+
+// Abandon an upload
+router.delete('/:id', terminateUpload);
+
+module.exports = router;
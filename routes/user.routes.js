@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  getUsers,
+  getUserById,
+  updateUser,
+  updateUserRole,
+  updateUserStatus,
+  triggerPasswordReset,
+} = require('../controllers/user.controller');
+
+// All user management routes are ADMIN only and tenant-scoped
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+// List and search users
+router.get('/', getUsers);
+
+// Get one user
+router.get('/:id', getUserById);
+
+// Edit name
+router.patch('/:id', updateUser);
+
+// Change role (the last active ADMIN cannot be demoted)
+router.patch('/:id/role', updateUserRole);
+
+// Activate / deactivate (the last active ADMIN cannot be deactivated)
+router.patch('/:id/status', updateUserStatus);
+
+// Create a password reset link
+router.post('/:id/password-reset', triggerPasswordReset);
+
+module.exports = router;
@@ -2,18 +2,34 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { ensureTenantAccess, filterByTenant } = require('../middleware/tenantIsolation');
-const { upload, handleMulterError } = require('../config/multer');
+const { upload, imageUpload, handleMulterError } = require('../config/multer');
+const { checkUploadQuota } = require('../middleware/storageQuota');
 const {
   uploadVideo,
   getVideos,
   getVideoById,
   updateProcessingStatus,
+  updateVideo,
   deleteVideo,
 } = require('../controllers/upload.controller');
 const {
   streamVideo,
+  streamHlsMaster,
+  streamHlsPlaylist,
+  streamHlsSegment,
+  streamThumbnailTrack,
+  streamSpriteSheet,
   getStreamInfo,
+  createStreamUrl,
 } = require('../controllers/streaming.controller');
+const {
+  getThumbnail,
+  updateThumbnail,
+} = require('../controllers/thumbnail.controller');
+const {
+  getVideoShares,
+  updateVideoShares,
+} = require('../controllers/videoShare.controller');
 
 // Most routes require authentication
 // Stream route handles auth internally to support query token
@@ -37,6 +53,7 @@ router.post(
   '/upload',
   authorize('ADMIN', 'EDITOR'),
   ensureTenantAccess,
+  checkUploadQuota,
   upload.single('video'),
   handleMulterError,
   uploadVideo
@@ -46,12 +63,39 @@ router.post(
 router.get('/', getVideos);
 
 // Stream video - Must be before /:id route to avoid conflicts
-// Note: Authentication handled in controller to support query token for video player
+// Note: Authentication handled in controller to support signed URLs for the video player
 router.get('/stream/:id', streamVideo);
 
+// HLS adaptive streaming and seek previews - same checks as /stream/:id
+// Note: Authenticated by Authorization header or a signed URL (POST /:id/stream-url)
+router.get('/stream/:id/thumbnails.vtt', streamThumbnailTrack);
+router.get('/stream/:id/sprites/:sheet', streamSpriteSheet);
+router.get('/stream/:id/master.m3u8', streamHlsMaster);
+router.get('/stream/:id/:rendition/index.m3u8', streamHlsPlaylist);
+router.get('/stream/:id/:rendition/:segment', streamHlsSegment);
+
 // Get stream info - All authenticated users
 router.get('/:id/stream-info', getStreamInfo);
 
+// Issue signed, expiring stream URLs - All authenticated users
+router.post('/:id/stream-url', createStreamUrl);
+
+// Get poster/thumbnail - All authenticated users (candidates: users who can edit the video)
+router.get('/:id/thumbnail', getThumbnail);
+
+// Choose a thumbnail candidate or upload a custom poster - ADMIN, EDITOR (own), folder EDITOR grants and EDIT shares
+router.put(
+  '/:id/thumbnail',
+  ensureTenantAccess,
+  imageUpload.single('image'),
+  handleMulterError,
+  updateThumbnail
+);
+
+// Share with users and groups - ADMIN, EDITOR (own videos) and folder EDITOR grants; checked in the controller
+router.get('/:id/shares', getVideoShares);
+router.put('/:id/shares', ensureTenantAccess, updateVideoShares);
+
 // Get single video - All authenticated users (must be last)
 router.get('/:id', getVideoById);
 
@@ -63,10 +107,17 @@ router.patch(
   updateProcessingStatus
 );
 
-// Delete video - ADMIN and EDITOR
+// Edit title, description, tags and visibility - ADMIN, EDITOR (own videos),
+// folder EDITOR grants and EDIT shares (not visibility); checked in the controller
+router.patch(
+  '/:id',
+  ensureTenantAccess,
+  updateVideo
+);
+
+// Delete video - ADMIN, EDITOR (own videos) and folder EDITOR grants; checked in the controller
 router.delete(
   '/:id',
-  authorize('ADMIN', 'EDITOR'),
   ensureTenantAccess,
   deleteVideo
 );
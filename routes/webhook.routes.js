@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  getWebhookEvents,
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery,
+} = require('../controllers/webhook.controller');
+
+// All webhook routes are ADMIN only and tenant-scoped
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+// Events endpoints can subscribe to
+router.get('/events', getWebhookEvents);
+
+// One delivery (payload and attempts), and sending it again
+router.get('/deliveries/:deliveryId', getWebhookDelivery);
+router.post('/deliveries/:deliveryId/redeliver', redeliverWebhookDelivery);
+
+// Register and list endpoints
+router.post('/', createWebhook);
+router.get('/', getWebhooks);
+
+// Manage one endpoint
+router.get('/:id', getWebhookById);
+router.patch('/:id', updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.post('/:id/rotate-secret', rotateWebhookSecret);
+
+// Send a test event right away
+router.post('/:id/test', testWebhook);
+
+// Delivery log
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+module.exports = router;
@@ -1,11 +1,13 @@
 /**
  * Helper script to create a tenant
- * Usage: node scripts/createTenant.js "Tenant Name" "domain"
+ * Usage: node scripts/createTenant.js "Tenant Name" "domain" [admin-email]
+ * With an admin email, also prints an invitation link for the tenant's first ADMIN.
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Tenant = require('../models/Tenant');
+const { createInvitation } = require('../services/invitation.service');
 
 const connectDB = async () => {
   try {
@@ -37,6 +39,7 @@ const createTenant = async () => {
 
   const name = process.argv[2] || 'Default Tenant';
   const domain = process.argv[3] || null;
+  const adminEmail = process.argv[4] || null;
 
   try {
     const tenant = await Tenant.create({
@@ -55,7 +58,20 @@ const createTenant = async () => {
     console.log(`ID: ${tenant._id}`);
     console.log(`Name: ${tenant.name}`);
     console.log(`Domain: ${tenant.domain || 'N/A'}`);
-    console.log(`\nUse this Tenant ID when registering users:\n${tenant._id}\n`);
+
+    if (adminEmail) {
+      const { token, acceptUrl, invitation } = await createInvitation({
+        tenantId: tenant._id,
+        email: adminEmail,
+        role: 'ADMIN',
+      });
+      console.log(`\nADMIN invitation for ${invitation.email} (expires ${invitation.expiresAt.toISOString()}):`);
+      console.log(`Link:  ${acceptUrl}`);
+      console.log(`Token: ${token}\n`);
+    } else {
+      console.log('\nUsers join by invitation. Pass an admin email to invite the first ADMIN:');
+      console.log('node scripts/createTenant.js "Tenant Name" "domain" admin@example.com\n');
+    }
 
     process.exit(0);
   } catch (error) {
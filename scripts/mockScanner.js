@@ -0,0 +1,102 @@
+/**
+ * Stand-in moderation service for the "http" scanner
+ * Answers like a real moderation service would, for local development and tests.
+ *
+ * Usage: node scripts/mockScanner.js [port]
+ *   then set HTTP_SCANNER_URL=http://localhost:<port>/scan (default port 8080)
+ *
+ * Verdicts:
+ * - FLAGGED (confidence 0.9, label "unsafe") when the filename contains "unsafe"
+ * - SAFE (confidence 0.99) otherwise
+ * - No answer before delayMs has passed (MOCK_SCANNER_DELAY_MS), to try timeouts
+ */
+
+const http = require('http');
+
+/**
+ * Verdict for a scan request
+ * @param {object} body - Request body sent by the http scanner
+ * @returns {object} { verdict, confidence, labels, reason? }
+ */
+const judge = (body) => {
+  if (/unsafe/i.test(body.filename || '')) {
+    return {
+      verdict: 'FLAGGED',
+      confidence: 0.9,
+      labels: [{ name: 'unsafe', confidence: 0.9 }],
+      reason: 'Filename marks the video as unsafe',
+    };
+  }
+
+  return {
+    verdict: 'SAFE',
+    confidence: 0.99,
+    labels: [],
+  };
+};
+
+/**
+ * Start the stand-in service
+ * @param {object} [options]
+ * @param {number} [options.port] - Port to listen on (0 picks a free one)
+ * @param {number} [options.delayMs] - Wait this long before answering
+ * @returns {Promise<object>} { url, requests, close } - requests holds { headers, body } of each scan
+ */
+const startMockScanner = ({ port = 0, delayMs = 0 } = {}) => {
+  const requests = [];
+  const pending = new Set(); // Answers still waiting for delayMs
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/scan') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        res.writeHead(400).end();
+        return;
+      }
+      requests.push({ headers: req.headers, body });
+
+      const timer = setTimeout(() => {
+        pending.delete(timer);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(judge(body)));
+      }, delayMs);
+      pending.add(timer);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/scan`,
+        requests,
+        close: () => new Promise((done) => {
+          pending.forEach((timer) => clearTimeout(timer));
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 8080;
+  const delayMs = parseInt(process.env.MOCK_SCANNER_DELAY_MS, 10) || 0;
+
+  startMockScanner({ port, delayMs }).then(({ url }) => {
+    console.log(`[MockScanner] Listening at ${url}`);
+  });
+}
+
+module.exports = {
+  startMockScanner,
+};
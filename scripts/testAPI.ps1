@@ -17,10 +17,10 @@ try {
     exit 1
 }
 
-# Get tenant ID from user
+# Get invitation token from user
 Write-Host "2. Register a new user" -ForegroundColor Yellow
-$tenantId = Read-Host "   Enter Tenant ID (from createTenant script)"
-$email = Read-Host "   Enter email"
+$inviteToken = Read-Host "   Enter invitation token (from createTenant script)"
+$email = Read-Host "   Enter invited email"
 $password = Read-Host "   Enter password" -AsSecureString
 $passwordPlain = [Runtime.InteropServices.Marshal]::PtrToStringAuto([Runtime.InteropServices.Marshal]::SecureStringToBSTR($password))
 
@@ -29,8 +29,7 @@ $registerBody = @{
     password = $passwordPlain
     firstName = "Test"
     lastName = "User"
-    role = "ADMIN"
-    tenantId = $tenantId
+    inviteToken = $inviteToken
 } | ConvertTo-Json
 
 try {
@@ -4,25 +4,55 @@ const http = require('http');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const { initializeSocket } = require('./config/socket');
+const { startProcessingWorker } = require('./services/processing.service');
+const { stopWorker } = require('./services/jobQueue.service');
+const { startUploadSweeper, stopUploadSweeper } = require('./services/uploadSession.service');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./services/webhook.service');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const videoRoutes = require('./routes/video.routes');
+const jobRoutes = require('./routes/job.routes');
+const tenantRoutes = require('./routes/tenant.routes');
+const moderationRoutes = require('./routes/moderation.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const userRoutes = require('./routes/user.routes');
+const auditRoutes = require('./routes/audit.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const playlistRoutes = require('./routes/playlist.routes');
+const folderRoutes = require('./routes/folder.routes');
+const groupRoutes = require('./routes/group.routes');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+// (IP-bound stream URLs compare against req.ip). A number is a hop count.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Create HTTP server
 const server = http.createServer(app);
 
 // Initialize Socket.io
 initializeSocket(server);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then recover unfinished videos and start the processing worker,
+// the sweep of abandoned resumable uploads and webhook delivery
+connectDB().then(() => {
+  startProcessingWorker();
+  startUploadSweeper();
+  startWebhookDispatcher();
+});
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Let browser clients read the tus protocol headers of resumable uploads
+  exposedHeaders: ['Location', 'Tus-Resumable', 'Tus-Version', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Video-Id'],
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -41,6 +71,17 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/videos', videoRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/tenant', tenantRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/playlists', playlistRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/groups', groupRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -68,5 +109,22 @@ server.listen(PORT, () => {
   console.log(`Socket.io initialized and ready for connections`);
 });
 
+// Graceful shutdown - hand running processing jobs back to the queue
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down...`);
+  stopUploadSweeper();
+  stopWebhookDispatcher();
+  try {
+    await stopWorker();
+  } catch (error) {
+    console.error('Error stopping processing worker:', error);
+  }
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 10000).unref();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 module.exports = { app, server };
 
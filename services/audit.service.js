@@ -0,0 +1,82 @@
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit Service
+ *
+ * Records audit events for security- and content-relevant actions.
+ * Recording never fails the request that triggered it: errors are logged.
+ */
+
+/**
+ * Field-level diff between two states
+ * @param {object} before - Previous values
+ * @param {object} after - New values
+ * @param {string[]} fields - Fields to compare
+ * @returns {object|undefined} { field: { from, to } } for changed fields, undefined if none changed
+ */
+const diffFields = (before, after, fields) => {
+  const changes = {};
+
+  fields.forEach((field) => {
+    const from = before?.[field];
+    const to = after?.[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  });
+
+  return Object.keys(changes).length > 0 ? changes : undefined;
+};
+
+/**
+ * Actor fields from req.user (or a user document for login/register)
+ * @param {object} user - req.user or User document
+ * @returns {object} { userId, email, role }
+ */
+const toActor = (user) => {
+  if (!user) {
+    return { userId: null };
+  }
+  return {
+    userId: user.id || user._id,
+    email: user.email,
+    role: user.role,
+  };
+};
+
+/**
+ * Record an audit event
+ * @param {object} req - Express request (IP and user agent; req.user is the default actor)
+ * @param {object} event
+ * @param {string} event.action - One of the AuditEvent actions
+ * @param {string} [event.tenantId] - Defaults to the actor's tenant
+ * @param {object} [event.actor] - User performing the action; defaults to req.user
+ * @param {object} [event.target] - { type: 'USER' | 'VIDEO' | 'FOLDER' | 'GROUP', id, label }
+ * @param {object} [event.changes] - { field: { from, to } } (see diffFields)
+ * @param {object} [event.metadata] - Action-specific details
+ * @returns {Promise<object|null>} Stored event, or null if recording failed
+ */
+const recordAuditEvent = async (req, { action, tenantId, actor, target, changes, metadata }) => {
+  const actingUser = actor !== undefined ? actor : req.user;
+
+  try {
+    return await AuditEvent.create({
+      tenantId: tenantId || actingUser?.tenantId?._id || actingUser?.tenantId || null,
+      action,
+      actor: toActor(actingUser),
+      target,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      changes,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${action}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAuditEvent,
+};
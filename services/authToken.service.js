@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+
+/**
+ * Auth Token Service
+ *
+ * Login issues a pair of tokens bound to an AuthSession:
+ * - access token: short-lived JWT { userId, sid } sent as "Authorization: Bearer"
+ * - refresh token: opaque "<sessionId>.<secret>", exchanged for a new pair at
+ *   POST /api/auth/refresh. Every exchange rotates it; the old one stops working.
+ *
+ * A rotated refresh token that shows up again means it was copied, so the
+ * session is revoked and every token issued for it stops working. Requests
+ * racing each other (two tabs refreshing at once) get a short grace period
+ * in which the previous token is rejected without revoking the session.
+ */
+
+const config = {
+  accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7,
+  reuseGraceSeconds: 10,
+  // Rotated hashes kept per session for reuse detection
+  maxRotatedHashes: 50,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: config.accessTokenExpiresIn }
+  );
+};
+
+const authError = (name, message) => Object.assign(new Error(message), { name });
+
+/**
+ * Start a session for a user who just logged in or registered
+ * @param {object} user - User document (tenantId may be populated)
+ * @param {object} req - Express request (user agent and IP are recorded)
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = createRefreshToken(sessionId);
+
+  await AuthSession.create({
+    _id: sessionId,
+    userId: user._id,
+    tenantId: user.tenantId._id || user.tenantId,
+    refreshTokenHash: hashToken(refreshToken),
+    lastUsedAt: new Date(),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: getRefreshExpiry(),
+  });
+
+  return {
+    token: signAccessToken(user._id, sessionId),
+    refreshToken,
+    sessionId: sessionId.toString(),
+  };
+};
+
+/**
+ * Revoke a session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - LOGOUT, REUSE_DETECTED, USER_INACTIVE or PASSWORD_RESET
+ * @returns {Promise<boolean>} true if the session was active
+ */
+const revokeSession = async (sessionId, reason) => {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user (deactivation, password reset)
+ * @param {string} userId - User ID
+ * @param {string} reason - See revokeSession
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const result = await AuthSession.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {object} req - Express request
+ * @returns {Promise<object>} { token, refreshToken, session }
+ * @throws {Error} name InvalidRefreshTokenError (message says why); revokedSessionId is set
+ *                 when reuse revoked the session
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw authError('InvalidRefreshTokenError', 'Invalid refresh token');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = createRefreshToken(sessionId);
+  const now = new Date();
+
+  const session = await AuthSession.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        rotatedAt: now,
+        lastUsedAt: now,
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: getRefreshExpiry(),
+      },
+      $push: {
+        rotatedTokenHashes: { $each: [tokenHash], $slice: -config.maxRotatedHashes },
+      },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return {
+      token: signAccessToken(session.userId, session._id),
+      refreshToken: nextToken,
+      session,
+    };
+  }
+
+  const existing = await AuthSession.findById(sessionId);
+  if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+    throw authError('InvalidRefreshTokenError', 'Session expired or revoked');
+  }
+
+  const rotatedIndex = existing.rotatedTokenHashes.indexOf(tokenHash);
+  if (rotatedIndex === -1) {
+    throw authError('InvalidRefreshTokenError', 'Invalid refresh token');
+  }
+
+  // The token just replaced by a concurrent refresh
+  const isLatest = rotatedIndex === existing.rotatedTokenHashes.length - 1;
+  if (isLatest && now - existing.rotatedAt < config.reuseGraceSeconds * 1000) {
+    throw authError('InvalidRefreshTokenError', 'Refresh token already used');
+  }
+
+  await revokeSession(existing._id, 'REUSE_DETECTED');
+  console.warn(`[Auth] Refresh token reuse detected, revoked session ${existing._id} (user ${existing.userId})`);
+  const error = authError('InvalidRefreshTokenError', 'Refresh token reuse detected. Please log in again');
+  error.revokedSessionId = existing._id.toString();
+  throw error;
+};
+
+/**
+ * Verify an access token and check its session has not been revoked
+ * @param {string} token - Access token
+ * @returns {Promise<object>} Decoded payload { userId, sid }
+ * @throws {Error} JsonWebTokenError, TokenExpiredError or SessionRevokedError
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed carry no sid
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    throw authError('SessionRevokedError', 'Session revoked');
+  }
+
+  const active = await AuthSession.exists({
+    _id: decoded.sid,
+    userId: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!active) {
+    throw authError('SessionRevokedError', 'Session revoked');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const { createUploadedVideo } = require('./videoIngest.service');
+const { reserveStorage, adjustUsage } = require('./storageUsage.service');
+const { toStorageKey, fetchToLocal } = require('./storage');
+const { generateStoredFilename } = require('../config/multer');
+
+/**
+ * Folder Service
+ *
+ * Library folder operations shared by the folder and upload controllers:
+ * lookups, breadcrumbs, moving folders (keeping ancestors consistent) and
+ * copying videos between folders.
+ */
+
+/**
+ * Find a folder of a tenant
+ * @param {string} tenantId - Tenant ID
+ * @param {string} folderId - Folder ID
+ * @returns {Promise<object|null>} Folder document, null if missing or not a valid id
+ */
+const findTenantFolder = async (tenantId, folderId) => {
+  if (!mongoose.Types.ObjectId.isValid(folderId)) {
+    return null;
+  }
+  return Folder.findOne({ _id: folderId, tenantId });
+};
+
+/**
+ * Path from the top level down to a folder
+ * @param {string} tenantId - Tenant ID
+ * @param {string|null} folderId - Folder ID; null for the top level
+ * @returns {Promise<object[]>} [{ id, name }], the folder itself last; empty for the top level
+ */
+const getBreadcrumbs = async (tenantId, folderId) => {
+  if (!folderId) {
+    return [];
+  }
+
+  const folder = await Folder.findOne({ _id: folderId, tenantId }).select('name ancestors');
+  if (!folder) {
+    return [];
+  }
+
+  const ancestors = await Folder.find({ _id: { $in: folder.ancestors }, tenantId }).select('name');
+  const byId = new Map(ancestors.map((ancestor) => [ancestor._id.toString(), ancestor]));
+
+  return [...folder.ancestors.map((id) => byId.get(id.toString())).filter(Boolean), folder]
+    .map((entry) => ({ id: entry._id, name: entry.name }));
+};
+
+/**
+ * Whether a folder is the target or one of its ancestors (moving it there would create a cycle)
+ * @param {object} folder - Folder being moved
+ * @param {object|null} target - New parent, null for the top level
+ * @returns {boolean}
+ */
+const isSelfOrAncestorOf = (folder, target) =>
+  !!target && (target._id.equals(folder._id) || target.ancestors.some((id) => id.equals(folder._id)));
+
+/**
+ * Move a folder and its subtree under a new parent
+ * The caller checks rights and cycles (isSelfOrAncestorOf). Throws a
+ * duplicate key error (code 11000) if the parent already has a folder
+ * with the same name.
+ * @param {object} folder - Folder document
+ * @param {object|null} target - New parent folder, null for the top level
+ * @returns {Promise<object>} Updated folder
+ */
+const moveFolder = async (folder, target) => {
+  const ancestors = target ? [...target.ancestors, target._id] : [];
+  const depth = folder.ancestors.length;
+
+  folder.parent = target ? target._id : null;
+  folder.ancestors = ancestors;
+  await folder.save();
+
+  // Descendants keep their path below the moved folder
+  const descendants = await Folder.find({ tenantId: folder.tenantId, ancestors: folder._id }).select('ancestors');
+  if (descendants.length > 0) {
+    await Folder.bulkWrite(descendants.map((descendant) => ({
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...ancestors, folder._id, ...descendant.ancestors.slice(depth + 1)] } },
+      },
+    })));
+  }
+
+  return folder;
+};
+
+/**
+ * Copy a video into a folder
+ * The original file is copied and processed again as a new upload of the
+ * user, counted against the tenant quota.
+ * @param {object} user - req.user
+ * @param {object} video - Video document to copy
+ * @param {string|null} folderId - Target folder, null for the top level
+ * @returns {Promise<object|null>} New video, or null if the quota would be exceeded
+ */
+const copyVideo = async (user, video, folderId) => {
+  if (!(await reserveStorage(user.tenantId, video.fileSize))) {
+    return null;
+  }
+
+  const scratch = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-copy-'));
+  try {
+    const localPath = await fetchToLocal(toStorageKey(video.filePath), scratch);
+
+    return await createUploadedVideo({
+      user,
+      file: {
+        filename: generateStoredFilename(video.originalFilename),
+        originalname: video.originalFilename,
+        path: localPath,
+        size: video.fileSize,
+        mimetype: video.mimeType,
+      },
+      fields: {
+        title: video.title,
+        description: video.description,
+        tags: video.tags,
+        isPublic: video.isPublic,
+      },
+      folder: folderId,
+      moveFile: false,
+    });
+  } catch (error) {
+    await adjustUsage(user.tenantId, -video.fileSize);
+    throw error;
+  } finally {
+    await fs.promises.rm(scratch, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  findTenantFolder,
+  getBreadcrumbs,
+  isSelfOrAncestorOf,
+  moveFolder,
+  copyVideo,
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+
+/**
+ * Invitation Service
+ *
+ * Issues invitation tokens and claims them at registration. Tokens are random
+ * and only their hash is stored, so a leaked database does not leak usable links.
+ */
+
+const config = {
+  defaultExpiresInDays: parseInt(process.env.INVITATION_EXPIRES_IN_DAYS, 10) || 7,
+  maxExpiresInDays: 30,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Link the invitee opens to accept (frontend /accept-invite page)
+ * @param {string} token - Invitation token
+ * @returns {string}
+ */
+const getAcceptUrl = (token) => {
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${clientUrl}/accept-invite?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Invite an email address to a tenant
+ * Replaces any pending invitation for the same address.
+ * @param {object} params
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.email - Invitee email
+ * @param {string} params.role - ADMIN, EDITOR or VIEWER
+ * @param {string} [params.invitedBy] - Inviting user ID (none for scripts)
+ * @param {number} [params.expiresInDays] - Defaults to INVITATION_EXPIRES_IN_DAYS (7), at most 30
+ * @returns {Promise<{invitation: object, token: string, acceptUrl: string}>}
+ */
+const createInvitation = async ({ tenantId, email, role, invitedBy, expiresInDays }) => {
+  const days = Math.min(expiresInDays > 0 ? expiresInDays : config.defaultExpiresInDays, config.maxExpiresInDays);
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const invitation = new Invitation({
+    tenantId,
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+  await invitation.validate();
+
+  await Invitation.updateMany(
+    { tenantId, email: invitation.email, status: 'PENDING' },
+    { $set: { status: 'REVOKED' } }
+  );
+  await invitation.save();
+
+  return { invitation, token, acceptUrl: getAcceptUrl(token) };
+};
+
+/**
+ * Find the pending, unexpired invitation for a token
+ * @param {string} token - Invitation token
+ * @returns {Promise<object|null>} Invitation with tenantId populated (name, isActive)
+ */
+const findPendingInvitation = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'PENDING',
+    expiresAt: { $gt: new Date() },
+  }).populate('tenantId', 'name isActive');
+};
+
+/**
+ * Mark an invitation accepted, unless someone else got there first
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<boolean>} true if this call claimed it
+ */
+const claimInvitation = async (invitationId) => {
+  const result = await Invitation.updateOne(
+    { _id: invitationId, status: 'PENDING', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'ACCEPTED', acceptedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Undo claimInvitation when creating the user failed
+ * @param {string} invitationId - Invitation ID
+ */
+const releaseInvitation = async (invitationId) => {
+  await Invitation.updateOne(
+    { _id: invitationId, status: 'ACCEPTED', acceptedBy: null },
+    { $set: { status: 'PENDING' }, $unset: { acceptedAt: 1 } }
+  );
+};
+
+module.exports = {
+  createInvitation,
+  findPendingInvitation,
+  claimInvitation,
+  releaseInvitation,
+};
@@ -0,0 +1,409 @@
+const os = require('os');
+const ProcessingJob = require('../models/ProcessingJob');
+
+/**
+ * Job Queue Service
+ *
+ * MongoDB-backed queue for video processing jobs:
+ * - Jobs survive server restarts (stored in the processingjobs collection)
+ * - Workers claim jobs atomically and hold a lease renewed by heartbeats
+ * - Jobs whose lease expired (crashed/restarted worker) are reclaimed
+ * - Number of jobs run in parallel is configurable per process
+ * - Failures are retried with exponential backoff, counted per pipeline stage;
+ *   a stage that runs out of attempts dead-letters the job (status DEAD)
+ * - Runs are also counted per job: a job that keeps killing its worker never
+ *   reaches the failure handling, and is dead-lettered once it used up
+ *   maxAttempts runs instead of being reclaimed forever
+ * - Jobs of a deleted video are cancelled; a worker running one loses its
+ *   lease and checks isJobHeld() before storing output
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const config = {
+  concurrency: parseInt(process.env.PROCESSING_CONCURRENCY, 10) || 2,
+  leaseMs: parseInt(process.env.PROCESSING_LEASE_MS, 10) || 60000,
+  pollIntervalMs: parseInt(process.env.PROCESSING_POLL_INTERVAL_MS, 10) || 2000,
+  maxStageAttempts: parseInt(process.env.PROCESSING_MAX_ATTEMPTS, 10) || 3,
+  maxAttempts: parseInt(process.env.PROCESSING_MAX_JOB_ATTEMPTS, 10) || 10,
+  retryBaseMs: parseInt(process.env.PROCESSING_RETRY_BASE_MS, 10) || 30000,
+  retryMaxMs: parseInt(process.env.PROCESSING_RETRY_MAX_MS, 10) || 15 * 60 * 1000,
+};
+
+let jobHandler = null;
+let jobHooks = {};
+let pollTimer = null;
+let running = false;
+let polling = false;
+const activeJobs = new Map(); // jobId -> heartbeat interval
+
+/**
+ * Add a processing job for a video unless one is already queued or running
+ * @param {string} videoId - MongoDB Video document ID
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object>} The queued (or already active) job
+ */
+const enqueueJob = async (videoId, tenantId) => {
+  const findActiveJob = () => ProcessingJob.findOne({
+    videoId,
+    status: { $in: ['QUEUED', 'RUNNING'] },
+  });
+
+  const activeJob = await findActiveJob();
+  if (activeJob) {
+    return activeJob;
+  }
+
+  let job;
+  try {
+    job = await ProcessingJob.create({ videoId, tenantId });
+  } catch (error) {
+    // Queued by a concurrent request since the check (unique active job per video)
+    if (error.code === 11000) {
+      return findActiveJob();
+    }
+    throw error;
+  }
+  console.log(`[Queue] Job ${job._id} queued for video ${videoId}`);
+
+  // Pick the job up right away if a worker slot is free
+  if (running) {
+    setImmediate(poll);
+  }
+
+  return job;
+};
+
+/**
+ * Dead-letter a job that used up its runs without finishing
+ * @param {object} job - Job already marked DEAD
+ */
+const deadLetterExhaustedJob = async (job) => {
+  const error = new Error(`Job did not finish in ${job.attempts} attempts (the worker stopped while running it)`);
+  const failure = { stage: 'unknown', stageAttempts: job.attempts, maxStageAttempts: config.maxAttempts };
+
+  if (jobHooks.onDeadLetter) {
+    await jobHooks.onDeadLetter(job, error, failure);
+  }
+  console.error(`[Queue] Job ${job._id} dead-lettered: ${error.message}`);
+};
+
+/**
+ * Atomically claim the next runnable job.
+ * Runnable means queued and due, or running with an expired lease. Runnable
+ * jobs that already used maxAttempts runs are dead-lettered instead.
+ * @returns {Promise<object|null>} Claimed job or null if none available
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  const runnable = {
+    $or: [
+      { status: 'QUEUED', runAt: { $lte: now } },
+      { status: 'RUNNING', lockedUntil: { $lt: now } },
+    ],
+  };
+
+  let exhausted;
+  while ((exhausted = await ProcessingJob.findOneAndUpdate(
+    { ...runnable, attempts: { $gte: config.maxAttempts } },
+    {
+      $set: {
+        status: 'DEAD',
+        active: false,
+        lastError: 'Job did not finish within its attempts',
+        deadLetteredAt: now,
+        completedAt: now,
+      },
+      $unset: { lockedBy: '', lockedUntil: '' },
+    },
+    { new: true }
+  ))) {
+    await deadLetterExhaustedJob(exhausted).catch((error) => {
+      console.error(`[Queue] Failed to dead-letter job ${exhausted._id}:`, error);
+    });
+  }
+
+  return ProcessingJob.findOneAndUpdate(
+    { ...runnable, attempts: { $lt: config.maxAttempts } },
+    {
+      $set: {
+        status: 'RUNNING',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now.getTime() + config.leaseMs),
+        heartbeatAt: now,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Extend the lease on a job held by this worker
+ * @param {string} jobId - Job ID
+ */
+const heartbeat = async (jobId) => {
+  const now = new Date();
+  const job = await ProcessingJob.findOneAndUpdate(
+    { _id: jobId, status: 'RUNNING', lockedBy: WORKER_ID },
+    {
+      $set: {
+        heartbeatAt: now,
+        lockedUntil: new Date(now.getTime() + config.leaseMs),
+      },
+    }
+  );
+
+  if (!job) {
+    console.warn(`[Queue] Lost lease on job ${jobId}`);
+  }
+};
+
+/**
+ * Mark a job as completed. Only applies while this worker still holds the lease.
+ * @param {string} jobId - Job ID
+ */
+const completeJob = async (jobId) => {
+  await ProcessingJob.updateOne(
+    { _id: jobId, lockedBy: WORKER_ID },
+    {
+      $set: { status: 'COMPLETED', active: false, completedAt: new Date() },
+      $unset: { lockedBy: '', lockedUntil: '' },
+    }
+  );
+};
+
+/**
+ * Backoff before the next attempt of a stage: base * 2^(attempt - 1), capped
+ * @param {number} stageAttempts - Failed attempts of the stage so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (stageAttempts) => {
+  return Math.min(config.retryBaseMs * Math.pow(2, stageAttempts - 1), config.retryMaxMs);
+};
+
+/**
+ * Record a failed run: re-queue with backoff, or dead-letter the job when the
+ * failing stage is out of attempts or the error is marked non-retryable.
+ * @param {object} job - Claimed ProcessingJob document
+ * @param {Error} error - Error thrown by the handler (error.stage names the stage)
+ */
+const failJob = async (job, error) => {
+  const stage = error.stage || 'unknown';
+  const stageAttempts = (job.stageAttempts.get(stage) || 0) + 1;
+  const retryable = error.retryable !== false && stageAttempts < config.maxStageAttempts;
+  const now = new Date();
+
+  const update = {
+    $set: {
+      lastError: error.message,
+      failedStage: stage,
+      [`stageAttempts.${stage}`]: stageAttempts,
+    },
+    $unset: { lockedBy: '', lockedUntil: '' },
+  };
+
+  const failure = { stage, stageAttempts, maxStageAttempts: config.maxStageAttempts };
+
+  if (retryable) {
+    failure.retryAt = new Date(now.getTime() + getRetryDelay(stageAttempts));
+    update.$set.status = 'QUEUED';
+    update.$set.runAt = failure.retryAt;
+  } else {
+    update.$set.status = 'DEAD';
+    update.$set.active = false;
+    update.$set.deadLetteredAt = now;
+    update.$set.completedAt = now;
+  }
+
+  const result = await ProcessingJob.updateOne({ _id: job._id, lockedBy: WORKER_ID }, update);
+  if (result.modifiedCount === 0) {
+    // Lease was lost; whoever holds the job now owns its outcome
+    return;
+  }
+
+  const hook = retryable ? jobHooks.onRetry : jobHooks.onDeadLetter;
+  if (hook) {
+    await hook(job, error, failure);
+  }
+
+  if (retryable) {
+    console.warn(`[Queue] Job ${job._id} failed at ${stage} (attempt ${stageAttempts}/${config.maxStageAttempts}), retrying at ${failure.retryAt.toISOString()}`);
+  } else {
+    console.error(`[Queue] Job ${job._id} dead-lettered at ${stage}: ${error.message}`);
+  }
+};
+
+/**
+ * Run a claimed job with the registered handler, renewing its lease meanwhile
+ * @param {object} job - Claimed ProcessingJob document
+ */
+const runJob = async (job) => {
+  const jobId = job._id.toString();
+  const interval = setInterval(() => {
+    heartbeat(jobId).catch((error) => {
+      console.error(`[Queue] Heartbeat failed for job ${jobId}:`, error);
+    });
+  }, Math.floor(config.leaseMs / 3));
+  activeJobs.set(jobId, interval);
+
+  console.log(`[Queue] Worker ${WORKER_ID} running job ${jobId} (attempt ${job.attempts})`);
+
+  try {
+    await jobHandler(job.videoId.toString(), job.tenantId.toString(), job);
+    await completeJob(jobId);
+  } catch (error) {
+    await failJob(job, error).catch((failError) => {
+      console.error(`[Queue] Failed to record failure of job ${jobId}:`, failError);
+    });
+  } finally {
+    clearInterval(interval);
+    activeJobs.delete(jobId);
+    if (running) {
+      setImmediate(poll);
+    }
+  }
+};
+
+/**
+ * Fill free worker slots with runnable jobs
+ */
+const poll = async () => {
+  if (!running || polling) {
+    return;
+  }
+
+  polling = true;
+  try {
+    while (running && activeJobs.size < config.concurrency) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+      runJob(job);
+    }
+  } catch (error) {
+    console.error('[Queue] Error polling for jobs:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Whether this worker still holds the lease on a running job
+ * False once the job was cancelled or reclaimed by another worker.
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>}
+ */
+const isJobHeld = async (jobId) => {
+  return !!(await ProcessingJob.exists({ _id: jobId, status: 'RUNNING', lockedBy: WORKER_ID }));
+};
+
+/**
+ * Cancel the queued, running and dead-lettered jobs of a video (before it is deleted)
+ * The lease of a running job is dropped, so its outcome is never recorded.
+ * @param {string} videoId - Video ID
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+const cancelVideoJobs = async (videoId) => {
+  const result = await ProcessingJob.updateMany(
+    { videoId, status: { $in: ['QUEUED', 'RUNNING', 'DEAD'] } },
+    {
+      $set: { status: 'CANCELLED', active: false, completedAt: new Date() },
+      $unset: { lockedBy: '', lockedUntil: '' },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Put a dead-lettered job back in the queue with fresh attempt counts
+ * @param {string} jobId - Job ID
+ * @param {string} tenantId - Tenant ID (jobs of other tenants are not touched)
+ * @returns {Promise<object|null>} Re-queued job, or null if no such dead job or the video already has an active job
+ */
+const retryDeadJob = async (jobId, tenantId) => {
+  let job;
+  try {
+    job = await ProcessingJob.findOneAndUpdate(
+      { _id: jobId, tenantId, status: 'DEAD' },
+      {
+        $set: { status: 'QUEUED', active: true, runAt: new Date(), attempts: 0, stageAttempts: {} },
+        $unset: { deadLetteredAt: '', completedAt: '' },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (job && running) {
+    setImmediate(poll);
+  }
+
+  return job;
+};
+
+/**
+ * Start polling for jobs
+ * @param {Function} handler - async (videoId, tenantId, job) => void; throw to fail the job
+ * @param {object} [hooks]
+ * @param {Function} [hooks.onRetry] - async (job, error, failure) => void, after a retry is scheduled
+ * @param {Function} [hooks.onDeadLetter] - async (job, error, failure) => void, after the job is dead-lettered
+ */
+const startWorker = (handler, hooks = {}) => {
+  if (running) {
+    return;
+  }
+
+  jobHandler = handler;
+  jobHooks = hooks;
+  running = true;
+  pollTimer = setInterval(poll, config.pollIntervalMs);
+  console.log(`[Queue] Worker ${WORKER_ID} started (concurrency: ${config.concurrency})`);
+  poll();
+};
+
+/**
+ * Stop polling and hand this worker's running jobs back to the queue
+ * so another process can pick them up without waiting for lease expiry
+ */
+const stopWorker = async () => {
+  if (!running) {
+    return;
+  }
+
+  running = false;
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  const jobIds = [...activeJobs.keys()];
+  activeJobs.forEach((interval) => clearInterval(interval));
+  activeJobs.clear();
+
+  if (jobIds.length > 0) {
+    await ProcessingJob.updateMany(
+      { _id: { $in: jobIds }, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'QUEUED', runAt: new Date() },
+        $unset: { lockedBy: '', lockedUntil: '' },
+        $inc: { attempts: -1 }, // Interrupted by the shutdown, not a failed run
+      }
+    );
+    console.log(`[Queue] Released ${jobIds.length} job(s) on shutdown`);
+  }
+};
+
+module.exports = {
+  enqueueJob,
+  isJobHeld,
+  cancelVideoJobs,
+  retryDeadJob,
+  startWorker,
+  stopWorker,
+};
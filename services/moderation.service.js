@@ -0,0 +1,153 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { extractFrame } = require('./thumbnail.service');
+
+/**
+ * Content Moderation Service
+ *
+ * Runs the scanners a tenant has enabled (Tenant.settings.moderation.scanners)
+ * and combines their verdicts. A scanner is a plugin:
+ *
+ *   {
+ *     name: 'my-scanner',
+ *     needsFrames: true,              // whether sampled frames must be extracted
+ *     scan: async ({ video, filePath, metadata, frames, options }) => ({
+ *       verdict: 'SAFE' | 'FLAGGED',
+ *       confidence: 0.93,             // 0-1, how sure the scanner is of its verdict
+ *       labels: [{ name: 'violence', confidence: 0.93 }],
+ *       reason: 'Optional explanation',
+ *     }),
+ *   }
+ *
+ * frames: [{ path, timestamp }] JPEGs sampled across the video (deleted after the scan).
+ * A FLAGGED verdict only counts when its confidence reaches the tenant's threshold
+ * for that scanner. The video is flagged if any scanner's verdict counts.
+ * Throwing from scan() fails the processing stage, which is then retried.
+ */
+
+const SAMPLE_FRAME_COUNT = parseInt(process.env.MODERATION_SAMPLE_FRAMES, 10) || 5;
+
+const scanners = new Map();
+
+/**
+ * Register a scanner plugin
+ * @param {object} scanner - { name, needsFrames, scan }
+ */
+const registerScanner = (scanner) => {
+  if (!scanner || !scanner.name || typeof scanner.scan !== 'function') {
+    throw new Error('A scanner needs a name and a scan() function');
+  }
+  scanners.set(scanner.name, scanner);
+};
+
+/**
+ * Names of all registered scanners
+ * @returns {string[]}
+ */
+const getScannerNames = () => [...scanners.keys()];
+
+/**
+ * Extract frames evenly spread over the video into a temporary directory
+ * @param {string} filePath - Source file path
+ * @param {number} duration - Duration in seconds
+ * @returns {Promise<object>} { directory, frames: [{ path, timestamp }] }
+ */
+const sampleFrames = async (filePath, duration) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+  const count = duration > 1 ? SAMPLE_FRAME_COUNT : 1;
+  const frames = [];
+
+  for (let i = 0; i < count; i++) {
+    const timestamp = Math.round((((i + 0.5) / count) * (duration || 0)) * 100) / 100;
+    const framePath = path.join(directory, `frame_${i}.jpg`);
+    await extractFrame(filePath, timestamp, framePath);
+    frames.push({ path: framePath, timestamp });
+  }
+
+  return { directory, frames };
+};
+
+/**
+ * Run the tenant's enabled scanners against a video
+ * @param {object} params
+ * @param {object} params.video - Video document
+ * @param {string} params.filePath - Source file path
+ * @param {object} params.metadata - Metadata from extractMetadata
+ * @param {object} params.settings - Tenant.settings.moderation
+ * @param {Function} [params.onScannerComplete] - (result, index, total) => void
+ * @returns {Promise<object>} { status: 'SAFE' | 'FLAGGED', reason?, results }
+ */
+const runModeration = async ({ video, filePath, metadata, settings, onScannerComplete = () => {} }) => {
+  const configured = (settings?.scanners || []).filter(config => config.enabled);
+
+  const unknown = configured.filter(config => !scanners.has(config.name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scanner(s): ${unknown.map(config => config.name).join(', ')}`);
+  }
+
+  let sampled = { directory: null, frames: [] };
+  if (configured.some(config => scanners.get(config.name).needsFrames) && metadata.width) {
+    sampled = await sampleFrames(filePath, metadata.duration);
+  }
+
+  try {
+    const results = [];
+
+    for (let i = 0; i < configured.length; i++) {
+      const config = configured[i];
+      const scanner = scanners.get(config.name);
+
+      let result;
+      try {
+        result = await scanner.scan({
+          video,
+          filePath,
+          metadata,
+          frames: sampled.frames,
+          options: config.options || {},
+        });
+      } catch (error) {
+        throw new Error(`Scanner "${config.name}" failed: ${error.message}`);
+      }
+
+      const flagged = result.verdict === 'FLAGGED' && result.confidence >= config.threshold;
+
+      const entry = {
+        scanner: config.name,
+        verdict: result.verdict,
+        confidence: result.confidence,
+        threshold: config.threshold,
+        flagged,
+        labels: result.labels || [],
+        reason: result.reason,
+      };
+      results.push(entry);
+      onScannerComplete(entry, i, configured.length);
+    }
+
+    const flaggedBy = results.find(result => result.flagged);
+
+    return {
+      status: flaggedBy ? 'FLAGGED' : 'SAFE',
+      reason: flaggedBy
+        ? flaggedBy.reason || `Flagged by ${flaggedBy.scanner} scanner (confidence ${flaggedBy.confidence})`
+        : undefined,
+      results,
+    };
+  } finally {
+    if (sampled.directory) {
+      fs.rmSync(sampled.directory, { recursive: true, force: true });
+    }
+  }
+};
+
+// Built-in scanners
+registerScanner(require('./scanners/keyword.scanner'));
+registerScanner(require('./scanners/http.scanner'));
+
+module.exports = {
+  registerScanner,
+  getScannerNames,
+  runModeration,
+};
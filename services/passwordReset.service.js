@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const PasswordReset = require('../models/PasswordReset');
+
+/**
+ * Password Reset Service
+ *
+ * Issues single-use reset tokens and redeems them. Like invitations, only the
+ * token hash is stored and the link is handed to the ADMIN who triggered it.
+ */
+
+const config = {
+  expiresInHours: parseInt(process.env.PASSWORD_RESET_EXPIRES_IN_HOURS, 10) || 24,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Link the user opens to choose a new password (frontend /reset-password page)
+ * @param {string} token - Reset token
+ * @returns {string}
+ */
+const getResetUrl = (token) => {
+  const clientUrl = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Start a password reset for a user
+ * Earlier unused reset links of the user stop working.
+ * @param {object} user - User document
+ * @param {string} [requestedBy] - ADMIN user ID
+ * @returns {Promise<{token: string, resetUrl: string, expiresAt: Date}>}
+ */
+const createPasswordReset = async (user, requestedBy) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.expiresInHours * 60 * 60 * 1000);
+
+  await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+  await PasswordReset.create({
+    userId: user._id,
+    tenantId: user.tenantId,
+    tokenHash: hashToken(token),
+    requestedBy,
+    expiresAt,
+  });
+
+  return { token, resetUrl: getResetUrl(token), expiresAt };
+};
+
+/**
+ * Find the unused, unexpired reset request for a token
+ * @param {string} token - Reset token
+ * @returns {Promise<object|null>} PasswordReset document
+ */
+const findPasswordReset = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+  return PasswordReset.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+/**
+ * Mark a reset request used, unless it already was
+ * @param {string} resetId - PasswordReset ID
+ * @returns {Promise<boolean>} true if this call redeemed it
+ */
+const redeemPasswordReset = async (resetId) => {
+  const result = await PasswordReset.updateOne(
+    { _id: resetId, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  createPasswordReset,
+  findPasswordReset,
+  redeemPasswordReset,
+};
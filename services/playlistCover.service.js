@@ -0,0 +1,56 @@
+const { getStorage, deletePrefix } = require('./storage');
+
+/**
+ * Playlist Cover Service
+ *
+ * Cover images uploaded for playlists, stored through the storage driver as
+ *   playlists/<tenantId>/<playlistId>/cover-<timestamp>.<ext>
+ * Their bytes count against the tenant quota like video files do
+ * (Playlist.coverImage.bytes). A playlist without one uses a video poster.
+ */
+
+const COVER_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+};
+
+/**
+ * Storage key prefix holding the cover image of a playlist
+ * @param {string} tenantId - Tenant ID
+ * @param {string} playlistId - Playlist ID
+ * @returns {string} Key prefix
+ */
+const getPlaylistCoverPrefix = (tenantId, playlistId) => {
+  return `playlists/${tenantId}/${playlistId}`;
+};
+
+/**
+ * Store an uploaded cover image
+ * @param {string} tenantId - Tenant ID
+ * @param {string} playlistId - Playlist ID
+ * @param {object} file - Multer file (memory storage)
+ * @returns {Promise<string>} Storage key of the stored image
+ */
+const savePlaylistCover = async (tenantId, playlistId, file) => {
+  const ext = COVER_EXTENSIONS[file.mimetype] || '.jpg';
+  const key = `${getPlaylistCoverPrefix(tenantId, playlistId)}/cover-${Date.now()}${ext}`;
+  await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+  return key;
+};
+
+/**
+ * Remove every cover image of a playlist
+ * @param {string} tenantId - Tenant ID
+ * @param {string} playlistId - Playlist ID
+ * @returns {Promise<void>}
+ */
+const removePlaylistCovers = (tenantId, playlistId) => {
+  return deletePrefix(getPlaylistCoverPrefix(tenantId, playlistId));
+};
+
+module.exports = {
+  getPlaylistCoverPrefix,
+  savePlaylistCover,
+  removePlaylistCovers,
+};
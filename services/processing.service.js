@@ -1,7 +1,22 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const Video = require('../models/Video');
+const Tenant = require('../models/Tenant');
+const { transcodeToHls, getHlsPrefix, removeHlsOutput } = require('./transcoding.service');
+const { runModeration } = require('./moderation.service');
+const {
+  generateThumbnails,
+  generateSpriteSheets,
+  getThumbnailPrefix,
+  isCustomThumbnail,
+  removeThumbnails,
+} = require('./thumbnail.service');
+const { enqueueJob, isJobHeld, startWorker } = require('./jobQueue.service');
+const { setVideoStorage } = require('./storageUsage.service');
+const { toStorageKey, getPrefixSize, fetchToLocal } = require('./storage');
+const { dispatchEvent, toVideoPayload } = require('./webhook.service');
 const { emitProgress, emitCompletion, emitError } = require('../config/socket');
 
 // Try to set FFmpeg path from ffmpeg-static package
@@ -21,20 +36,20 @@ try {
  * 
  * Handles:
  * - Metadata extraction using FFmpeg
- * - Simulated AI sensitivity analysis
- * - Non-blocking async processing
+ * - Content moderation with tenant-configured scanners (see moderation.service.js)
+ * - HLS adaptive bitrate transcoding (see transcoding.service.js)
+ * - Poster frame, candidate thumbnails and seek-preview sprites (see thumbnail.service.js)
+ * - Persistent, restart-safe job queue (see jobQueue.service.js)
+ * - Storage accounting of derived files (see storageUsage.service.js)
  * - Real-time progress updates via Socket.io
+ * - Lifecycle events for tenant webhooks (see webhook.service.js)
+ *
+ * Each job works in a local scratch directory: the original is fetched from
+ * the storage backend if it is not on local disk, and derived files are
+ * moved to storage as each stage finishes - but only while the job is still
+ * held and the video still exists, so a deleted video gets no new files.
  */
 
-// Keywords that trigger FLAGGED status (case-insensitive)
-const SENSITIVITY_KEYWORDS = [
-  'test_flag',
-  'flag',
-  'sensitive',
-  'nsfw',
-  'explicit',
-];
-
 /**
  * Extract video metadata using FFmpeg
  * @param {string} filePath - Path to video file
@@ -71,79 +86,64 @@ const extractMetadata = (filePath) => {
 };
 
 /**
- * Simulate AI Sensitivity Scan
- * Checks filename for keywords and simulates a 10-second scan
- * @param {string} filename - Video filename
- * @returns {Promise<{status: string, reason?: string}>} Scan result
+ * Process video
+ * Runs inside a queue worker. Errors are rethrown tagged with the failing
+ * stage (error.stage) so the queue can retry that stage or dead-letter the job.
+ * @param {string} videoId - MongoDB Video document ID
+ * @param {string} tenantId - Tenant ID
+ * @param {object} [job] - ProcessingJob being run
  */
-const simulateAISensitivityScan = async (filename) => {
-  // Simulate 10-second AI processing delay
-  await new Promise(resolve => setTimeout(resolve, 10000));
-
-  // Check filename for sensitivity keywords (case-insensitive)
-  const filenameLower = filename.toLowerCase();
-  const hasKeyword = SENSITIVITY_KEYWORDS.some(keyword => 
-    filenameLower.includes(keyword.toLowerCase())
-  );
-
-  if (hasKeyword) {
-    const matchedKeyword = SENSITIVITY_KEYWORDS.find(keyword => 
-      filenameLower.includes(keyword.toLowerCase())
-    );
-    return {
-      status: 'FLAGGED',
-      reason: `Sensitivity keyword detected: "${matchedKeyword}"`,
-    };
-  }
-
-  // Random flagging for demonstration (10% chance)
-  // In production, this would be replaced with actual AI analysis
-  const randomFlag = Math.random() < 0.1;
-  
-  if (randomFlag) {
-    return {
-      status: 'FLAGGED',
-      reason: 'AI analysis detected potential content issues',
-    };
-  }
-
-  return {
-    status: 'SAFE',
+const processVideo = async (videoId, tenantId, job) => {
+  let stage = 'initialize';
+  let workDir = null;
+
+  // Checked before and after each stage stores its output
+  const ensureStillWanted = async () => {
+    const [held, exists] = await Promise.all([
+      job ? isJobHeld(job._id) : true,
+      Video.exists({ _id: videoId }),
+    ]);
+    if (!held || !exists) {
+      const error = new Error(exists ? 'Job was cancelled or taken over by another worker' : 'Video was deleted during processing');
+      error.retryable = false;
+      error.aborted = true;
+      throw error;
+    }
   };
-};
 
-/**
- * Process video asynchronously
- * This function is non-blocking and runs in the background
- * @param {string} videoId - MongoDB Video document ID
- * @param {string} tenantId - Tenant ID for Socket.io room
- */
-const processVideo = async (videoId, tenantId) => {
   try {
     console.log(`[Processing] Starting video processing: ${videoId}`);
 
     // Update status to PROCESSING
     const video = await Video.findById(videoId);
     if (!video) {
-      throw new Error('Video not found');
+      // Nothing to retry - the video was deleted
+      const error = new Error('Video not found');
+      error.retryable = false;
+      throw error;
     }
 
     video.processingStatus = 'PROCESSING';
     await video.save();
+    await dispatchEvent(tenantId, 'video.processing.started', { video: toVideoPayload(video) });
 
     // Emit initial progress
-    emitProgress(tenantId, videoId, 0, 'Initializing', {
+    emitProgress(video, 0, 'Initializing', {
       message: 'Video processing started',
     });
 
     // Stage 1: Extract Metadata (25% progress)
-    emitProgress(tenantId, videoId, 10, 'Extracting Metadata', {
+    emitProgress(video, 10, 'Extracting Metadata', {
       message: 'Analyzing video file...',
     });
 
+    stage = 'metadata';
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processing-'));
+    let inputPath;
     let metadata;
     try {
-      metadata = await extractMetadata(video.filePath);
+      inputPath = await fetchToLocal(toStorageKey(video.filePath), workDir);
+      metadata = await extractMetadata(inputPath);
       console.log(`[Processing] Metadata extracted for ${videoId}:`, metadata);
     } catch (error) {
       console.error(`[Processing] Metadata extraction failed:`, error);
@@ -160,7 +160,7 @@ const processVideo = async (videoId, tenantId) => {
       frameRate: metadata.frameRate,
     };
 
-    emitProgress(tenantId, videoId, 25, 'Metadata Extracted', {
+    emitProgress(video, 25, 'Metadata Extracted', {
       message: 'Video metadata extracted successfully',
       metadata: {
         duration: video.duration,
@@ -169,40 +169,159 @@ const processVideo = async (videoId, tenantId) => {
       },
     });
 
-    // Stage 2: AI Sensitivity Scan (50% progress)
-    emitProgress(tenantId, videoId, 30, 'AI Sensitivity Scan', {
-      message: 'Running AI content analysis...',
+    // Stage 2: Content Moderation (30-50% progress)
+    emitProgress(video, 30, 'Content Moderation', {
+      message: 'Running content scanners...',
     });
 
-    const scanResult = await simulateAISensitivityScan(video.originalFilename);
-    
-    emitProgress(tenantId, videoId, 75, 'AI Scan Complete', {
+    stage = 'scan';
+    const tenant = await Tenant.findById(tenantId).select('settings.moderation settings.transcoding');
+    const scanResult = await runModeration({
+      video,
+      filePath: inputPath,
+      metadata,
+      settings: tenant?.settings?.moderation,
+      onScannerComplete: (result, index, total) => {
+        emitProgress(video, 30 + Math.floor(((index + 1) / total) * 20), 'Content Moderation', {
+          message: `${result.scanner} scanner finished`,
+          scanner: result.scanner,
+          verdict: result.verdict,
+        });
+      },
+    });
+
+    video.moderation = {
+      verdict: scanResult.status,
+      results: scanResult.results,
+      scannedAt: new Date(),
+    };
+
+    emitProgress(video, 50, 'Moderation Complete', {
       message: 'Content analysis completed',
       scanResult: scanResult.status,
     });
 
-    // Stage 3: Finalize (100% progress)
-    emitProgress(tenantId, videoId, 90, 'Finalizing', {
+    // Flagged content is not prepared for playback unless a reviewer approved it
+    const playable = scanResult.status !== 'FLAGGED' || video.review?.status === 'APPROVED';
+
+    // Stage 3: HLS Transcoding (50-85% progress), skipped for flagged content
+    stage = 'transcode';
+    const transcodingSettings = tenant?.settings?.transcoding;
+
+    if (playable && transcodingSettings?.enabled && metadata.width && metadata.height) {
+      emitProgress(video, 50, 'Transcoding', {
+        message: 'Encoding adaptive bitrate renditions...',
+      });
+
+      let lastReported = 50;
+      const hls = await transcodeToHls({
+        inputPath,
+        workDir,
+        tenantId,
+        videoId,
+        metadata,
+        settings: transcodingSettings,
+        beforeStore: ensureStillWanted,
+        onProgress: (percent, rendition) => {
+          const progress = 50 + Math.floor(percent * 0.35);
+          if (progress > lastReported) {
+            lastReported = progress;
+            emitProgress(video, progress, 'Transcoding', {
+              message: `Encoding ${rendition}...`,
+              rendition,
+            });
+          }
+        },
+      });
+      await ensureStillWanted();
+
+      video.hls = {
+        ...hls,
+        transcodedAt: new Date(),
+      };
+      await setVideoStorage(videoId, tenantId, 'hlsBytes', await getPrefixSize(getHlsPrefix(tenantId, videoId)));
+
+      emitProgress(video, 85, 'Transcoding Complete', {
+        message: `Encoded ${hls.renditions.length} rendition(s)`,
+        renditions: hls.renditions.map(rendition => rendition.name),
+      });
+    }
+
+    // Stage 4: Thumbnails (85-90% progress)
+    stage = 'thumbnails';
+    if (metadata.width && metadata.height) {
+      emitProgress(video, 85, 'Generating Thumbnails', {
+        message: 'Extracting poster frame and thumbnails...',
+      });
+
+      const candidates = await generateThumbnails({
+        inputPath,
+        workDir,
+        tenantId,
+        videoId,
+        duration: metadata.duration,
+        beforeStore: ensureStillWanted,
+      });
+      await ensureStillWanted();
+
+      video.thumbnailCandidates = candidates;
+      // Keep a poster the editor uploaded; otherwise default to the first candidate
+      if (!isCustomThumbnail(video.thumbnailPath)) {
+        video.thumbnailPath = `${getThumbnailPrefix(tenantId, videoId)}/${candidates[0].filename}`;
+      }
+      video.thumbnailUpdatedAt = new Date();
+
+      // Seek previews only make sense for videos that can be played
+      if (playable) {
+        stage = 'sprites';
+        emitProgress(video, 88, 'Generating Seek Previews', {
+          message: 'Building preview sprite sheets...',
+        });
+
+        video.sprites = await generateSpriteSheets({
+          inputPath,
+          workDir,
+          tenantId,
+          videoId,
+          metadata,
+          beforeStore: ensureStillWanted,
+        });
+        await ensureStillWanted();
+      }
+
+      await setVideoStorage(videoId, tenantId, 'thumbnailBytes', await getPrefixSize(getThumbnailPrefix(tenantId, videoId)));
+    }
+
+    // Stage 5: Finalize (100% progress)
+    stage = 'finalize';
+    emitProgress(video, 90, 'Finalizing', {
       message: 'Finalizing video processing...',
     });
 
-    // Update video status based on scan result
-    if (scanResult.status === 'FLAGGED') {
+    // Update video status based on scan result. A reviewer's approval
+    // overrides the scanners; other flagged videos wait in the review queue.
+    if (!playable) {
       video.processingStatus = 'FLAGGED';
-      video.processingError = scanResult.reason || 'Content flagged by AI analysis';
+      video.processingError = scanResult.reason || 'Content flagged by moderation';
+      if (!video.review.status) {
+        video.review.status = 'PENDING_REVIEW';
+        video.review.queuedAt = new Date();
+      }
     } else {
       video.processingStatus = 'COMPLETED';
+      video.processingError = undefined;
     }
 
+    await ensureStillWanted();
     await video.save();
 
     // Emit completion
-    emitProgress(tenantId, videoId, 100, 'Completed', {
+    emitProgress(video, 100, 'Completed', {
       message: 'Video processing completed',
       status: video.processingStatus,
     });
 
-    emitCompletion(tenantId, videoId, video.processingStatus, {
+    emitCompletion(video, video.processingStatus, {
       video: {
         id: video._id,
         title: video.title,
@@ -212,42 +331,170 @@ const processVideo = async (videoId, tenantId) => {
       },
     });
 
+    if (video.processingStatus === 'FLAGGED') {
+      await dispatchEvent(tenantId, 'video.flagged', {
+        video: toVideoPayload(video),
+        reason: video.processingError,
+        moderation: video.moderation,
+      });
+    } else {
+      await dispatchEvent(tenantId, 'video.processing.completed', {
+        video: toVideoPayload(video),
+        metadata: video.metadata,
+      });
+    }
+
     console.log(`[Processing] Video processing completed: ${videoId} - Status: ${video.processingStatus}`);
   } catch (error) {
-    console.error(`[Processing] Error processing video ${videoId}:`, error);
-
-    // Update video status to FLAGGED on error
-    try {
-      const video = await Video.findById(videoId);
-      if (video) {
-        video.processingStatus = 'FLAGGED';
-        video.processingError = error.message;
-        await video.save();
+    if (error.aborted) {
+      console.warn(`[Processing] Stopped processing video ${videoId} at stage ${stage}: ${error.message}`);
+      // Deleted while a stage was storing its output: remove what landed after the delete
+      if (!(await Video.exists({ _id: videoId }))) {
+        await Promise.all([removeHlsOutput(tenantId, videoId), removeThumbnails(tenantId, videoId)]).catch((cleanupError) => {
+          console.error(`[Processing] Failed to remove output of deleted video ${videoId}:`, cleanupError);
+        });
       }
-    } catch (updateError) {
-      console.error(`[Processing] Failed to update video status:`, updateError);
+    } else {
+      console.error(`[Processing] Error processing video ${videoId} at stage ${stage}:`, error);
+    }
+    error.stage = error.stage || stage;
+    throw error;
+  } finally {
+    if (workDir) {
+      fs.rmSync(workDir, { recursive: true, force: true });
     }
+  }
+};
+
+/**
+ * Queue hook: a stage failed and will be retried after a backoff
+ * @param {object} job - ProcessingJob document
+ * @param {Error} error - Stage error
+ * @param {object} failure - { stage, stageAttempts, maxStageAttempts, retryAt }
+ */
+const handleRetry = async (job, error, failure) => {
+  const video = await Video.findByIdAndUpdate(
+    job.videoId,
+    {
+      $set: {
+        processingStatus: 'PENDING',
+        processingError: `Retrying after ${failure.stage} failure: ${error.message}`,
+      },
+      $push: {
+        processingFailures: {
+          stage: failure.stage,
+          attempt: failure.stageAttempts,
+          error: error.message,
+          retryAt: failure.retryAt,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!video) {
+    return;
+  }
+
+  emitProgress(video, 0, 'Retry Scheduled', {
+    message: `Processing failed at ${failure.stage} (attempt ${failure.stageAttempts}/${failure.maxStageAttempts}), retrying`,
+    retryAt: failure.retryAt.toISOString(),
+  });
+};
+
+/**
+ * Queue hook: the job ran out of attempts and was dead-lettered
+ * @param {object} job - ProcessingJob document
+ * @param {Error} error - Stage error
+ * @param {object} failure - { stage, stageAttempts, maxStageAttempts }
+ */
+const handleDeadLetter = async (job, error, failure) => {
+  const video = await Video.findByIdAndUpdate(
+    job.videoId,
+    {
+      $set: {
+        processingStatus: 'FAILED',
+        processingError: `Processing failed at ${failure.stage}: ${error.message}`,
+      },
+      $push: {
+        processingFailures: {
+          stage: failure.stage,
+          attempt: failure.stageAttempts,
+          error: error.message,
+        },
+      },
+    },
+    { new: true }
+  );
 
-    // Emit error
-    emitError(tenantId, videoId, error.message);
+  if (!video) {
+    return;
   }
+
+  emitError(video, error.message);
+
+  await dispatchEvent(job.tenantId, 'video.processing.failed', {
+    video: toVideoPayload(video),
+    stage: failure.stage,
+    error: error.message,
+  });
 };
 
 /**
- * Start video processing in background (non-blocking)
+ * Queue video processing (non-blocking)
+ * The job is persisted, so it survives a server restart before it runs
  * @param {string} videoId - MongoDB Video document ID
  * @param {string} tenantId - Tenant ID for Socket.io room
+ * @returns {Promise<object>} Queued job
  */
 const startProcessing = (videoId, tenantId) => {
-  // Process asynchronously without blocking
-  processVideo(videoId, tenantId).catch(error => {
-    console.error(`[Processing] Unhandled error in background processing:`, error);
+  return enqueueJob(videoId, tenantId).catch(error => {
+    console.error(`[Processing] Failed to queue video ${videoId}:`, error);
+  });
+};
+
+/**
+ * Re-queue videos left PENDING/PROCESSING without an active job
+ * (e.g. uploaded before the queue existed, or a job record was lost)
+ * @returns {Promise<number>} Number of videos checked
+ */
+const recoverOrphanedVideos = async () => {
+  const videos = await Video.find({
+    processingStatus: { $in: ['PENDING', 'PROCESSING'] },
+  }).select('_id tenantId');
+
+  for (const video of videos) {
+    // enqueueJob is a no-op for videos that already have a queued/running job
+    await enqueueJob(video._id.toString(), video.tenantId.toString());
+  }
+
+  if (videos.length > 0) {
+    console.log(`[Processing] Recovery checked ${videos.length} unfinished video(s)`);
+  }
+
+  return videos.length;
+};
+
+/**
+ * Recover orphaned videos and start the queue worker.
+ * Call once the database connection is ready.
+ */
+const startProcessingWorker = async () => {
+  try {
+    await recoverOrphanedVideos();
+  } catch (error) {
+    console.error('[Processing] Orphaned video recovery failed:', error);
+  }
+  startWorker(processVideo, {
+    onRetry: handleRetry,
+    onDeadLetter: handleDeadLetter,
   });
 };
 
 module.exports = {
   processVideo,
   startProcessing,
+  startProcessingWorker,
+  recoverOrphanedVideos,
   extractMetadata,
-  simulateAISensitivityScan,
 };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+/**
+ * HTTP Scanner Adapter
+ *
+ * Sends the video metadata and sampled frames to an external moderation
+ * service and maps its answer to a scanner verdict. The endpoint is set by
+ * the server operator (HTTP_SCANNER_URL), never by tenants.
+ *
+ * Request:  POST HTTP_SCANNER_URL
+ *   { videoId, tenantId, filename, metadata, frames: [{ timestamp, image: <base64 jpeg> }] }
+ * Response: { verdict: "SAFE" | "FLAGGED", confidence: 0-1, labels: [{ name, confidence }], reason? }
+ */
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.HTTP_SCANNER_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * @param {object} input - Scanner input (see moderation.service.js)
+ * @returns {Promise<object>} { verdict, confidence, labels, reason }
+ */
+const scan = async ({ video, metadata, frames }) => {
+  const url = process.env.HTTP_SCANNER_URL;
+  if (!url) {
+    throw new Error('HTTP scanner is enabled but HTTP_SCANNER_URL is not set');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.HTTP_SCANNER_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.HTTP_SCANNER_API_KEY}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      videoId: video._id.toString(),
+      tenantId: video.tenantId.toString(),
+      filename: video.originalFilename,
+      metadata,
+      frames: frames.map(frame => ({
+        timestamp: frame.timestamp,
+        image: fs.readFileSync(frame.path).toString('base64'),
+      })),
+    }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP scanner responded with ${response.status}`);
+  }
+
+  const result = await response.json();
+
+  if (!['SAFE', 'FLAGGED'].includes(result.verdict) || typeof result.confidence !== 'number') {
+    throw new Error('HTTP scanner returned an invalid verdict');
+  }
+
+  return {
+    verdict: result.verdict,
+    confidence: result.confidence,
+    labels: Array.isArray(result.labels) ? result.labels : [],
+    reason: result.reason,
+  };
+};
+
+module.exports = {
+  name: 'http',
+  needsFrames: true,
+  scan,
+};
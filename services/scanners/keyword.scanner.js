@@ -0,0 +1,72 @@
+/**
+ * Keyword Scanner
+ *
+ * Deterministic scanner that flags videos whose original filename, title or
+ * tags contain a sensitivity keyword as a whole word (case-insensitive).
+ * Any character other than a letter or digit separates words, so "test_flag.mp4"
+ * contains "flag" but "flagship" does not.
+ *
+ * Tenant options:
+ * - keywords: string[] - replaces the default keyword list
+ */
+
+// Default keywords that trigger FLAGGED status
+const DEFAULT_KEYWORDS = [
+  'test_flag',
+  'flag',
+  'sensitive',
+  'nsfw',
+  'explicit',
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pattern matching a keyword not preceded or followed by a letter or digit
+ * @param {string} keyword - Keyword (may contain spaces)
+ * @returns {RegExp}
+ */
+const toWordPattern = (keyword) => {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(keyword)}(?![\\p{L}\\p{N}])`, 'iu');
+};
+
+/**
+ * @param {object} input - Scanner input (see moderation.service.js)
+ * @returns {Promise<object>} { verdict, confidence, labels, reason }
+ */
+const scan = async ({ video, options = {} }) => {
+  const keywords = Array.isArray(options.keywords) && options.keywords.length > 0
+    ? options.keywords
+    : DEFAULT_KEYWORDS;
+
+  const haystack = [
+    video.originalFilename,
+    video.title,
+    ...(video.tags || []),
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+  const matched = keywords.filter(keyword => toWordPattern(keyword).test(haystack));
+
+  if (matched.length === 0) {
+    return {
+      verdict: 'SAFE',
+      confidence: 1,
+      labels: [],
+    };
+  }
+
+  return {
+    verdict: 'FLAGGED',
+    confidence: 1,
+    labels: matched.map(keyword => ({ name: `keyword:${keyword}`, confidence: 1 })),
+    reason: `Sensitivity keyword detected: "${matched[0]}"`,
+  };
+};
+
+module.exports = {
+  name: 'keyword',
+  needsFrames: false,
+  scan,
+};
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { createLocalDriver } = require('./local.driver');
+const { createS3Driver } = require('./s3.driver');
+
+/**
+ * Storage Service
+ *
+ * Every stored file (original uploads, HLS output, thumbnails, sprites,
+ * playlist covers) is addressed by a key relative to the storage root:
+ *   videos/<tenantId>/<filename>
+ *   hls/<tenantId>/<videoId>/...
+ *   thumbnails/<tenantId>/<videoId>/...
+ *   playlists/<tenantId>/<playlistId>/...
+ *
+ * The driver is chosen with STORAGE_DRIVER:
+ * - local (default): files below STORAGE_LOCAL_ROOT (uploads/)
+ * - s3: an S3 bucket, or any S3-compatible server such as MinIO
+ *
+ * Driver interface (all async):
+ *   put(key, body, { contentType })            body: Buffer, string or Readable
+ *   putFile(key, sourcePath, { move, contentType })
+ *   getStream(key, { start, end })             Readable; throws code 'NotFound'
+ *   stat(key)                                  { size, lastModified } or null
+ *   delete(key)                                missing keys are ignored
+ *   list(prefix)                               [{ key, size, lastModified }]
+ * Optional: localPath(key) when objects are plain files, deleteMany(keys).
+ */
+
+const localRoot = path.resolve(process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../uploads'));
+
+const drivers = {
+  local: () => createLocalDriver({ root: localRoot }),
+  s3: () => createS3Driver({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  }),
+};
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.vtt': 'text/vtt',
+};
+
+let driver = null;
+
+/**
+ * The configured storage driver (created on first use)
+ * @returns {object} Storage driver
+ */
+const getStorage = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+    }
+    driver = drivers[name]();
+    console.log(`[Storage] Using ${name} storage driver`);
+  }
+  return driver;
+};
+
+/**
+ * Content type for a key, from its extension
+ * @param {string} key - Storage key or file name
+ * @returns {string|undefined}
+ */
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()];
+
+/**
+ * Normalize a stored location to a storage key
+ * Videos stored before the storage layer saved absolute paths below uploads/.
+ * @param {string} location - Storage key or legacy absolute path
+ * @returns {string|null} Storage key
+ */
+const toStorageKey = (location) => {
+  if (!location) {
+    return null;
+  }
+  if (!path.isAbsolute(location)) {
+    return location;
+  }
+  return path.relative(localRoot, location).split(path.sep).join('/');
+};
+
+/**
+ * Directory-like prefix for list/delete ("hls/t/v" -> "hls/t/v/")
+ * @param {string} prefix - Key prefix
+ * @returns {string}
+ */
+const asPrefix = (prefix) => (prefix.endsWith('/') ? prefix : `${prefix}/`);
+
+/**
+ * Total size of the objects below a prefix
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<number>} Bytes
+ */
+const getPrefixSize = async (prefix) => {
+  const objects = await getStorage().list(asPrefix(prefix));
+  return objects.reduce((total, object) => total + object.size, 0);
+};
+
+/**
+ * Delete a list of keys
+ * @param {string[]} keys - Storage keys
+ */
+const deleteKeys = async (keys) => {
+  const storage = getStorage();
+  if (storage.deleteMany) {
+    await storage.deleteMany(keys);
+    return;
+  }
+  for (const key of keys) {
+    await storage.delete(key);
+  }
+};
+
+/**
+ * Delete every object below a prefix
+ * @param {string} prefix - Key prefix
+ */
+const deletePrefix = async (prefix) => {
+  const objects = await getStorage().list(asPrefix(prefix));
+  await deleteKeys(objects.map(object => object.key));
+};
+
+/**
+ * Store every file of a local directory below a prefix
+ * @param {string} prefix - Key prefix
+ * @param {string} directory - Local directory
+ * @param {object} [options]
+ * @param {boolean} [options.move] - Remove the local files once stored
+ * @returns {Promise<number>} Bytes stored
+ */
+const putDirectory = async (prefix, directory, { move = false } = {}) => {
+  const storage = getStorage();
+  let total = 0;
+
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    const key = `${asPrefix(prefix)}${entry.name}`;
+
+    if (entry.isDirectory()) {
+      total += await putDirectory(key, entryPath, { move });
+    } else if (entry.isFile()) {
+      total += (await fs.promises.stat(entryPath)).size;
+      await storage.putFile(key, entryPath, { move, contentType: contentTypeFor(entry.name) });
+    }
+  }
+
+  return total;
+};
+
+/**
+ * Read a small object (playlist, WebVTT track) as text
+ * @param {string} key - Storage key
+ * @returns {Promise<string|null>} Contents, or null if missing
+ */
+const readText = async (key) => {
+  let stream;
+  try {
+    stream = await getStorage().getStream(key);
+  } catch (error) {
+    if (error.code === 'NotFound') return null;
+    throw error;
+  }
+
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Local file path of an object, for tools that need a file (FFmpeg)
+ * Local storage returns the stored file itself; other drivers download
+ * a copy into the given directory, which the caller cleans up.
+ * @param {string} key - Storage key
+ * @param {string} directory - Local scratch directory
+ * @returns {Promise<string>} File path
+ */
+const fetchToLocal = async (key, directory) => {
+  const storage = getStorage();
+
+  if (storage.localPath) {
+    return storage.localPath(key);
+  }
+
+  const filePath = path.join(directory, path.basename(key));
+  await pipeline(await storage.getStream(key), fs.createWriteStream(filePath));
+  return filePath;
+};
+
+/**
+ * Send a stored object as the response body
+ * Sets ETag/Last-Modified and answers conditional requests with 304.
+ * Sends a 404 JSON response if the object is missing.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} key - Storage key
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra response headers (e.g. Cache-Control)
+ * @param {string} [options.notFoundMessage]
+ */
+const sendStoredFile = async (req, res, key, { headers = {}, notFoundMessage = 'File not found' } = {}) => {
+  const storage = getStorage();
+  const stats = key ? await storage.stat(key) : null;
+
+  if (!stats) {
+    return res.status(404).json({
+      success: false,
+      message: notFoundMessage,
+    });
+  }
+
+  res.set({
+    'Content-Type': contentTypeFor(key) || 'application/octet-stream',
+    'Content-Length': stats.size,
+    'Last-Modified': new Date(stats.lastModified).toUTCString(),
+    ETag: `W/"${stats.size.toString(16)}-${new Date(stats.lastModified).getTime().toString(16)}"`,
+    ...headers,
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const stream = await storage.getStream(key);
+  await pipeline(stream, res).catch((error) => {
+    // Client went away mid-transfer
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`[Storage] Error sending ${key}:`, error);
+    }
+  });
+};
+
+module.exports = {
+  getStorage,
+  contentTypeFor,
+  toStorageKey,
+  getPrefixSize,
+  deleteKeys,
+  deletePrefix,
+  putDirectory,
+  readText,
+  fetchToLocal,
+  sendStoredFile,
+};
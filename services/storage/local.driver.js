@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local Filesystem Storage Driver
+ *
+ * Objects are plain files below a root directory; the key is the path
+ * relative to the root ("videos/<tenantId>/<file>" -> <root>/videos/<tenantId>/<file>).
+ */
+
+/**
+ * Create a driver storing objects below a directory
+ * @param {object} options
+ * @param {string} options.root - Root directory
+ * @returns {object} Storage driver
+ */
+const createLocalDriver = ({ root }) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    // Keys never escape the storage root
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const ensureParent = (filePath) => fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const put = async (key, body) => {
+    const filePath = resolve(key);
+    await ensureParent(filePath);
+
+    if (Buffer.isBuffer(body) || typeof body === 'string') {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+  };
+
+  const putFile = async (key, sourcePath, { move = false } = {}) => {
+    const filePath = resolve(key);
+    await ensureParent(filePath);
+
+    if (move) {
+      try {
+        await fs.promises.rename(sourcePath, filePath);
+        return;
+      } catch (error) {
+        // Source on another filesystem (e.g. os.tmpdir()): copy, then remove it
+        if (error.code !== 'EXDEV') throw error;
+      }
+    }
+
+    // Copy-on-write clone where the filesystem supports it
+    await fs.promises.copyFile(sourcePath, filePath, fs.constants.COPYFILE_FICLONE);
+    if (move) {
+      await fs.promises.rm(sourcePath, { force: true });
+    }
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    const filePath = resolve(key);
+    // Fail before returning a stream, like the S3 driver
+    await fs.promises.access(filePath).catch(() => {
+      const error = new Error(`Object not found: ${key}`);
+      error.code = 'NotFound';
+      throw error;
+    });
+    return fs.createReadStream(filePath, { start, end });
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolve(key));
+      return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    await fs.promises.rm(resolve(key), { force: true });
+  };
+
+  const list = async (prefix) => {
+    const objects = [];
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(entryPath);
+          objects.push({
+            key: path.relative(root, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            lastModified: stats.mtime,
+          });
+        }
+      }
+    };
+
+    await walk(resolve(prefix));
+    return objects;
+  };
+
+  return {
+    name: 'local',
+    put,
+    putFile,
+    getStream,
+    stat,
+    delete: remove,
+    list,
+    // Files can be handed to FFmpeg directly, without a download
+    localPath: resolve,
+  };
+};
+
+module.exports = {
+  createLocalDriver,
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+/**
+ * S3-Compatible Storage Driver
+ *
+ * Objects live in one bucket under their key. Works with AWS S3 and with
+ * S3-compatible servers such as MinIO (set an endpoint and path-style addressing).
+ * Large bodies are sent as multipart uploads.
+ */
+
+// Multipart upload part size and parallel parts per upload
+const PART_SIZE = 16 * 1024 * 1024;
+const UPLOAD_CONCURRENCY = 4;
+
+const isNotFound = (error) => {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+};
+
+/**
+ * Create a driver storing objects in an S3 bucket
+ * @param {object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Region (any value for MinIO)
+ * @param {string} [options.endpoint] - Custom endpoint, e.g. http://localhost:9000
+ * @param {boolean} [options.forcePathStyle] - http://host/bucket/key addressing (MinIO)
+ * @param {string} [options.accessKeyId] - Falls back to the AWS credential chain
+ * @param {string} [options.secretAccessKey]
+ * @returns {object} Storage driver
+ */
+const createS3Driver = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const put = async (key, body, { contentType } = {}) => {
+    const upload = new Upload({
+      client,
+      params: {
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      },
+      partSize: PART_SIZE,
+      queueSize: UPLOAD_CONCURRENCY,
+    });
+    await upload.done();
+  };
+
+  const putFile = async (key, sourcePath, { move = false, contentType } = {}) => {
+    await put(key, fs.createReadStream(sourcePath), { contentType });
+    if (move) {
+      await fs.promises.rm(sourcePath, { force: true });
+    }
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    let range;
+    if (start !== undefined) {
+      range = `bytes=${start}-${end !== undefined ? end : ''}`;
+    }
+
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) {
+        const notFound = new Error(`Object not found: ${key}`);
+        notFound.code = 'NotFound';
+        throw notFound;
+      }
+      throw error;
+    }
+  };
+
+  const stat = async (key) => {
+    try {
+      const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return { size: response.ContentLength, lastModified: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    // Deleting a missing key succeeds on S3
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  const list = async (prefix) => {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+
+      (response.Contents || []).forEach((object) => {
+        objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      });
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  };
+
+  // Batch delete, up to 1000 keys per request
+  const deleteMany = async (keys) => {
+    for (let i = 0; i < keys.length; i += 1000) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: {
+          Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })),
+          Quiet: true,
+        },
+      }));
+    }
+  };
+
+  return {
+    name: 's3',
+    put,
+    putFile,
+    getStream,
+    stat,
+    delete: remove,
+    list,
+    deleteMany,
+  };
+};
+
+module.exports = {
+  createS3Driver,
+};
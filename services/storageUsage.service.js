@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const Playlist = require('../models/Playlist');
+const Tenant = require('../models/Tenant');
+const UploadSession = require('../models/UploadSession');
+const Video = require('../models/Video');
+const { getHlsPrefix } = require('./transcoding.service');
+const { getThumbnailPrefix } = require('./thumbnail.service');
+const { getStorage, toStorageKey, getPrefixSize } = require('./storage');
+
+/**
+ * Storage Usage Service
+ *
+ * Keeps a running total of the bytes each tenant stores (Tenant.usage.storageBytes)
+ * and the bytes each video accounts for (Video.storage):
+ * - originalBytes: the uploaded file, reserved against the quota before it is kept
+ * - hlsBytes / thumbnailBytes: derived files, measured after they are (re)generated
+ * Uploaded playlist covers count too (Playlist.coverImage.bytes).
+ *
+ * Counters are updated with $inc so concurrent uploads and workers never
+ * overwrite each other. recalculateUsage() rebuilds them from the storage backend.
+ */
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * Tenant storage quota in bytes
+ * @param {object} tenant - Tenant document
+ * @returns {number} Bytes
+ */
+const getQuotaBytes = (tenant) => tenant.settings.maxStorageGB * BYTES_PER_GB;
+
+/**
+ * Whether the tenant has room for more bytes (no reservation is made)
+ * @param {object} tenant - Tenant document
+ * @param {number} bytes - Bytes about to be stored
+ * @returns {boolean}
+ */
+const hasRoomFor = (tenant, bytes) => {
+  return (tenant.usage?.storageBytes || 0) + bytes <= getQuotaBytes(tenant);
+};
+
+/**
+ * Atomically add bytes to the tenant's usage if they fit in the quota
+ * @param {string} tenantId - Tenant ID
+ * @param {number} bytes - Bytes to reserve
+ * @returns {Promise<boolean>} false if the quota would be exceeded
+ */
+const reserveStorage = async (tenantId, bytes) => {
+  const tenant = await Tenant.findOneAndUpdate(
+    {
+      _id: tenantId,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$usage.storageBytes', 0] }, bytes] },
+          { $multiply: ['$settings.maxStorageGB', BYTES_PER_GB] },
+        ],
+      },
+    },
+    { $inc: { 'usage.storageBytes': bytes } },
+    { new: true }
+  );
+
+  return !!tenant;
+};
+
+/**
+ * Add (or subtract, with a negative value) bytes to the tenant's usage
+ * without a quota check - used for derived files and deletions
+ * @param {string} tenantId - Tenant ID
+ * @param {number} deltaBytes - Bytes to add
+ */
+const adjustUsage = async (tenantId, deltaBytes) => {
+  if (!deltaBytes) {
+    return;
+  }
+
+  await Tenant.updateOne({ _id: tenantId }, { $inc: { 'usage.storageBytes': deltaBytes } });
+};
+
+/**
+ * Record the size of a video's derived files and move the tenant total by the difference
+ * @param {string} videoId - Video ID
+ * @param {string} tenantId - Tenant ID
+ * @param {'hlsBytes'|'thumbnailBytes'} field - Video.storage field
+ * @param {number} bytes - New size
+ * @returns {Promise<number>} Bytes added to the tenant total
+ */
+const setVideoStorage = async (videoId, tenantId, field, bytes) => {
+  const previous = await Video.findOneAndUpdate(
+    { _id: videoId, tenantId },
+    { $set: { [`storage.${field}`]: bytes } }
+  ).select('storage');
+
+  if (!previous) {
+    return 0;
+  }
+
+  const delta = bytes - (previous.storage?.[field] || 0);
+  await adjustUsage(tenantId, delta);
+  return delta;
+};
+
+/**
+ * Bytes accounted to a video
+ * @param {object} video - Video document
+ * @returns {number} Bytes
+ */
+const getVideoStorageBytes = (video) => {
+  const storage = video.storage || {};
+  return (storage.originalBytes || 0) + (storage.hlsBytes || 0) + (storage.thumbnailBytes || 0);
+};
+
+/**
+ * Rebuild every video's storage fields and the tenant total from the stored files.
+ * Playlist cover images and bytes reserved by resumable uploads still in progress are counted too.
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<number>} Total bytes
+ */
+const recalculateUsage = async (tenantId) => {
+  const videos = await Video.find({ tenantId }).select('filePath');
+  let total = 0;
+
+  for (const video of videos) {
+    const original = await getStorage().stat(toStorageKey(video.filePath));
+    const storage = {
+      originalBytes: original ? original.size : 0,
+      hlsBytes: await getPrefixSize(getHlsPrefix(tenantId, video._id)),
+      thumbnailBytes: await getPrefixSize(getThumbnailPrefix(tenantId, video._id)),
+    };
+    await Video.updateOne({ _id: video._id }, { $set: { storage } });
+    total += storage.originalBytes + storage.hlsBytes + storage.thumbnailBytes;
+  }
+
+  const playlists = await Playlist.find({ tenantId, 'coverImage.path': { $exists: true } }).select('coverImage');
+  for (const playlist of playlists) {
+    const cover = await getStorage().stat(playlist.coverImage.path);
+    const bytes = cover ? cover.size : 0;
+    await Playlist.updateOne({ _id: playlist._id }, { $set: { 'coverImage.bytes': bytes } });
+    total += bytes;
+  }
+
+  const [reserved] = await UploadSession.aggregate([
+    { $match: { tenantId: new mongoose.Types.ObjectId(tenantId), status: 'ACTIVE' } },
+    { $group: { _id: null, bytes: { $sum: '$reservedBytes' } } },
+  ]);
+  total += reserved ? reserved.bytes : 0;
+
+  await Tenant.updateOne({ _id: tenantId }, { $set: { 'usage.storageBytes': total } });
+  return total;
+};
+
+/**
+ * Storage used by a tenant, broken down by uploader and processing status
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<object>} { byUser, byStatus }
+ */
+const getUsageBreakdown = async (tenantId) => {
+  const bytesExpression = {
+    $add: [
+      // Videos stored before accounting existed only know their upload size
+      { $ifNull: ['$storage.originalBytes', { $ifNull: ['$fileSize', 0] }] },
+      { $ifNull: ['$storage.hlsBytes', 0] },
+      { $ifNull: ['$storage.thumbnailBytes', 0] },
+    ],
+  };
+
+  const [result] = await Video.aggregate([
+    { $match: { tenantId: new mongoose.Types.ObjectId(tenantId) } },
+    { $addFields: { storageBytes: bytesExpression } },
+    {
+      $facet: {
+        byUser: [
+          { $group: { _id: '$uploadedBy', videos: { $sum: 1 }, bytes: { $sum: '$storageBytes' } } },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              userId: '$_id',
+              firstName: '$user.firstName',
+              lastName: '$user.lastName',
+              email: '$user.email',
+              videos: 1,
+              bytes: 1,
+            },
+          },
+          { $sort: { bytes: -1 } },
+        ],
+        byStatus: [
+          { $group: { _id: '$processingStatus', videos: { $sum: 1 }, bytes: { $sum: '$storageBytes' } } },
+          { $project: { _id: 0, status: '$_id', videos: 1, bytes: 1 } },
+          { $sort: { bytes: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  return result;
+};
+
+module.exports = {
+  BYTES_PER_GB,
+  getQuotaBytes,
+  hasRoomFor,
+  reserveStorage,
+  adjustUsage,
+  setVideoStorage,
+  getVideoStorageBytes,
+  recalculateUsage,
+  getUsageBreakdown,
+};
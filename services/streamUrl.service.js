@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+/**
+ * Stream URL Signing Service
+ *
+ * Short-lived signed URLs for the /api/videos/stream/* routes, so <video> and
+ * hls.js can fetch media without the user's login JWT ever appearing in a URL.
+ *
+ * A signature is a set of query parameters:
+ *   exp  expiry (unix seconds)
+ *   tid  tenant of the video
+ *   uid  user the URL is bound to (optional) - the user must still be active
+ *        and allowed to see the video when the URL is used
+ *   r    rendition the URL is scoped to (optional) - only that rendition's
+ *        playlist and segments are served
+ *   ip   "1" when bound to the client IP the URL was issued to (optional)
+ *   sig  HMAC-SHA256 over the video ID and the parameters above
+ *
+ * The HMAC key is derived from JWT_SECRET, so a signature can never be used
+ * as a login token and vice versa.
+ */
+
+const SIGNATURE_VERSION = 'v1';
+
+const config = {
+  ttlSeconds: parseInt(process.env.STREAM_URL_TTL_SECONDS, 10) || 15 * 60,
+  maxTtlSeconds: parseInt(process.env.STREAM_URL_MAX_TTL_SECONDS, 10) || 6 * 60 * 60,
+};
+
+const getSigningKey = () => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update('stream-url')
+    .digest();
+};
+
+const computeSignature = (videoId, { exp, tid, uid, r, ip }) => {
+  const payload = [SIGNATURE_VERSION, videoId, tid, uid || '', r || '', ip || '', exp].join('\n');
+  return crypto.createHmac('sha256', getSigningKey()).update(payload).digest('base64url');
+};
+
+/**
+ * Lifetime of a new signed URL
+ * Defaults to STREAM_URL_TTL_SECONDS, extended to cover the video's duration
+ * so playback does not stop halfway; never above STREAM_URL_MAX_TTL_SECONDS.
+ * @param {number} [requestedSeconds] - Lifetime asked for by the client
+ * @param {number} [durationSeconds] - Video duration
+ * @returns {number} Seconds
+ */
+const getStreamUrlTtl = (requestedSeconds, durationSeconds = 0) => {
+  const ttl = requestedSeconds > 0
+    ? requestedSeconds
+    : Math.max(config.ttlSeconds, Math.ceil(durationSeconds) + config.ttlSeconds);
+  return Math.min(ttl, config.maxTtlSeconds);
+};
+
+/**
+ * Sign stream URLs of a video
+ * @param {object} params
+ * @param {string} params.videoId - Video ID
+ * @param {string} params.tenantId - Tenant of the video
+ * @param {string} [params.userId] - Bind to this user
+ * @param {string} [params.rendition] - Scope to one HLS rendition
+ * @param {string} [params.clientIp] - Bind to this client IP
+ * @param {number} [params.ttlSeconds] - Lifetime (see getStreamUrlTtl)
+ * @returns {{query: string, expiresAt: Date}} Query string to append to stream URLs
+ */
+const signStreamUrl = ({ videoId, tenantId, userId, rendition, clientIp, ttlSeconds }) => {
+  const exp = Math.floor(Date.now() / 1000) + (ttlSeconds || config.ttlSeconds);
+  const params = {
+    exp: String(exp),
+    tid: tenantId.toString(),
+  };
+  if (userId) params.uid = userId.toString();
+  if (rendition) params.r = rendition;
+  if (clientIp) params.ip = '1';
+
+  const sig = computeSignature(videoId.toString(), { ...params, ip: clientIp });
+
+  return {
+    query: new URLSearchParams({ ...params, sig }).toString(),
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+/**
+ * Verify the signature in a request's query string
+ * @param {object} query - req.query
+ * @param {object} target
+ * @param {string} target.videoId - Requested video
+ * @param {string} [target.rendition] - Requested rendition; omit for non-HLS-rendition routes
+ * @param {string} target.clientIp - req.ip
+ * @returns {object|null} { tenantId, userId, rendition, query } or null if invalid, expired or out of scope.
+ *                        query is the signature to propagate to URLs referenced by the response.
+ */
+const verifyStreamUrl = (query, { videoId, rendition, clientIp }) => {
+  const { exp, tid, uid, r, ip, sig } = query;
+
+  if (typeof sig !== 'string' || typeof exp !== 'string' || typeof tid !== 'string') {
+    return null;
+  }
+  if (!(parseInt(exp, 10) > Date.now() / 1000)) {
+    return null;
+  }
+
+  const expected = Buffer.from(
+    computeSignature(videoId.toString(), { exp, tid, uid, r, ip: ip === '1' ? clientIp : '' })
+  );
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  // A rendition-scoped URL only opens that rendition
+  if (r && r !== rendition) {
+    return null;
+  }
+
+  const params = { exp, tid };
+  if (uid) params.uid = uid;
+  if (r) params.r = r;
+  if (ip === '1') params.ip = '1';
+
+  return {
+    tenantId: tid,
+    userId: uid || null,
+    rendition: r || null,
+    query: new URLSearchParams({ ...params, sig }).toString(),
+  };
+};
+
+module.exports = {
+  getStreamUrlTtl,
+  signStreamUrl,
+  verifyStreamUrl,
+};
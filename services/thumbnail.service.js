@@ -0,0 +1,268 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const { getStorage, deleteKeys, deletePrefix, putDirectory } = require('./storage');
+
+/**
+ * Thumbnail Service
+ *
+ * Extracts candidate thumbnails (the first one doubles as the default poster):
+ *   thumbnails/<tenantId>/<videoId>/candidate_0.jpg ... candidate_3.jpg
+ * Custom posters uploaded by editors are stored next to them as custom-<timestamp>.<ext>.
+ *
+ * Also builds seek-preview sprite sheets and a WebVTT thumbnails track:
+ *   thumbnails/<tenantId>/<videoId>/sprites/sprite_0.jpg ...
+ *   thumbnails/<tenantId>/<videoId>/sprites/thumbnails.vtt
+ * Images are rendered into a local work directory, then moved to storage.
+ * FFmpeg path is configured by processing.service.js.
+ */
+
+// Candidate positions as a fraction of the duration (skip black intro/outro frames)
+const CANDIDATE_POSITIONS = [0.1, 0.3, 0.5, 0.7];
+const MAX_THUMBNAIL_WIDTH = 1280;
+
+// Seek-preview sprites: one tile every SPRITE_INTERVAL_SECONDS, 10x10 tiles per sheet
+const SPRITE_INTERVAL_SECONDS = parseInt(process.env.SPRITE_INTERVAL_SECONDS, 10) || 5;
+const SPRITE_TILE_WIDTH = 160;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+const SPRITE_TRACK = 'thumbnails.vtt';
+
+/**
+ * Storage key prefix holding the thumbnails of a video
+ * @param {string} tenantId - Tenant ID
+ * @param {string} videoId - Video ID
+ * @returns {string} Key prefix
+ */
+const getThumbnailPrefix = (tenantId, videoId) => {
+  return `thumbnails/${tenantId}/${videoId}`;
+};
+
+/**
+ * Whether a thumbnail key points to an editor-uploaded poster
+ * @param {string} thumbnailPath - Video.thumbnailPath
+ * @returns {boolean}
+ */
+const isCustomThumbnail = (thumbnailPath) => {
+  return !!thumbnailPath && path.basename(thumbnailPath).startsWith('custom-');
+};
+
+/**
+ * Extract one JPEG frame
+ * @param {string} inputPath - Source file path
+ * @param {number} timestamp - Position in seconds
+ * @param {string} outputPath - JPEG path
+ * @returns {Promise<void>}
+ */
+const extractFrame = (inputPath, timestamp, outputPath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .seekInput(timestamp)
+      .outputOptions([
+        '-frames:v', '1',
+        '-vf', `scale='min(${MAX_THUMBNAIL_WIDTH},iw)':-2`,
+        '-q:v', '3',
+      ])
+      .output(outputPath)
+      .on('end', () => resolve())
+      .on('error', (err) => reject(new Error(`FFmpeg thumbnail error: ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Generate candidate thumbnails for a video
+ * Previous candidates are replaced; a custom poster is left in place.
+ * @param {object} params
+ * @param {string} params.inputPath - Source file path
+ * @param {string} params.workDir - Local scratch directory of the job
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.videoId - Video ID
+ * @param {number} params.duration - Duration in seconds
+ * @param {Function} [params.beforeStore] - async () => void, throw to keep the output out of storage
+ * @returns {Promise<Array>} Candidates [{ filename, timestamp }]; the first is the default poster
+ */
+const generateThumbnails = async ({ inputPath, workDir, tenantId, videoId, duration, beforeStore = async () => {} }) => {
+  const prefix = getThumbnailPrefix(tenantId, videoId);
+  const outputDir = path.join(workDir, 'thumbnails');
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  // Very short or unknown duration: a single frame at the start
+  const positions = duration > 1 ? CANDIDATE_POSITIONS : [0];
+  const candidates = [];
+
+  for (let i = 0; i < positions.length; i++) {
+    const timestamp = Math.round(positions[i] * (duration || 0) * 100) / 100;
+    const filename = `candidate_${i}.jpg`;
+    await extractFrame(inputPath, timestamp, path.join(outputDir, filename));
+    candidates.push({ filename, timestamp });
+  }
+
+  await beforeStore();
+  const previous = await getStorage().list(`${prefix}/`);
+  await deleteKeys(
+    previous
+      .map(object => object.key)
+      .filter(key => path.posix.dirname(key) === prefix && path.posix.basename(key).startsWith('candidate_'))
+  );
+  await putDirectory(prefix, outputDir, { move: true });
+
+  return candidates;
+};
+
+/**
+ * Storage key prefix holding the seek-preview sprites of a video
+ * @param {string} tenantId - Tenant ID
+ * @param {string} videoId - Video ID
+ * @returns {string} Key prefix
+ */
+const getSpritePrefix = (tenantId, videoId) => {
+  return `${getThumbnailPrefix(tenantId, videoId)}/sprites`;
+};
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+const toVttTimestamp = (seconds) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+/**
+ * Build the WebVTT thumbnails track mapping time ranges to sprite tiles
+ * Cue payload format: sprite_<sheet>.jpg#xywh=<x>,<y>,<w>,<h>
+ * @param {object} layout - { duration, interval, tileWidth, tileHeight, columns, rows }
+ * @returns {string} WebVTT contents
+ */
+const buildThumbnailTrack = ({ duration, interval, tileWidth, tileHeight, columns, rows }) => {
+  const tilesPerSheet = columns * rows;
+  const tileCount = Math.max(1, Math.ceil(duration / interval));
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < tileCount; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    const sheet = Math.floor(i / tilesPerSheet);
+    const tile = i % tilesPerSheet;
+    const x = (tile % columns) * tileWidth;
+    const y = Math.floor(tile / columns) * tileHeight;
+
+    lines.push(
+      `${toVttTimestamp(start)} --> ${toVttTimestamp(end)}`,
+      `sprite_${sheet}.jpg#xywh=${x},${y},${tileWidth},${tileHeight}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Generate seek-preview sprite sheets and their WebVTT track
+ * Previous sprites of the video are replaced.
+ * @param {object} params
+ * @param {string} params.inputPath - Source file path
+ * @param {string} params.workDir - Local scratch directory of the job
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.videoId - Video ID
+ * @param {object} params.metadata - Source metadata ({ duration, width, height })
+ * @param {Function} [params.beforeStore] - async () => void, throw to keep the output out of storage
+ * @returns {Promise<object>} Sprite layout { interval, tileWidth, tileHeight, columns, rows, sheets, track }
+ */
+const generateSpriteSheets = async ({ inputPath, workDir, tenantId, videoId, metadata, beforeStore = async () => {} }) => {
+  const outputDir = path.join(workDir, 'sprites');
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const duration = metadata.duration || 0;
+  const tileWidth = SPRITE_TILE_WIDTH;
+  const tileHeight = Math.round((SPRITE_TILE_WIDTH * metadata.height) / metadata.width / 2) * 2;
+  const tileCount = Math.max(1, Math.ceil(duration / SPRITE_INTERVAL_SECONDS));
+  const sheets = Math.ceil(tileCount / (SPRITE_COLUMNS * SPRITE_ROWS));
+
+  await new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions([
+        '-vf', `fps=1/${SPRITE_INTERVAL_SECONDS},scale=${tileWidth}:${tileHeight},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+        '-q:v', '5',
+        '-start_number', '0',
+        '-f', 'image2',
+      ])
+      .output(path.join(outputDir, 'sprite_%d.jpg'))
+      .on('end', () => resolve())
+      .on('error', (err) => reject(new Error(`FFmpeg sprite error: ${err.message}`)))
+      .run();
+  });
+
+  const layout = {
+    interval: SPRITE_INTERVAL_SECONDS,
+    tileWidth,
+    tileHeight,
+    columns: SPRITE_COLUMNS,
+    rows: SPRITE_ROWS,
+  };
+
+  fs.writeFileSync(
+    path.join(outputDir, SPRITE_TRACK),
+    buildThumbnailTrack({ duration: duration || SPRITE_INTERVAL_SECONDS, ...layout })
+  );
+
+  await beforeStore();
+  const prefix = getSpritePrefix(tenantId, videoId);
+  await deletePrefix(prefix);
+  await putDirectory(prefix, outputDir, { move: true });
+
+  return {
+    ...layout,
+    sheets,
+    track: SPRITE_TRACK,
+  };
+};
+
+/**
+ * Store an editor-uploaded poster image
+ * @param {string} tenantId - Tenant ID
+ * @param {string} videoId - Video ID
+ * @param {object} file - Multer file (memory storage)
+ * @returns {Promise<string>} Storage key of the stored image
+ */
+const saveCustomThumbnail = async (tenantId, videoId, file) => {
+  const ext = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+  }[file.mimetype] || '.jpg';
+
+  const key = `${getThumbnailPrefix(tenantId, videoId)}/custom-${Date.now()}${ext}`;
+  await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+  return key;
+};
+
+/**
+ * Remove all thumbnails of a video
+ * @param {string} tenantId - Tenant ID
+ * @param {string} videoId - Video ID
+ * @returns {Promise<void>}
+ */
+const removeThumbnails = (tenantId, videoId) => {
+  return deletePrefix(getThumbnailPrefix(tenantId, videoId));
+};
+
+module.exports = {
+  extractFrame,
+  generateThumbnails,
+  generateSpriteSheets,
+  getSpritePrefix,
+  saveCustomThumbnail,
+  removeThumbnails,
+  getThumbnailPrefix,
+  isCustomThumbnail,
+};
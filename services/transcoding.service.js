@@ -0,0 +1,237 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs');
+const { deletePrefix, putDirectory } = require('./storage');
+
+/**
+ * Transcoding Service
+ *
+ * Produces an HLS adaptive bitrate ladder for a video, stored under:
+ *   hls/<tenantId>/<videoId>/master.m3u8
+ *   hls/<tenantId>/<videoId>/<rendition>/index.m3u8
+ *   hls/<tenantId>/<videoId>/<rendition>/segment_0000.ts
+ * Renditions are encoded into a local work directory, then moved to storage.
+ *
+ * The ladder comes from Tenant.settings.transcoding and is capped at the
+ * source resolution. FFmpeg path is configured by processing.service.js.
+ */
+
+const MASTER_PLAYLIST = 'master.m3u8';
+const RENDITION_PLAYLIST = 'index.m3u8';
+
+/**
+ * Storage key prefix holding the HLS output of a video
+ * @param {string} tenantId - Tenant ID
+ * @param {string} videoId - Video ID
+ * @returns {string} Key prefix
+ */
+const getHlsPrefix = (tenantId, videoId) => {
+  return `hls/${tenantId}/${videoId}`;
+};
+
+/**
+ * Pick the renditions to encode for a source.
+ * Rungs taller than the source are dropped; if the source is smaller than
+ * every rung, a single rendition at the source height is produced.
+ * @param {Array} ladder - Tenant ladder [{ name, height, videoBitrateKbps, audioBitrateKbps }]
+ * @param {object} metadata - Source metadata ({ width, height })
+ * @returns {Array} Renditions with computed width/height, highest first
+ */
+const buildLadder = (ladder, metadata) => {
+  const sourceWidth = metadata.width;
+  const sourceHeight = metadata.height;
+
+  if (!sourceWidth || !sourceHeight) {
+    throw new Error('Source resolution unknown, cannot build transcoding ladder');
+  }
+
+  // Keep width even (required by libx264) and preserve aspect ratio
+  const widthFor = (height) => Math.round((sourceWidth * height) / sourceHeight / 2) * 2;
+  const evenHeight = (height) => Math.floor(height / 2) * 2;
+
+  const rungs = ladder
+    .map(({ name, height, videoBitrateKbps, audioBitrateKbps }) => ({ name, height, videoBitrateKbps, audioBitrateKbps }))
+    .sort((a, b) => b.height - a.height);
+  let renditions = rungs.filter(rung => rung.height <= sourceHeight);
+
+  if (renditions.length === 0) {
+    const lowest = rungs[rungs.length - 1];
+    renditions = [{ ...lowest, name: `${evenHeight(sourceHeight)}p`, height: sourceHeight }];
+  }
+
+  return renditions.map(rung => ({
+    name: rung.name,
+    height: evenHeight(rung.height),
+    width: widthFor(evenHeight(rung.height)),
+    videoBitrateKbps: rung.videoBitrateKbps,
+    audioBitrateKbps: rung.audioBitrateKbps || 128,
+  }));
+};
+
+/**
+ * Convert an FFmpeg timemark (HH:MM:SS.ms) to seconds
+ * @param {string} timemark - FFmpeg timemark
+ * @returns {number} Seconds
+ */
+const timemarkToSeconds = (timemark) => {
+  if (!timemark) return 0;
+  return timemark.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+/**
+ * Encode one rendition to HLS
+ * @param {string} inputPath - Source file path
+ * @param {string} outputDir - Rendition directory
+ * @param {object} rendition - Rendition from buildLadder
+ * @param {object} options - { duration, frameRate, hasAudio, segmentDurationSeconds }
+ * @param {Function} onProgress - Called with 0-100 for this rendition
+ * @returns {Promise<void>}
+ */
+const encodeRendition = (inputPath, outputDir, rendition, options, onProgress) => {
+  return new Promise((resolve, reject) => {
+    const { duration, frameRate, hasAudio, segmentDurationSeconds } = options;
+    // Keyframe every segment so segments are independently decodable
+    const gop = Math.max(1, Math.round((frameRate || 24) * segmentDurationSeconds));
+    const kbps = rendition.videoBitrateKbps;
+
+    const outputOptions = [
+      '-vf', `scale=${rendition.width}:${rendition.height}`,
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-profile:v', 'main',
+      '-pix_fmt', 'yuv420p',
+      '-b:v', `${kbps}k`,
+      '-maxrate', `${Math.round(kbps * 1.07)}k`,
+      '-bufsize', `${Math.round(kbps * 1.5)}k`,
+      '-g', String(gop),
+      '-keyint_min', String(gop),
+      '-sc_threshold', '0',
+    ];
+
+    if (hasAudio) {
+      outputOptions.push('-c:a', 'aac', '-b:a', `${rendition.audioBitrateKbps}k`, '-ac', '2');
+    } else {
+      outputOptions.push('-an');
+    }
+
+    outputOptions.push(
+      '-f', 'hls',
+      '-hls_time', String(segmentDurationSeconds),
+      '-hls_playlist_type', 'vod',
+      '-hls_segment_filename', path.join(outputDir, 'segment_%04d.ts')
+    );
+
+    ffmpeg(inputPath)
+      .outputOptions(outputOptions)
+      .output(path.join(outputDir, RENDITION_PLAYLIST))
+      .on('progress', (progress) => {
+        const percent = duration
+          ? (timemarkToSeconds(progress.timemark) / duration) * 100
+          : progress.percent;
+        if (Number.isFinite(percent)) {
+          onProgress(Math.max(0, Math.min(100, percent)));
+        }
+      })
+      .on('end', () => resolve())
+      .on('error', (err) => reject(new Error(`FFmpeg error (${rendition.name}): ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Write the master playlist referencing every rendition
+ * @param {string} outputDir - Video HLS directory
+ * @param {Array} renditions - [{ name, width, height, bandwidth, playlist }]
+ */
+const writeMasterPlaylist = (outputDir, renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach((rendition) => {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      rendition.playlist
+    );
+  });
+
+  fs.writeFileSync(path.join(outputDir, MASTER_PLAYLIST), lines.join('\n') + '\n');
+};
+
+/**
+ * Transcode a video into an HLS ladder
+ * Existing output for the video is replaced, so retries start clean.
+ * @param {object} params
+ * @param {string} params.inputPath - Source file path
+ * @param {string} params.workDir - Local scratch directory of the job
+ * @param {string} params.tenantId - Tenant ID
+ * @param {string} params.videoId - Video ID
+ * @param {object} params.metadata - Source metadata from extractMetadata
+ * @param {object} params.settings - Tenant.settings.transcoding
+ * @param {Function} [params.onProgress] - (percent, renditionName) => void, overall 0-100
+ * @param {Function} [params.beforeStore] - async () => void, throw to keep the output out of storage
+ * @returns {Promise<object>} { masterPlaylist, renditions }
+ */
+const transcodeToHls = async ({ inputPath, workDir, tenantId, videoId, metadata, settings, onProgress = () => {}, beforeStore = async () => {} }) => {
+  const renditions = buildLadder(settings.ladder, metadata);
+  const outputDir = path.join(workDir, 'hls');
+
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const results = [];
+
+  for (let i = 0; i < renditions.length; i++) {
+    const rendition = renditions[i];
+    const renditionDir = path.join(outputDir, rendition.name);
+    fs.mkdirSync(renditionDir, { recursive: true });
+
+    await encodeRendition(
+      inputPath,
+      renditionDir,
+      rendition,
+      {
+        duration: metadata.duration,
+        frameRate: metadata.frameRate,
+        hasAudio: !!metadata.audioCodec,
+        segmentDurationSeconds: settings.segmentDurationSeconds,
+      },
+      (percent) => onProgress(((i + percent / 100) / renditions.length) * 100, rendition.name)
+    );
+
+    results.push({
+      name: rendition.name,
+      width: rendition.width,
+      height: rendition.height,
+      bandwidth: (rendition.videoBitrateKbps + (metadata.audioCodec ? rendition.audioBitrateKbps : 0)) * 1000,
+      playlist: `${rendition.name}/${RENDITION_PLAYLIST}`,
+    });
+  }
+
+  writeMasterPlaylist(outputDir, results);
+
+  await beforeStore();
+  const prefix = getHlsPrefix(tenantId, videoId);
+  await deletePrefix(prefix);
+  await putDirectory(prefix, outputDir, { move: true });
+
+  return {
+    masterPlaylist: MASTER_PLAYLIST,
+    renditions: results,
+  };
+};
+
+/**
+ * Remove all HLS output of a video
+ * @param {string} tenantId - Tenant ID
+ * @param {string} videoId - Video ID
+ * @returns {Promise<void>}
+ */
+const removeHlsOutput = (tenantId, videoId) => {
+  return deletePrefix(getHlsPrefix(tenantId, videoId));
+};
+
+module.exports = {
+  transcodeToHls,
+  buildLadder,
+  getHlsPrefix,
+  removeHlsOutput,
+};
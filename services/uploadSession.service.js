@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const { adjustUsage } = require('./storageUsage.service');
+
+/**
+ * Upload Session Service
+ *
+ * Storage side of tus resumable uploads:
+ * - Partial files live in uploads/partial/<tenantId>/<sessionId>.part
+ * - Chunks are appended at the session offset, optionally verified with a checksum
+ * - Abandoned sessions expire; their partial file and quota reservation are released
+ */
+
+const partialRootDir = path.join(__dirname, '../uploads/partial');
+
+const config = {
+  ttlMs: (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  lockMs: parseInt(process.env.UPLOAD_CHUNK_LOCK_MS, 10) || 10 * 60 * 1000,
+  sweepIntervalMs: parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS, 10) || 15 * 60 * 1000,
+};
+
+// tus checksum extension: algorithm names map to Node hash names
+const CHECKSUM_ALGORITHMS = {
+  sha1: 'sha1',
+  sha256: 'sha256',
+  md5: 'md5',
+};
+
+let sweepTimer = null;
+
+/**
+ * Path of the partial file of a session
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sessionId - UploadSession ID
+ * @returns {string} Absolute file path
+ */
+const getPartPath = (tenantId, sessionId) => {
+  return path.join(partialRootDir, tenantId.toString(), `${sessionId}.part`);
+};
+
+/**
+ * Date a session expires if nothing is received before then
+ * @returns {Date}
+ */
+const nextExpiry = () => new Date(Date.now() + config.ttlMs);
+
+/**
+ * Decode a tus Upload-Metadata header ("key base64value,key2 base64value")
+ * @param {string} header - Header value
+ * @returns {object} Decoded key/value pairs
+ */
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header) {
+    return metadata;
+  }
+
+  header.split(',').forEach((pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+};
+
+/**
+ * Parse a tus Upload-Checksum header ("<algorithm> <base64 digest>")
+ * @param {string} header - Header value
+ * @returns {{algorithm: string, digest: string}|null} null if absent
+ * @throws {Error} If the algorithm is not supported
+ */
+const parseChecksum = (header) => {
+  if (!header) {
+    return null;
+  }
+
+  const [algorithm, digest] = header.trim().split(' ');
+  if (!CHECKSUM_ALGORITHMS[algorithm] || !digest) {
+    const error = new Error(`Unsupported checksum algorithm. Use: ${Object.keys(CHECKSUM_ALGORITHMS).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { algorithm: CHECKSUM_ALGORITHMS[algorithm], digest };
+};
+
+/**
+ * Take the write lock of a session at the given offset
+ * @param {string} sessionId - UploadSession ID
+ * @param {number} offset - Upload-Offset sent by the client
+ * @returns {Promise<object|null>} Locked session, or null if the offset is stale or a write is in progress
+ */
+const lockSession = async (sessionId, offset) => {
+  const now = new Date();
+
+  return UploadSession.findOneAndUpdate(
+    {
+      _id: sessionId,
+      status: 'ACTIVE',
+      offset,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + config.lockMs) } },
+    { new: true }
+  );
+};
+
+/**
+ * Append a request body to the session's partial file at its offset
+ * The caller checks Content-Length against the bytes still missing.
+ * Without a checksum, bytes received before a dropped connection are kept.
+ * With a checksum, the chunk is kept only if the digest matches.
+ * @param {object} session - Locked UploadSession
+ * @param {stream.Readable} body - Request stream
+ * @param {object|null} checksum - From parseChecksum
+ * @returns {Promise<{offset: number, checksumMismatch: boolean}>}
+ */
+const appendChunk = (session, body, checksum) => {
+  // Drop bytes left behind by an interrupted earlier write
+  fs.truncateSync(session.partPath, session.offset);
+
+  const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+
+  const digester = new Transform({
+    transform(chunk, encoding, callback) {
+      if (hash) hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  return new Promise((resolve) => {
+    pipeline(
+      body,
+      digester,
+      fs.createWriteStream(session.partPath, { flags: 'r+', start: session.offset }),
+      (error) => {
+        const checksumMismatch = !error && !!checksum && hash.digest('base64') !== checksum.digest;
+
+        // Discard the chunk if it cannot be verified
+        if (checksumMismatch || (error && checksum)) {
+          fs.truncateSync(session.partPath, session.offset);
+          return resolve({ offset: session.offset, checksumMismatch });
+        }
+
+        resolve({
+          offset: Math.min(fs.statSync(session.partPath).size, session.uploadLength),
+          checksumMismatch: false,
+        });
+      }
+    );
+  });
+};
+
+/**
+ * Store the new offset, extend the expiry and release the write lock
+ * @param {string} sessionId - UploadSession ID
+ * @param {number} offset - New offset
+ * @returns {Promise<object>} Updated session
+ */
+const releaseSession = (sessionId, offset) => {
+  return UploadSession.findByIdAndUpdate(
+    sessionId,
+    {
+      $set: { offset, expiresAt: nextExpiry() },
+      $unset: { lockedUntil: '' },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Delete a session with its partial file and give back its quota reservation
+ * @param {object} session - UploadSession
+ */
+const discardSession = async (session) => {
+  const deleted = await UploadSession.findOneAndDelete({ _id: session._id });
+  if (!deleted) {
+    return;
+  }
+
+  if (deleted.status !== 'COMPLETED') {
+    fs.rmSync(deleted.partPath, { force: true });
+  }
+  // A session left FINALIZING may already have its video; recalculating usage settles its reservation
+  if (deleted.status === 'ACTIVE') {
+    await adjustUsage(deleted.tenantId, -deleted.reservedBytes);
+  }
+};
+
+/**
+ * Discard sessions past their expiry (skipping ones being written to)
+ * @returns {Promise<number>} Number of sessions removed
+ */
+const expireSessions = async () => {
+  const now = new Date();
+  const sessions = await UploadSession.find({
+    expiresAt: { $lt: now },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+  });
+
+  for (const session of sessions) {
+    await discardSession(session);
+  }
+
+  if (sessions.length > 0) {
+    console.log(`[Uploads] Expired ${sessions.length} upload session(s)`);
+  }
+
+  return sessions.length;
+};
+
+/**
+ * Periodically expire abandoned sessions. Call once the database connection is ready.
+ */
+const startUploadSweeper = () => {
+  if (sweepTimer) {
+    return;
+  }
+
+  const sweep = () => expireSessions().catch((error) => {
+    console.error('[Uploads] Session sweep failed:', error);
+  });
+
+  sweepTimer = setInterval(sweep, config.sweepIntervalMs);
+  sweepTimer.unref();
+  sweep();
+};
+
+/**
+ * Stop the periodic session sweep
+ */
+const stopUploadSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  CHECKSUM_ALGORITHMS,
+  getPartPath,
+  nextExpiry,
+  parseUploadMetadata,
+  parseChecksum,
+  lockSession,
+  appendChunk,
+  releaseSession,
+  discardSession,
+  expireSessions,
+  startUploadSweeper,
+  stopUploadSweeper,
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const Group = require('../models/Group');
+
+/**
+ * Video Access Service
+ *
+ * Who may see and change which videos of a tenant:
+ * - ADMIN: every video
+ * - EDITOR: sees every video, changes their own uploads
+ * - VIEWER: sees public videos and their own uploads
+ *
+ * Folder ACLs add rights on top of the tenant role, for the folder and all
+ * folders below it: a VIEWER grant lets the user see every video there, an
+ * EDITOR grant also lets them change those videos and manage the subfolders.
+ *
+ * Video shares add rights on a single video, for a user or for every member
+ * of a group: VIEW lets them see it, EDIT also lets them edit its details and
+ * poster. Deleting, moving and sharing a video stay with its managers (the
+ * uploading EDITOR, ADMINs and folder EDITOR grants).
+ *
+ * Conditions returned here are combined with the tenant condition by the
+ * caller; null means the role needs no extra condition.
+ */
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Folders the user was granted rights on, including their subfolders
+ * @param {object} user - { id, tenantId }
+ * @returns {Promise<{view: ObjectId[], edit: ObjectId[]}>} edit is a subset of view
+ */
+const getFolderGrants = async (user) => {
+  const userId = toObjectId(user.id);
+  const granted = await Folder.find({ tenantId: user.tenantId, 'acl.user': userId }).select('acl');
+
+  if (granted.length === 0) {
+    return { view: [], edit: [] };
+  }
+
+  const editRoots = granted
+    .filter((folder) => folder.acl.some((entry) => entry.user.equals(userId) && entry.permission === 'EDITOR'))
+    .map((folder) => folder._id);
+
+  const rootIds = granted.map((folder) => folder._id);
+  const descendants = await Folder.find({ tenantId: user.tenantId, ancestors: { $in: rootIds } })
+    .select('ancestors');
+
+  const isBelow = (folder, roots) => folder.ancestors.some((ancestor) => roots.some((root) => root.equals(ancestor)));
+  // A granted folder can also be below another granted folder
+  const unique = (ids) => [...new Map(ids.map((id) => [id.toString(), id])).values()];
+
+  return {
+    view: unique([...rootIds, ...descendants.map((folder) => folder._id)]),
+    edit: unique([...editRoots, ...descendants.filter((folder) => isBelow(folder, editRoots)).map((folder) => folder._id)]),
+  };
+};
+
+/**
+ * Groups the user is a member of
+ * @param {object} user - { id, tenantId }
+ * @returns {Promise<ObjectId[]>}
+ */
+const getUserGroupIds = (user) =>
+  Group.find({ tenantId: user.tenantId, members: toObjectId(user.id) }).distinct('_id');
+
+/**
+ * Condition for videos shared with the user, directly or through a group
+ * @param {object} user - { id }
+ * @param {ObjectId[]} groupIds - From getUserGroupIds
+ * @param {string} [permission] - 'EDIT' to require edit shares; any share otherwise
+ * @returns {object} MongoDB condition
+ */
+const sharedWith = (user, groupIds, permission) => ({
+  shares: {
+    $elemMatch: {
+      ...(permission && { permission }),
+      $or: [
+        { user: toObjectId(user.id) },
+        { group: { $in: groupIds } },
+      ],
+    },
+  },
+});
+
+/**
+ * Condition for the videos a user may see
+ * @param {object} user - { id, role, tenantId }
+ * @returns {Promise<object|null>} MongoDB condition, or null for every video of the tenant
+ */
+const videoReadCondition = async (user) => {
+  if (user.role !== 'VIEWER') {
+    return null;
+  }
+
+  const [grants, groupIds] = await Promise.all([getFolderGrants(user), getUserGroupIds(user)]);
+  const conditions = [
+    { isPublic: true },
+    { uploadedBy: toObjectId(user.id) },
+    sharedWith(user, groupIds),
+  ];
+  if (grants.view.length > 0) {
+    conditions.push({ folder: { $in: grants.view } });
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Condition for the videos a user may move, delete and share
+ * @param {object} user - { id, role, tenantId }
+ * @returns {Promise<object|null>} MongoDB condition, or null for every video of the tenant
+ */
+const videoManageCondition = async (user) => {
+  if (user.role === 'ADMIN') {
+    return null;
+  }
+
+  const grants = await getFolderGrants(user);
+  const conditions = [{ folder: { $in: grants.edit } }];
+
+  // EDITORs always manage their own uploads
+  if (user.role === 'EDITOR') {
+    conditions.unshift({ uploadedBy: toObjectId(user.id) });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+/**
+ * Condition for the videos a user may edit (details and poster)
+ * Managed videos plus videos shared with the user for editing.
+ * @param {object} user - { id, role, tenantId }
+ * @returns {Promise<object|null>} MongoDB condition, or null for every video of the tenant
+ */
+const videoWriteCondition = async (user) => {
+  if (user.role === 'ADMIN') {
+    return null;
+  }
+
+  const [manage, groupIds] = await Promise.all([videoManageCondition(user), getUserGroupIds(user)]);
+  return { $or: [manage, sharedWith(user, groupIds, 'EDIT')] };
+};
+
+/**
+ * Add an access condition to a query
+ * @param {object} query - MongoDB query (tenant condition included)
+ * @param {object|null} condition - From videoReadCondition / videoWriteCondition
+ * @returns {object} The query
+ */
+const withAccess = (query, condition) => {
+  if (condition) {
+    query.$and = [...(query.$and || []), condition];
+  }
+  return query;
+};
+
+/**
+ * Whether the user may move, delete and share a video (canManage flags in responses)
+ * @param {object} user - { id, role, tenantId }
+ * @param {object} video - Video with uploadedBy and folder
+ * @returns {Promise<boolean>}
+ */
+const canManageVideo = async (user, video) => {
+  if (user.role === 'ADMIN') {
+    return true;
+  }
+  const uploaderId = (video.uploadedBy?._id || video.uploadedBy)?.toString();
+  if (user.role === 'EDITOR' && uploaderId === user.id.toString()) {
+    return true;
+  }
+  if (!video.folder) {
+    return false;
+  }
+  const grants = await getFolderGrants(user);
+  return grants.edit.some((folderId) => folderId.equals(video.folder));
+};
+
+/**
+ * Whether the user may edit a video's details and poster (canEdit flags in responses)
+ * @param {object} user - { id, role, tenantId }
+ * @param {object} video - Video with uploadedBy, folder and shares
+ * @returns {Promise<boolean>}
+ */
+const canEditVideo = async (user, video) => {
+  if (await canManageVideo(user, video)) {
+    return true;
+  }
+  const editShares = (video.shares || []).filter((share) => share.permission === 'EDIT');
+  if (editShares.length === 0) {
+    return false;
+  }
+  if (editShares.some((share) => (share.user?._id || share.user)?.toString() === user.id.toString())) {
+    return true;
+  }
+  const groupIds = await getUserGroupIds(user);
+  return editShares.some((share) => share.group && groupIds.some((id) => id.equals(share.group)));
+};
+
+/**
+ * Whether the user may manage a folder's contents (subfolders, videos moved in)
+ * ADMINs and EDITORs manage the whole library; other users need an EDITOR grant.
+ * @param {object} user - { id, role, tenantId }
+ * @param {string|null} folderId - Folder ID, null for the top level
+ * @returns {Promise<boolean>}
+ */
+const canManageFolder = async (user, folderId) => {
+  if (user.role === 'ADMIN' || user.role === 'EDITOR') {
+    return true;
+  }
+  if (!folderId) {
+    return false;
+  }
+  const grants = await getFolderGrants(user);
+  return grants.edit.some((id) => id.equals(folderId));
+};
+
+module.exports = {
+  getFolderGrants,
+  getUserGroupIds,
+  videoReadCondition,
+  videoWriteCondition,
+  videoManageCondition,
+  withAccess,
+  canEditVideo,
+  canManageVideo,
+  canManageFolder,
+};
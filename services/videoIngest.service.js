@@ -0,0 +1,84 @@
+const Video = require('../models/Video');
+const { startProcessing } = require('./processing.service');
+const { getStorage } = require('./storage');
+
+/**
+ * Video Ingest Service
+ *
+ * Turns a fully received upload into a Video and queues it for processing.
+ * Shared by multipart uploads (upload.controller.js) and resumable uploads
+ * (resumableUpload.controller.js). The caller has already counted the file
+ * against the tenant's storage quota.
+ *
+ * Originals are stored as videos/<tenantId>/<filename> in the storage backend.
+ */
+
+/**
+ * Parse the tags field of an upload (array or comma-separated string)
+ * @param {string|string[]} tags - Raw tags
+ * @returns {string[]}
+ */
+const parseTags = (tags) => {
+  if (!tags) {
+    return [];
+  }
+  return Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim()).filter(Boolean);
+};
+
+/**
+ * Store a received upload and create its Video document, then queue processing
+ * @param {object} params
+ * @param {object} params.user - req.user of the uploader
+ * @param {object} params.file - { filename, originalname, path, size, mimetype }; path is the local received file
+ * @param {object} params.fields - { title, description, tags, isPublic }
+ * @param {string|null} [params.folder] - Library folder, already checked by the caller
+ * @param {boolean} [params.moveFile=true] - Hand the local file over to storage; otherwise it is copied
+ *                                          and left for the caller to remove
+ * @returns {Promise<object>} Video with uploadedBy and tenantId populated
+ */
+const createUploadedVideo = async ({ user, file, fields = {}, folder = null, moveFile = true }) => {
+  const { title, description, tags, isPublic } = fields;
+  const storage = getStorage();
+  const key = `videos/${user.tenantId}/${file.filename}`;
+
+  await storage.putFile(key, file.path, { move: moveFile, contentType: file.mimetype });
+
+  let video;
+  try {
+    video = await Video.create({
+      title: title || file.originalname,
+      description: description || '',
+      filename: file.filename,
+      originalFilename: file.originalname,
+      filePath: key,
+      fileSize: file.size,
+      storage: { originalBytes: file.size },
+      mimeType: file.mimetype,
+      processingStatus: 'PENDING', // Will be updated by video processing service
+      tenantId: user.tenantId, // Enforced by tenant isolation middleware
+      uploadedBy: user.id,
+      tags: parseTags(tags),
+      isPublic: isPublic === 'true' || isPublic === true,
+      folder,
+    });
+  } catch (error) {
+    // Don't leave an object behind that no video refers to
+    await storage.delete(key).catch(() => {});
+    throw error;
+  }
+
+  // Populate references for response
+  await video.populate('uploadedBy', 'firstName lastName email');
+  await video.populate('tenantId', 'name');
+
+  // Queue video processing (persisted, picked up by a queue worker)
+  // Processing will update status and emit Socket.io events
+  await startProcessing(video._id.toString(), user.tenantId);
+
+  return video;
+};
+
+module.exports = {
+  createUploadedVideo,
+  parseTags,
+};
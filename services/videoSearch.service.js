@@ -0,0 +1,481 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const { videoReadCondition } = require('./videoAccess.service');
+
+/**
+ * Video Search Service
+ *
+ * Builds video list queries for GET /api/videos:
+ * - Full-text search over title, tags, description and transcript
+ *   (text index, results ranked by relevance)
+ * - Filters by status, tags, uploader, upload date, duration, resolution,
+ *   visibility and folder
+ * - Role-based visibility and folder grants (see videoAccess.service.js),
+ *   always combined with the other conditions, never replacing them
+ * - Sorting and opaque cursors for keyset pagination
+ * - Facet counts for status, tags, uploaders and upload date
+ *
+ * Facets are computed the usual way for multi-select filters: each facet
+ * counts with every filter applied except its own, so the other values of
+ * the selected facet stay visible.
+ *
+ * A cursor holds the sort value and _id of the last video of a page; the
+ * next page continues strictly after it, so uploads arriving in between
+ * neither shift nor repeat results. Relevance has no stored value to seek
+ * on: relevance cursors hold an offset instead.
+ */
+
+const VIDEO_STATUSES = Video.schema.path('processingStatus').enumValues;
+
+// Upload date facet buckets and the uploadedWithin filter (cumulative ranges)
+const DATE_BUCKETS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '365d': 365 * 24 * 60 * 60 * 1000,
+};
+
+// Resolution classes by frame height (metadata.height), [min, max)
+const RESOLUTIONS = {
+  sd: [0, 720],
+  hd: [720, 1080],
+  fhd: [1080, 2160],
+  uhd: [2160, Infinity],
+};
+
+// Sort options: field and default direction (1 ascending, -1 descending)
+const SORTS = {
+  relevance: { field: null, order: -1 }, // Only with search
+  createdAt: { field: 'createdAt', order: -1 },
+  views: { field: 'views', order: -1 },
+  duration: { field: 'duration', order: -1 },
+  title: { field: 'title', order: 1 },
+  size: { field: 'fileSize', order: -1 },
+};
+
+const FACET_LIMIT = 20;
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Conditions every listing starts from: tenant isolation and visibility
+ * @param {object} user - req.user
+ * @returns {Promise<object[]>} Conditions (AND-ed)
+ */
+const getVisibilityConditions = async (user) => {
+  const conditions = [{ tenantId: new mongoose.Types.ObjectId(user.tenantId) }];
+
+  // e.g. VIEWER: public videos, their own uploads and videos shared with them (directly or by folder)
+  const access = await videoReadCondition(user);
+  if (access) {
+    conditions.push(access);
+  }
+
+  return conditions;
+};
+
+/**
+ * Split a comma-separated query value
+ * @param {string} value - e.g. "a, b,c"
+ * @returns {string[]} Non-empty trimmed values
+ */
+const splitList = (value) => String(value).split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Parse an optional date query value
+ * @param {string} value - ISO date
+ * @param {string} name - Parameter name for the error message
+ * @returns {object} { date } (undefined when absent) or { error }
+ */
+const parseDate = (value, name) => {
+  if (!value) {
+    return {};
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: `${name} must be a valid date` } : { date };
+};
+
+/**
+ * Parse an optional non-negative number query value
+ * @param {string} value - Number
+ * @param {string} name - Parameter name for the error message
+ * @returns {object} { number } (undefined when absent) or { error }
+ */
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') {
+    return {};
+  }
+  const number = Number(value);
+  return !Number.isFinite(number) || number < 0
+    ? { error: `${name} must be a non-negative number` }
+    : { number };
+};
+
+/**
+ * Parse list filters from the query string
+ * @param {object} query - req.query (search, status, tag, tagMatch, uploadedBy, uploadedWithin,
+ *   uploadedFrom, uploadedTo, minDuration, maxDuration, resolution, visibility, folder)
+ * @returns {object} { search, filters } or { error }. Filters are keyed by name (see getVideoFacets).
+ */
+const parseVideoFilters = (query) => {
+  const {
+    search,
+    status,
+    tag,
+    tagMatch = 'any',
+    uploadedBy,
+    uploadedWithin,
+    uploadedFrom,
+    uploadedTo,
+    minDuration,
+    maxDuration,
+    resolution,
+    visibility,
+    folder,
+  } = query;
+  const filters = {};
+
+  if (status) {
+    const statuses = splitList(status);
+    const unknown = statuses.filter((value) => !VIDEO_STATUSES.includes(value));
+    if (unknown.length > 0) {
+      return { error: `Unknown status: ${unknown.join(', ')}. Use: ${VIDEO_STATUSES.join(', ')}` };
+    }
+    filters.status = { processingStatus: statuses.length === 1 ? statuses[0] : { $in: statuses } };
+  }
+
+  if (!['any', 'all'].includes(tagMatch)) {
+    return { error: 'tagMatch must be one of: any, all' };
+  }
+  if (tag) {
+    const tags = splitList(tag);
+    filters.tag = { tags: tags.length === 1 ? tags[0] : { [tagMatch === 'all' ? '$all' : '$in']: tags } };
+  }
+
+  if (uploadedBy) {
+    if (!mongoose.Types.ObjectId.isValid(uploadedBy)) {
+      return { error: 'uploadedBy must be a valid user id' };
+    }
+    filters.uploadedBy = { uploadedBy: new mongoose.Types.ObjectId(uploadedBy) };
+  }
+
+  if (uploadedWithin) {
+    if (!DATE_BUCKETS[uploadedWithin]) {
+      return { error: `uploadedWithin must be one of: ${Object.keys(DATE_BUCKETS).join(', ')}` };
+    }
+    filters.uploadedWithin = { createdAt: { $gte: new Date(Date.now() - DATE_BUCKETS[uploadedWithin]) } };
+  }
+
+  if (uploadedFrom || uploadedTo) {
+    const from = parseDate(uploadedFrom, 'uploadedFrom');
+    const to = parseDate(uploadedTo, 'uploadedTo');
+    if (from.error || to.error) {
+      return { error: from.error || to.error };
+    }
+    if (from.date && to.date && from.date > to.date) {
+      return { error: 'uploadedFrom must be before uploadedTo' };
+    }
+    filters.uploadedBetween = { createdAt: {} };
+    if (from.date) filters.uploadedBetween.createdAt.$gte = from.date;
+    if (to.date) filters.uploadedBetween.createdAt.$lte = to.date;
+  }
+
+  if (minDuration !== undefined || maxDuration !== undefined) {
+    const min = parseNumber(minDuration, 'minDuration');
+    const max = parseNumber(maxDuration, 'maxDuration');
+    if (min.error || max.error) {
+      return { error: min.error || max.error };
+    }
+    if (min.number !== undefined || max.number !== undefined) {
+      filters.duration = { duration: {} };
+      if (min.number !== undefined) filters.duration.duration.$gte = min.number;
+      if (max.number !== undefined) filters.duration.duration.$lte = max.number;
+    }
+  }
+
+  if (resolution) {
+    const classes = splitList(resolution);
+    const unknown = classes.filter((value) => !RESOLUTIONS[value]);
+    if (unknown.length > 0) {
+      return { error: `Unknown resolution: ${unknown.join(', ')}. Use: ${Object.keys(RESOLUTIONS).join(', ')}` };
+    }
+    const ranges = classes.map((value) => {
+      const [min, max] = RESOLUTIONS[value];
+      return { 'metadata.height': max === Infinity ? { $gte: min } : { $gte: min, $lt: max } };
+    });
+    filters.resolution = ranges.length === 1 ? ranges[0] : { $or: ranges };
+  }
+
+  if (visibility) {
+    if (!['public', 'private'].includes(visibility)) {
+      return { error: 'visibility must be one of: public, private' };
+    }
+    filters.visibility = { isPublic: visibility === 'public' };
+  }
+
+  // Videos directly in a folder; "root" for the top level
+  if (folder) {
+    if (folder !== 'root' && !mongoose.Types.ObjectId.isValid(folder)) {
+      return { error: 'folder must be a folder id or "root"' };
+    }
+    filters.folder = { folder: folder === 'root' ? null : new mongoose.Types.ObjectId(folder) };
+  }
+
+  const searchText = typeof search === 'string' ? search.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+
+  return { search: searchText || null, filters };
+};
+
+/**
+ * Combine conditions into one query
+ * The tenant condition stays top-level next to $text: the text index is
+ * prefixed by tenantId and needs an equality match on it.
+ * @param {object[]} conditions - Conditions to AND, the tenant condition first
+ * @param {string|null} search - Text search
+ * @returns {object} MongoDB query
+ */
+const combine = ([tenantCondition, ...conditions], search) => {
+  const query = { ...tenantCondition };
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+  if (search) {
+    query.$text = { $search: search };
+  }
+  return query;
+};
+
+/**
+ * Build the list query for a user
+ * @param {object} user - req.user
+ * @param {string|null} search - Text search
+ * @param {object} filters - From parseVideoFilters
+ * @returns {Promise<object>} MongoDB query
+ */
+const buildVideoQuery = async (user, search, filters) => {
+  return combine([...(await getVisibilityConditions(user)), ...Object.values(filters)], search);
+};
+
+/**
+ * Resolve the sort of a listing
+ * @param {object} query - req.query (sort, order)
+ * @param {string|null} search - Text search (relevance is the default with a search)
+ * @returns {object} { sort: { key, field, order } } or { error }
+ */
+const parseVideoSort = (query, search) => {
+  const key = query.sort || (search ? 'relevance' : 'createdAt');
+
+  if (!SORTS[key]) {
+    return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+  }
+  if (key === 'relevance' && !search) {
+    return { error: 'sort=relevance requires a search' };
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    return { error: 'order must be one of: asc, desc' };
+  }
+
+  const order = query.order ? (query.order === 'asc' ? 1 : -1) : SORTS[key].order;
+  return { sort: { key, field: SORTS[key].field, order } };
+};
+
+/**
+ * MongoDB sort for a listing; _id breaks ties so the order is total
+ * @param {object} sort - From parseVideoSort
+ * @returns {object} Sort document
+ */
+const toMongoSort = (sort) => {
+  if (sort.key === 'relevance') {
+    return { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 };
+  }
+  return { [sort.field]: sort.order, _id: sort.order };
+};
+
+/**
+ * Encode the cursor pointing after a video
+ * @param {object} sort - From parseVideoSort
+ * @param {object} video - Last video of the page
+ * @param {number} offset - Position after the page (relevance cursors)
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (sort, video, offset) => {
+  const position = sort.key === 'relevance'
+    ? { offset }
+    : { value: video.get(sort.field) ?? null, id: video._id.toString() };
+
+  return Buffer.from(JSON.stringify({ sort: sort.key, order: sort.order, ...position })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from the query string
+ * @param {string} cursor - From encodeCursor
+ * @param {object} sort - From parseVideoSort; must match the cursor's
+ * @returns {object} { cursor: { value, id } | { offset } } or { error }
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (decoded?.sort !== sort.key || decoded.order !== sort.order) {
+    return { error: 'Cursor does not match the requested sort' };
+  }
+
+  if (sort.key === 'relevance') {
+    return Number.isInteger(decoded.offset) && decoded.offset >= 0
+      ? { cursor: { offset: decoded.offset } }
+      : { error: 'Invalid cursor' };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(decoded.id)) {
+    return { error: 'Invalid cursor' };
+  }
+  const value = sort.field === 'createdAt' && decoded.value !== null ? new Date(decoded.value) : decoded.value;
+  return { cursor: { value, id: new mongoose.Types.ObjectId(decoded.id) } };
+};
+
+/**
+ * Condition selecting the videos after a cursor in sort order
+ * Missing values (e.g. no duration yet) sort before every other value.
+ * @param {object} sort - From parseVideoSort (not relevance)
+ * @param {object} cursor - From decodeCursor
+ * @returns {object} MongoDB condition
+ */
+const afterCursor = (sort, { value, id }) => {
+  const { field, order } = sort;
+  const idAfter = { _id: { [order === 1 ? '$gt' : '$lt']: id } };
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...idAfter }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const after = [
+    { [field]: { [order === 1 ? '$gt' : '$lt']: value } },
+    { [field]: value, ...idAfter },
+  ];
+  if (order === -1) {
+    after.push({ [field]: null });
+  }
+  return { $or: after };
+};
+
+/**
+ * Parse everything a listing request asks for
+ * @param {object} query - req.query
+ * @returns {object} { search, filters, sort, cursor } (cursor null without one) or { error }
+ */
+const parseVideoListQuery = (query) => {
+  const { search, filters, error: filterError } = parseVideoFilters(query);
+  if (filterError) {
+    return { error: filterError };
+  }
+
+  const { sort, error: sortError } = parseVideoSort(query, search);
+  if (sortError) {
+    return { error: sortError };
+  }
+
+  if (!query.cursor) {
+    return { search, filters, sort, cursor: null };
+  }
+
+  const { cursor, error: cursorError } = decodeCursor(query.cursor, sort);
+  return cursorError ? { error: cursorError } : { search, filters, sort, cursor };
+};
+
+/**
+ * Facet counts for a listing
+ * @param {object} user - req.user
+ * @param {string|null} search - Text search
+ * @param {object} filters - From parseVideoFilters
+ * @returns {Promise<object>} { status, tags, uploaders, uploadedWithin }
+ */
+const getVideoFacets = async (user, search, filters) => {
+  const base = await getVisibilityConditions(user);
+
+  // Every filter except the facet's own
+  const otherFilters = (own) => {
+    const conditions = Object.entries(filters)
+      .filter(([name]) => name !== own)
+      .map(([, condition]) => condition);
+    return conditions.length > 0 ? [{ $match: { $and: conditions } }] : [];
+  };
+
+  const dateGroup = { _id: null };
+  Object.entries(DATE_BUCKETS).forEach(([bucket, ms]) => {
+    dateGroup[bucket] = {
+      $sum: { $cond: [{ $gte: ['$createdAt', new Date(Date.now() - ms)] }, 1, 0] },
+    };
+  });
+
+  const [result] = await Video.aggregate([
+    // $text has to be in the first stage
+    { $match: combine(base, search) },
+    {
+      $facet: {
+        status: [
+          ...otherFilters('status'),
+          { $group: { _id: '$processingStatus', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        tags: [
+          ...otherFilters('tag'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+        ],
+        uploaders: [
+          ...otherFilters('uploadedBy'),
+          { $group: { _id: '$uploadedBy', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT },
+          {
+            $lookup: {
+              from: 'users',
+              let: { userId: '$_id' },
+              pipeline: [
+                { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+                { $project: { firstName: 1, lastName: 1, email: 1 } },
+              ],
+              as: 'user',
+            },
+          },
+        ],
+        uploadedWithin: [
+          ...otherFilters('uploadedWithin'),
+          { $group: dateGroup },
+        ],
+      },
+    },
+  ]);
+
+  const dates = result.uploadedWithin[0] || {};
+
+  return {
+    status: result.status.map(({ _id, count }) => ({ value: _id, count })),
+    tags: result.tags.map(({ _id, count }) => ({ value: _id, count })),
+    uploaders: result.uploaders.map(({ _id, count, user: [uploader] }) => ({
+      value: _id,
+      count,
+      firstName: uploader?.firstName,
+      lastName: uploader?.lastName,
+      email: uploader?.email,
+    })),
+    uploadedWithin: Object.keys(DATE_BUCKETS).map((bucket) => ({ value: bucket, count: dates[bucket] || 0 })),
+  };
+};
+
+module.exports = {
+  VIDEO_STATUSES,
+  parseVideoListQuery,
+  buildVideoQuery,
+  toMongoSort,
+  encodeCursor,
+  afterCursor,
+  getVideoFacets,
+};
@@ -0,0 +1,531 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+/**
+ * Webhook Service
+ *
+ * Outbound video lifecycle events for tenant-registered endpoints:
+ * - dispatchEvent() stores one delivery per subscribed endpoint; it never
+ *   fails the caller (processing, uploads, moderation)
+ * - A dispatcher sends due deliveries as signed JSON POSTs and retries
+ *   failures with exponential backoff until maxAttempts. Several endpoints
+ *   are sent to in parallel, each with one delivery in flight at a time, so
+ *   a slow endpoint only delays its own deliveries
+ *
+ * Each request carries:
+ *   X-Webhook-Id         event ID (same for every attempt)
+ *   X-Webhook-Event      event name, e.g. video.processing.completed
+ *   X-Webhook-Timestamp  Unix seconds when the attempt was signed
+ *   X-Webhook-Signature  v1=<hex HMAC-SHA256 of "<timestamp>.<body>" with the endpoint secret>
+ *
+ * Endpoints must be public: URLs that resolve to loopback, private,
+ * link-local (cloud metadata) or other reserved addresses are refused when
+ * registered, and the address is checked again when each request connects
+ * so a DNS change cannot point a registered hostname inside the network.
+ * Only the status code of responses is kept, never their body.
+ */
+
+const WEBHOOK_EVENTS = Webhook.schema.path('events').caster.enumValues;
+
+const config = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000,
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 6 * 60 * 60 * 1000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+  concurrency: parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 5,
+  leaseMs: 60000,
+  // Local development only: allow endpoints on this machine or the private network
+  allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+};
+
+// Addresses webhooks must never reach
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reserved, broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 (embeds an IPv4 address)
+  ['fc00::', 7], // Unique local, incl. fd00:ec2::254 metadata
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+let pollTimer = null;
+let polling = false;
+// Endpoints (webhookId strings) with a delivery being sent by this process
+const inFlight = new Set();
+
+/**
+ * Generate an endpoint signing secret
+ * @returns {string} Secret (whsec_ + 48 hex characters)
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a payload
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value (v1=<hex>)
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `v1=${digest}`;
+};
+
+/**
+ * Whether webhooks may not be sent to an IP address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+  if (config.allowPrivateNetworks) {
+    return false;
+  }
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 subnets
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup replacement for outgoing requests that refuses blocked addresses
+ * Runs when the connection is made, so the address checked is the one connected to.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isBlockedAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Check that a URL can be used as a webhook endpoint
+ * The hostname is resolved: every address it points to must be public.
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'URL must use http or https';
+  }
+  if (process.env.NODE_ENV === 'production' && parsed.protocol !== 'https:') {
+    return 'URL must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'URL must not contain credentials';
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+  } catch (error) {
+    return `Host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(isBlockedAddress)) {
+    return 'URL must point to a public address, not a loopback, private or link-local one';
+  }
+  return null;
+};
+
+/**
+ * POST a JSON body without following redirects
+ * IP literals are checked here; hostnames through publicOnlyLookup.
+ * @param {string} url - Endpoint URL
+ * @param {object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<number>} Response status code
+ */
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    reject(new Error(`${hostname} is not a public address`));
+    return;
+  }
+
+  const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicOnlyLookup,
+  }, (response) => {
+    // The body is not needed, only drained so the socket is released
+    response.resume();
+    response.on('end', () => {
+      clearTimeout(timer);
+      resolve(response.statusCode);
+    });
+    response.on('error', reject);
+  });
+
+  // Covers the whole exchange, including slowly sent responses
+  const timer = setTimeout(() => {
+    request.destroy(new Error(`No response within ${config.timeoutMs} ms`));
+  }, config.timeoutMs);
+
+  request.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  request.end(body);
+});
+
+/**
+ * Video fields included in event payloads
+ * @param {object} video - Video document
+ * @returns {object} Video summary
+ */
+const toVideoPayload = (video) => ({
+  id: video._id.toString(),
+  title: video.title,
+  originalFilename: video.originalFilename,
+  fileSize: video.fileSize,
+  duration: video.duration,
+  processingStatus: video.processingStatus,
+  processingError: video.processingError || null,
+  reviewStatus: video.review?.status || null,
+  tags: video.tags,
+  isPublic: video.isPublic,
+  uploadedBy: video.uploadedBy?._id?.toString() || video.uploadedBy?.toString() || null,
+  createdAt: video.createdAt,
+  updatedAt: video.updatedAt,
+});
+
+/**
+ * Backoff before the next attempt: base * 2^(attempt - 1), capped
+ * @param {number} attempt - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) => {
+  return Math.min(config.retryBaseMs * Math.pow(2, attempt - 1), config.retryMaxMs);
+};
+
+/**
+ * Build the stored delivery for an event
+ * @param {object} webhook - Webhook document
+ * @param {string} event - Event name
+ * @param {object} data - Event data
+ * @param {object} [options] - { isTest }
+ * @returns {object} WebhookDelivery fields
+ */
+const buildDelivery = (webhook, event, data, { isTest = false } = {}) => {
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+  const payload = JSON.stringify({
+    id: eventId,
+    event,
+    createdAt: new Date().toISOString(),
+    tenantId: webhook.tenantId.toString(),
+    test: isTest,
+    data,
+  });
+
+  return {
+    tenantId: webhook.tenantId,
+    webhookId: webhook._id,
+    eventId,
+    event,
+    payload,
+    isTest,
+    maxAttempts: isTest ? 1 : config.maxAttempts,
+  };
+};
+
+/**
+ * POST a delivery to its endpoint once
+ * @param {object} delivery - WebhookDelivery document
+ * @param {object} webhook - Webhook document (with secret)
+ * @returns {Promise<object>} Attempt record { attemptedAt, statusCode, durationMs, error, ok }
+ */
+const sendDelivery = async (delivery, webhook) => {
+  const attemptedAt = new Date();
+  const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+  const attempt = { attemptedAt };
+
+  try {
+    const statusCode = await postJson(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VideoManagementSaaS-Webhooks/1.0',
+      'X-Webhook-Id': delivery.eventId,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(webhook.secret, timestamp, delivery.payload),
+    }, delivery.payload);
+
+    attempt.statusCode = statusCode;
+    attempt.ok = statusCode >= 200 && statusCode < 300;
+    if (!attempt.ok) {
+      attempt.error = `Endpoint responded with HTTP ${statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+    attempt.ok = false;
+  }
+
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+  return attempt;
+};
+
+/**
+ * Send a claimed delivery and record the outcome: delivered, rescheduled
+ * with backoff, or FAILED when out of attempts or the endpoint is gone
+ * @param {object} delivery - Claimed WebhookDelivery document
+ * @param {object} [options] - { allowInactive } to send to a disabled endpoint (test events)
+ * @returns {Promise<object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, { allowInactive = false } = {}) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+  if (!webhook || (!webhook.isActive && !allowInactive)) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      {
+        $set: { status: 'FAILED', lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted' },
+        $unset: { lockedUntil: '' },
+      },
+      { new: true }
+    );
+  }
+
+  const { ok, ...attempt } = await sendDelivery(delivery, webhook);
+  const attemptCount = delivery.attempts.length + 1;
+  const update = {
+    $push: { attempts: attempt },
+    $unset: { lockedUntil: '' },
+  };
+
+  if (ok) {
+    update.$set = { status: 'SUCCEEDED', deliveredAt: attempt.attemptedAt, lastError: null };
+  } else if (attemptCount >= delivery.maxAttempts) {
+    update.$set = { status: 'FAILED', lastError: attempt.error };
+  } else {
+    update.$set = {
+      status: 'PENDING',
+      lastError: attempt.error,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(attemptCount)),
+    };
+  }
+
+  const updated = await WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    { $set: { lastDeliveryAt: attempt.attemptedAt, lastDeliveryStatus: ok ? 'SUCCEEDED' : 'FAILED' } }
+  );
+
+  if (ok) {
+    console.log(`[Webhooks] Delivered ${delivery.event} (${delivery.eventId}) to ${webhook.url}`);
+  } else if (updated.status === 'FAILED') {
+    console.error(`[Webhooks] Giving up on ${delivery.event} (${delivery.eventId}) to ${webhook.url} after ${attemptCount} attempt(s): ${attempt.error}`);
+  } else {
+    console.warn(`[Webhooks] ${delivery.event} (${delivery.eventId}) to ${webhook.url} failed (attempt ${attemptCount}/${delivery.maxAttempts}), retrying at ${updated.nextAttemptAt.toISOString()}: ${attempt.error}`);
+  }
+
+  return updated;
+};
+
+/**
+ * Atomically claim the next due delivery of an endpoint that is not busy
+ * Due means pending and scheduled, with no live lease (a lease left by a
+ * crashed server expires after leaseMs).
+ * @returns {Promise<object|null>} Claimed delivery or null
+ */
+const claimNextDelivery = () => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'PENDING',
+      nextAttemptAt: { $lte: now },
+      webhookId: { $nin: [...inFlight] },
+      $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lt: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + config.leaseMs) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Send a claimed delivery in the background, keeping its endpoint busy until done
+ * @param {object} delivery - Claimed WebhookDelivery document
+ */
+const startDelivery = (delivery) => {
+  const webhookId = delivery.webhookId.toString();
+  inFlight.add(webhookId);
+
+  attemptDelivery(delivery)
+    .catch((error) => console.error(`[Webhooks] Error sending ${delivery.eventId}:`, error))
+    .finally(() => {
+      inFlight.delete(webhookId);
+      poll();
+    });
+};
+
+/**
+ * Start due deliveries until every concurrency slot is taken
+ * A finished delivery polls again to fill its slot.
+ */
+const poll = async () => {
+  if (!pollTimer || polling) {
+    return;
+  }
+
+  polling = true;
+  try {
+    let delivery;
+    while (pollTimer && inFlight.size < config.concurrency && (delivery = await claimNextDelivery())) {
+      startDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('[Webhooks] Error sending deliveries:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Queue an event for every active endpoint of the tenant subscribed to it
+ * Never throws: webhook problems must not fail the action that caused the event.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} data - Event data (e.g. { video: toVideoPayload(video) })
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const dispatchEvent = async (tenantId, event, data) => {
+  try {
+    const webhooks = await Webhook.find({ tenantId, isActive: true, events: event });
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    await WebhookDelivery.insertMany(webhooks.map((webhook) => buildDelivery(webhook, event, data)));
+
+    if (pollTimer) {
+      setImmediate(poll);
+    }
+    return webhooks.length;
+  } catch (error) {
+    console.error(`[Webhooks] Failed to queue ${event} for tenant ${tenantId}:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Send a test event to an endpoint right away (single attempt, not retried)
+ * Disabled endpoints can be tested too, before re-enabling them.
+ * @param {object} webhook - Webhook document
+ * @param {object} sentBy - User who triggered the test ({ id, email })
+ * @returns {Promise<object>} Delivery with the attempt result
+ */
+const sendTestEvent = async (webhook, sentBy) => {
+  const delivery = await WebhookDelivery.create({
+    ...buildDelivery(webhook, 'webhook.test', {
+      message: 'This is a test event. Verify the signature to check your secret.',
+      webhookId: webhook._id.toString(),
+      sentBy: { id: sentBy.id.toString(), email: sentBy.email },
+    }, { isTest: true }),
+    lockedUntil: new Date(Date.now() + config.leaseMs),
+  });
+
+  return attemptDelivery(delivery, { allowInactive: true });
+};
+
+/**
+ * Queue a finished delivery again with a fresh attempt budget
+ * @param {string} deliveryId - WebhookDelivery ID
+ * @param {string} tenantId - Tenant ID (deliveries of other tenants are not touched)
+ * @returns {Promise<object|null>} Re-queued delivery, or null if not found or still pending
+ */
+const redeliver = async (deliveryId, tenantId) => {
+  const delivery = await WebhookDelivery.findOne({ _id: deliveryId, tenantId });
+  if (!delivery || delivery.status === 'PENDING') {
+    return null;
+  }
+
+  const updated = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: delivery.status },
+    {
+      $set: {
+        status: 'PENDING',
+        nextAttemptAt: new Date(),
+        maxAttempts: delivery.attempts.length + config.maxAttempts,
+      },
+    },
+    { new: true }
+  );
+
+  if (updated && pollTimer) {
+    setImmediate(poll);
+  }
+  return updated;
+};
+
+/**
+ * Start sending deliveries. Call once the database connection is ready.
+ */
+const startWebhookDispatcher = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(poll, config.pollIntervalMs);
+  pollTimer.unref();
+  poll();
+};
+
+/**
+ * Stop sending deliveries; claimed ones are picked up again after their lease
+ */
+const stopWebhookDispatcher = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  validateWebhookUrl,
+  toVideoPayload,
+  dispatchEvent,
+  sendTestEvent,
+  redeliver,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
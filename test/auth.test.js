@@ -0,0 +1,63 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { authenticate } = require('../middleware/auth');
+
+const makeRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+describe('authenticate', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('stores the user and tenant ids as strings', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const tenantId = new mongoose.Types.ObjectId();
+    mock.method(AuthSession, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(User, 'findById', () => ({
+      select: () => ({
+        populate: async () => ({
+          _id: userId,
+          email: 'editor@example.com',
+          role: 'EDITOR',
+          isActive: true,
+          tenantId: { _id: tenantId, isActive: true },
+        }),
+      }),
+    }));
+
+    const token = jwt.sign(
+      { userId: userId.toString(), sid: new mongoose.Types.ObjectId().toString() },
+      process.env.JWT_SECRET
+    );
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = makeRes();
+    let nextCalled = false;
+    await authenticate(req, res, () => { nextCalled = true; });
+
+    assert.equal(nextCalled, true);
+    // Compared with === against stringified ObjectIds throughout the controllers
+    assert.equal(req.user.id, userId.toString());
+    assert.equal(req.user.tenantId, tenantId.toString());
+  });
+
+  it('rejects a request without a bearer token', async () => {
+    const res = makeRes();
+    await authenticate({ headers: {} }, res, () => assert.fail('next() must not be called'));
+    assert.equal(res.statusCode, 401);
+  });
+});
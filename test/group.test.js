@@ -0,0 +1,92 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Group = require('../models/Group');
+const { getGroups, getGroupById } = require('../controllers/group.controller');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const tenantId = objectId().toString();
+// Shaped like req.user (middleware/auth.js): ids are strings
+const makeUser = (role) => ({ id: objectId().toString(), role, tenantId });
+
+const makeRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+/**
+ * Group as loaded from the database: members are ObjectIds until populated
+ * @param {object[]} members - Users in the group: { _id, email }
+ */
+const makeGroup = (members) => {
+  const group = {
+    _id: objectId(),
+    name: 'Marketing',
+    members: members.map((member) => member._id),
+    populate: async () => {
+      group.members = members;
+      return group;
+    },
+  };
+  return group;
+};
+
+const makeMember = (user) => ({ _id: new mongoose.Types.ObjectId(user.id), email: 'member@example.com', role: user.role });
+
+describe('group membership', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('marks the groups the user belongs to', async () => {
+    const viewer = makeUser('VIEWER');
+    const joined = makeGroup([makeMember(viewer)]);
+    const other = makeGroup([{ _id: objectId() }]);
+    mock.method(Group, 'find', () => ({ sort: async () => [joined, other] }));
+
+    const res = makeRes();
+    await getGroups({ user: viewer }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data.groups.map((group) => group.isMember), [true, false]);
+
+    // Callers holding the id as an ObjectId
+    const objectIdRes = makeRes();
+    await getGroups({ user: { ...viewer, id: new mongoose.Types.ObjectId(viewer.id) } }, objectIdRes);
+    assert.deepEqual(objectIdRes.body.data.groups.map((group) => group.isMember), [true, false]);
+  });
+
+  it('shows a member the group with its members', async () => {
+    const viewer = makeUser('VIEWER');
+    const group = makeGroup([makeMember(viewer)]);
+    mock.method(Group, 'findOne', async () => group);
+
+    const res = makeRes();
+    await getGroupById({ user: viewer, params: { id: group._id.toString() } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.group.isMember, true);
+    assert.equal(res.body.data.group.members[0].id.toString(), viewer.id);
+  });
+
+  it('hides the group from users outside it, but not from ADMINs', async () => {
+    const group = makeGroup([{ _id: objectId() }]);
+    mock.method(Group, 'findOne', async () => group);
+
+    const res = makeRes();
+    await getGroupById({ user: makeUser('EDITOR'), params: { id: group._id.toString() } }, res);
+    assert.equal(res.statusCode, 404);
+
+    const adminRes = makeRes();
+    await getGroupById({ user: makeUser('ADMIN'), params: { id: group._id.toString() } }, adminRes);
+    assert.equal(adminRes.statusCode, 200);
+    assert.equal(adminRes.body.data.group.isMember, false);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the scanner module loads
+process.env.HTTP_SCANNER_TIMEOUT_MS = '300';
+process.env.HTTP_SCANNER_API_KEY = 'test-key';
+
+const { startMockScanner } = require('../scripts/mockScanner');
+const { registerScanner, getScannerNames, runModeration } = require('../services/moderation.service');
+
+const makeVideo = (originalFilename) => ({
+  _id: '64b000000000000000000001',
+  tenantId: '64b000000000000000000002',
+  originalFilename,
+  title: 'Quarterly update',
+  tags: [],
+});
+
+// No width: frames are not sampled, so FFmpeg is not needed
+const metadata = { duration: 12, width: null, height: null };
+
+const httpSettings = (threshold = 0.5) => ({
+  scanners: [{ name: 'http', enabled: true, threshold }],
+});
+
+describe('http scanner', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockScanner();
+    process.env.HTTP_SCANNER_URL = mock.url;
+  });
+
+  after(() => mock.close());
+
+  it('flags a video the service flags', async () => {
+    const result = await runModeration({ video: makeVideo('unsafe-clip.mp4'), metadata, settings: httpSettings() });
+
+    assert.equal(result.status, 'FLAGGED');
+    assert.equal(result.reason, 'Filename marks the video as unsafe');
+    assert.deepEqual(result.results[0].labels, [{ name: 'unsafe', confidence: 0.9 }]);
+
+    const request = mock.requests.at(-1);
+    assert.equal(request.headers.authorization, 'Bearer test-key');
+    assert.equal(request.body.filename, 'unsafe-clip.mp4');
+    assert.equal(request.body.tenantId, '64b000000000000000000002');
+    assert.deepEqual(request.body.frames, []);
+  });
+
+  it('keeps a flag below the threshold from counting', async () => {
+    const result = await runModeration({ video: makeVideo('unsafe-clip.mp4'), metadata, settings: httpSettings(0.95) });
+
+    assert.equal(result.status, 'SAFE');
+    assert.equal(result.results[0].verdict, 'FLAGGED');
+    assert.equal(result.results[0].flagged, false);
+  });
+
+  it('passes a clean video', async () => {
+    const result = await runModeration({ video: makeVideo('holiday.mp4'), metadata, settings: httpSettings() });
+
+    assert.equal(result.status, 'SAFE');
+    assert.equal(result.results[0].scanner, 'http');
+    assert.equal(result.results[0].confidence, 0.99);
+  });
+
+  it('fails the scan when the service does not answer in time', async () => {
+    const slow = await startMockScanner({ delayMs: 5000 });
+    process.env.HTTP_SCANNER_URL = slow.url;
+
+    try {
+      await assert.rejects(
+        runModeration({ video: makeVideo('holiday.mp4'), metadata, settings: httpSettings() }),
+        /^Error: Scanner "http" failed: /
+      );
+      assert.equal(slow.requests.length, 1);
+    } finally {
+      process.env.HTTP_SCANNER_URL = mock.url;
+      await slow.close();
+    }
+  });
+});
+
+describe('scanner registry', () => {
+  it('registers the built-in scanners', () => {
+    assert.ok(getScannerNames().includes('keyword'));
+    assert.ok(getScannerNames().includes('http'));
+  });
+
+  it('rejects a scanner without a name or scan()', () => {
+    assert.throws(() => registerScanner({ name: 'broken' }), /needs a name and a scan\(\) function/);
+    assert.throws(() => registerScanner({ scan: async () => ({}) }), /needs a name and a scan\(\) function/);
+  });
+
+  it('runs a registered plugin with its tenant options', async () => {
+    let received;
+    registerScanner({
+      name: 'length',
+      needsFrames: false,
+      scan: async ({ metadata: input, options }) => {
+        received = options;
+        const tooLong = input.duration > options.maxSeconds;
+        return { verdict: tooLong ? 'FLAGGED' : 'SAFE', confidence: 1, labels: [] };
+      },
+    });
+    assert.ok(getScannerNames().includes('length'));
+
+    const result = await runModeration({
+      video: makeVideo('holiday.mp4'),
+      metadata,
+      settings: {
+        scanners: [
+          { name: 'keyword', enabled: true, threshold: 0.5 },
+          { name: 'length', enabled: true, threshold: 0.5, options: { maxSeconds: 10 } },
+          { name: 'http', enabled: false, threshold: 0.5 },
+        ],
+      },
+    });
+
+    assert.deepEqual(received, { maxSeconds: 10 });
+    assert.deepEqual(result.results.map((entry) => entry.scanner), ['keyword', 'length']);
+    assert.equal(result.status, 'FLAGGED');
+    assert.equal(result.reason, 'Flagged by length scanner (confidence 1)');
+  });
+
+  it('refuses to run scanners that are not registered', async () => {
+    await assert.rejects(
+      runModeration({
+        video: makeVideo('holiday.mp4'),
+        metadata,
+        settings: { scanners: [{ name: 'missing', enabled: true, threshold: 0.5 }] },
+      }),
+      /Unknown scanner\(s\): missing/
+    );
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ProcessingJob = require('../models/ProcessingJob');
+const { cancelVideoJobs, retryDeadJob } = require('../services/jobQueue.service');
+
+describe('active job flag', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('keys the one-active-job-per-video index on an equality filter', () => {
+    const [, options] = ProcessingJob.schema.indexes().find(([, indexOptions]) => indexOptions.unique);
+
+    // Partial indexes accept $in only from MongoDB 6.0
+    assert.deepEqual(options.partialFilterExpression, { active: true });
+    assert.equal(new ProcessingJob({ videoId: new mongoose.Types.ObjectId() }).active, true);
+  });
+
+  it('clears the flag of cancelled jobs', async () => {
+    const updateMany = mock.method(ProcessingJob, 'updateMany', async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await cancelVideoJobs(new mongoose.Types.ObjectId()), 1);
+    const [, update] = updateMany.mock.calls[0].arguments;
+    assert.equal(update.$set.status, 'CANCELLED');
+    assert.equal(update.$set.active, false);
+  });
+
+  it('sets the flag again when a dead job is retried', async () => {
+    const findOneAndUpdate = mock.method(ProcessingJob, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await retryDeadJob(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()), null);
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.status, 'DEAD');
+    assert.deepEqual([update.$set.status, update.$set.active], ['QUEUED', true]);
+  });
+});
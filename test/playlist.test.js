@@ -0,0 +1,71 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Playlist = require('../models/Playlist');
+const { getPlaylistById } = require('../controllers/playlist.controller');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const tenantId = objectId().toString();
+// Shaped like req.user (middleware/auth.js): ids are strings
+const makeUser = (role) => ({ id: objectId().toString(), role, tenantId });
+
+const makeRes = () => ({
+  statusCode: 200,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Without items no videos are loaded, so only Playlist.findOne needs a stand-in
+const makePlaylist = (createdBy) => new Playlist({
+  tenantId,
+  title: 'Onboarding',
+  isPublic: true,
+  createdBy,
+  items: [],
+});
+
+/**
+ * canEdit of a playlist as returned to a user
+ * @param {object} user - req.user
+ * @param {object} playlist - Playlist document
+ * @returns {Promise<boolean>}
+ */
+const canEditAs = async (user, playlist) => {
+  mock.method(Playlist, 'findOne', async () => playlist);
+  const res = makeRes();
+  await getPlaylistById({ user, params: { id: playlist._id.toString() } }, res);
+  assert.equal(res.statusCode, 200);
+  return res.body.data.playlist.canEdit;
+};
+
+describe('canEditPlaylist', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lets an EDITOR edit their own playlist', async () => {
+    const editor = makeUser('EDITOR');
+    const playlist = makePlaylist(editor.id);
+
+    assert.equal(await canEditAs(editor, playlist), true);
+    // Callers holding the id as an ObjectId
+    assert.equal(await canEditAs({ ...editor, id: new mongoose.Types.ObjectId(editor.id) }, playlist), true);
+  });
+
+  it('does not let an EDITOR edit another user\'s playlist', async () => {
+    assert.equal(await canEditAs(makeUser('EDITOR'), makePlaylist(objectId())), false);
+  });
+
+  it('lets an ADMIN edit every playlist, and a VIEWER none', async () => {
+    assert.equal(await canEditAs(makeUser('ADMIN'), makePlaylist(objectId())), true);
+
+    const viewer = makeUser('VIEWER');
+    assert.equal(await canEditAs(viewer, makePlaylist(viewer.id)), false);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Folder = require('../models/Folder');
+const Group = require('../models/Group');
+const {
+  canManageVideo,
+  canEditVideo,
+  videoReadCondition,
+  videoWriteCondition,
+} = require('../services/videoAccess.service');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const tenantId = objectId().toString();
+// Shaped like req.user (middleware/auth.js): ids are strings
+const makeUser = (role) => ({ id: objectId().toString(), role, tenantId });
+
+/**
+ * Serve folder ACLs without a database
+ * @param {object[]} granted - Folders with an acl entry for the user: { _id, acl }
+ * @param {object[]} [descendants] - Folders below them: { _id, ancestors }
+ */
+const mockFolders = (granted, descendants = []) => {
+  mock.method(Folder, 'find', (query) => ({
+    select: async () => (query['acl.user'] ? granted : descendants),
+  }));
+};
+
+const mockGroups = (groupIds) => {
+  mock.method(Group, 'find', () => ({ distinct: async () => groupIds }));
+};
+
+describe('canManageVideo', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lets an EDITOR manage their own upload', async () => {
+    const editor = makeUser('EDITOR');
+    const uploadedBy = new mongoose.Types.ObjectId(editor.id);
+
+    assert.equal(await canManageVideo(editor, { uploadedBy }), true);
+    // Populated uploader, as in getVideoById
+    assert.equal(await canManageVideo(editor, { uploadedBy: { _id: uploadedBy, email: 'e@example.com' } }), true);
+    // Callers holding the id as an ObjectId
+    assert.equal(await canManageVideo({ ...editor, id: uploadedBy }, { uploadedBy }), true);
+  });
+
+  it('does not let an EDITOR manage another user\'s video outside their folders', async () => {
+    const editor = makeUser('EDITOR');
+    assert.equal(await canManageVideo(editor, { uploadedBy: objectId() }), false);
+  });
+
+  it('lets an ADMIN manage every video', async () => {
+    assert.equal(await canManageVideo(makeUser('ADMIN'), { uploadedBy: objectId() }), true);
+  });
+
+  it('does not let a VIEWER manage their own upload', async () => {
+    const viewer = makeUser('VIEWER');
+    assert.equal(await canManageVideo(viewer, { uploadedBy: new mongoose.Types.ObjectId(viewer.id) }), false);
+  });
+
+  it('follows folder EDITOR grants to subfolders, but not VIEWER grants', async () => {
+    const viewer = makeUser('VIEWER');
+    const userId = new mongoose.Types.ObjectId(viewer.id);
+    const edited = objectId();
+    const below = objectId();
+    const viewed = objectId();
+    mockFolders(
+      [
+        { _id: edited, acl: [{ user: userId, permission: 'EDITOR' }] },
+        { _id: viewed, acl: [{ user: userId, permission: 'VIEWER' }] },
+      ],
+      [{ _id: below, ancestors: [edited] }]
+    );
+
+    assert.equal(await canManageVideo(viewer, { uploadedBy: objectId(), folder: edited }), true);
+    assert.equal(await canManageVideo(viewer, { uploadedBy: objectId(), folder: below }), true);
+    assert.equal(await canManageVideo(viewer, { uploadedBy: objectId(), folder: viewed }), false);
+  });
+});
+
+describe('canEditVideo', () => {
+  afterEach(() => mock.restoreAll());
+
+  const sharedVideo = (shares) => ({ uploadedBy: objectId(), shares });
+
+  it('lets a user with a direct EDIT share edit the video', async () => {
+    const viewer = makeUser('VIEWER');
+    const video = sharedVideo([{ user: new mongoose.Types.ObjectId(viewer.id), permission: 'EDIT' }]);
+
+    assert.equal(await canEditVideo(viewer, video), true);
+    assert.equal(await canManageVideo(viewer, video), false); // Sharing does not hand over deleting and moving
+    // Populated share user, and callers holding the id as an ObjectId
+    const populated = sharedVideo([{ user: { _id: video.shares[0].user, email: 'v@example.com' }, permission: 'EDIT' }]);
+    assert.equal(await canEditVideo(viewer, populated), true);
+    assert.equal(await canEditVideo({ ...viewer, id: video.shares[0].user }, video), true);
+  });
+
+  it('does not let a VIEW share edit', async () => {
+    const viewer = makeUser('VIEWER');
+    mockGroups([]);
+    const video = sharedVideo([{ user: new mongoose.Types.ObjectId(viewer.id), permission: 'VIEW' }]);
+
+    assert.equal(await canEditVideo(viewer, video), false);
+  });
+
+  it('lets members of a group with an EDIT share edit the video', async () => {
+    const groupId = objectId();
+    mockGroups([groupId]);
+    const video = sharedVideo([
+      { user: objectId(), permission: 'EDIT' },
+      { group: new mongoose.Types.ObjectId(groupId.toString()), permission: 'EDIT' },
+    ]);
+
+    assert.equal(await canEditVideo(makeUser('VIEWER'), video), true);
+  });
+
+  it('does not let users outside the shares edit', async () => {
+    mockGroups([objectId()]);
+    const video = sharedVideo([{ group: objectId(), permission: 'EDIT' }]);
+
+    assert.equal(await canEditVideo(makeUser('EDITOR'), video), false);
+    assert.equal(await canEditVideo(makeUser('VIEWER'), sharedVideo([])), false);
+  });
+
+  it('lets the uploading EDITOR edit without a share', async () => {
+    const editor = makeUser('EDITOR');
+    const video = { uploadedBy: new mongoose.Types.ObjectId(editor.id), shares: [] };
+
+    assert.equal(await canEditVideo(editor, video), true);
+  });
+});
+
+describe('video access conditions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('gives ADMINs and EDITORs every video to read', async () => {
+    assert.equal(await videoReadCondition(makeUser('ADMIN')), null);
+    assert.equal(await videoReadCondition(makeUser('EDITOR')), null);
+  });
+
+  it('limits VIEWERs to public, own, shared and granted videos', async () => {
+    const viewer = makeUser('VIEWER');
+    const groupId = objectId();
+    const folderId = objectId();
+    mockFolders([{ _id: folderId, acl: [{ user: new mongoose.Types.ObjectId(viewer.id), permission: 'VIEWER' }] }]);
+    mockGroups([groupId]);
+
+    const { $or: conditions } = await videoReadCondition(viewer);
+
+    assert.deepEqual(conditions[0], { isPublic: true });
+    assert.ok(conditions[1].uploadedBy.equals(viewer.id));
+    const share = conditions[2].shares.$elemMatch;
+    assert.equal(share.permission, undefined);
+    assert.ok(share.$or[0].user.equals(viewer.id));
+    assert.deepEqual(share.$or[1].group.$in, [groupId]);
+    assert.deepEqual(conditions[3], { folder: { $in: [folderId] } });
+  });
+
+  it('lets EDITORs write their own uploads and EDIT shares only', async () => {
+    const editor = makeUser('EDITOR');
+    mockFolders([]);
+    mockGroups([]);
+
+    const { $or: [manage, shared] } = await videoWriteCondition(editor);
+
+    assert.ok(manage.$or[0].uploadedBy.equals(editor.id));
+    assert.deepEqual(manage.$or[1], { folder: { $in: [] } });
+    assert.equal(shared.shares.$elemMatch.permission, 'EDIT');
+    assert.ok(shared.shares.$elemMatch.$or[0].user.equals(editor.id));
+  });
+
+  it('gives ADMINs every video to write', async () => {
+    assert.equal(await videoWriteCondition(makeUser('ADMIN')), null);
+  });
+});